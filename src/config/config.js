@@ -14,10 +14,120 @@ module.exports = {
     options: {
       host: process.env.HOST,
       dialect: process.env.DIALECT,
-      storage: './flowershop.sqlite',
-    }
+      // SQLite file; tests point DB_STORAGE at a throwaway one
+      storage: process.env.DB_STORAGE || './flowershop.sqlite',
+    },
+    // write transactions that hit a locked database (SQLITE_BUSY) are retried this many times,
+    // backing off from busyRetryDelayMs (see services/transactions.js)
+    busyRetries: Number(process.env.DB_BUSY_RETRIES ?? 5),
+    busyRetryDelayMs: Number(process.env.DB_BUSY_RETRY_DELAY_MS) || 25
   },
   auth: {
-    jwtSecret: process.env.JWT_SECRET
+    jwtSecret: process.env.JWT_SECRET,
+    // access tokens are short-lived; refresh tokens keep the session going
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    // single-use links sent by email
+    passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    emailVerifyTtlHours: Number(process.env.EMAIL_VERIFY_TTL_HOURS) || 48,
+    // customers must verify their email before placing shop orders
+    requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+    passwordMinLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8
+  },
+  app: {
+    // links in emails point at the storefront
+    baseUrl: process.env.APP_BASE_URL || 'http://localhost:3000',
+    // error responses include the message and stack of unexpected errors (development only)
+    exposeErrorDetails: process.env.NODE_ENV === 'development'
+  },
+  // outgoing mail: 'outbox' writes JSON files to outboxDir, 'log' only logs them
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'outbox',
+    from: process.env.MAIL_FROM || 'Flower Shop <no-reply@flowershop.test>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || './outbox'
+  },
+  // perishable stock batches (see services/batches.js)
+  stock: {
+    // expiry of a delivery received without one
+    shelfLifeDays: Number(process.env.STOCK_SHELF_LIFE_DAYS) || 7,
+    // GET /flowers/expiring looks this many days ahead by default
+    expiringDays: Number(process.env.STOCK_EXPIRING_DAYS) || 2,
+    // suggested reorder quantities: sales over the last velocityDays, enough to cover reorderCoverDays
+    velocityDays: Number(process.env.STOCK_VELOCITY_DAYS) || 28,
+    reorderCoverDays: Number(process.env.STOCK_REORDER_COVER_DAYS) || 14
+  },
+  // staff notifications such as low-stock alerts (see services/notify):
+  // 'log' writes them to the log, 'outbox' as JSON files into outboxDir
+  notify: {
+    notifier: process.env.NOTIFIER || 'log',
+    outboxDir: process.env.NOTIFY_OUTBOX_DIR || './outbox/notifications'
+  },
+  // flower images (see services/images.js)
+  images: {
+    maxMb: Number(process.env.IMAGE_MAX_MB) || 8,            // per file
+    maxFiles: Number(process.env.IMAGE_MAX_FILES) || 10,     // per upload
+    maxPerFlower: Number(process.env.IMAGE_MAX_PER_FLOWER) || 12,
+    // prefix for image URLs in API responses, e.g. https://api.example.com (relative when empty)
+    publicUrl: (process.env.API_PUBLIC_URL || '').replace(/\/+$/, '')
+  },
+  // uploaded files: 'local' keeps them on disk under dir (see services/storage)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    dir: process.env.STORAGE_DIR || './uploads'
+  },
+  // shopping cart: each line holds its stock for this long after it was last changed
+  cart: {
+    holdMinutes: Number(process.env.CART_HOLD_MINUTES) || 15
+  },
+  // Idempotency-Key handling for order and payment endpoints (see middleware/idempotency.js)
+  idempotency: {
+    // how long a key and its stored response are kept
+    retentionHours: Number(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24,
+    // a key still 'processing' after this is treated as abandoned (e.g. the server restarted mid-request)
+    lockSeconds: Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60
+  },
+  // order pricing (see services/pricing.js)
+  pricing: {
+    // GST in percent; 0 turns it off
+    taxRate: Number(process.env.GST_RATE ?? 10),
+    // true: catalogue prices and fees already include GST (it is backed out for the invoice);
+    // false: GST is added on top
+    pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true',
+    // delivery fee when the address matches no zone
+    deliveryFee: Number(process.env.DELIVERY_FEE ?? 0),
+    // optional zones by postcode, JSON: [{ "name": "Inner city", "postcodes": ["2000", "2007-2011"], "fee": 8 }]
+    deliveryZones: JSON.parse(process.env.DELIVERY_ZONES || '[]')
+  },
+  // payments (see services/payments)
+  payments: {
+    gateway: process.env.PAYMENT_GATEWAY || 'mock',
+    currency: process.env.CURRENCY || 'AUD',
+    // shared secret the gateway signs webhooks with; the default only suits the mock gateway
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret',
+    // webhooks signed longer ago than this are rejected (replay protection)
+    webhookToleranceSeconds: Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300,
+    // unpaid shop orders are cancelled (stock released) after this; 0 turns it off
+    timeoutMinutes: Number(process.env.PAYMENT_TIMEOUT_MINUTES ?? 30),
+    // how often the server looks for overdue orders
+    sweepIntervalSeconds: Number(process.env.PAYMENT_SWEEP_INTERVAL_SECONDS) || 60
+  },
+  // delivery/pickup slot booking
+  slots: {
+    // same-day orders must be placed before this time unless the slot sets its own cut-off
+    sameDayCutoff: process.env.SLOT_SAME_DAY_CUTOFF || '10:00',
+    // how far ahead GET /shop/slots looks by default
+    lookaheadDays: Number(process.env.SLOT_LOOKAHEAD_DAYS) || 14
+  },
+  // customer analytics: RFM scores and lapsed customers (see services/customerAnalytics.js)
+  customers: {
+    // each list gives the thresholds for scores 2, 3, 4 and 5 (below the first is a 1):
+    // days since the last order (fewer is better), paid orders, lifetime spend in dollars
+    rfmRecencyDays: JSON.parse(process.env.RFM_RECENCY_DAYS || '[365, 180, 90, 30]'),
+    rfmFrequencyOrders: JSON.parse(process.env.RFM_FREQUENCY_ORDERS || '[2, 3, 5, 10]'),
+    rfmMonetary: JSON.parse(process.env.RFM_MONETARY || '[50, 150, 400, 1000]'),
+    // a repeat customer has lapsed when their last order is this many times their usual
+    // gap between orders ago, and at least lapseMinDays
+    lapseFactor: Number(process.env.CUSTOMER_LAPSE_FACTOR) || 2,
+    lapseMinDays: Number(process.env.CUSTOMER_LAPSE_MIN_DAYS) || 30
   }
 }
@@ -0,0 +1,44 @@
+// File: src/csv.js
+// CSV downloads of reports (RFC 4180: comma-separated, CRLF, double quotes escaped).
+//
+// A report answers in CSV for ?format=csv, or for an Accept header that prefers
+// text/csv over JSON. Text cells that a spreadsheet would run as a formula
+// (=, +, -, @ ...) are prefixed with a quote.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_START.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<{ key: string, header?: string }>} columns  in order; `header` defaults to the key
+ * @param {object[]} rows
+ * @returns {string} header line and one line per row
+ */
+function toCSV(columns, rows) {
+  const lines = [columns.map((c) => cell(c.header || c.key))];
+  for (const row of rows) lines.push(columns.map((c) => cell(row[c.key])));
+  return lines.map((l) => l.join(',')).join('\r\n') + '\r\n';
+}
+
+// ?format= wins; otherwise content negotiation, JSON unless text/csv is preferred
+function wantsCSV(req) {
+  if (req.query.format) return req.query.format === 'csv';
+  return req.accepts(['json', 'csv']) === 'csv';
+}
+
+function sendCSV(res, filename, columns, rows) {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.status(200).send(toCSV(columns, rows));
+}
+
+module.exports = { toCSV, wantsCSV, sendCSV };
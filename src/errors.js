@@ -0,0 +1,68 @@
+// File: src/errors.js
+// Typed API errors. Routers and services throw these; middleware/errorHandler.js
+// turns them into one problem+json envelope:
+//
+//   { type, title, status, code, detail, instance, requestId, ...extras }
+//
+// `code` is the stable, machine-readable part clients should switch on.
+
+const http = require('http');
+
+class AppError extends Error {
+  /**
+   * @param {number} status  HTTP status
+   * @param {string} code    stable error code, e.g. 'ORDER_NOT_FOUND'
+   * @param {string} message human-readable detail (safe to show to clients)
+   * @param {object} [extras] extra members merged into the response (e.g. { allowed })
+   */
+  constructor(status, code, message, extras = {}) {
+    super(message || http.STATUS_CODES[status]);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.extras = extras;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(code, message, extras) { super(400, code, message, extras); }
+}
+
+// 400 with one entry per invalid field: [{ location, field, msg }]
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(400, 'VALIDATION_FAILED', message, { errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code, message, extras) { super(401, code, message, extras); }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code, message, extras) { super(403, code, message, extras); }
+}
+
+class NotFoundError extends AppError {
+  constructor(code, message, extras) { super(404, code, message, extras); }
+}
+
+class ConflictError extends AppError {
+  constructor(code, message, extras) { super(409, code, message, extras); }
+}
+
+// 412: an If-Match header no longer matches the record's ETag
+class PreconditionFailedError extends AppError {
+  constructor(code, message, extras) { super(412, code, message, extras); }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError
+};
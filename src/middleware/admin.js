@@ -3,6 +3,8 @@
  * @module admin middleware
  */
 
+const { ForbiddenError } = require('../errors');
+
 function admin(req, res, next){
     const role = req.user?.role;
 
@@ -10,7 +12,7 @@ function admin(req, res, next){
         return next();
     }
     
-    return res.status(403).json({ msg: 'Access denied. Admin privileges required.' });
+    return next(new ForbiddenError('ADMIN_REQUIRED', 'Access denied. Admin privileges required.'));
 }
 
 module.exports = admin;
\ No newline at end of file
@@ -1,25 +1,43 @@
 // File: src/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const { isSessionActive } = require('../services/sessions');
+const { UnauthorizedError } = require('../errors');
 
-module.exports = function(req, res, next){
-    const token = req.header('x-auth-token');
+// Token from `x-auth-token` or `Authorization: Bearer <token>`
+function readToken(req) {
+    const header = req.header('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return req.header('x-auth-token');
+}
+
+module.exports = async function(req, res, next){
+    const token = readToken(req);
 
     if(!token){
-        return res.status(401).json({ msg: 'No token supplied, authorization denied'});
+        throw new UnauthorizedError('TOKEN_MISSING', 'No token supplied, authorization denied');
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, config.auth.jwtSecret);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, config.auth.jwtSecret, { algorithms: ['HS512'] });
     } catch (err) {
         if (err.name === 'TokenExpiredError') {
-            return res.status(401).json({ msg: 'Token has expired' });
+            throw new UnauthorizedError('TOKEN_EXPIRED', 'Token has expired');
         }
         if (err.name === 'JsonWebTokenError') {
-            return res.status(401).json({ msg: 'Token is invalid' });
+            throw new UnauthorizedError('TOKEN_INVALID', 'Token is invalid');
         }
-        return res.status(401).json({ msg: 'Token verification failed' });
+        throw new UnauthorizedError('TOKEN_INVALID', 'Token verification failed');
     }
-}
\ No newline at end of file
+
+    // Access tokens are bound to a session so logout/deactivation take effect immediately
+    if (!(await isSessionActive(decoded.sid))) {
+        throw new UnauthorizedError('SESSION_REVOKED', 'Session has been revoked, please log in again');
+    }
+
+    req.user = decoded;
+    next();
+}
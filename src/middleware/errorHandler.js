@@ -0,0 +1,96 @@
+// File: src/middleware/errorHandler.js
+/**
+ * @module errorHandler middleware
+ * Central error handler: every error becomes an application/problem+json response
+ *
+ *   { type, title, status, code, detail, instance, requestId, ...extras }
+ *
+ * AppErrors (src/errors.js) keep their status, code and message. Known library
+ * errors (bad JSON, Sequelize constraint errors) are mapped to codes. Anything
+ * else is a 500 INTERNAL_ERROR whose message and stack are only shown when
+ * NODE_ENV=development.
+ */
+
+const http = require('http');
+const config = require('../config/config');
+const logger = require('../logger');
+const { AppError, NotFoundError } = require('../errors');
+
+// Turn library errors we understand into AppErrors; returns null for the rest
+function fromKnownError(err) {
+  if (err instanceof AppError) return err;
+
+  // express.json() body parse failures
+  if (err.type === 'entity.parse.failed') {
+    return new AppError(400, 'MALFORMED_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  switch (err.name) {
+    case 'SequelizeUniqueConstraintError':
+      // SQLite lists the columns, other dialects map them to the values
+      return new AppError(409, 'DUPLICATE', 'A record with the same unique value already exists', {
+        fields: Array.isArray(err.fields) ? err.fields : Object.keys(err.fields || {})
+      });
+    // Someone else saved the same record between our read and our write
+    case 'SequelizeOptimisticLockError':
+      return new AppError(409, 'VERSION_CONFLICT', 'The record was changed by someone else; reload it and try again');
+    case 'SequelizeForeignKeyConstraintError':
+      return new AppError(409, 'REFERENCE_CONFLICT', 'The record is referenced by, or refers to, another record');
+    // SQLITE_BUSY that outlasted the retries in services/transactions.js (or a write outside it)
+    case 'SequelizeTimeoutError':
+      return new AppError(503, 'DATABASE_BUSY', 'The shop is busy right now, please try again');
+    // multer (middleware/upload.js)
+    case 'MulterError':
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return new AppError(413, 'IMAGE_TOO_LARGE', `Images can be at most ${config.images.maxMb} MB`, {
+          maxMb: config.images.maxMb
+        });
+      }
+      return new AppError(400, 'UPLOAD_INVALID', err.message, { field: err.field });
+    case 'SequelizeValidationError':
+      return new AppError(400, 'VALIDATION_FAILED', 'Validation failed', {
+        errors: (err.errors || []).map((e) => ({ location: 'body', field: e.path, msg: e.message }))
+      });
+    default:
+      return null;
+  }
+}
+
+// 404 for anything no router handled
+function notFound(req, res, next) {
+  next(new NotFoundError('ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`));
+}
+
+function errorHandler(err, req, res, next) { // eslint-disable-line no-unused-vars
+  const known = fromKnownError(err);
+  const status = known ? known.status : 500;
+
+  const problem = {
+    type: `urn:flowershop:error:${known ? known.code : 'INTERNAL_ERROR'}`,
+    title: http.STATUS_CODES[status],
+    status,
+    code: known ? known.code : 'INTERNAL_ERROR',
+    detail: known ? known.message : 'An unexpected error occurred',
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...(known && known.extras)
+  };
+
+  const meta = { requestId: req.id, method: req.method, url: req.originalUrl, status, code: problem.code };
+  if (status >= 500) {
+    logger.error('Request failed', { ...meta, error: err.message, stack: err.stack });
+    if (config.app.exposeErrorDetails) {
+      problem.debug = { name: err.name, message: err.message, stack: err.stack };
+    }
+  } else {
+    logger.warn('Request rejected', { ...meta, detail: problem.detail });
+  }
+
+  if (res.headersSent) return next(err);
+  res.status(status).type('application/problem+json').json(problem);
+}
+
+module.exports = { errorHandler, notFound };
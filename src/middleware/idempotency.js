@@ -0,0 +1,103 @@
+// File: src/middleware/idempotency.js
+/**
+ * @module idempotency middleware
+ * Makes retried POSTs safe. A request with an `Idempotency-Key` header is run once;
+ * repeats with the same key (per user) get the stored response back, with its ETag and
+ * Location headers, and `Idempotent-Replayed: true` instead of running again.
+ * - same key, different method/path/body -> 409 IDEMPOTENCY_KEY_REUSED
+ * - same key while the first request is still running -> 409 IDEMPOTENCY_IN_PROGRESS
+ * - only successful (2xx) responses are stored; after an error the key can be retried
+ * Requests without the header behave as before. Keys are kept for config.idempotency.retentionHours.
+ *
+ * Usage (after auth and validate, so the fingerprint covers the validated body):
+ *   router.post('/orders', [auth, staff, validate({ body }), idempotency], handler)
+ */
+
+const crypto = require('crypto');
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { ValidationError, ConflictError } = require('../errors');
+
+const { IdempotencyKey, Op } = db;
+
+const KEY_FORMAT = /^[\x21-\x7e]{1,255}$/; // visible ASCII
+
+// Response headers stored with the body and sent again on replay
+const REPLAYED_HEADERS = ['ETag', 'Location', 'Content-Location'];
+
+// JSON with object keys sorted, so {"a":1,"b":2} and {"b":2,"a":1} match
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+const fingerprintOf = (method, path, body) =>
+  crypto.createHash('sha256').update(`${method} ${path}\n${canonical(body || {})}`).digest('hex');
+
+// Claim the key for this request; resolves to the stored row when it was already used
+async function claim(values) {
+  const now = new Date();
+  const existing = await IdempotencyKey.findOne({ where: { userId: values.userId, key: values.key } });
+  const abandoned = existing && existing.status === 'processing'
+    && existing.createdAt < new Date(now.getTime() - config.idempotency.lockSeconds * 1000);
+
+  if (existing && existing.expiresAt > now && !abandoned) return existing;
+  if (existing) await existing.destroy();
+
+  // Old keys are cleared as new ones come in
+  await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+  const expiresAt = new Date(now.getTime() + config.idempotency.retentionHours * 60 * 60 * 1000);
+  await IdempotencyKey.create({ ...values, status: 'processing', expiresAt }).catch((err) => {
+    if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+    throw new ConflictError('IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is already being processed');
+  });
+  return null;
+}
+
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!KEY_FORMAT.test(key)) {
+    throw new ValidationError([{ location: 'headers', field: 'Idempotency-Key', msg: 'Idempotency-Key must be 1-255 visible ASCII characters' }]);
+  }
+
+  const path = req.baseUrl + req.path;
+  const values = { userId: req.user.id, key, method: req.method, path, fingerprint: fingerprintOf(req.method, path, req.body) };
+  const stored = await claim(values);
+
+  if (stored) {
+    if (stored.fingerprint !== values.fingerprint) {
+      logger.warn('Idempotency key reused with a different request', { userId: req.user.id, key, path, firstPath: stored.path });
+      throw new ConflictError('IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request');
+    }
+    if (stored.status === 'processing') {
+      res.set('Retry-After', '1');
+      throw new ConflictError('IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is already being processed');
+    }
+    logger.info('Idempotent replay', { userId: req.user.id, key, path, status: stored.responseStatus });
+    res.set({ ...stored.responseHeaders, 'Idempotent-Replayed': 'true' });
+    return res.status(stored.responseStatus).json(stored.responseBody);
+  }
+
+  // Keep the response on its way out: stored when it succeeded, released otherwise
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const headers = Object.fromEntries(REPLAYED_HEADERS.filter((h) => res.get(h) !== undefined).map((h) => [h, res.get(h)]));
+    const done = res.statusCode >= 200 && res.statusCode < 300
+      ? IdempotencyKey.update(
+        { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)), responseHeaders: headers },
+        { where: { userId: values.userId, key } }
+      )
+      : IdempotencyKey.destroy({ where: { userId: values.userId, key, status: 'processing' } });
+    done.catch((err) => logger.error('Idempotency key not saved', { userId: values.userId, key, error: err.message }));
+    return json(body);
+  };
+
+  return next();
+}
+
+module.exports = idempotency;
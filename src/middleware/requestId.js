@@ -0,0 +1,20 @@
+// File: src/middleware/requestId.js
+/**
+ * @module requestId middleware
+ * Gives every request an id (reusing a sane incoming X-Request-Id, e.g. from a proxy),
+ * echoes it in the X-Request-Id response header and exposes it as req.id.
+ * Error responses and error logs carry the same id.
+ */
+
+const crypto = require('crypto');
+
+const INCOMING_ID = /^[\w.:-]{1,128}$/;
+
+function requestId(req, res, next) {
+    const incoming = req.header('X-Request-Id');
+    req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+module.exports = requestId;
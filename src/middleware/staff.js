@@ -4,6 +4,8 @@
  * Allows access to staff and admin roles only
  */
 
+const { ForbiddenError } = require('../errors');
+
 function staff(req, res, next){
     const role = req.user?.role;
     
@@ -11,9 +13,7 @@ function staff(req, res, next){
         return next();
     }
     
-    return res.status(403).json({ 
-        msg: 'Access denied. Staff or admin privileges required.' 
-    });
+    return next(new ForbiddenError('STAFF_REQUIRED', 'Access denied. Staff or admin privileges required.'));
 }
 
 module.exports = staff;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// File: src/middleware/upload.js
+/**
+ * @module upload middleware
+ * multipart/form-data image uploads, kept in memory (req.files[].buffer) for
+ * services/images.js to check and resize. Files over config.images.maxMb are a
+ * 413 IMAGE_TOO_LARGE and other multer limits a 400 UPLOAD_INVALID (see errorHandler).
+ * A declared type other than JPEG, PNG or WebP is a 400 IMAGE_TYPE_NOT_ALLOWED; the
+ * content itself is checked again when it is decoded.
+ *
+ * Usage:
+ *   router.post('/:id/images', [auth, staff, upload.images], handler)
+ */
+
+const multer = require('multer');
+const config = require('../config/config');
+const { BadRequestError } = require('../errors');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.images.maxMb * 1024 * 1024, files: config.images.maxFiles },
+  fileFilter(req, file, cb) {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+    return cb(new BadRequestError('IMAGE_TYPE_NOT_ALLOWED', `${file.originalname} is not a JPEG, PNG or WebP image`, {
+      file: file.originalname,
+      allowed: ALLOWED_TYPES
+    }));
+  }
+});
+
+module.exports = {
+  ALLOWED_TYPES,
+  // up to config.images.maxFiles files in the `images` field
+  images: upload.array('images', config.images.maxFiles)
+};
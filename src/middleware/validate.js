@@ -0,0 +1,45 @@
+// File: src/middleware/validate.js
+/**
+ * @module validate middleware
+ * Validates req.params / req.query / req.body against Joi schemas.
+ * - unknown keys are stripped (so clients can't set id, isActive, ...)
+ * - values are coerced (e.g. "?page=2" -> 2) and defaults applied
+ * - all problems are reported at once as a 400 VALIDATION_FAILED with per-field details
+ *
+ * Usage: router.put('/:id', [auth, staff, validate({ params: idParams, body: updateFlower })], handler)
+ */
+
+const { ValidationError } = require('../errors');
+
+const PARTS = ['params', 'query', 'body'];
+
+const OPTIONS = { abortEarly: false, stripUnknown: true, convert: true, errors: { wrap: { label: false } } };
+
+function validate(schemas) {
+  return function (req, res, next) {
+    const errors = [];
+
+    for (const part of PARTS) {
+      if (!schemas[part]) continue;
+
+      const { value, error } = schemas[part].validate(req[part] || {}, OPTIONS);
+      if (error) {
+        for (const d of error.details) {
+          errors.push({ location: part, field: d.path.join('.'), msg: d.message });
+        }
+        continue;
+      }
+
+      // req.query is a getter in Express 5, so replace it rather than assign
+      Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (errors.length) {
+      return next(new ValidationError(errors));
+    }
+
+    return next();
+  };
+}
+
+module.exports = validate;
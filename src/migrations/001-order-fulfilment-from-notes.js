@@ -0,0 +1,53 @@
+// File: src/migrations/001-order-fulfilment-from-notes.js
+// Shop orders used to stash fulfilment details in Order.notes as a JSON string:
+//   {"fulfilment","deliveryAddress","deliveryDate","contactPhone","giftMessage","clientNotes"}
+// Move them into order_fulfilments and put the customer's own note back in Order.notes.
+// Plain-text notes (staff orders, seed data) are left untouched.
+
+function parseLegacyNotes(notes) {
+  if (!notes || !notes.trim().startsWith('{')) return null;
+  try {
+    const data = JSON.parse(notes);
+    return data && typeof data === 'object' && 'fulfilment' in data ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Keep only values a DATEONLY column can hold
+function toDateOnly(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d) ? null : d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  async up({ db, transaction }) {
+    const { Order, OrderFulfilment } = db;
+    // Only columns this migration knows about: later ones may not have been added yet
+    const orders = await Order.findAll({
+      attributes: ['id', 'notes'],
+      include: [{ model: OrderFulfilment, as: 'fulfilment', attributes: ['id'] }],
+      transaction
+    });
+
+    for (const order of orders) {
+      const legacy = parseLegacyNotes(order.notes);
+      if (!legacy) continue;
+
+      if (!order.fulfilment) {
+        await OrderFulfilment.create({
+          orderId: order.id,
+          type: legacy.fulfilment === 'delivery' ? 'delivery' : 'pickup',
+          deliveryAddress: legacy.deliveryAddress || null,
+          deliveryDate: toDateOnly(legacy.deliveryDate),
+          contactPhone: legacy.contactPhone || null,
+          giftMessage: legacy.giftMessage || null
+        }, { transaction });
+      }
+
+      // Bulk update: an instance save would also touch the (later) version column
+      await Order.update({ notes: legacy.clientNotes || null }, { where: { id: order.id }, transaction, silent: true });
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// File: src/migrations/002-fulfilment-slot.js
+// Link fulfilments to the delivery/pickup slot they booked.
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'order_fulfilments', 'slot_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    }, transaction);
+  }
+};
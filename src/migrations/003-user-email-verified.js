@@ -0,0 +1,21 @@
+// File: src/migrations/003-user-email-verified.js
+// Add users.email_verified_at. Accounts that existed before email verification
+// was introduced are treated as verified so nobody gets locked out.
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    const added = await addColumnIfMissing(queryInterface, 'users', 'email_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    }, transaction);
+
+    if (added) {
+      await queryInterface.sequelize.query(
+        'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL',
+        { transaction }
+      );
+    }
+  }
+};
@@ -0,0 +1,21 @@
+// File: src/migrations/004-stock-opening-balances.js
+// Start the stock ledger: flowers that already have stock but no movements get
+// one 'adjustment' row for their current stock, so ledger sums match from day one.
+
+module.exports = {
+  async up({ db, transaction }) {
+    const { Flower, StockMovement } = db;
+
+    const flowers = await Flower.scope('all').findAll({ attributes: ['id', 'stock'], transaction });
+    const tracked = new Set(
+      (await StockMovement.findAll({ attributes: ['flowerId'], group: ['flowerId'], raw: true, transaction }))
+        .map((m) => m.flowerId)
+    );
+
+    const rows = flowers
+      .filter((f) => !tracked.has(f.id) && f.stock)
+      .map((f) => ({ flowerId: f.id, reason: 'adjustment', delta: f.stock, balance: f.stock, note: 'Opening balance' }));
+
+    if (rows.length) await StockMovement.bulkCreate(rows, { transaction });
+  }
+};
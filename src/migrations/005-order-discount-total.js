@@ -0,0 +1,14 @@
+// File: src/migrations/005-order-discount-total.js
+// Orders remember how much promo codes took off (see order_discounts for the breakdown).
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'orders', 'discount_total', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    }, transaction);
+  }
+};
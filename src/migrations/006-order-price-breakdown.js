@@ -0,0 +1,28 @@
+// File: src/migrations/006-order-price-breakdown.js
+// Orders store their full price breakdown. Earlier orders never charged GST or
+// delivery, so their subtotal is simply what was paid plus any promo discount.
+
+const { addColumnIfMissing } = require('./helpers');
+
+const money = (Sequelize) => ({ type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 });
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    const added = await addColumnIfMissing(queryInterface, 'orders', 'subtotal', money(Sequelize), transaction);
+    await addColumnIfMissing(queryInterface, 'orders', 'delivery_fee', money(Sequelize), transaction);
+    await addColumnIfMissing(queryInterface, 'orders', 'tax_total', money(Sequelize), transaction);
+    await addColumnIfMissing(queryInterface, 'orders', 'tax_rate', {
+      type: Sequelize.DECIMAL(5, 2), allowNull: false, defaultValue: 0
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'orders', 'prices_include_tax', {
+      type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false
+    }, transaction);
+
+    if (added) {
+      await queryInterface.sequelize.query(
+        'UPDATE orders SET subtotal = total + discount_total',
+        { transaction }
+      );
+    }
+  }
+};
@@ -0,0 +1,10 @@
+// File: src/migrations/007-order-payment-due.js
+// Shop orders get a payment deadline. Existing orders keep null (they never expire).
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'orders', 'payment_due_at', { type: Sequelize.DATE }, transaction);
+  }
+};
@@ -0,0 +1,14 @@
+// File: src/migrations/008-order-refunded-total.js
+// Orders keep a running total of what was refunded (see refunds for the records).
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'orders', 'refunded_total', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    }, transaction);
+  }
+};
@@ -0,0 +1,18 @@
+// File: src/migrations/009-record-versions.js
+// Version counters for optimistic locking and ETags on flowers, customers and orders.
+
+const { addColumnIfMissing } = require('./helpers');
+
+const TABLES = ['flowers', 'customers', 'orders'];
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    for (const table of TABLES) {
+      await addColumnIfMissing(queryInterface, table, 'version', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, transaction);
+    }
+  }
+};
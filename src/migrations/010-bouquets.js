@@ -0,0 +1,17 @@
+// File: src/migrations/010-bouquets.js
+// Bouquet products: flower type and labour charge, and the components each sold
+// bouquet line used. The bouquet_components table itself comes from sync().
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'flowers', 'type', {
+      type: Sequelize.ENUM('stem', 'bouquet'),
+      allowNull: false,
+      defaultValue: 'stem'
+    }, transaction);
+    await addColumnIfMissing(queryInterface, 'flowers', 'labour_charge', { type: Sequelize.DECIMAL(10, 2) }, transaction);
+    await addColumnIfMissing(queryInterface, 'order_items', 'components', { type: Sequelize.JSON }, transaction);
+  }
+};
@@ -0,0 +1,22 @@
+// File: src/migrations/011-stock-batches.js
+// Start batch tracking: stock already on hand becomes one opening batch per flower,
+// with no known cost or expiry, so batches add up to Flower.stock from day one.
+
+module.exports = {
+  async up({ db, transaction }) {
+    const { Flower, StockBatch } = db;
+
+    const flowers = await Flower.scope('all').findAll({ attributes: ['id', 'stock'], transaction });
+    const tracked = new Set(
+      (await StockBatch.findAll({ attributes: ['flowerId'], group: ['flowerId'], raw: true, transaction }))
+        .map((b) => b.flowerId)
+    );
+
+    const receivedAt = new Date().toISOString().slice(0, 10);
+    const rows = flowers
+      .filter((f) => !tracked.has(f.id) && f.stock > 0)
+      .map((f) => ({ flowerId: f.id, quantity: f.stock, remaining: f.stock, receivedAt, note: 'Opening balance' }));
+
+    if (rows.length) await StockBatch.bulkCreate(rows, { transaction });
+  }
+};
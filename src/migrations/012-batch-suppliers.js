@@ -0,0 +1,12 @@
+// File: src/migrations/012-batch-suppliers.js
+// Stock batches remember the supplier and purchase order they were received against.
+// The supplier and purchase order tables themselves come from sync().
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'stock_batches', 'supplier_id', { type: Sequelize.INTEGER }, transaction);
+    await addColumnIfMissing(queryInterface, 'stock_batches', 'purchase_order_id', { type: Sequelize.INTEGER }, transaction);
+  }
+};
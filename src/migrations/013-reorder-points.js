@@ -0,0 +1,11 @@
+// File: src/migrations/013-reorder-points.js
+// Reorder point and target per flower. The stock_alerts table itself comes from sync().
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'flowers', 'reorder_point', { type: Sequelize.INTEGER }, transaction);
+    await addColumnIfMissing(queryInterface, 'flowers', 'reorder_target', { type: Sequelize.INTEGER }, transaction);
+  }
+};
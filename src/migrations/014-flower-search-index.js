@@ -0,0 +1,30 @@
+// File: src/migrations/014-flower-search-index.js
+// Full-text index over flower names and descriptions (SQLite FTS5, see services/catalogSearch.js).
+// sync() knows nothing about virtual tables, so fresh databases get it here too. The
+// triggers keep it in step with every insert, rename or description change.
+
+const STATEMENTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS flowers_fts USING fts5(
+    name, description, content='flowers', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS flowers_fts_insert AFTER INSERT ON flowers BEGIN
+    INSERT INTO flowers_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS flowers_fts_delete AFTER DELETE ON flowers BEGIN
+    INSERT INTO flowers_fts(flowers_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS flowers_fts_update AFTER UPDATE OF name, description ON flowers BEGIN
+    INSERT INTO flowers_fts(flowers_fts, rowid, name, description) VALUES ('delete', old.id, old.name, old.description);
+    INSERT INTO flowers_fts(rowid, name, description) VALUES (new.id, new.name, new.description);
+  END`,
+  // index the flowers already there
+  "INSERT INTO flowers_fts(flowers_fts) VALUES ('rebuild')"
+];
+
+module.exports = {
+  async up({ queryInterface, transaction }) {
+    for (const sql of STATEMENTS) {
+      await queryInterface.sequelize.query(sql, { transaction });
+    }
+  }
+};
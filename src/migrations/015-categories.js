@@ -0,0 +1,35 @@
+// File: src/migrations/015-categories.js
+// Move the free-text Flower.category strings into the category tree: one top-level
+// category per distinct slug (so 'Roses' and 'roses' become one), each flower assigned
+// to its old one. Promo code restrictions that named categories now hold their slugs.
+// The flowers.category column stays in place but is no longer read. The categories and
+// flower_categories tables themselves come from sync().
+
+const { slugify } = require('../services/categories');
+
+module.exports = {
+  async up({ db, queryInterface, Sequelize, transaction }) {
+    const { Category, FlowerCategory, PromoCode, Op } = db;
+
+    const columns = await queryInterface.describeTable('flowers', { transaction });
+    if (columns.category) {
+      const flowers = await queryInterface.sequelize.query(
+        "SELECT id, category FROM flowers WHERE category IS NOT NULL AND TRIM(category) <> '' ORDER BY id",
+        { type: Sequelize.QueryTypes.SELECT, transaction }
+      );
+      const bySlug = new Map((await Category.findAll({ transaction })).map((c) => [c.slug, c]));
+
+      for (const { id, category } of flowers) {
+        const slug = slugify(category);
+        if (!slug) continue;
+        if (!bySlug.has(slug)) bySlug.set(slug, await Category.create({ name: category.trim(), slug }, { transaction }));
+        await FlowerCategory.findOrCreate({ where: { flowerId: id, categoryId: bySlug.get(slug).id }, transaction });
+      }
+    }
+
+    const promos = await PromoCode.findAll({ where: { categories: { [Op.ne]: null } }, transaction });
+    for (const promo of promos) {
+      await promo.update({ categories: [...new Set(promo.categories.map(slugify))] }, { transaction });
+    }
+  }
+};
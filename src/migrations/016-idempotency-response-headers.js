@@ -0,0 +1,10 @@
+// File: src/migrations/016-idempotency-response-headers.js
+// Idempotency keys keep the response headers a replay has to send again (ETag, Location).
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up({ queryInterface, Sequelize, transaction }) {
+    await addColumnIfMissing(queryInterface, 'idempotency_keys', 'response_headers', { type: Sequelize.JSON }, transaction);
+  }
+};
@@ -0,0 +1,13 @@
+// File: src/migrations/helpers.js
+// Shared helpers for migrations (not a migration itself).
+
+// Add a column only when an existing table does not have it yet.
+// Fresh databases already get the column from sequelize.sync().
+async function addColumnIfMissing(queryInterface, table, column, definition, transaction) {
+  const columns = await queryInterface.describeTable(table, { transaction });
+  if (columns[column]) return false;
+  await queryInterface.addColumn(table, column, definition, { transaction });
+  return true;
+}
+
+module.exports = { addColumnIfMissing };
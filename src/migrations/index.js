@@ -0,0 +1,57 @@
+// File: src/migrations/index.js
+// Tiny data/schema migration runner.
+// `sequelize.sync()` creates missing tables but never touches existing ones, so
+// anything that must change rows or columns of an existing database lives here.
+// Each migration runs once, in file-name order, and is recorded in `schema_migrations`.
+// Run manually with " npm run migrate " (the server also runs pending ones on boot).
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../models');
+const logger = require('../logger');
+
+const { sequelize, Sequelize } = db;
+
+const SchemaMigration = sequelize.define('SchemaMigration', {
+  name: { type: Sequelize.STRING, primaryKey: true }
+}, { tableName: 'schema_migrations', underscored: true, updatedAt: false });
+
+function listMigrations() {
+  return fs.readdirSync(__dirname)
+    .filter((f) => /^\d+-.+\.js$/.test(f))
+    .sort()
+    .map((f) => ({ name: f.replace(/\.js$/, ''), ...require(path.join(__dirname, f)) }));
+}
+
+async function runMigrations() {
+  await SchemaMigration.sync();
+  const done = new Set((await SchemaMigration.findAll()).map((m) => m.name));
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const migration of listMigrations()) {
+    if (done.has(migration.name)) continue;
+
+    await sequelize.transaction(async (transaction) => {
+      await migration.up({ db, queryInterface, Sequelize, transaction });
+      await SchemaMigration.create({ name: migration.name }, { transaction });
+    });
+    logger.info('Migration applied', { name: migration.name });
+  }
+}
+
+module.exports = { runMigrations };
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await sequelize.authenticate();
+      await sequelize.sync();
+      await runMigrations();
+      console.log('Migrations complete');
+      process.exit(0);
+    } catch (err) {
+      console.error('Migrations failed:', err.message);
+      process.exit(1);
+    }
+  })();
+}
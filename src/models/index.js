@@ -22,11 +22,13 @@ const User = sequelize.define('User', {
   name: { type: DataTypes.STRING, allowNull: false },
   passwordHash: { type: DataTypes.STRING, allowNull: false },
   role: { type: DataTypes.ENUM('admin', 'staff', 'customer'), defaultValue: 'customer' },
-  isActive: { type: DataTypes.BOOLEAN, defaultValue: true }
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+  emailVerifiedAt: { type: DataTypes.DATE }
 }, { tableName: 'users', underscored: true });
 
+// Short-lived access token; payload should carry the session id (`sid`) so it can be revoked
 User.prototype.signToken = function (payload) {
-  return jwt.sign(payload, config.auth.jwtSecret, { expiresIn: '7d', algorithm: 'HS512' });
+  return jwt.sign(payload, config.auth.jwtSecret, { expiresIn: config.auth.accessTokenTtl, algorithm: 'HS512' });
 };
 
 User.prototype.hashPassword = async function (plain) {
@@ -38,22 +40,112 @@ User.prototype.comparePassword = function (candidate, hash = this.passwordHash)
   return bcrypt.compare(candidate, hash);
 };
 
+// ------------------ Session & RefreshToken ------------------
+// A Session is one login (device). Each refresh rotates to a new RefreshToken in
+// the same session; only the SHA-256 hash of a refresh token is ever stored.
+const Session = sequelize.define('Session', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  revokedAt: { type: DataTypes.DATE },
+  revokedReason: { type: DataTypes.STRING },               // logout | logout_all | reuse_detected | deactivated | role_changed ...
+  lastUsedAt: { type: DataTypes.DATE },
+  ip: { type: DataTypes.STRING },
+  userAgent: { type: DataTypes.STRING }
+}, { tableName: 'sessions', underscored: true, indexes: [{ fields: ['user_id'] }] });
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  sessionId: { type: DataTypes.UUID, allowNull: false },
+  tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  usedAt: { type: DataTypes.DATE }                          // set once rotated; presenting it again = reuse
+}, { tableName: 'refresh_tokens', underscored: true, updatedAt: false });
+
+// ------------------ UserToken ------------------
+// Single-use, expiring tokens mailed to users (password reset, email verification).
+// Only the hash is stored, like refresh tokens.
+const UserToken = sequelize.define('UserToken', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  type: { type: DataTypes.ENUM('password_reset', 'email_verify'), allowNull: false },
+  tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  usedAt: { type: DataTypes.DATE }
+}, { tableName: 'user_tokens', underscored: true, updatedAt: false });
+
 // ------------------ Flower ------------------
+// A 'stem' is stocked itself; a 'bouquet' is built from stems (see BouquetComponent)
+// and its stock is worked out from theirs (see services/bouquets.js).
+const FLOWER_TYPES = ['stem', 'bouquet'];
+
 const Flower = sequelize.define('Flower', {
   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
   name: { type: DataTypes.STRING, allowNull: false },
   description: { type: DataTypes.TEXT },
+  type: { type: DataTypes.ENUM(...FLOWER_TYPES), allowNull: false, defaultValue: 'stem' },
   price: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
-  stock: { type: DataTypes.INTEGER, defaultValue: 0 },
-  category: { type: DataTypes.STRING },
+  labourCharge: { type: DataTypes.DECIMAL(10, 2) },  // bouquets: arranging, charged on top of price
+  stock: { type: DataTypes.INTEGER, defaultValue: 0 }, // always 0 for bouquets
+  reorderPoint: { type: DataTypes.INTEGER },            // stock below this raises a low-stock alert; null = no alerts
+  reorderTarget: { type: DataTypes.INTEGER },           // level a reorder should bring stock back up to
+  // (the old free-text `category` column is left in existing databases but no longer read; see Category)
   isActive: { type: DataTypes.BOOLEAN, defaultValue: true }
 }, {
   tableName: 'flowers',
   underscored: true,
+  version: true, // optimistic locking; moveStock() bumps it too (see services/versioning.js)
   defaultScope: { where: { isActive: true } },
   scopes: { all: { where: {} } }
 });
 
+// ------------------ Category & FlowerCategory ------------------
+// Admin-managed category tree (Occasions › Wedding › Bridal); a flower can be in several.
+// Filtering by a category includes its descendants (services/categories.js).
+const Category = sequelize.define('Category', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name: { type: DataTypes.STRING(100), allowNull: false },
+  slug: { type: DataTypes.STRING(100), allowNull: false, unique: true }, // lower-case, used in ?category=
+  parentId: { type: DataTypes.INTEGER },                                 // FK -> categories.id (null: top level)
+  sortOrder: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // among its siblings, then by name
+  isActive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true } // inactive hides it and everything under it
+}, {
+  tableName: 'categories',
+  underscored: true,
+  indexes: [{ fields: ['parent_id'] }]
+});
+
+const FlowerCategory = sequelize.define('FlowerCategory', {
+  flowerId: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true },   // FK -> flowers.id
+  categoryId: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true }  // FK -> categories.id
+}, {
+  tableName: 'flower_categories',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ fields: ['category_id'] }]
+});
+
+// ------------------ FlowerImage ------------------
+// Product photos (services/images.js). Each variant's file is in storage under
+// `${storageKey}/${variant}`; `position` orders a flower's images, the first is its main one.
+const FlowerImage = sequelize.define('FlowerImage', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },      // FK -> flowers.id
+  storageKey: { type: DataTypes.STRING, allowNull: false },     // folder of the variants
+  contentType: { type: DataTypes.STRING(50), allowNull: false }, // of the original
+  originalName: { type: DataTypes.STRING },
+  size: { type: DataTypes.INTEGER, allowNull: false },          // bytes, original
+  width: { type: DataTypes.INTEGER, allowNull: false },
+  height: { type: DataTypes.INTEGER, allowNull: false },
+  position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  createdBy: { type: DataTypes.INTEGER }                        // FK -> users.id
+}, {
+  tableName: 'flower_images',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ fields: ['flower_id', 'position'] }]
+});
+
 // ------------------ Customer ------------------
 const Customer = sequelize.define('Customer', {
   id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
@@ -65,6 +157,7 @@ const Customer = sequelize.define('Customer', {
 }, {
   tableName: 'customers',
   underscored: true,
+  version: true,
   defaultScope: { where: { isActive: true } },
   scopes: { all: { where: {} } }
 });
@@ -77,16 +170,26 @@ const Order = sequelize.define('Order', {
     type: DataTypes.ENUM('pending', 'paid', 'shipped', 'delivered', 'cancelled'),
     defaultValue: 'pending'
   },
-  total: { type: DataTypes.DECIMAL(10, 2), defaultValue: 0.0 },
-  notes: { type: DataTypes.TEXT }
-}, { tableName: 'orders', underscored: true });
+  // Price breakdown, see services/pricing.js: total = subtotal - discountTotal + deliveryFee (+ taxTotal unless pricesIncludeTax)
+  subtotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 },      // items at their unit prices
+  discountTotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 }, // sum of order_discounts.amount
+  deliveryFee: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 },
+  taxRate: { type: DataTypes.DECIMAL(5, 2), allowNull: false, defaultValue: 0.0 },        // GST percent at order time
+  pricesIncludeTax: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  taxTotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 },
+  total: { type: DataTypes.DECIMAL(10, 2), defaultValue: 0.0 },                           // grand total
+  refundedTotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 }, // sum of refunds.amount (failed ones excluded)
+  notes: { type: DataTypes.TEXT },
+  paymentDueAt: { type: DataTypes.DATE }  // shop orders still pending after this are cancelled (null = never)
+}, { tableName: 'orders', underscored: true, version: true });
 
 const OrderItem = sequelize.define('OrderItem', {
   // Composite primary key (no `id` column)
   orderId:  { type: DataTypes.INTEGER, allowNull: false, primaryKey: true }, // FK -> orders.id
   flowerId: { type: DataTypes.INTEGER, allowNull: false, primaryKey: true }, // FK -> flowers.id
   quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
-  price:    { type: DataTypes.DECIMAL(10, 2), allowNull: false }             // unit price at sale
+  price:    { type: DataTypes.DECIMAL(10, 2), allowNull: false },            // unit price at sale (bouquets: labour included)
+  components: { type: DataTypes.JSON }                                      // bouquets: [{ flowerId, quantity }] stems per unit, as sold
 }, {
   tableName: 'order_items',
   underscored: true,
@@ -95,7 +198,358 @@ const OrderItem = sequelize.define('OrderItem', {
   ]
 });
 
+// ------------------ BouquetComponent ------------------
+// Bill of materials: `quantity` stems of flower `flowerId` go into one bouquet `bouquetId`
+const BouquetComponent = sequelize.define('BouquetComponent', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  bouquetId: { type: DataTypes.INTEGER, allowNull: false }, // FK -> flowers.id (type 'bouquet')
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },  // FK -> flowers.id (type 'stem')
+  quantity: { type: DataTypes.INTEGER, allowNull: false }
+}, {
+  tableName: 'bouquet_components',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['bouquet_id', 'flower_id'] }, { fields: ['flower_id'] }]
+});
+
+// ------------------ OrderFulfilment ------------------
+// One row per order: how it leaves the shop (delivery or pickup) and the contact details for it.
+const OrderFulfilment = sequelize.define('OrderFulfilment', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId: { type: DataTypes.INTEGER, allowNull: false, unique: true }, // FK -> orders.id
+  type: { type: DataTypes.ENUM('delivery', 'pickup'), allowNull: false, defaultValue: 'pickup' },
+  deliveryAddress: { type: DataTypes.STRING },
+  deliveryDate: { type: DataTypes.DATEONLY },                          // delivery only
+  pickupTime: { type: DataTypes.DATE },                                // pickup only
+  slotId: { type: DataTypes.INTEGER },                                 // FK -> delivery_slots.id (booked slot)
+  contactPhone: { type: DataTypes.STRING },
+  giftMessage: { type: DataTypes.TEXT }
+}, {
+  tableName: 'order_fulfilments',
+  underscored: true,
+  indexes: [{ fields: ['type'] }, { fields: ['delivery_date'] }]
+});
+
+// ------------------ DeliverySlot & BlackoutDate ------------------
+// Bookable delivery/pickup windows. `booked` is only ever changed with conditional
+// UPDATEs (see services/slots.js) so it can never pass `capacity`.
+const DeliverySlot = sequelize.define('DeliverySlot', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  type: { type: DataTypes.ENUM('delivery', 'pickup'), allowNull: false },
+  date: { type: DataTypes.DATEONLY, allowNull: false },
+  startTime: { type: DataTypes.STRING(5), allowNull: false },          // 'HH:mm'
+  endTime: { type: DataTypes.STRING(5), allowNull: false },            // 'HH:mm'
+  capacity: { type: DataTypes.INTEGER, allowNull: false, validate: { min: 0 } },
+  booked: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  cutoffTime: { type: DataTypes.STRING(5) },                           // same-day cut-off 'HH:mm' (null = config default)
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true }
+}, {
+  tableName: 'delivery_slots',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['type', 'date', 'start_time'] }]
+});
+
+const BlackoutDate = sequelize.define('BlackoutDate', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  date: { type: DataTypes.DATEONLY, allowNull: false, unique: true },
+  reason: { type: DataTypes.STRING }
+}, { tableName: 'blackout_dates', underscored: true });
+
+// ------------------ OrderStatusHistory ------------------
+// Append-only audit trail of every status change an order goes through.
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId: { type: DataTypes.INTEGER, allowNull: false },
+  fromStatus: { type: DataTypes.STRING },                      // null for the initial 'pending' entry
+  toStatus: { type: DataTypes.STRING, allowNull: false },
+  changedBy: { type: DataTypes.INTEGER },                      // FK -> users.id (acting user)
+  note: { type: DataTypes.STRING }
+}, { tableName: 'order_status_history', underscored: true, updatedAt: false });
+
+// ------------------ StockMovement ------------------
+// Append-only inventory ledger: one row per change to Flower.stock (see services/inventory.js).
+// For every flower SUM(delta) must equal flowers.stock; `balance` is the stock right after the move.
+const STOCK_REASONS = ['sale', 'restock', 'adjustment', 'cancellation', 'waste', 'return'];
+
+const StockMovement = sequelize.define('StockMovement', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },     // FK -> flowers.id
+  reason: { type: DataTypes.ENUM(...STOCK_REASONS), allowNull: false },
+  delta: { type: DataTypes.INTEGER, allowNull: false },        // + in, - out
+  balance: { type: DataTypes.INTEGER, allowNull: false },
+  userId: { type: DataTypes.INTEGER },                         // FK -> users.id (acting user, null for system)
+  orderId: { type: DataTypes.INTEGER },                        // FK -> orders.id (sales / cancellations)
+  note: { type: DataTypes.STRING }
+}, {
+  tableName: 'stock_movements',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ fields: ['flower_id', 'id'] }, { fields: ['order_id'] }],
+  hooks: {
+    // Corrections are new movements, never edits
+    beforeUpdate() { throw new Error('Stock movements are append-only'); },
+    beforeDestroy() { throw new Error('Stock movements are append-only'); }
+  }
+});
+
+// ------------------ StockBatch & StockMovementBatch ------------------
+// Stock arrives in batches with a received date, expiry date and unit cost; for every
+// flower SUM(remaining) equals flowers.stock. Sales take the batch that expires first
+// (services/batches.js); each movement records which batches it took from or put back into.
+const StockBatch = sequelize.define('StockBatch', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },     // FK -> flowers.id
+  quantity: { type: DataTypes.INTEGER, allowNull: false },     // as received
+  remaining: { type: DataTypes.INTEGER, allowNull: false },
+  unitCost: { type: DataTypes.DECIMAL(10, 2) },                // null when unknown (opening balances)
+  receivedAt: { type: DataTypes.DATEONLY, allowNull: false },
+  expiresAt: { type: DataTypes.DATEONLY },                     // last day it can be sold; null when unknown
+  supplierId: { type: DataTypes.INTEGER },                     // FK -> suppliers.id (received against a purchase order)
+  purchaseOrderId: { type: DataTypes.INTEGER },                // FK -> purchase_orders.id
+  note: { type: DataTypes.STRING }
+}, {
+  tableName: 'stock_batches',
+  underscored: true,
+  indexes: [{ fields: ['flower_id', 'expires_at'] }, { fields: ['expires_at'] }]
+});
+
+const StockMovementBatch = sequelize.define('StockMovementBatch', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  stockMovementId: { type: DataTypes.INTEGER, allowNull: false }, // FK -> stock_movements.id
+  batchId: { type: DataTypes.INTEGER, allowNull: false },         // FK -> stock_batches.id
+  quantity: { type: DataTypes.INTEGER, allowNull: false }         // + in, - out, like the movement's delta
+}, {
+  tableName: 'stock_movement_batches',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ fields: ['stock_movement_id'] }, { fields: ['batch_id'] }]
+});
+
+// ------------------ StockAlert ------------------
+// Raised when a stock movement takes a flower below its reorder point (services/stockAlerts.js).
+// At most one open alert per flower; it is resolved once stock is back at the reorder point.
+const StockAlert = sequelize.define('StockAlert', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },       // FK -> flowers.id
+  stockMovementId: { type: DataTypes.INTEGER },                  // FK -> stock_movements.id (null: reorder point changed)
+  stock: { type: DataTypes.INTEGER, allowNull: false },          // when raised
+  reorderPoint: { type: DataTypes.INTEGER, allowNull: false },   // when raised
+  suggestedQuantity: { type: DataTypes.INTEGER },                // from recent sales, when raised
+  resolvedAt: { type: DataTypes.DATE }                           // null while open
+}, {
+  tableName: 'stock_alerts',
+  underscored: true,
+  indexes: [{ fields: ['flower_id', 'resolved_at'] }, { fields: ['resolved_at'] }]
+});
+
+// ------------------ Supplier & SupplierPrice ------------------
+// Where stock is bought, and each supplier's catalogue price per flower
+const Supplier = sequelize.define('Supplier', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false },
+  contactName: { type: DataTypes.STRING },
+  email: { type: DataTypes.STRING },                           // purchase orders are mailed here when sent
+  phone: { type: DataTypes.STRING },
+  notes: { type: DataTypes.TEXT },
+  isActive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true }
+}, {
+  tableName: 'suppliers',
+  underscored: true
+});
+
+const SupplierPrice = sequelize.define('SupplierPrice', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  supplierId: { type: DataTypes.INTEGER, allowNull: false },    // FK -> suppliers.id
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },      // FK -> flowers.id (stems only)
+  unitCost: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  sku: { type: DataTypes.STRING }                               // the supplier's own product code
+}, {
+  tableName: 'supplier_prices',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['supplier_id', 'flower_id'] }, { fields: ['flower_id'] }]
+});
+
+// ------------------ PurchaseOrder & PurchaseOrderItem ------------------
+// Stock ordered from a supplier (see services/purchasing.js). Each receipt adds the
+// received quantities to stock as new batches at the line's unit cost.
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+const PurchaseOrder = sequelize.define('PurchaseOrder', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  supplierId: { type: DataTypes.INTEGER, allowNull: false },    // FK -> suppliers.id
+  status: { type: DataTypes.ENUM(...PURCHASE_ORDER_STATUSES), allowNull: false, defaultValue: 'draft' },
+  total: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 }, // ordered value
+  expectedAt: { type: DataTypes.DATEONLY },                     // delivery date agreed with the supplier
+  notes: { type: DataTypes.TEXT },
+  createdBy: { type: DataTypes.INTEGER },                       // FK -> users.id
+  sentAt: { type: DataTypes.DATE },
+  receivedAt: { type: DataTypes.DATE }                          // when the last line was received in full
+}, {
+  tableName: 'purchase_orders',
+  underscored: true,
+  indexes: [{ fields: ['supplier_id'] }, { fields: ['status'] }]
+});
+
+const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  purchaseOrderId: { type: DataTypes.INTEGER, allowNull: false }, // FK -> purchase_orders.id
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },        // FK -> flowers.id
+  quantity: { type: DataTypes.INTEGER, allowNull: false },
+  receivedQuantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  unitCost: { type: DataTypes.DECIMAL(10, 2), allowNull: false }
+}, {
+  tableName: 'purchase_order_items',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['purchase_order_id', 'flower_id'] }]
+});
+
+// ------------------ Cart & CartItem ------------------
+// One persistent cart per customer user. Each line holds its quantity of stock
+// until `heldUntil`; other buyers only see stock minus active holds (services/cart.js).
+const Cart = sequelize.define('Cart', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  userId: { type: DataTypes.INTEGER, allowNull: false, unique: true } // FK -> users.id
+}, { tableName: 'carts', underscored: true });
+
+const CartItem = sequelize.define('CartItem', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  cartId: { type: DataTypes.INTEGER, allowNull: false },       // FK -> carts.id
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },     // FK -> flowers.id
+  quantity: { type: DataTypes.INTEGER, allowNull: false, validate: { min: 1 } },
+  heldUntil: { type: DataTypes.DATE, allowNull: false }        // hold lapses after this; the line stays
+}, {
+  tableName: 'cart_items',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['cart_id', 'flower_id'] }, { fields: ['flower_id', 'held_until'] }]
+});
+
+// ------------------ PromoCode & OrderDiscount ------------------
+// Admin-managed discount codes (services/promotions.js applies them at order creation).
+// Restrictions: an empty/null `categories` and `flowerIds` means the whole order is eligible.
+const PromoCode = sequelize.define('PromoCode', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  code: { type: DataTypes.STRING(40), allowNull: false, unique: true },  // stored upper-case
+  description: { type: DataTypes.STRING },
+  type: { type: DataTypes.ENUM('percentage', 'fixed'), allowNull: false },
+  value: { type: DataTypes.DECIMAL(10, 2), allowNull: false },          // percent (0-100) or dollar amount
+  maxDiscount: { type: DataTypes.DECIMAL(10, 2) },                      // cap for percentage codes
+  minSpend: { type: DataTypes.DECIMAL(10, 2) },                         // on the order's item subtotal
+  categories: { type: DataTypes.JSON },                                 // category slugs ['roses', ...], descendants included
+  flowerIds: { type: DataTypes.JSON },                                  // [8, 9, ...]
+  startsAt: { type: DataTypes.DATE },
+  endsAt: { type: DataTypes.DATE },
+  usageLimit: { type: DataTypes.INTEGER },                              // total redemptions (null = unlimited)
+  perCustomerLimit: { type: DataTypes.INTEGER },                        // redemptions per customer (null = unlimited)
+  timesUsed: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  stackable: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // may be combined with other stackable codes
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true }
+}, { tableName: 'promo_codes', underscored: true });
+
+// One row per code applied to an order: the discount breakdown and the redemption record
+const OrderDiscount = sequelize.define('OrderDiscount', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId: { type: DataTypes.INTEGER, allowNull: false },      // FK -> orders.id
+  promoCodeId: { type: DataTypes.INTEGER, allowNull: false },  // FK -> promo_codes.id
+  code: { type: DataTypes.STRING(40), allowNull: false },      // snapshot at order time
+  type: { type: DataTypes.STRING, allowNull: false },
+  value: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  eligibleSubtotal: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false }
+}, {
+  tableName: 'order_discounts',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ unique: true, fields: ['order_id', 'promo_code_id'] }, { fields: ['promo_code_id'] }]
+});
+
+// ------------------ Payment ------------------
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+
+// One attempt to take money for an order: a gateway payment intent, or a manual payment recorded by staff
+const Payment = sequelize.define('Payment', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId: { type: DataTypes.INTEGER, allowNull: false },       // FK -> orders.id
+  amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  currency: { type: DataTypes.STRING(3), allowNull: false },
+  method: { type: DataTypes.STRING(30), allowNull: false },     // card, wallet, cash, bank_transfer, other
+  provider: { type: DataTypes.STRING(30), allowNull: false },   // gateway name, or 'manual'
+  providerRef: { type: DataTypes.STRING },                      // gateway's payment intent id
+  status: { type: DataTypes.ENUM(...PAYMENT_STATUSES), allowNull: false, defaultValue: 'pending' },
+  failureReason: { type: DataTypes.STRING },
+  paidAt: { type: DataTypes.DATE },
+  recordedBy: { type: DataTypes.INTEGER }                       // FK -> users.id (manual payments)
+}, {
+  tableName: 'payments',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['provider', 'provider_ref'] }, { fields: ['order_id'] }]
+});
+
+// ------------------ Refund & RefundItem ------------------
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Money given back on an order, against the payment that took it (see services/refunds.js)
+const Refund = sequelize.define('Refund', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId: { type: DataTypes.INTEGER, allowNull: false },       // FK -> orders.id
+  paymentId: { type: DataTypes.INTEGER },                       // FK -> payments.id (null for orders paid before payments were recorded)
+  amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  taxAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0.0 }, // GST contained in amount
+  reason: { type: DataTypes.STRING, allowNull: false },
+  restock: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  provider: { type: DataTypes.STRING(30), allowNull: false },   // gateway name, or 'manual'
+  providerRef: { type: DataTypes.STRING },
+  status: { type: DataTypes.ENUM(...REFUND_STATUSES), allowNull: false, defaultValue: 'pending' },
+  createdBy: { type: DataTypes.INTEGER }                        // FK -> users.id
+}, {
+  tableName: 'refunds',
+  underscored: true,
+  indexes: [{ fields: ['order_id'] }, { fields: ['payment_id'] }]
+});
+
+// Returned quantity of one order line (a full refund lists every line it covers)
+const RefundItem = sequelize.define('RefundItem', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  refundId: { type: DataTypes.INTEGER, allowNull: false },      // FK -> refunds.id
+  flowerId: { type: DataTypes.INTEGER, allowNull: false },      // order line (order_items.flower_id)
+  quantity: { type: DataTypes.INTEGER, allowNull: false },
+  amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false }  // refunded for this line, GST included
+}, {
+  tableName: 'refund_items',
+  underscored: true,
+  updatedAt: false,
+  indexes: [{ fields: ['refund_id'] }]
+});
+
+// ------------------ IdempotencyKey ------------------
+// A client-chosen Idempotency-Key and the response it produced (see middleware/idempotency.js)
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  userId: { type: DataTypes.INTEGER, allowNull: false },        // keys are scoped per user
+  key: { type: DataTypes.STRING, allowNull: false },
+  method: { type: DataTypes.STRING(10), allowNull: false },
+  path: { type: DataTypes.STRING, allowNull: false },
+  fingerprint: { type: DataTypes.STRING(64), allowNull: false }, // sha256 of method, path and body
+  status: { type: DataTypes.ENUM('processing', 'completed'), allowNull: false, defaultValue: 'processing' },
+  responseStatus: { type: DataTypes.INTEGER },
+  responseBody: { type: DataTypes.JSON },
+  responseHeaders: { type: DataTypes.JSON },                    // the REPLAYED_HEADERS it was sent with
+  expiresAt: { type: DataTypes.DATE, allowNull: false }
+}, {
+  tableName: 'idempotency_keys',
+  underscored: true,
+  indexes: [{ unique: true, fields: ['user_id', 'key'] }, { fields: ['expires_at'] }]
+});
+
 // ------------------ Associations ------------------
+// User ↔ Session ↔ RefreshToken
+User.hasMany(Session, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Session.belongsTo(User, { foreignKey: 'userId' });
+Session.hasMany(RefreshToken, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(Session, { foreignKey: 'sessionId' });
+
+// User ↔ UserToken
+User.hasMany(UserToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+UserToken.belongsTo(User, { foreignKey: 'userId' });
+
 // Customer ↔ Order
 Customer.hasMany(Order, { foreignKey: 'customerId', onDelete: 'RESTRICT' });
 Order.belongsTo(Customer, { foreignKey: 'customerId' });
@@ -104,8 +558,101 @@ Order.belongsTo(Customer, { foreignKey: 'customerId' });
 Order.hasMany(OrderItem, { as: 'items', foreignKey: 'orderId', onDelete: 'CASCADE' });
 OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
 
+// Order ↔ OrderFulfilment
+Order.hasOne(OrderFulfilment, { as: 'fulfilment', foreignKey: 'orderId', onDelete: 'CASCADE' });
+OrderFulfilment.belongsTo(Order, { foreignKey: 'orderId' });
+
+// DeliverySlot ↔ OrderFulfilment
+DeliverySlot.hasMany(OrderFulfilment, { foreignKey: 'slotId', onDelete: 'RESTRICT' });
+OrderFulfilment.belongsTo(DeliverySlot, { as: 'slot', foreignKey: 'slotId' });
+
+// Order ↔ OrderStatusHistory
+Order.hasMany(OrderStatusHistory, { as: 'history', foreignKey: 'orderId', onDelete: 'CASCADE' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+OrderStatusHistory.belongsTo(User, { as: 'actor', foreignKey: 'changedBy' });
+
+// User ↔ Cart ↔ CartItem ↔ Flower
+User.hasOne(Cart, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Cart.belongsTo(User, { foreignKey: 'userId' });
+Cart.hasMany(CartItem, { as: 'items', foreignKey: 'cartId', onDelete: 'CASCADE' });
+CartItem.belongsTo(Cart, { foreignKey: 'cartId' });
+CartItem.belongsTo(Flower, { foreignKey: 'flowerId', onDelete: 'CASCADE' });
+
+// Order ↔ OrderDiscount ↔ PromoCode
+Order.hasMany(OrderDiscount, { as: 'discounts', foreignKey: 'orderId', onDelete: 'CASCADE' });
+OrderDiscount.belongsTo(Order, { foreignKey: 'orderId' });
+PromoCode.hasMany(OrderDiscount, { as: 'redemptions', foreignKey: 'promoCodeId', onDelete: 'RESTRICT' });
+OrderDiscount.belongsTo(PromoCode, { foreignKey: 'promoCodeId' });
+
+// Order ↔ Payment
+Order.hasMany(Payment, { as: 'payments', foreignKey: 'orderId', onDelete: 'CASCADE' });
+Payment.belongsTo(Order, { foreignKey: 'orderId' });
+Payment.belongsTo(User, { as: 'recorder', foreignKey: 'recordedBy' });
+
+// Order ↔ Refund ↔ RefundItem (orders with payments are never deleted, see DELETE /orders/:id)
+Order.hasMany(Refund, { as: 'refunds', foreignKey: 'orderId', onDelete: 'RESTRICT' });
+Refund.belongsTo(Order, { foreignKey: 'orderId' });
+Payment.hasMany(Refund, { as: 'refunds', foreignKey: 'paymentId', onDelete: 'RESTRICT' });
+Refund.belongsTo(Payment, { foreignKey: 'paymentId' });
+Refund.belongsTo(User, { as: 'actor', foreignKey: 'createdBy' });
+Refund.hasMany(RefundItem, { as: 'items', foreignKey: 'refundId', onDelete: 'CASCADE' });
+RefundItem.belongsTo(Refund, { foreignKey: 'refundId' });
+RefundItem.belongsTo(Flower, { foreignKey: 'flowerId' });
+
+// Flower ↔ StockMovement (ledger rows outlive a deleted order)
+Flower.hasMany(StockMovement, { foreignKey: 'flowerId', onDelete: 'RESTRICT' });
+StockMovement.belongsTo(Flower, { foreignKey: 'flowerId' });
+StockMovement.belongsTo(User, { as: 'actor', foreignKey: 'userId' });
+StockMovement.belongsTo(Order, { foreignKey: 'orderId', onDelete: 'SET NULL' });
+
+// Flower ↔ StockAlert
+Flower.hasMany(StockAlert, { as: 'alerts', foreignKey: 'flowerId', onDelete: 'CASCADE' });
+StockAlert.belongsTo(Flower, { foreignKey: 'flowerId' });
+StockAlert.belongsTo(StockMovement, { foreignKey: 'stockMovementId', onDelete: 'SET NULL' });
+
+// Supplier ↔ SupplierPrice ↔ Flower
+Supplier.hasMany(SupplierPrice, { as: 'prices', foreignKey: 'supplierId', onDelete: 'CASCADE' });
+SupplierPrice.belongsTo(Supplier, { foreignKey: 'supplierId' });
+Flower.hasMany(SupplierPrice, { foreignKey: 'flowerId', onDelete: 'CASCADE' });
+SupplierPrice.belongsTo(Flower, { foreignKey: 'flowerId' });
+
+// Supplier ↔ PurchaseOrder ↔ PurchaseOrderItem ↔ Flower
+Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplierId', onDelete: 'RESTRICT' });
+PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplierId' });
+PurchaseOrder.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
+PurchaseOrder.hasMany(PurchaseOrderItem, { as: 'items', foreignKey: 'purchaseOrderId', onDelete: 'CASCADE' });
+PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId' });
+Flower.hasMany(PurchaseOrderItem, { foreignKey: 'flowerId', onDelete: 'RESTRICT' });
+PurchaseOrderItem.belongsTo(Flower, { foreignKey: 'flowerId' });
+
+// Flower ↔ StockBatch ↔ StockMovementBatch ↔ StockMovement
+Flower.hasMany(StockBatch, { as: 'batches', foreignKey: 'flowerId', onDelete: 'RESTRICT' });
+StockBatch.belongsTo(Flower, { foreignKey: 'flowerId' });
+StockBatch.belongsTo(Supplier, { foreignKey: 'supplierId', onDelete: 'SET NULL' });
+StockBatch.belongsTo(PurchaseOrder, { foreignKey: 'purchaseOrderId', onDelete: 'SET NULL' });
+StockBatch.hasMany(StockMovementBatch, { as: 'movements', foreignKey: 'batchId', onDelete: 'RESTRICT' });
+StockMovementBatch.belongsTo(StockBatch, { as: 'batch', foreignKey: 'batchId' });
+StockMovement.hasMany(StockMovementBatch, { as: 'batches', foreignKey: 'stockMovementId', onDelete: 'CASCADE' });
+StockMovementBatch.belongsTo(StockMovement, { foreignKey: 'stockMovementId' });
+
+// Category tree and Flower ↔ Category
+Category.hasMany(Category, { as: 'children', foreignKey: 'parentId', onDelete: 'RESTRICT' });
+Category.belongsTo(Category, { as: 'parent', foreignKey: 'parentId' });
+Flower.belongsToMany(Category, { through: FlowerCategory, as: 'categories', foreignKey: 'flowerId', otherKey: 'categoryId' });
+Category.belongsToMany(Flower, { through: FlowerCategory, as: 'flowers', foreignKey: 'categoryId', otherKey: 'flowerId' });
+
+// Flower ↔ FlowerImage
+Flower.hasMany(FlowerImage, { as: 'images', foreignKey: 'flowerId', onDelete: 'CASCADE' });
+FlowerImage.belongsTo(Flower, { foreignKey: 'flowerId' });
+FlowerImage.belongsTo(User, { as: 'uploader', foreignKey: 'createdBy' });
+
 // Flower ↔ OrderItem
 Flower.hasMany(OrderItem, { foreignKey: 'flowerId', onDelete: 'RESTRICT' });
+
+// Bouquet -> components
+Flower.hasMany(BouquetComponent, { as: 'components', foreignKey: 'bouquetId', onDelete: 'CASCADE' });
+BouquetComponent.belongsTo(Flower, { as: 'bouquet', foreignKey: 'bouquetId' });
+BouquetComponent.belongsTo(Flower, { as: 'flower', foreignKey: 'flowerId', onDelete: 'RESTRICT' });
 OrderItem.belongsTo(Flower, { foreignKey: 'flowerId' });
 
 // Optional many-to-many helpers (for includes like Order -> Flower)
@@ -125,10 +672,41 @@ db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
 db.User = User;
+db.Session = Session;
+db.RefreshToken = RefreshToken;
+db.UserToken = UserToken;
 db.Flower = Flower;
+db.Category = Category;
+db.FlowerCategory = FlowerCategory;
+db.FlowerImage = FlowerImage;
+db.BouquetComponent = BouquetComponent;
 db.Customer = Customer;
 db.Order = Order;
 db.OrderItem = OrderItem;
+db.OrderFulfilment = OrderFulfilment;
+db.DeliverySlot = DeliverySlot;
+db.BlackoutDate = BlackoutDate;
+db.OrderStatusHistory = OrderStatusHistory;
+db.StockMovement = StockMovement;
+db.StockBatch = StockBatch;
+db.StockMovementBatch = StockMovementBatch;
+db.StockAlert = StockAlert;
+db.Supplier = Supplier;
+db.SupplierPrice = SupplierPrice;
+db.PurchaseOrder = PurchaseOrder;
+db.PurchaseOrderItem = PurchaseOrderItem;
+db.Cart = Cart;
+db.PromoCode = PromoCode;
+db.OrderDiscount = OrderDiscount;
+db.CartItem = CartItem;
+db.Payment = Payment;
+db.Refund = Refund;
+db.IdempotencyKey = IdempotencyKey;
+db.RefundItem = RefundItem;
+db.STOCK_REASONS = STOCK_REASONS;
+db.FLOWER_TYPES = FLOWER_TYPES;
+db.PAYMENT_STATUSES = PAYMENT_STATUSES;
+db.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
 
 module.exports = db;
 module.exports.Op = Sequelize.Op;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// File: src/money.js
+// Money arithmetic in integer cents.
+//
+// Amounts are DECIMAL(10, 2) in the database and plain numbers in JSON, but
+// binary floats can't add them exactly (0.1 + 0.2 !== 0.3), so every sum, rate
+// and split is done on whole cents and converted back once at the end.
+
+// Dollars (number or DECIMAL string) -> integer cents, half away from zero.
+// toPrecision(15) drops the float noise first, so 1.005 becomes 101, not 100.
+function toCents(amount) {
+  const n = Number(amount || 0);
+  return Math.sign(n) * Math.round(Number((Math.abs(n) * 100).toPrecision(15)));
+}
+
+// Integer cents -> dollars for JSON and DECIMAL columns
+const fromCents = (cents) => cents / 100;
+
+// a / b rounded half away from zero, on integers only
+function divRound(a, b) {
+  const sign = Math.sign(a) * Math.sign(b);
+  const [x, y] = [Math.abs(a), Math.abs(b)];
+  return sign * Math.floor((2 * x + y) / (2 * y));
+}
+
+// Rates travel as percentages (10 = 10%); basis points keep them integral
+const toBasisPoints = (percent) => Math.round(Number(percent) * 100);
+
+// `percent` % of an amount in cents, rounded to the cent
+const percentOf = (cents, percent) => divRound(cents * toBasisPoints(percent), 10000);
+
+// The tax already contained in a tax-inclusive amount: cents * r / (1 + r)
+function taxIncluded(cents, percent) {
+  const bp = toBasisPoints(percent);
+  return divRound(cents * bp, 10000 + bp);
+}
+
+const sumCents = (values) => values.reduce((sum, v) => sum + v, 0);
+
+module.exports = {
+  toCents,
+  fromCents,
+  divRound,
+  percentOf,
+  taxIncluded,
+  sumCents
+};
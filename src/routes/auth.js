@@ -3,132 +3,223 @@
 // - POST /auth/register   (customer self-register)
 // - POST /auth/login      (login any user: customer/staff/admin)
 // - GET  /auth/me         (profile from JWT)
+// - POST /auth/refresh    (rotate refresh token -> new access token)
+// - POST /auth/logout     (end the current session)
+// - POST /auth/logout-all (end every session of the current user)
+// - POST /auth/password/change  (logged in, needs current password)
+// - POST /auth/password/forgot  (email a reset token)
+// - POST /auth/password/reset   (set a new password with the token)
+// - POST /auth/verify-email     (confirm email with the mailed token)
+// - POST /auth/verify-email/resend
 
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../models');
-const config = require('../config/config');
+const auth = require('../middleware/auth');
 const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+const schemas = require('../schemas/auth');
+const { createSession, rotateSession, revokeSession, revokeAllForUser } = require('../services/sessions');
+const {
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/account');
 
 const router = express.Router();
 const { User } = db;
 
 // ---- helpers ----
-const signToken = (payload) =>
-  jwt.sign(payload, config.auth.jwtSecret, { expiresIn: '7d', algorithm: 'HS512' });
-
-const requireAuth = (req, res, next) => {
-  try {
-    const header = req.header('Authorization') || req.header('authorization');
-    if (!header || !header.startsWith('Bearer ')) {
-      logger.warn('Auth: missing token', { ip: req.ip, url: req.originalUrl });
-      return res.status(401).json({ errors: [{ msg: 'No token supplied' }] });
-    }
-    const token = header.replace('Bearer ', '').trim();
-    const decoded = jwt.verify(token, config.auth.jwtSecret);
-    req.user = decoded;
-    next();
-  } catch (e) {
-    logger.error('Auth: invalid token', { ip: req.ip, url: req.originalUrl, error: e.message });
-    return res.status(401).json({ errors: [{ msg: 'Token is invalid' }] });
-  }
-};
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.header('user-agent') });
 
 // ----------------------
 // POST /auth/register (customer)
 // ----------------------
-router.post('/register', async (req, res) => {
-  const { name, email, password } = req.body || {};
-
-  try {
-    if (!name || !email || !password) {
-      logger.warn('Register: missing fields', { email });
-      return res.status(400).json({ errors: [{ msg: 'name, email, and password are required' }] });
-    }
-
-    const existing = await User.findOne({ where: { email } });
-    if (existing) {
-      logger.warn('Register: email already used', { email });
-      return res.status(400).json({ errors: [{ msg: 'User already registered' }] });
-    }
-
-    const passwordHash = await bcrypt.hash(password, 11);
-    const user = await User.create({
-      name,
-      email,
-      passwordHash,
-      role: 'customer',
-      isActive: true
-    });
-
-    const payload = { id: user.id, email: user.email, name: user.name, role: user.role };
-    const token = signToken(payload);
-
-    logger.info('Register: customer created', { userId: user.id, email });
-    return res.status(201).json({ token });
-  } catch (err) {
-    logger.error('Register: server error', { email, error: err.message });
-    return res.status(500).json({ errors: [{ msg: 'Server Error' }] });
+router.post('/register', validate({ body: schemas.register }), async (req, res) => {
+  const { name, email, password } = req.body;
+
+  const existing = await User.findOne({ where: { email } });
+  if (existing) {
+    logger.warn('Register: email already used', { email });
+    throw new BadRequestError('EMAIL_TAKEN', 'User already registered');
   }
+
+  const passwordHash = await bcrypt.hash(password, 11);
+  const user = await User.create({
+    name,
+    email,
+    passwordHash,
+    role: 'customer',
+    isActive: true
+  });
+
+  // A failed email must not fail the registration; the user can ask for a resend
+  await sendVerificationEmail(user).catch((e) =>
+    logger.error('Register: verification email failed', { userId: user.id, error: e.message }));
+
+  const tokens = await createSession(user, clientInfo(req));
+
+  logger.info('Register: customer created', { userId: user.id, email });
+  return res.status(201).json(tokens);
 });
 
 // ----------------------
 // POST /auth/login (any role)
 // ----------------------
-router.post('/login', async (req, res) => {
-  const { email, password } = req.body || {};
-
-  try {
-    if (!email || !password) {
-      logger.warn('Login: missing fields', { email });
-      return res.status(400).json({ errors: [{ msg: 'email and password are required' }] });
-    }
-
-    const user = await User.findOne({ where: { email, isActive: true } });
-    if (!user) {
-      logger.warn('Login: invalid credentials (no user)', { email });
-      return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-    }
-
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) {
-      logger.warn('Login: invalid credentials (password mismatch)', { userId: user.id, email });
-      return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-    }
-
-    const payload = { id: user.id, email: user.email, name: user.name, role: user.role };
-    const token = signToken(payload);
-
-    logger.info('Login: success', { userId: user.id, role: user.role });
-    return res.status(200).json({ token });
-  } catch (err) {
-    logger.error('Login: server error', { email, error: err.message });
-    return res.status(500).json({ errors: [{ msg: 'Server Error' }] });
+router.post('/login', validate({ body: schemas.login }), async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ where: { email, isActive: true } });
+  if (!user) {
+    logger.warn('Login: invalid credentials (no user)', { email });
+    throw new BadRequestError('INVALID_CREDENTIALS', 'Invalid Credentials');
   }
+
+  const ok = await bcrypt.compare(password, user.passwordHash);
+  if (!ok) {
+    logger.warn('Login: invalid credentials (password mismatch)', { userId: user.id, email });
+    throw new BadRequestError('INVALID_CREDENTIALS', 'Invalid Credentials');
+  }
+
+  const tokens = await createSession(user, clientInfo(req));
+
+  logger.info('Login: success', { userId: user.id, role: user.role });
+  return res.status(200).json(tokens);
 });
 
 // ----------------------
 // GET /auth/me (from JWT)
 // ----------------------
-router.get('/me', requireAuth, async (req, res) => {
-  try {
-    const me = await User.findByPk(req.user.id);
-    if (!me || !me.isActive) {
-      logger.warn('Me: user not found/inactive', { userId: req.user.id });
-      return res.status(404).json({ errors: [{ msg: 'User not found' }] });
-    }
-    logger.info('Me: fetched profile', { userId: me.id, role: me.role });
-    return res.status(200).json({
-      id: me.id,
-      email: me.email,
-      name: me.name,
-      role: me.role
-    });
-  } catch (err) {
-    logger.error('Me: server error', { userId: req.user?.id, error: err.message });
-    return res.status(500).json({ errors: [{ msg: 'Server Error' }] });
+router.get('/me', auth, async (req, res) => {
+  const me = await User.findByPk(req.user.id);
+  if (!me || !me.isActive) {
+    logger.warn('Me: user not found/inactive', { userId: req.user.id });
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+  logger.info('Me: fetched profile', { userId: me.id, role: me.role });
+  return res.status(200).json({
+    id: me.id,
+    email: me.email,
+    name: me.name,
+    role: me.role,
+    emailVerified: !!me.emailVerifiedAt
+  });
+});
+
+// ----------------------
+// POST /auth/refresh { refreshToken }
+// ----------------------
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res) => {
+  const { refreshToken } = req.body;
+  const tokens = await rotateSession(refreshToken, clientInfo(req));
+  logger.info('Refresh: token rotated', { ip: req.ip });
+  return res.status(200).json(tokens);
+});
+
+// ----------------------
+// POST /auth/logout (current session)
+// ----------------------
+router.post('/logout', auth, async (req, res) => {
+  await revokeSession(req.user.sid, 'logout');
+  logger.info('Logout: session ended', { userId: req.user.id, sessionId: req.user.sid });
+  return res.status(204).send();
+});
+
+// ----------------------
+// POST /auth/logout-all (every session of this user)
+// ----------------------
+router.post('/logout-all', auth, async (req, res) => {
+  const count = await revokeAllForUser(req.user.id, 'logout_all');
+  logger.info('Logout: all sessions ended', { userId: req.user.id, count });
+  return res.status(200).json({ revoked: count });
+});
+
+// ----------------------
+// POST /auth/password/change { currentPassword, newPassword }
+// ----------------------
+router.post('/password/change', [auth, validate({ body: schemas.changePassword })], async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findByPk(req.user.id);
+  if (!user || !user.isActive) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+  const ok = await user.comparePassword(currentPassword);
+  if (!ok) {
+    logger.warn('Password change: wrong current password', { userId: user.id });
+    throw new BadRequestError('INVALID_CREDENTIALS', 'Current password is incorrect');
+  }
+
+  await user.update({ passwordHash: await user.hashPassword(newPassword) });
+  // Sign out every other device; the current session stays logged in
+  await revokeAllForUser(user.id, 'password_changed', undefined, req.user.sid);
+
+  logger.info('Password change: success', { userId: user.id });
+  return res.status(204).send();
+});
+
+// ----------------------
+// POST /auth/password/forgot { email }
+// Always answers the same way so it can't be used to probe for accounts.
+// ----------------------
+router.post('/password/forgot', validate({ body: schemas.forgotPassword }), async (req, res) => {
+  const { email } = req.body;
+  const user = await User.findOne({ where: { email, isActive: true } });
+  if (user) {
+    await sendPasswordResetEmail(user);
+    logger.info('Password reset: email sent', { userId: user.id });
+  } else {
+    logger.warn('Password reset: unknown email', { email });
+  }
+
+  return res.status(202).json({ msg: 'If that email is registered, a reset link has been sent' });
+});
+
+// ----------------------
+// POST /auth/password/reset { token, newPassword }
+// ----------------------
+router.post('/password/reset', validate({ body: schemas.resetPassword }), async (req, res) => {
+  const { token, newPassword } = req.body;
+  const user = await consumeUserToken(token, 'password_reset');
+  // Receiving the reset email also proves the address
+  await user.update({
+    passwordHash: await user.hashPassword(newPassword),
+    emailVerifiedAt: user.emailVerifiedAt || new Date()
+  });
+  await revokeAllForUser(user.id, 'password_reset');
+
+  logger.info('Password reset: success', { userId: user.id });
+  return res.status(204).send();
+});
+
+// ----------------------
+// POST /auth/verify-email { token }
+// ----------------------
+router.post('/verify-email', validate({ body: schemas.verifyEmail }), async (req, res) => {
+  const { token } = req.body;
+  const user = await consumeUserToken(token, 'email_verify');
+  if (!user.emailVerifiedAt) await user.update({ emailVerifiedAt: new Date() });
+
+  logger.info('Verify email: success', { userId: user.id });
+  // Access tokens carry `emailVerified`; refresh to pick up the new value
+  return res.status(200).json({ msg: 'Email verified', emailVerified: true });
+});
+
+// ----------------------
+// POST /auth/verify-email/resend (logged in)
+// ----------------------
+router.post('/verify-email/resend', auth, async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+  if (!user || !user.isActive) {
+    throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+  }
+  if (user.emailVerifiedAt) {
+    throw new ConflictError('EMAIL_ALREADY_VERIFIED', 'Email is already verified');
   }
+
+  await sendVerificationEmail(user);
+  logger.info('Verify email: resent', { userId: user.id });
+  return res.status(202).json({ msg: 'Verification email sent' });
 });
 
 module.exports = router;
\ No newline at end of file
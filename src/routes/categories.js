@@ -0,0 +1,102 @@
+// File: src/routes/categories.js
+// The category tree: public to read, admin-managed. Deleting a category only
+// deactivates it, which hides it and everything under it from the catalogue.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { ValidationError, NotFoundError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/categories');
+const { CATEGORY_ATTRIBUTES, slugify, categoryTree, checkCategory, touchFlowersIn } = require('../services/categories');
+const { runTransaction } = require('../services/transactions');
+
+const router = express.Router();
+const { Category, FlowerCategory } = db;
+
+// What flowers show of their categories; changing any of it gives them a new ETag
+const LISTED_FIELDS = ['name', 'slug', 'parentId', 'isActive'];
+
+async function findCategory(id, transaction) {
+  const category = await Category.findByPk(id, { attributes: CATEGORY_ATTRIBUTES, transaction });
+  if (!category) {
+    logger.warn('Category not found', { id });
+    throw new NotFoundError('CATEGORY_NOT_FOUND', 'Category not found');
+  }
+  return category;
+}
+
+// ----------------------
+// GET /categories – the active category tree (public): [{ id, name, slug, sortOrder, children: [...] }]
+// ----------------------
+router.get('/', async (req, res) => {
+  const tree = await categoryTree();
+  logger.info('Categories retrieved', { roots: tree.length });
+  res.status(200).json({ data: tree });
+});
+
+// ----------------------
+// GET /categories/:id – one category, inactive ones included, with its children and flower count (admin only)
+// ----------------------
+router.get('/:id', [auth, admin, validate({ params: idParams })], async (req, res) => {
+  const category = await findCategory(req.params.id);
+  const children = await Category.findAll({
+    where: { parentId: category.id },
+    attributes: CATEGORY_ATTRIBUTES,
+    order: [['sortOrder', 'ASC'], ['name', 'ASC']]
+  });
+  const flowers = await FlowerCategory.count({ where: { categoryId: category.id } });
+  res.status(200).json({ ...category.toJSON(), children, flowers });
+});
+
+// ----------------------
+// POST /categories – add a category { name, slug?, parentId?, sortOrder? } (admin only)
+// ----------------------
+router.post('/', [auth, admin, validate({ body: schemas.create })], async (req, res) => {
+  const fields = { ...req.body, slug: req.body.slug || slugify(req.body.name) };
+  if (!fields.slug) {
+    throw new ValidationError([{ location: 'body', field: 'slug', msg: 'slug is required when the name has no letters or digits' }]);
+  }
+  await checkCategory(null, fields);
+  const category = await Category.create(fields);
+  logger.info('Category created', { id: category.id, slug: category.slug, parentId: category.parentId, by: req.user.id });
+  res.status(201).json(category);
+});
+
+// ----------------------
+// PUT /categories/:id – rename, move, reorder or reactivate (admin only)
+// ----------------------
+router.put('/:id', [auth, admin, validate({ params: idParams, body: schemas.update })], async (req, res) => {
+  const category = await runTransaction(async (transaction) => {
+    const category = await findCategory(req.params.id, transaction);
+    await checkCategory(category, req.body, transaction);
+    category.set(req.body);
+    const listed = LISTED_FIELDS.some((field) => category.changed(field));
+    await category.save({ transaction });
+    if (listed) await touchFlowersIn(category.id, transaction);
+    return category;
+  }, { label: 'category update' });
+  logger.info('Category updated', { id: category.id, fields: Object.keys(req.body), by: req.user.id });
+  res.status(200).json(category);
+});
+
+// ----------------------
+// DELETE /categories/:id – deactivate; its flowers stay assigned (admin only)
+// ----------------------
+router.delete('/:id', [auth, admin, validate({ params: idParams })], async (req, res) => {
+  const category = await runTransaction(async (transaction) => {
+    const category = await findCategory(req.params.id, transaction);
+    if (category.isActive) {
+      await category.update({ isActive: false }, { transaction });
+      await touchFlowersIn(category.id, transaction);
+    }
+    return category;
+  }, { label: 'category delete' });
+  logger.warn('Category deactivated', { id: category.id, slug: category.slug, by: req.user.id });
+  res.status(204).send();
+});
+
+module.exports = router;
@@ -6,150 +6,136 @@ const db = require('../models');
 const auth = require('../middleware/auth');
 const staff = require('../middleware/staff');
 const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/customers');
+const { setETag, checkIfMatch } = require('../services/versioning');
+const { customerProfiles } = require('../services/customerAnalytics');
 
 const router = express.Router();
 const { Customer, Order } = db;
 
 // ----------------------
 // GET /customers – List all customers (staff/admin only)
+// ?segment=<RFM segment>&lapsed=true|false to pick a campaign audience (see GET /reports/customers);
+// every customer comes with their `segment` and `lapsed` flag
 // ----------------------
-router.get('/', [auth, staff], async (req, res) => {
-  try {
-    const { page = 1, pageSize = 20 } = req.query;
-
-    const limit = Number(pageSize);
-    const offset = (Number(page) - 1) * limit;
-
-    const { count, rows } = await Customer.findAndCountAll({
-      limit,
-      offset,
-      order: [['id', 'DESC']],
-      attributes: ['id', 'name', 'email', 'address', 'phone', 'isActive']
-    });
-
-    logger.info('Customers listed', { total: count, page: Number(page), pageSize: limit });
-    res.status(200).json({
-      data: rows,
-      meta: { total: count, page: Number(page), pageSize: limit }
-    });
-  } catch (err) {
-    logger.error('Customers list failed', { error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.get('/', [auth, staff, validate({ query: schemas.listQuery })], async (req, res) => {
+  const { page, pageSize, segment, lapsed } = req.query;
+
+  const limit = pageSize;
+  const offset = (page - 1) * limit;
+
+  const where = {};
+  if (segment || lapsed !== undefined) {
+    where.id = (await customerProfiles({ segment, lapsed })).map((p) => p.customerId);
   }
+
+  const { count, rows } = await Customer.findAndCountAll({
+    where,
+    limit,
+    offset,
+    order: [['id', 'DESC']],
+    attributes: ['id', 'name', 'email', 'address', 'phone', 'isActive']
+  });
+  const profiles = new Map((await customerProfiles({ customerIds: rows.map((c) => c.id) })).map((p) => [p.customerId, p]));
+
+  logger.info('Customers listed', { total: count, page, pageSize: limit, segment: segment || null, lapsed: lapsed ?? null });
+  res.status(200).json({
+    data: rows.map((c) => ({ ...c.toJSON(), segment: profiles.get(c.id).segment, lapsed: profiles.get(c.id).lapsed })),
+    meta: { total: count, page, pageSize: limit }
+  });
 });
 
 // ----------------------
 // GET /customers/:id – Get a single customer (staff/admin only)
 // ----------------------
-router.get('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const customer = await Customer.findByPk(id, {
-      attributes: ['id', 'name', 'email', 'address', 'phone', 'isActive']
-    });
-    if (!customer || !customer.isActive) {
-      logger.warn('Customer not found', { id });
-      return res.status(404).json({ msg: 'Customer not found' });
-    }
-    logger.info('Customer retrieved', { id });
-    res.status(200).json(customer);
-  } catch (err) {
-    logger.error('Get customer failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.get('/:id', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const customer = await Customer.findByPk(id, {
+    attributes: ['id', 'name', 'email', 'address', 'phone', 'isActive', 'version']
+  });
+  if (!customer || !customer.isActive) {
+    logger.warn('Customer not found', { id });
+    throw new NotFoundError('CUSTOMER_NOT_FOUND', 'Customer not found');
   }
+  logger.info('Customer retrieved', { id });
+  setETag(res, customer);
+  res.status(200).json(customer);
 });
 
 // ----------------------
 // POST /customers – Create new customer (for in-store/phone orders)
 // ----------------------
-router.post('/', [auth, staff], async (req, res) => {
-  const { name, email, phone, address } = req.body || {};
-  try {
-    if (!name || !email) {
-      logger.warn('Create customer missing fields', { name: !!name, email: !!email });
-      return res.status(400).json({ msg: 'name and email are required' });
-    }
-
-    const existing = await Customer.findOne({ where: { email } });
-    if (existing) {
-      logger.warn('Create customer duplicate email', { email });
-      return res.status(400).json({ msg: 'Customer already exists' });
-    }
-
-    const newCustomer = await Customer.create({
-      name,
-      email,
-      phone,
-      address,
-      isActive: true
-    });
-
-    logger.info('Customer created', { id: newCustomer.id, email });
-    res.status(201).json(newCustomer);
-  } catch (err) {
-    logger.error('Create customer failed', { email, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.post('/', [auth, staff, validate({ body: schemas.create })], async (req, res) => {
+  const { name, email, phone, address } = req.body;
+  const existing = await Customer.findOne({ where: { email } });
+  if (existing) {
+    logger.warn('Create customer duplicate email', { email });
+    throw new BadRequestError('EMAIL_TAKEN', 'Customer already exists');
   }
+
+  const newCustomer = await Customer.create({
+    name,
+    email,
+    phone,
+    address,
+    isActive: true
+  });
+
+  logger.info('Customer created', { id: newCustomer.id, email });
+  setETag(res, newCustomer);
+  res.status(201).json(newCustomer);
 });
 
 // ----------------------
 // PUT /customers/:id – Update customer info (staff/admin only)
+// If-Match: "<version>" makes it fail with 412 when someone else saved in between
 // ----------------------
-router.put('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const customer = await Customer.findByPk(id);
-    if (!customer || !customer.isActive) {
-      logger.warn('Update customer not found', { id });
-      return res.status(404).json({ msg: 'Customer not found' });
-    }
-
-    await customer.update(req.body);
-    logger.info('Customer updated', { id, fields: Object.keys(req.body || {}) });
-    res.status(200).json(customer);
-  } catch (err) {
-    logger.error('Update customer failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.put('/:id', [auth, staff, validate({ params: idParams, body: schemas.update })], async (req, res) => {
+  const { id } = req.params;
+  const customer = await Customer.findByPk(id);
+  if (!customer || !customer.isActive) {
+    logger.warn('Update customer not found', { id });
+    throw new NotFoundError('CUSTOMER_NOT_FOUND', 'Customer not found');
   }
+  checkIfMatch(req, customer);
+
+  await customer.update(req.body);
+  logger.info('Customer updated', { id, fields: Object.keys(req.body), version: customer.version });
+  setETag(res, customer);
+  res.status(200).json(customer);
 });
 
 // ----------------------
 // DELETE /customers/:id – Soft delete (admin only)
 // ----------------------
-router.delete('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const customer = await Customer.findByPk(id);
-    if (!customer) {
-      logger.warn('Delete customer not found', { id });
-      return res.status(404).json({ msg: 'Customer not found' });
-    }
-
-    await customer.update({ isActive: false });
-    logger.warn('Customer deactivated', { id, email: customer.email });
-    res.status(204).send();
-  } catch (err) {
-    logger.error('Delete customer failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.delete('/:id', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const customer = await Customer.findByPk(id);
+  if (!customer) {
+    logger.warn('Delete customer not found', { id });
+    throw new NotFoundError('CUSTOMER_NOT_FOUND', 'Customer not found');
   }
+  checkIfMatch(req, customer);
+
+  await customer.update({ isActive: false });
+  logger.warn('Customer deactivated', { id, email: customer.email });
+  res.status(204).send();
 });
 
 // ----------------------
 // GET /customers/:id/orders – Get orders for a specific customer
 // ----------------------
-router.get('/:id/orders', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const orders = await Order.findAll({
-      where: { customerId: id },
-      order: [['id', 'DESC']]
-    });
-    logger.info('Customer orders listed', { customerId: id, count: orders.length });
-    res.status(200).json(orders);
-  } catch (err) {
-    logger.error('List customer orders failed', { customerId: id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+router.get('/:id/orders', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const orders = await Order.findAll({
+    where: { customerId: id },
+    order: [['id', 'DESC']]
+  });
+  logger.info('Customer orders listed', { customerId: id, count: orders.length });
+  res.status(200).json(orders);
 });
 
 module.exports = router;
\ No newline at end of file
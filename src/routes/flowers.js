@@ -6,167 +6,370 @@ const db = require('../models');
 const auth = require('../middleware/auth');   // verifies JWT
 const staff = require('../middleware/staff'); // restricts to staff/admin
 const logger = require('../logger');          // Winston logger
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/flowers');
+const { moveStock, setStock, stockHistory } = require('../services/inventory');
+const { etagOf, listETag, setETag, checkIfMatch, notModified, touch } = require('../services/versioning');
+const { catalogView, setComponents, touchBouquetsUsing } = require('../services/bouquets');
+const { BATCH_ATTRIBUTES, batchView, listBatches, expiringBatches } = require('../services/batches');
+const { checkReorderPoint, lowStock, listAlerts } = require('../services/stockAlerts');
+const { searchCatalog } = require('../services/catalogSearch');
+const { setCategories } = require('../services/categories');
+const { addImages, reorderImages, deleteImage, readVariant, imageView } = require('../services/images');
+const { runTransaction } = require('../services/transactions');
+const upload = require('../middleware/upload');
 
 const router = express.Router();
-const { Flower } = db; // from models/index.js
+const { Flower, FlowerImage, StockBatch } = db; // from models/index.js
+
+const CATALOG_ATTRIBUTES = ['id', 'name', 'description', 'type', 'price', 'labourCharge', 'stock', 'isActive', 'version'];
+
+const bouquetStockError = () => new BadRequestError('BOUQUET_STOCK', "A bouquet's stock comes from its components; restock those instead");
 
 // ----------------------
-// GET /flowers – Public catalog (anyone can view)
+// GET /flowers – Public catalog (anyone can view): stems and bouquets, ?type= to pick one
+// ?q= full-text search over name and description; ?category=<slug> (subcategories included)
+// ?minPrice=&maxPrice=&inStock=true
+// ?sort=relevance|newest|price_asc|price_desc|name|best_selling (relevance when searching, else newest)
+// `facets` has category counts and price buckets for the other filters
+// Weak ETag over the page's flower versions and the facets; If-None-Match gets a 304
 // ----------------------
-router.get('/', async (req, res) => {
-  try {
-    const { q, category, minPrice, maxPrice, page = 1, pageSize = 20 } = req.query;
-    const where = {};
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+  const { page, pageSize } = req.query;
+  const { count, rows, facets, sort } = await searchCatalog(req.query, { attributes: CATALOG_ATTRIBUTES });
 
-    if (category) where.category = category;
-    if (q) where.name = { [db.Sequelize.Op.like]: `%${q}%` };
-    if (minPrice || maxPrice) {
-      where.price = {
-        ...(minPrice && { [db.Sequelize.Op.gte]: parseFloat(minPrice) }),
-        ...(maxPrice && { [db.Sequelize.Op.lte]: parseFloat(maxPrice) }),
-      };
-    }
+  logger.info('Flowers retrieved', { total: count, page, pageSize, q: req.query.q || null, sort });
+  if (notModified(req, res, listETag(rows, `${count}|${JSON.stringify(facets)}`))) return;
+  res.status(200).json({
+    data: await catalogView(rows),
+    meta: { total: count, page, pageSize, sort },
+    facets,
+  });
+});
 
-    const limit = Number(pageSize);
-    const offset = (Number(page) - 1) * limit;
-
-    const { count, rows } = await Flower.findAndCountAll({
-      where: { ...where, isActive: true },
-      limit,
-      offset,
-      order: [['id', 'DESC']],
-      attributes: ['id', 'name', 'description', 'price', 'stock', 'category', 'isActive'],
-    });
-
-    logger.info('Flowers retrieved', { total: count, page, pageSize });
-    res.status(200).json({
-      data: rows,
-      meta: { total: count, page: Number(page), pageSize: limit },
-    });
-  } catch (err) {
-    logger.error('Failed to fetch flowers', { error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+// ----------------------
+// GET /flowers/expiring – Batches with stock left that expire within ?days= (default STOCK_EXPIRING_DAYS),
+// expired ones included, soonest first (staff/admin only)
+// ----------------------
+router.get('/expiring', [auth, staff, validate({ query: schemas.expiringQuery })], async (req, res) => {
+  const { days, category } = req.query;
+  const batches = await expiringBatches({ days, category });
+  logger.info('Expiring stock retrieved', { days: days ?? null, batches: batches.length });
+  res.status(200).json({ data: batches });
 });
 
 // ----------------------
-// GET /flowers/:id – Get single flower (public)
+// GET /flowers/low-stock – Stems below their reorder point, biggest shortfall first, with recent
+// sales and a suggested reorder quantity (staff/admin only)
 // ----------------------
-router.get('/:id', async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const flower = await Flower.findByPk(id, {
-      attributes: ['id', 'name', 'description', 'price', 'stock', 'category', 'isActive'],
-    });
+router.get('/low-stock', [auth, staff, validate({ query: schemas.lowStockQuery })], async (req, res) => {
+  const flowers = await lowStock({ category: req.query.category });
+  logger.info('Low stock retrieved', { flowers: flowers.length });
+  res.status(200).json({ data: flowers });
+});
 
-    if (!flower || !flower.isActive) {
-      logger.warn('Flower not found', { id });
-      return res.status(404).json({ msg: 'Flower not found' });
-    }
+// ----------------------
+// GET /flowers/stock-alerts?status=open|resolved&flowerId=&page=&pageSize= – Low-stock alert feed,
+// newest first (staff/admin only)
+// ----------------------
+router.get('/stock-alerts', [auth, staff, validate({ query: schemas.stockAlertsQuery })], async (req, res) => {
+  const { status, flowerId, page, pageSize } = req.query;
+  const { count, rows } = await listAlerts({ status, flowerId, page, pageSize });
+  logger.info('Stock alerts listed', { total: count, page, status: status || null });
+  res.status(200).json({ data: rows, meta: { total: count, page, pageSize } });
+});
 
-    logger.info('Flower retrieved', { id, name: flower.name });
-    res.status(200).json(flower);
-  } catch (err) {
-    logger.error('Failed to get flower', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+// ----------------------
+// GET /flowers/:id – Get single flower (public); bouquets list their components
+// ETag is the flower's version; If-None-Match gets a 304
+// ----------------------
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const flower = await Flower.findByPk(id, { attributes: CATALOG_ATTRIBUTES });
+
+  if (!flower || !flower.isActive) {
+    logger.warn('Flower not found', { id });
+    throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
   }
+
+  logger.info('Flower retrieved', { id, name: flower.name });
+  if (notModified(req, res, etagOf(flower))) return;
+  const [view] = await catalogView([flower]);
+  res.status(200).json(view);
 });
 
 // ----------------------
 // POST /flowers – Add a new flower (staff/admin only)
+// type 'bouquet' takes components: [{ flowerId, quantity }] and an optional labourCharge instead of stock;
+// categoryIds puts it in those categories
 // ----------------------
-router.post('/', [auth, staff], async (req, res) => {
-  const { name, description, price, stock, category } = req.body;
-  try {
-    if (!name || !price) {
-      logger.warn('Flower creation missing required fields', { body: req.body });
-      return res.status(400).json({ msg: 'name and price are required' });
+router.post('/', [auth, staff, validate({ body: schemas.create })], async (req, res) => {
+  const { name, description, type, price, labourCharge, stock, categoryIds, components, unitCost, expiresAt, reorderPoint, reorderTarget } = req.body;
+  // Starting stock goes through the ledger like any other delivery
+  const flower = await runTransaction(async (transaction) => {
+    const flower = await Flower.create({ name, description, type, price, labourCharge, stock: 0, reorderPoint, reorderTarget }, { transaction });
+    if (components) await setComponents(flower, components, transaction);
+    if (categoryIds) await setCategories(flower, categoryIds, transaction);
+    if (stock > 0) {
+      await moveStock(flower.id, stock, {
+        reason: 'restock', userId: req.user.id, note: 'Initial stock', batch: { unitCost, expiresAt }, transaction
+      });
+      await flower.reload({ transaction });
     }
+    return flower;
+  }, { label: 'flower create' });
 
-    const flower = await Flower.create({
-      name,
-      description,
-      price,
-      stock: stock || 0,
-      category,
-    });
-
-    logger.info('Flower created', { id: flower.id, name: flower.name, price: flower.price });
-    res.status(201).json(flower);
-  } catch (err) {
-    logger.error('Failed to create flower', { error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+  logger.info('Flower created', { id: flower.id, name: flower.name, type: flower.type, price: flower.price });
+  setETag(res, flower);
+  const [view] = await catalogView([flower]);
+  res.status(201).json(view);
 });
 
 // ----------------------
 // PUT /flowers/:id – Update flower (staff/admin only)
+// If-Match: "<version>" makes it fail with 412 when someone else saved in between
 // ----------------------
-router.put('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const flower = await Flower.findByPk(id);
+router.put('/:id', [auth, staff, validate({ params: idParams, body: schemas.update })], async (req, res) => {
+  const { id } = req.params;
+  // A new stock level is a stocktake correction and is recorded as an adjustment
+  const { stock, components, categoryIds, ...fields } = req.body;
+
+  const flower = await runTransaction(async (transaction) => {
+    const flower = await Flower.findByPk(id, { transaction });
     if (!flower || !flower.isActive) {
       logger.warn('Flower not found for update', { id });
-      return res.status(404).json({ msg: 'Flower not found' });
+      throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
+    }
+    checkIfMatch(req, flower);
+    if (flower.type === 'bouquet' && stock !== undefined) throw bouquetStockError();
+    if (flower.type !== 'bouquet' && (components || fields.labourCharge !== undefined)) {
+      throw new BadRequestError('NOT_A_BOUQUET', 'Only bouquets have components and a labour charge');
+    }
+    if (flower.type === 'bouquet' && (fields.reorderPoint !== undefined || fields.reorderTarget !== undefined)) {
+      throw new BadRequestError('NOT_A_STEM', "A bouquet's stock comes from its components; set reorder points on those");
     }
 
-    await flower.update(req.body);
-    logger.info('Flower updated', { id, fields: Object.keys(req.body) });
-    res.status(200).json(flower);
-  } catch (err) {
-    logger.error('Failed to update flower', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+    await flower.update(fields, { transaction });
+    if (components) await setComponents(flower, components, transaction);
+    if (categoryIds) await setCategories(flower, categoryIds, transaction);
+    // new recipe or categories, new version
+    if ((components || categoryIds) && !flower.changed()) await touch(flower, transaction);
+    if (stock !== undefined) {
+      await setStock(id, stock, { userId: req.user.id, note: 'Set via PUT /flowers/:id', transaction });
+      await flower.reload({ transaction });
+    }
+    // A new reorder point can raise or resolve the low-stock alert straight away
+    if (fields.reorderPoint !== undefined) await checkReorderPoint(flower, { transaction });
+    // bouquets list their components by name
+    if (flower.type === 'stem' && fields.name) await touchBouquetsUsing(flower.id, transaction);
+    return flower;
+  }, { label: 'flower update' });
+  logger.info('Flower updated', { id, fields: Object.keys(req.body), version: flower.version });
+  setETag(res, flower);
+  const [view] = await catalogView([flower]);
+  res.status(200).json(view);
 });
 
 // ----------------------
 // DELETE /flowers/:id – Soft delete (admin only)
 // ----------------------
-router.delete('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const flower = await Flower.findByPk(id);
+router.delete('/:id', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const flower = await runTransaction(async (transaction) => {
+    const flower = await Flower.findByPk(id, { transaction });
     if (!flower) {
       logger.warn('Flower not found for delete', { id });
-      return res.status(404).json({ msg: 'Flower not found' });
+      throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
     }
+    checkIfMatch(req, flower);
 
-    await flower.update({ isActive: false });
-    logger.warn('🪻 Flower deactivated', { id, name: flower.name });
-    res.status(204).send();
-  } catch (err) {
-    logger.error('Failed to delete flower', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+    // Bouquets using a discontinued stem can't be made any more
+    await flower.update({ isActive: false }, { transaction });
+    await touchBouquetsUsing(flower.id, transaction);
+    return flower;
+  }, { label: 'flower delete' });
+  logger.warn('🪻 Flower deactivated', { id, name: flower.name });
+  res.status(204).send();
 });
 
 // ----------------------
 // POST /flowers/:id/restock – Adjust stock by delta (staff/admin only)
+// { delta, reason?: restock|adjustment|waste, note?, unitCost?, expiresAt? }
+// reason defaults to 'restock' for positive and 'adjustment' for negative deltas;
+// stock coming in is a new batch, stock going out is taken from the batch expiring first
 // ----------------------
-router.post('/:id/restock', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  const { delta } = req.body;
-  try {
-    const flower = await Flower.findByPk(id);
+router.post('/:id/restock', [auth, staff, validate({ params: idParams, body: schemas.restock })], async (req, res) => {
+  const { id } = req.params;
+  const { delta, note, unitCost, expiresAt } = req.body;
+  const reason = req.body.reason || (delta > 0 ? 'restock' : 'adjustment');
+
+  const flower = await runTransaction(async (transaction) => {
+    const flower = await Flower.findByPk(id, { transaction });
     if (!flower || !flower.isActive) {
       logger.warn('Flower not found for restock', { id });
-      return res.status(404).json({ msg: 'Flower not found' });
+      throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
     }
-
-    const newStock = flower.stock + Number(delta || 0);
-    if (newStock < 0) {
+    if (flower.type === 'bouquet') throw bouquetStockError();
+    if (flower.stock + delta < 0) {
       logger.warn('Attempted negative stock adjustment', { id, currentStock: flower.stock, delta });
-      return res.status(400).json({ msg: 'Resulting stock cannot be negative' });
+      throw new BadRequestError('NEGATIVE_STOCK', 'Resulting stock cannot be negative');
     }
 
-    await flower.update({ stock: newStock });
-    logger.info('Stock updated', { id, newStock });
-    res.status(200).json(flower);
-  } catch (err) {
-    logger.error('Failed to restock flower', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+    await moveStock(id, delta, { reason, userId: req.user.id, note, batch: { unitCost, expiresAt }, transaction });
+    return flower.reload({ transaction });
+  }, { label: 'flower restock' });
+  logger.info('Stock updated', { id, delta, reason, newStock: flower.stock });
+  setETag(res, flower);
+  res.status(200).json(flower);
+});
+
+// ----------------------
+// GET /flowers/:id/stock-history – Ledger of stock movements, newest first (staff/admin only)
+// ?reason=&page=&pageSize=
+// ----------------------
+router.get('/:id/stock-history', [auth, staff, validate({ params: idParams, query: schemas.stockHistoryQuery })], async (req, res) => {
+  const { id } = req.params;
+  const { page, pageSize, reason } = req.query;
+  const flower = await Flower.scope('all').findByPk(id, { attributes: ['id', 'name', 'stock'] });
+  if (!flower) {
+    logger.warn('Flower not found for stock history', { id });
+    throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
   }
+
+  const { count, rows } = await stockHistory(id, { page, pageSize, reason });
+  logger.info('Stock history retrieved', { id, total: count, page });
+  res.status(200).json({
+    flower,
+    data: rows,
+    meta: { total: count, page, pageSize },
+  });
+});
+
+// ----------------------
+// GET /flowers/:id/batches – Batches with stock left, in the order sales use them (staff/admin only)
+// ----------------------
+router.get('/:id/batches', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const flower = await Flower.scope('all').findByPk(id, { attributes: ['id', 'name', 'stock'] });
+  if (!flower) {
+    logger.warn('Flower not found for batches', { id });
+    throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
+  }
+
+  const batches = await listBatches(id);
+  logger.info('Stock batches retrieved', { id, batches: batches.length });
+  res.status(200).json({ flower, data: batches });
+});
+
+// ----------------------
+// POST /flowers/:id/batches/:batchId/waste – Write off a wilted batch (staff/admin only)
+// { quantity?, note? }; without a quantity everything left in the batch goes
+// ----------------------
+router.post('/:id/batches/:batchId/waste', [auth, staff, validate({ params: schemas.batchParams, body: schemas.batchWaste })], async (req, res) => {
+  const { id, batchId } = req.params;
+  const { batch, quantity } = await runTransaction(async (transaction) => {
+    const batch = await StockBatch.findOne({ where: { id: batchId, flowerId: id }, attributes: BATCH_ATTRIBUTES, transaction });
+    if (!batch) {
+      logger.warn('Batch not found for write-off', { id, batchId });
+      throw new NotFoundError('BATCH_NOT_FOUND', 'Batch not found');
+    }
+    if (!batch.remaining) {
+      throw new BadRequestError('BATCH_EMPTY', 'Nothing is left in this batch');
+    }
+
+    const quantity = req.body.quantity || batch.remaining;
+    const note = req.body.note || `Batch ${batch.id} written off`;
+    await moveStock(id, -quantity, { reason: 'waste', userId: req.user.id, note, batchId: batch.id, transaction });
+    return { batch: await batch.reload({ transaction }), quantity };
+  }, { label: 'batch waste' });
+  logger.warn('🥀 Batch written off', { id, batchId: batch.id, quantity, userId: req.user.id });
+  res.status(200).json(batchView(batch));
+});
+
+// ----------------------
+// POST /flowers/:id/images – Upload images (staff/admin only)
+// multipart/form-data, one or more files in the `images` field (JPEG, PNG or WebP);
+// they go after the flower's existing images, each with `medium` and `thumb` variants.
+// A deactivated flower is a 404, like for PUT /flowers/:id.
+// ----------------------
+router.post('/:id/images', [auth, staff, validate({ params: idParams }), upload.images], async (req, res) => {
+  const { id } = req.params;
+  const flower = await Flower.findByPk(id);
+  if (!flower) {
+    logger.warn('Flower not found for image upload', { id });
+    throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
+  }
+  if (!req.files?.length) {
+    throw new BadRequestError('IMAGE_REQUIRED', 'Send at least one file in the `images` field');
+  }
+
+  const images = await addImages(flower, req.files, req.user.id);
+  logger.info('🖼️ Flower images uploaded', { id, images: images.map((i) => i.id), userId: req.user.id });
+  setETag(res, flower);
+  res.status(201).json({ data: images.map(imageView) });
+});
+
+// ----------------------
+// PUT /flowers/:id/images/order – Reorder images (staff/admin only)
+// { imageIds: [...] } listing every image of the flower, first one first
+// ----------------------
+router.put('/:id/images/order', [auth, staff, validate({ params: idParams, body: schemas.imageOrder })], async (req, res) => {
+  const { id } = req.params;
+  const flower = await Flower.scope('all').findByPk(id);
+  if (!flower) {
+    logger.warn('Flower not found for image reorder', { id });
+    throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
+  }
+
+  await reorderImages(flower, req.body.imageIds);
+  const images = await FlowerImage.findAll({ where: { flowerId: flower.id }, order: [['position', 'ASC']] });
+  logger.info('Flower images reordered', { id, imageIds: req.body.imageIds });
+  setETag(res, flower);
+  res.status(200).json({ data: images.map(imageView) });
+});
+
+// ----------------------
+// DELETE /flowers/:id/images/:imageId – Delete an image and its files (staff/admin only)
+// ----------------------
+router.delete('/:id/images/:imageId', [auth, staff, validate({ params: schemas.imageParams })], async (req, res) => {
+  const { id, imageId } = req.params;
+  const flower = await Flower.scope('all').findByPk(id);
+  const image = flower && await FlowerImage.findOne({ where: { id: imageId, flowerId: flower.id } });
+  if (!image) {
+    logger.warn('Flower image not found for delete', { id, imageId });
+    throw new NotFoundError('IMAGE_NOT_FOUND', 'Image not found');
+  }
+
+  await deleteImage(flower, image);
+  logger.warn('Flower image deleted', { id, imageId, userId: req.user.id });
+  res.status(204).send();
+});
+
+// ----------------------
+// GET /flowers/:id/images/:imageId/:variant – Image file, variant original|medium|thumb (public)
+// An image's files never change (a new upload is a new image), so they may be cached for a year
+// ----------------------
+router.get('/:id/images/:imageId/:variant', validate({ params: schemas.imageFileParams }), async (req, res) => {
+  const { id, imageId, variant } = req.params;
+  const image = await FlowerImage.findOne({
+    where: { id: imageId, flowerId: id },
+    include: [{ model: Flower, attributes: [], where: { isActive: true } }]
+  });
+  const file = image && await readVariant(image, variant);
+  if (!file) {
+    logger.warn('Flower image not found', { id, imageId, variant });
+    throw new NotFoundError('IMAGE_NOT_FOUND', 'Image not found');
+  }
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    // served to shop front-ends on other origins
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.status(200).send(file.data);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -5,186 +5,265 @@ const express = require('express');
 const db = require('../models');
 const auth = require('../middleware/auth');
 const staff = require('../middleware/staff');
+const admin = require('../middleware/admin');
 const logger = require('../logger'); // add logger
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/orders');
+const { transitionOrder } = require('../services/orderLifecycle');
+const { FULFILMENT_ATTRIBUTES, fulfilmentWhere } = require('../services/fulfilment');
+const { createOrder } = require('../services/orderPlacement');
+const { setETag, checkIfMatch } = require('../services/versioning');
+const { runTransaction } = require('../services/transactions');
+const { PAYMENT_ATTRIBUTES, recordManualPayment } = require('../services/payments');
+const { REFUND_ATTRIBUTES, refundableLines, refundOrder } = require('../services/refunds');
 
 const router = express.Router();
-const { Order, OrderItem, Customer, Flower, sequelize } = db;
+const { Order, Customer, Flower, OrderFulfilment, OrderDiscount, OrderStatusHistory, Payment, Refund, RefundItem, User, sequelize } = db;
+
+// Shape used whenever staff read an order
+const orderIncludes = () => [
+  { model: Customer, attributes: ['id', 'name', 'email'] },
+  { model: Flower, through: { attributes: ['quantity', 'price'] } },
+  { model: OrderFulfilment, as: 'fulfilment', attributes: FULFILMENT_ATTRIBUTES },
+  { model: OrderDiscount, as: 'discounts', attributes: ['code', 'type', 'value', 'eligibleSubtotal', 'amount'] },
+  { model: Payment, as: 'payments', attributes: PAYMENT_ATTRIBUTES },
+  { model: Refund, as: 'refunds', attributes: REFUND_ATTRIBUTES }
+];
+
+// Allowed ?sort= values for the order list
+const SORTS = {
+  newest: [['id', 'DESC']],
+  oldest: [['id', 'ASC']],
+  // literal so it also works inside the LIMIT subquery Sequelize builds for the Flower include
+  deliveryDate: [
+    [sequelize.literal('(SELECT delivery_date FROM order_fulfilments WHERE order_fulfilments.order_id = `Order`.`id`)'), 'ASC'],
+    ['id', 'ASC']
+  ]
+};
 
 // ----------------------
 // GET /orders – List all orders (admin/staff only)
+// ?status=&fulfilment=delivery|pickup&deliveryFrom=&deliveryTo=&sort=newest|oldest|deliveryDate
 // ----------------------
-router.get('/', [auth, staff], async (req, res) => {
-  try {
-    const { page = 1, pageSize = 20 } = req.query;
-    const limit = Number(pageSize);
-    const offset = (Number(page) - 1) * limit;
-
-    const { count, rows } = await Order.findAndCountAll({
-      include: [
-        { model: Customer, attributes: ['id', 'name', 'email'] },
-        { model: Flower, through: { attributes: ['quantity', 'price'] } }
-      ],
-      limit,
-      offset,
-      order: [['id', 'DESC']]
-    });
-
-    logger.info('Orders listed', { total: count, page: Number(page), pageSize: limit });
-    res.status(200).json({
-      data: rows,
-      meta: { total: count, page: Number(page), pageSize: limit }
-    });
-  } catch (err) {
-    logger.error('Orders list failed', { error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+router.get('/', [auth, staff, validate({ query: schemas.listQuery })], async (req, res) => {
+  const { page, pageSize, status, sort } = req.query;
+  const limit = pageSize;
+  const offset = (page - 1) * limit;
+
+  const where = {};
+  if (status) where.status = status;
+
+  // Filter on fulfilment fields (only orders that have a fulfilment row match)
+  const include = orderIncludes();
+  const fWhere = fulfilmentWhere(req.query);
+  if (Object.keys(fWhere).length) {
+    Object.assign(include[2], { where: fWhere, required: true });
   }
+
+  const { count, rows } = await Order.findAndCountAll({
+    where,
+    include,
+    limit,
+    offset,
+    distinct: true,
+    order: SORTS[sort]
+  });
+
+  logger.info('Orders listed', { total: count, page, pageSize: limit });
+  res.status(200).json({
+    data: rows,
+    meta: { total: count, page, pageSize: limit }
+  });
 });
 
 // ----------------------
 // GET /orders/:id – Get single order by ID
 // ----------------------
-router.get('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const order = await Order.findByPk(id, {
-      include: [
-        { model: Customer, attributes: ['id', 'name', 'email'] },
-        { model: Flower, through: { attributes: ['quantity', 'price'] } }
-      ]
-    });
+router.get('/:id', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const order = await Order.findByPk(id, { include: orderIncludes() });
 
-    if (!order) {
-      logger.warn('Order not found', { id });
-      return res.status(404).json({ msg: 'Order not found' });
-    }
-
-    logger.info('Order retrieved', { id });
-    res.status(200).json(order);
-  } catch (err) {
-    logger.error('Get order failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+  if (!order) {
+    logger.warn('Order not found', { id });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
   }
+
+  logger.info('Order retrieved', { id });
+  setETag(res, order);
+  res.status(200).json(order);
 });
 
 // ----------------------
 // POST /orders – Create new order (staff/admin only)
 // ----------------------
-router.post('/', [auth, staff], async (req, res) => {
-  const { customerId, items, notes } = req.body;
+router.post('/', [auth, staff, validate({ body: schemas.create }), idempotency], async (req, res) => {
+  const { customerId, items, notes, promoCodes } = req.body;
 
-  if (!customerId || !Array.isArray(items) || items.length === 0) {
-    logger.warn('Create order missing fields', { hasCustomerId: !!customerId, itemsCount: Array.isArray(items) ? items.length : 0 });
-    return res.status(400).json({ msg: 'customerId and items are required' });
-  }
-
-  const transaction = await sequelize.transaction();
-  try {
+  // Managed transaction: any throw below rolls everything back
+  const order = await runTransaction(async (transaction) => {
     // Verify customer exists & active
     const customer = await Customer.findByPk(customerId, { transaction });
     if (!customer || !customer.isActive) {
-      await transaction.rollback();
       logger.warn('Create order invalid customer', { customerId });
-      return res.status(400).json({ msg: 'Invalid customer' });
+      throw new BadRequestError('CUSTOMER_NOT_FOUND', 'Invalid customer');
     }
 
-    // Create order shell
-    const order = await Order.create({ customerId, notes, status: 'pending', total: 0 }, { transaction });
-
-    let total = 0;
-    for (const { flowerId, quantity } of items) {
-      const flower = await Flower.findByPk(flowerId, { transaction, lock: true });
-      if (!flower || !flower.isActive) {
-        await transaction.rollback();
-        logger.warn('Create order flower not found', { orderId: order.id, flowerId });
-        return res.status(400).json({ msg: `Flower ID ${flowerId} not found` });
-      }
-      if (flower.stock < quantity) {
-        await transaction.rollback();
-        logger.warn('Create order insufficient stock', { orderId: order.id, flowerId, requested: quantity, stock: flower.stock });
-        return res.status(400).json({ msg: `Insufficient stock for ${flower.name}` });
-      }
-
-      const price = Number(flower.price);
-      total += price * quantity;
-
-      await OrderItem.create(
-        { orderId: order.id, flowerId, quantity, price },
-        { transaction }
-      );
-
-      await flower.update(
-        { stock: flower.stock - quantity },
-        { transaction }
-      );
-    }
+    // Fulfilment is optional for counter sales; when given it is validated like the shop's.
+    // A slotId is optional too, but when given the slot is reserved like in the shop.
+    // Stock held in customers' carts is not for sale at the counter either.
+    return createOrder({
+      customer,
+      items,
+      notes,
+      promoCodes,
+      fulfilment: req.body.fulfilment ? req.body : null,
+      userId: req.user.id
+    }, transaction);
+  }, { label: 'staff order' });
 
-    await order.update({ total }, { transaction });
-    await transaction.commit();
-
-    const fullOrder = await Order.findByPk(order.id, {
-      include: [
-        { model: Customer, attributes: ['id', 'name', 'email'] },
-        { model: Flower, through: { attributes: ['quantity', 'price'] } }
-      ]
-    });
-
-    logger.info('Order created', { orderId: order.id, customerId, itemsCount: items.length, total });
-    res.status(201).json(fullOrder);
-  } catch (err) {
-    await transaction.rollback();
-    logger.error('Create order failed', { customerId, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+  const fullOrder = await Order.findByPk(order.id, { include: orderIncludes() });
+
+  logger.info('Order created', { orderId: order.id, customerId, itemsCount: items.length, total: order.total });
+  setETag(res, fullOrder);
+  res.status(201).json(fullOrder);
 });
 
 // ----------------------
-// PATCH /orders/:id/status – Update order status
+// PATCH /orders/:id/status – Move order along its lifecycle
+// If-Match: "<version>" makes it fail with 412 when the order changed in between
 // ----------------------
-router.patch('/:id/status', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  const { status } = req.body;
+router.patch('/:id/status', [auth, staff, validate({ params: idParams, body: schemas.updateStatus })], async (req, res) => {
+  const { id } = req.params;
+  const { status, note, paymentMethod } = req.body;
+
+  // transitionOrder throws 409 INVALID_TRANSITION (with `allowed`) for illegal moves, and
+  // ORDER_NOT_REFUNDED for a paid order that still has money to give back
+  const { order, from } = await runTransaction(async (transaction) => {
+    const order = await Order.findByPk(id, { transaction });
+    if (!order) {
+      logger.warn('Update status order not found', { id });
+      throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    checkIfMatch(req, order);
+
+    const from = order.status;
+    await transitionOrder(order, status, { userId: req.user.id, note, transaction });
+    // Paid at the counter / by transfer: keep a record of the money like the gateway does
+    if (status === 'paid') await recordManualPayment(order, { method: paymentMethod, userId: req.user.id, transaction });
+    return { order, from };
+  }, { label: 'order status' });
 
-  const validStatuses = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    logger.warn('Update status invalid value', { id, status });
-    return res.status(400).json({ msg: 'Invalid status' });
+  logger.info('Order status updated', { id, from, status, by: req.user.id });
+  setETag(res, order);
+  res.status(200).json(order);
+});
+
+// ----------------------
+// GET /orders/:id/history – Status change audit trail
+// ----------------------
+router.get('/:id/history', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const order = await Order.findByPk(id, { attributes: ['id', 'status'] });
+  if (!order) {
+    logger.warn('Order history order not found', { id });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
   }
 
-  try {
-    const order = await Order.findByPk(id);
+  const history = await OrderStatusHistory.findAll({
+    where: { orderId: id },
+    include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email', 'role'] }],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  logger.info('Order history retrieved', { id, entries: history.length });
+  res.status(200).json({ orderId: order.id, status: order.status, history });
+});
+
+// ----------------------
+// POST /orders/:id/refunds – Refund a paid order { reason, restock?, items?: [{ flowerId, quantity }] }
+// Without `items` everything still refundable is refunded, delivery fee included.
+// ----------------------
+router.post('/:id/refunds', [auth, staff, validate({ params: idParams, body: schemas.refund }), idempotency], async (req, res) => {
+  const { id } = req.params;
+  const { reason, restock, items } = req.body;
+
+  const refund = await runTransaction(async (transaction) => {
+    const order = await Order.findByPk(id, { transaction });
     if (!order) {
-      logger.warn('Update status order not found', { id });
-      return res.status(404).json({ msg: 'Order not found' });
+      logger.warn('Refund order not found', { id });
+      throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
     }
+    return refundOrder(order, { reason, restock, items, userId: req.user.id, transaction });
+  }, { label: 'order refund' });
+
+  // The gateway has answered by now
+  res.status(201).json(await refund.reload());
+});
 
-    await order.update({ status });
-    logger.info('Order status updated', { id, status });
-    res.status(200).json(order);
-  } catch (err) {
-    logger.error('Update status failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+// ----------------------
+// GET /orders/:id/refunds – Refunds with their lines, and what is still refundable
+// ----------------------
+router.get('/:id/refunds', [auth, staff, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const order = await Order.findByPk(id, { attributes: ['id', 'status', 'total', 'refundedTotal'] });
+  if (!order) {
+    logger.warn('Order refunds order not found', { id });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
   }
+
+  const refunds = await Refund.findAll({
+    where: { orderId: id },
+    include: [
+      { model: RefundItem, as: 'items', attributes: ['flowerId', 'quantity', 'amount'] },
+      { model: User, as: 'actor', attributes: ['id', 'name', 'role'] }
+    ],
+    order: [['id', 'ASC']]
+  });
+  const lines = await refundableLines(order.id);
+
+  logger.info('Order refunds retrieved', { id, refunds: refunds.length });
+  res.status(200).json({
+    orderId: order.id,
+    total: order.total,
+    refundedTotal: order.refundedTotal,
+    lines: lines.map(({ flowerId, quantity, refunded, remaining }) => ({ flowerId, quantity, refunded, remaining })),
+    refunds
+  });
 });
 
 // ----------------------
-// DELETE /orders/:id – Cancel/Delete an order (admin only)
+// DELETE /orders/:id – Delete an order nobody paid for (admin only)
+// Paid orders are sales history: cancel or refund them instead. A pending order is
+// cancelled first, which gives back its stock, delivery slot and promo code uses.
 // ----------------------
-router.delete('/:id', [auth, staff], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const order = await Order.findByPk(id);
+router.delete('/:id', [auth, admin, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const from = await runTransaction(async (transaction) => {
+    const order = await Order.findByPk(id, { transaction });
     if (!order) {
       logger.warn('Delete order not found', { id });
-      return res.status(404).json({ msg: 'Order not found' });
+      throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
+    }
+    checkIfMatch(req, order);
+    // Orders marked paid before payments were recorded count as paid too
+    const payments = await Payment.count({ where: { orderId: id }, transaction });
+    if (payments || ['paid', 'shipped', 'delivered'].includes(order.status)) {
+      logger.warn('Delete order with payments blocked', { id, payments });
+      throw new ConflictError('ORDER_HAS_PAYMENTS', 'Orders with payments cannot be deleted; cancel or refund them instead');
     }
 
-    await order.destroy();
-    logger.warn('Order deleted', { id });
-    res.status(204).send();
-  } catch (err) {
-    logger.error('Delete order failed', { id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
-  }
+    const from = order.status;
+    if (from === 'pending') {
+      await transitionOrder(order, 'cancelled', { userId: req.user.id, note: 'Order deleted', transaction });
+    }
+    await order.destroy({ transaction });
+    return from;
+  }, { label: 'order delete' });
+  logger.warn('Order deleted', { id, from, by: req.user.id });
+  res.status(204).send();
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+// File: src/routes/payments.js
+// Gateway webhook (public, signature-checked) and the payments list for staff.
+// Customers start a payment with POST /shop/orders/:id/pay.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const staff = require('../middleware/staff');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/payments');
+const { handleWebhook } = require('../services/payments');
+
+const router = express.Router();
+const { Payment, User } = db;
+
+// ----------------------
+// POST /payments/webhook – payment confirmed/failed by the gateway
+// Authenticated by the gateway's signature over the raw body (see server.js), not a JWT.
+// ----------------------
+router.post('/webhook', async (req, res) => {
+  const { event, payment, duplicate = false, ignored = false } = await handleWebhook(req.rawBody, req.headers);
+  res.status(200).json({ received: true, eventId: event.id, paymentId: payment.id, status: payment.status, duplicate, ignored });
+});
+
+// ----------------------
+// GET /payments?orderId=&status=&provider= – payments, newest first (staff/admin only)
+// ----------------------
+router.get('/', [auth, staff, validate({ query: schemas.listQuery })], async (req, res) => {
+  const { orderId, status, provider, page, pageSize } = req.query;
+  const where = {};
+  if (orderId) where.orderId = orderId;
+  if (status) where.status = status;
+  if (provider) where.provider = provider;
+
+  const { count, rows } = await Payment.findAndCountAll({
+    where,
+    include: [{ model: User, as: 'recorder', attributes: ['id', 'name', 'role'] }],
+    order: [['id', 'DESC']],
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+
+  logger.info('Payments listed', { total: count, page, by: req.user.id });
+  res.status(200).json({ data: rows, meta: { total: count, page, pageSize } });
+});
+
+module.exports = router;
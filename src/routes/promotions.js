@@ -0,0 +1,111 @@
+// File: src/routes/promotions.js
+// Admin-only promo code management. Codes are applied at order creation
+// (see services/promotions.js); deleting one only deactivates it.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/promotions');
+
+const router = express.Router();
+const { PromoCode, OrderDiscount, sequelize } = db;
+
+router.use(auth, admin);
+
+async function findPromo(id) {
+  const promo = await PromoCode.findByPk(id);
+  if (!promo) {
+    logger.warn('Promo code not found', { id });
+    throw new NotFoundError('PROMO_NOT_FOUND', 'Promo code not found');
+  }
+  return promo;
+}
+
+// ----------------------
+// GET /promotions?active=&page=&pageSize= – list codes
+// ----------------------
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+  const { page, pageSize, active } = req.query;
+  const where = {};
+  if (active !== undefined) where.isActive = active;
+
+  const { count, rows } = await PromoCode.findAndCountAll({
+    where,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+    order: [['id', 'DESC']]
+  });
+
+  logger.info('Promo codes listed', { total: count, page, adminId: req.user.id });
+  res.status(200).json({ data: rows, meta: { total: count, page, pageSize } });
+});
+
+// ----------------------
+// GET /promotions/:id – one code with its redemption totals
+// ----------------------
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  const promo = await findPromo(req.params.id);
+  const [stats] = await OrderDiscount.findAll({
+    where: { promoCodeId: promo.id },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'orders'],
+      [sequelize.fn('SUM', sequelize.col('amount')), 'discounted']
+    ],
+    raw: true
+  });
+
+  res.status(200).json({
+    ...promo.toJSON(),
+    redemptions: { orders: Number(stats.orders || 0), discounted: Number(stats.discounted || 0) }
+  });
+});
+
+// ----------------------
+// POST /promotions – create a code
+// ----------------------
+router.post('/', validate({ body: schemas.create }), async (req, res) => {
+  const promo = await PromoCode.create(req.body).catch((err) => {
+    if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+    logger.warn('Promo code create duplicate', { code: req.body.code });
+    throw new ConflictError('PROMO_EXISTS', `Promo code ${req.body.code} already exists`);
+  });
+  logger.info('Promo code created', { id: promo.id, code: promo.code, by: req.user.id });
+  res.status(201).json(promo);
+});
+
+// ----------------------
+// PUT /promotions/:id – change terms, window or limits
+// ----------------------
+router.put('/:id', validate({ params: idParams, body: schemas.update }), async (req, res) => {
+  const promo = await findPromo(req.params.id);
+
+  // Rules involving fields that may not all be in the body are checked against the stored ones too
+  const merged = { ...promo.get(), ...req.body };
+  if (merged.type === 'percentage' && Number(merged.value) > 100) {
+    throw new ValidationError([{ location: 'body', field: 'value', msg: 'value must be less than or equal to 100' }]);
+  }
+  if (merged.startsAt && merged.endsAt && new Date(merged.endsAt) <= new Date(merged.startsAt)) {
+    throw new ValidationError([{ location: 'body', field: 'endsAt', msg: 'endsAt must be after startsAt' }]);
+  }
+
+  await promo.update(req.body);
+  logger.info('Promo code updated', { id: promo.id, fields: Object.keys(req.body), by: req.user.id });
+  res.status(200).json(promo);
+});
+
+// ----------------------
+// DELETE /promotions/:id – deactivate (redemptions keep pointing at it)
+// ----------------------
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  const promo = await findPromo(req.params.id);
+  await promo.update({ isActive: false });
+  logger.warn('Promo code deactivated', { id: promo.id, code: promo.code, by: req.user.id });
+  res.status(204).send();
+});
+
+module.exports = router;
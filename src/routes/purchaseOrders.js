@@ -0,0 +1,163 @@
+// File: src/routes/purchaseOrders.js
+// Purchase orders to suppliers (staff/admin only). Lifecycle and receiving live in
+// services/purchasing.js; receiving adds stock through the ledger as new batches.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const staff = require('../middleware/staff');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError, ConflictError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/purchaseOrders');
+const { runTransaction } = require('../services/transactions');
+const {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  transitionPurchaseOrder,
+  receivePurchaseOrder,
+  sendPurchaseOrderEmail
+} = require('../services/purchasing');
+
+const router = express.Router();
+const { PurchaseOrder, PurchaseOrderItem, Supplier, Flower, sequelize } = db;
+
+// What a purchase order is returned with
+const PO_INCLUDE = [
+  { model: Supplier, attributes: ['id', 'name', 'email'] },
+  {
+    model: PurchaseOrderItem,
+    as: 'items',
+    attributes: ['flowerId', 'quantity', 'receivedQuantity', 'unitCost'],
+    include: [{ model: Flower.scope('all'), attributes: ['id', 'name'] }]
+  }
+];
+
+router.use(auth, staff);
+
+async function findPurchaseOrder(id, transaction) {
+  const po = await PurchaseOrder.findByPk(id, { transaction });
+  if (!po) {
+    logger.warn('Purchase order not found', { id });
+    throw new NotFoundError('PO_NOT_FOUND', 'Purchase order not found');
+  }
+  return po;
+}
+
+const fullPurchaseOrder = (id) => PurchaseOrder.findByPk(id, {
+  include: PO_INCLUDE,
+  order: [[{ model: PurchaseOrderItem, as: 'items' }, 'id', 'ASC']]
+});
+
+// ----------------------
+// GET /purchase-orders?status=&supplierId=&page=&pageSize= – newest first
+// ----------------------
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+  const { status, supplierId, page, pageSize } = req.query;
+  const where = {};
+  if (status) where.status = status;
+  if (supplierId) where.supplierId = supplierId;
+
+  const { count, rows } = await PurchaseOrder.findAndCountAll({
+    where,
+    include: [{ model: Supplier, attributes: ['id', 'name'] }],
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+    order: [['id', 'DESC']]
+  });
+
+  logger.info('Purchase orders listed', { total: count, page, status: status || null });
+  res.status(200).json({ data: rows, meta: { total: count, page, pageSize } });
+});
+
+// ----------------------
+// GET /purchase-orders/:id – one order with its lines and what has been received
+// ----------------------
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  await findPurchaseOrder(req.params.id);
+  res.status(200).json(await fullPurchaseOrder(req.params.id));
+});
+
+// ----------------------
+// POST /purchase-orders – draft a purchase order
+// { supplierId, items: [{ flowerId, quantity, unitCost? }], expectedAt?, notes? }
+// ----------------------
+router.post('/', validate({ body: schemas.create }), async (req, res) => {
+  const { supplierId, items, expectedAt, notes } = req.body;
+  const supplier = await Supplier.findByPk(supplierId);
+  if (!supplier) throw new BadRequestError('SUPPLIER_NOT_FOUND', `Supplier ${supplierId} not found`);
+
+  const po = await sequelize.transaction((transaction) =>
+    createPurchaseOrder({ supplier, items, expectedAt, notes, userId: req.user.id }, transaction));
+
+  logger.info('Purchase order created', { id: po.id, supplierId, total: po.total, by: req.user.id });
+  res.status(201).json(await fullPurchaseOrder(po.id));
+});
+
+// ----------------------
+// PUT /purchase-orders/:id – change a draft { items?, expectedAt?, notes? }
+// ----------------------
+router.put('/:id', validate({ params: idParams, body: schemas.update }), async (req, res) => {
+  const { id } = req.params;
+  await sequelize.transaction(async (transaction) => {
+    const po = await findPurchaseOrder(id, transaction);
+    await updatePurchaseOrder(po, req.body, transaction);
+  });
+  logger.info('Purchase order updated', { id, fields: Object.keys(req.body), by: req.user.id });
+  res.status(200).json(await fullPurchaseOrder(id));
+});
+
+// ----------------------
+// PATCH /purchase-orders/:id/status – { status: sent|cancelled }
+// Sending mails the order to the supplier when it has an email address
+// ----------------------
+router.patch('/:id/status', validate({ params: idParams, body: schemas.updateStatus }), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const po = await sequelize.transaction(async (transaction) => {
+    const po = await findPurchaseOrder(id, transaction);
+    return transitionPurchaseOrder(po, status, transaction);
+  });
+  logger.info('Purchase order status updated', { id, status, by: req.user.id });
+
+  if (status === 'sent') {
+    const supplier = await Supplier.findByPk(po.supplierId);
+    // A failed email must not undo the send; the order can be passed on by phone
+    if (supplier.email) {
+      await sendPurchaseOrderEmail(po, supplier).catch((e) =>
+        logger.error('Purchase order email failed', { id, supplierId: supplier.id, error: e.message }));
+    }
+  }
+  res.status(200).json(await fullPurchaseOrder(id));
+});
+
+// ----------------------
+// POST /purchase-orders/:id/receipts – receive stock { items?: [{ flowerId, quantity, expiresAt? }], note? }
+// Without items everything still outstanding arrives; the order becomes partially_received or received
+// ----------------------
+router.post('/:id/receipts', validate({ params: idParams, body: schemas.receive }), async (req, res) => {
+  const { id } = req.params;
+  const received = await runTransaction(async (transaction) => {
+    const po = await findPurchaseOrder(id, transaction);
+    return receivePurchaseOrder(po, { items: req.body.items, note: req.body.note, userId: req.user.id }, transaction);
+  }, { label: 'purchase order receipt' });
+
+  logger.info('Purchase order received', { id, lines: received, by: req.user.id });
+  res.status(201).json({ received, purchaseOrder: await fullPurchaseOrder(id) });
+});
+
+// ----------------------
+// DELETE /purchase-orders/:id – discard a draft (sent orders are cancelled instead)
+// ----------------------
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  const po = await findPurchaseOrder(req.params.id);
+  if (po.status !== 'draft') {
+    throw new ConflictError('PO_NOT_DRAFT', 'Only drafts can be deleted; cancel a sent purchase order instead', { currentStatus: po.status });
+  }
+  await po.destroy();
+  logger.warn('Purchase order draft deleted', { id: po.id, by: req.user.id });
+  res.status(204).send();
+});
+
+module.exports = router;
@@ -6,66 +6,284 @@ const db = require('../models');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const logger = require('../logger');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/reports');
+const { reconcile } = require('../services/inventory');
+const { costOfMovements } = require('../services/batches');
+const { today } = require('../services/fulfilment');
+const { SALE_STATUSES, salesOverTime } = require('../services/salesAnalytics');
+const { customerReport } = require('../services/customerAnalytics');
+const { toCents, fromCents, sumCents, divRound } = require('../money');
+const { wantsCSV, sendCSV } = require('../csv');
 
 const router = express.Router();
-const { Sequelize, Order, OrderItem, Flower } = db;
+const { Sequelize, Order, OrderItem, OrderDiscount, Refund, Flower, PurchaseOrder, PurchaseOrderItem, Supplier, StockBatch } = db;
 const { Op } = Sequelize;
 
+// Order price columns summed by the sales report
+const BREAKDOWN = ['subtotal', 'discountTotal', 'deliveryFee', 'taxTotal', 'total', 'refundedTotal'];
+
+// DECIMAL sums from SQL come back as floats; snap them to the cent
+const toMoney = (value) => fromCents(toCents(value));
+
+// Units of an order line given back through refunds, netted out of the flower figures
+const RETURNED_QTY = `(SELECT COALESCE(SUM(ri.quantity), 0) FROM refund_items ri JOIN refunds r ON r.id = ri.refund_id
+  WHERE r.order_id = "OrderItem"."order_id" AND ri.flower_id = "OrderItem"."flower_id" AND r.status <> 'failed')`;
+
+// CSV columns of each report's main table
+const CSV_COLUMNS = {
+  sales: ['period', 'orders', 'revenue', 'averageOrderValue'],
+  purchasing: ['supplierId', 'name', 'purchaseOrders', 'units', 'spend'],
+  customers: ['customerId', 'name', 'email', 'orders', 'lifetimeSpend', 'averageBasket', 'firstOrderAt', 'lastOrderAt',
+    'daysSinceLastOrder', 'averageDaysBetweenOrders', 'lapsed', 'recency', 'frequency', 'monetary', 'rfmScore', 'segment'],
+  reconciliation: ['flowerId', 'name', 'isActive', 'stock', 'ledger', 'movements', 'drift', 'batched', 'batchDrift']
+};
+
+// Answer with `body` as JSON, or with `rows` as a CSV download when the client asked for it
+function sendReport(req, res, { name, body, columns, rows }) {
+  res.vary('Accept');
+  if (wantsCSV(req)) return sendCSV(res, `${name}-${today()}.csv`, columns.map((key) => ({ key })), rows);
+  return res.status(200).json(body);
+}
+
 router.use(auth, admin);
 
-// GET /reports/sales?from=YYYY-MM-DD&to=YYYY-MM-DD
-router.get('/sales', async (req, res) => {
-  try {
-    const { from, to } = req.query;
-
-    // Optional date range on Order.createdAt
-    const where = {};
-    const fromDate = from ? new Date(from) : null;
-    const toDate   = to   ? new Date(to)   : null;
-    if (fromDate && !isNaN(fromDate)) where.createdAt = { ...(where.createdAt || {}), [Op.gte]: fromDate };
-    if (toDate   && !isNaN(toDate))   where.createdAt = { ...(where.createdAt || {}), [Op.lte]: toDate   };
-
-    // Totals via orders table
-    const orders = await Order.findAll({ where, attributes: ['id', 'total'] });
-    const totalRevenue = orders.reduce((sum, o) => sum + Number(o.total || 0), 0);
-    const orderCount = orders.length;
-
-    // Top flowers — fully qualify with the Sequelize alias "OrderItem"
-    const top = await OrderItem.findAll({
-      attributes: [
-        'flowerId',
-        [Sequelize.fn('SUM', Sequelize.col('OrderItem.quantity')), 'qty'],
-        [Sequelize.literal('SUM("OrderItem"."quantity" * "OrderItem"."price")'), 'revenue']
-      ],
-      include: [
-        { model: Flower, attributes: ['id', 'name'] },
-        { model: Order, attributes: [], where } // apply date range
-      ],
-      group: ['flowerId', 'Flower.id'],
-      order: [[Sequelize.literal('qty'), 'DESC']],
-      limit: 5
-    });
+// GET /reports/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&status=&interval=day|week|month&groupBy=category|fulfilment
+// Totals, a time series (CSV: the series), breakdowns by fulfilment type and category, and
+// the previous period of the same length for comparison. Only paid, shipped and delivered
+// orders count unless ?status= says otherwise.
+router.get('/sales', validate({ query: schemas.salesQuery }), async (req, res) => {
+  const { from, to, interval, groupBy } = req.query; // Date objects after validation
+  const statuses = req.query.status || SALE_STATUSES;
+
+  // Optional date range on Order.createdAt, up to but not including `to` (see schemas/reports);
+  // `range` also applies to waste, which has no order
+  const range = {};
+  if (from) range.createdAt = { ...(range.createdAt || {}), [Op.gte]: from };
+  if (to)   range.createdAt = { ...(range.createdAt || {}), [Op.lt]: to    };
+  const where = { ...range, status: { [Op.in]: statuses } };
+
+  // Totals via orders table, added up in cents
+  const orders = await Order.findAll({ where, attributes: ['id', ...BREAKDOWN] });
+  const sums = Object.fromEntries(BREAKDOWN.map((col) => [col, sumCents(orders.map((o) => toCents(o[col])))]));
+  const orderCount = orders.length;
+
+  // Refunds on the same orders are netted out of revenue and GST. Revenue goes by the
+  // orders' refundedTotal: payments an order didn't need are refunded without counting
+  const refunds = await Refund.findAll({
+    where: { status: { [Op.ne]: 'failed' } },
+    attributes: ['taxAmount'],
+    include: [{ model: Order, attributes: [], where }]
+  });
+  const refundTotal = sums.refundedTotal;
+  const refundTax = sumCents(refunds.map((r) => toCents(r.taxAmount)));
+  const totalRevenue = fromCents(sums.total - refundTotal);
+  const taxTotal = fromCents(sums.taxTotal - refundTax);
+
+  // Promo code breakdown for the same orders
+  const byCode = await OrderDiscount.findAll({
+    attributes: [
+      'code',
+      [Sequelize.fn('COUNT', Sequelize.col('OrderDiscount.id')), 'orders'],
+      [Sequelize.fn('SUM', Sequelize.col('OrderDiscount.amount')), 'amount']
+    ],
+    include: [{ model: Order, attributes: [], where }],
+    group: ['code'],
+    order: [[Sequelize.literal('amount'), 'DESC']],
+    raw: true
+  });
+  const discountsByCode = byCode.map((d) => ({ code: d.code, orders: Number(d.orders), amount: toMoney(d.amount) }));
+
+  // Cost of goods at the cost of the batches the orders' stems came from, less stock put back
+  // (cancellations, restocked refunds); waste is what was written off in the same period
+  const goods = await costOfMovements({ reason: { [Op.in]: ['sale', 'cancellation', 'return'] } }, where);
+  const waste = await costOfMovements({ reason: 'waste', ...range });
+  const netRevenueCents = sums.total - refundTotal - sums.taxTotal + refundTax;
+  const grossMargin = netRevenueCents - goods.costCents;
+
+  // Top flowers — fully qualify with the Sequelize alias "OrderItem"
+  const top = await OrderItem.findAll({
+    attributes: [
+      'flowerId',
+      [Sequelize.literal(`SUM("OrderItem"."quantity" - ${RETURNED_QTY})`), 'qty'],
+      [Sequelize.literal(`SUM(("OrderItem"."quantity" - ${RETURNED_QTY}) * "OrderItem"."price")`), 'revenue']
+    ],
+    include: [
+      { model: Flower, attributes: ['id', 'name'] },
+      { model: Order, attributes: [], where } // apply date range
+    ],
+    group: ['flowerId', 'Flower.id'],
+    order: [[Sequelize.literal('qty'), 'DESC']],
+    limit: 5
+  });
+
+  const topFlowers = top.map(t => ({
+    flowerId: t.flowerId,
+    name: t.Flower?.name,
+    qty: Number(t.get('qty') || 0),
+    revenue: toMoney(t.get('revenue'))
+  }));
+
+  const { series, byFulfilment, byCategory, previousPeriod } = await salesOverTime({ from, to, statuses, interval, groupBy });
+
+  logger.info('Reports: sales generated', {
+    adminId: req.user.id,
+    from: from || null,
+    to: to || null,
+    statuses,
+    interval,
+    groupBy: groupBy || null,
+    totalRevenue,
+    taxTotal,
+    refundTotal: fromCents(refundTotal),
+    grossMargin: fromCents(grossMargin),
+    wasteCost: fromCents(waste.costCents),
+    orders: orderCount
+  });
 
-    const topFlowers = top.map(t => ({
-      flowerId: t.flowerId,
-      name: t.Flower?.name,
-      qty: Number(t.get('qty') || 0),
-      revenue: Number(t.get('revenue') || 0)
-    }));
+  const columns = groupBy ? ['period', 'group', ...CSV_COLUMNS.sales.slice(1)] : CSV_COLUMNS.sales;
+  sendReport(req, res, { name: 'sales', columns, rows: series, body: {
+    statuses,
+    totalRevenue,                                        // what customers paid, less refunds
+    grossSales: fromCents(sums.subtotal),                // items before discounts
+    discountTotal: fromCents(sums.discountTotal),
+    deliveryFees: fromCents(sums.deliveryFee),
+    refundTotal: fromCents(refundTotal),
+    taxTotal,                                            // GST collected, less GST refunded
+    netRevenue: fromCents(netRevenueCents),              // revenue excluding GST
+    costOfGoods: fromCents(goods.costCents),
+    grossMargin: fromCents(grossMargin),                 // netRevenue - costOfGoods
+    grossMarginPercent: netRevenueCents ? Math.round((grossMargin / netRevenueCents) * 1000) / 10 : null,
+    wasteCost: fromCents(waste.costCents),
+    wasteUnits: waste.units,
+    uncostedUnits: goods.uncostedUnits + waste.uncostedUnits, // sold or wasted from batches with no unit cost
+    orders: orderCount,
+    averageOrderValue: orderCount ? fromCents(divRound(sums.total - refundTotal, orderCount)) : 0,
+    topFlowers,
+    discountsByCode,
+    interval,
+    series,                                              // [{ period, group?, orders, revenue, averageOrderValue }]
+    byFulfilment,
+    byCategory,                                          // line revenue: before order discounts, delivery and GST
+    previousPeriod                                       // null without ?from=
+  } });
+});
+
+// GET /reports/purchasing?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Purchase orders still expected, and what each supplier delivered (at the lines' unit cost) in the range
+// (CSV: the supplier spend)
+router.get('/purchasing', validate({ query: schemas.purchasingQuery }), async (req, res) => {
+  const { from, to } = req.query;
+
+  const open = await PurchaseOrder.findAll({
+    where: { status: { [Op.in]: ['sent', 'partially_received'] } },
+    attributes: ['id', 'status', 'total', 'expectedAt', 'sentAt'],
+    include: [
+      { model: Supplier, attributes: ['id', 'name'] },
+      { model: PurchaseOrderItem, as: 'items', attributes: ['quantity', 'receivedQuantity', 'unitCost'] }
+    ],
+    order: [['expectedAt', 'ASC'], ['id', 'ASC']]
+  });
+  const openOrders = open.map((po) => {
+    const units = po.items.map((i) => i.quantity - i.receivedQuantity);
+    const outstanding = sumCents(po.items.map((i, n) => toCents(i.unitCost) * units[n]));
+    return {
+      id: po.id,
+      supplier: po.Supplier,
+      status: po.status,
+      sentAt: po.sentAt,
+      expectedAt: po.expectedAt,
+      overdue: po.expectedAt !== null && po.expectedAt < today(),
+      total: toMoney(po.total),
+      outstandingUnits: units.reduce((a, b) => a + b, 0),
+      outstandingValue: fromCents(outstanding)
+    };
+  });
+
+  // Every receipt is a batch tagged with its purchase order and supplier
+  const where = { purchaseOrderId: { [Op.ne]: null } };
+  if (from) where.createdAt = { ...(where.createdAt || {}), [Op.gte]: from };
+  if (to)   where.createdAt = { ...(where.createdAt || {}), [Op.lt]: to    };
+  const batches = await StockBatch.findAll({
+    where,
+    attributes: ['supplierId', 'purchaseOrderId', 'quantity', 'unitCost'],
+    include: [{ model: Supplier, attributes: ['id', 'name'] }]
+  });
 
-    logger.info('Reports: sales generated', {
+  const bySupplier = new Map();
+  for (const b of batches) {
+    const row = bySupplier.get(b.supplierId)
+      || { supplierId: b.supplierId, name: b.Supplier?.name, purchaseOrders: new Set(), units: 0, spend: 0 };
+    row.purchaseOrders.add(b.purchaseOrderId);
+    row.units += b.quantity;
+    row.spend += toCents(b.unitCost) * b.quantity;
+    bySupplier.set(b.supplierId, row);
+  }
+  const supplierSpend = [...bySupplier.values()]
+    .sort((a, b) => b.spend - a.spend)
+    .map((s) => ({ ...s, purchaseOrders: s.purchaseOrders.size, spend: fromCents(s.spend) }));
+  const totalSpend = fromCents(sumCents([...bySupplier.values()].map((s) => s.spend)));
+
+  logger.info('Reports: purchasing generated', {
+    adminId: req.user.id,
+    from: from || null,
+    to: to || null,
+    openOrders: openOrders.length,
+    totalSpend
+  });
+
+  sendReport(req, res, { name: 'purchasing', columns: CSV_COLUMNS.purchasing, rows: supplierSpend, body: {
+    openOrders,
+    outstandingValue: fromCents(sumCents(openOrders.map((o) => toCents(o.outstandingValue)))),
+    supplierSpend,
+    totalSpend
+  } });
+});
+
+// GET /reports/customers?segment=&lapsed=true|false&sort=spend|orders|recent|name&page=&pageSize=
+// Lifetime spend, orders, first and last order and average basket per active customer, with
+// RFM scores, segment and lapse flag (thresholds in config.customers); `segments` counts every
+// active customer per segment. CSV: every matching customer, unpaginated.
+router.get('/customers', validate({ query: schemas.customersQuery }), async (req, res) => {
+  const { segment, lapsed, sort, page, pageSize } = req.query;
+  const { profiles, segments, lapsed: lapsedCount } = await customerReport({ segment, lapsed, sort });
+
+  logger.info('Reports: customers generated', {
+    adminId: req.user.id,
+    segment: segment || null,
+    lapsed: lapsed ?? null,
+    total: profiles.length,
+    lapsedCount
+  });
+
+  const rows = profiles.map(({ rfm, ...p }) => ({
+    ...p, recency: rfm?.recency, frequency: rfm?.frequency, monetary: rfm?.monetary, rfmScore: rfm?.score
+  }));
+  sendReport(req, res, { name: 'customers', columns: CSV_COLUMNS.customers, rows, body: {
+    data: profiles.slice((page - 1) * pageSize, page * pageSize),
+    meta: { total: profiles.length, page, pageSize, sort },
+    segments,
+    lapsed: lapsedCount
+  } });
+});
+
+// GET /reports/stock-reconciliation?flowerId=
+// Ledger sum and batches vs Flower.stock for every flower; `drift` / `batchDrift` != 0 means stock changed outside the ledger
+// (CSV: one row per flower)
+router.get('/stock-reconciliation', validate({ query: schemas.reconciliationQuery }), async (req, res) => {
+  const result = await reconcile({ flowerId: req.query.flowerId });
+
+  if (result.ok) {
+    logger.info('Reports: stock reconciled', { adminId: req.user.id, checked: result.checked });
+  } else {
+    logger.warn('Reports: stock drift found', {
       adminId: req.user.id,
-      from: from || null,
-      to: to || null,
-      totalRevenue,
-      orders: orderCount
+      mismatched: result.flowers
+        .filter((f) => f.drift !== 0 || f.batchDrift !== 0)
+        .map((f) => ({ flowerId: f.flowerId, drift: f.drift, batchDrift: f.batchDrift }))
     });
-
-    res.status(200).json({ totalRevenue, orders: orderCount, topFlowers });
-  } catch (err) {
-    logger.error('Reports: sales failed', { adminId: req.user?.id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
   }
+  sendReport(req, res, { name: 'stock-reconciliation', columns: CSV_COLUMNS.reconciliation, rows: result.flowers, body: result });
 });
 
 module.exports = router;
\ No newline at end of file
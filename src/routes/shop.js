@@ -1,40 +1,65 @@
 // File: src/routes/shop.js
-// Customer-facing shop routes (place & view own orders)
+// Customer-facing shop routes (cart, place & view own orders)
 
 const express = require('express');
 const db = require('../models');
 const auth = require('../middleware/auth'); // verifies JWT and sets req.user
+const config = require('../config/config');
 const logger = require('../logger');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/shop');
+const { FULFILMENT_ATTRIBUTES } = require('../services/fulfilment');
+const { listAvailability } = require('../services/slots');
+const cart = require('../services/cart');
+const { createOrder } = require('../services/orderPlacement');
+const { runTransaction } = require('../services/transactions');
+const { PAYMENT_ATTRIBUTES, paymentDueAt, createPaymentIntent } = require('../services/payments');
+const { REFUND_ATTRIBUTES } = require('../services/refunds');
+const { setETag } = require('../services/versioning');
 
 const router = express.Router();
-const { sequelize, Customer, Order, OrderItem, Flower } = db;
+const { Customer, Order, Flower, OrderFulfilment, OrderDiscount, Payment, Refund } = db;
+
+// Shape used whenever a customer reads an order
+const orderIncludes = () => [
+  { model: Flower, through: { attributes: ['quantity', 'price'] } },
+  { model: OrderFulfilment, as: 'fulfilment', attributes: FULFILMENT_ATTRIBUTES },
+  { model: OrderDiscount, as: 'discounts', attributes: ['code', 'type', 'value', 'eligibleSubtotal', 'amount'] },
+  { model: Payment, as: 'payments', attributes: PAYMENT_ATTRIBUTES },
+  { model: Refund, as: 'refunds', attributes: REFUND_ATTRIBUTES },
+];
 
 // Require a logged-in user with role 'customer'
 function requireCustomer(req, res, next) {
   if (!req.user) {
     logger.warn('Shop: unauthorised (no user)', { ip: req.ip, url: req.originalUrl });
-    return res.status(401).json({ msg: 'Unauthorised' });
+    throw new UnauthorizedError('TOKEN_MISSING', 'Unauthorised');
   }
   if (req.user.role !== 'customer') {
     logger.warn('Shop: forbidden (non-customer)', { userId: req.user.id, role: req.user.role });
-    return res.status(403).json({ msg: 'Customers only' });
+    throw new ForbiddenError('CUSTOMER_REQUIRED', 'Customers only');
   }
   next();
 }
 
-// ---- Helpers ----
-function isSeqValidation(err) {
-  return err?.name === 'SequelizeValidationError' || err?.name === 'SequelizeUniqueConstraintError';
+// Shop orders need a confirmed email address (see POST /auth/verify-email)
+function requireVerifiedEmail(req, res, next) {
+  if (config.auth.requireEmailVerification && !req.user.emailVerified) {
+    logger.warn('Shop: email not verified', { userId: req.user.id });
+    throw new ForbiddenError('EMAIL_NOT_VERIFIED', 'Please verify your email address before placing orders');
+  }
+  next();
 }
 
+// ---- Helpers ----
 // Ensure a Customer row exists for this user (CRM profile)
 async function getOrCreateCustomerProfile(user, t) {
   if (!user?.email) {
-    const msg = 'Authenticated user is missing an email';
     logger.error('Shop: CRM lookup failed - no email on JWT', { userId: user?.id });
-    const e = new Error(msg);
-    e.status = 400;
-    throw e;
+    throw new BadRequestError('PROFILE_INCOMPLETE', 'Authenticated user is missing an email');
   }
 
   // Search across ALL records (ignore default scope)
@@ -62,160 +87,200 @@ async function getOrCreateCustomerProfile(user, t) {
 }
 
 // ----------------------
-// POST /api/v1/shop/orders  (customer creates order)
+// GET /api/v1/shop/slots  (public delivery/pickup availability)
+// ?type=delivery|pickup&from=YYYY-MM-DD&to=YYYY-MM-DD
 // ----------------------
-router.post('/orders', [auth, requireCustomer], async (req, res) => {
-  const {
+router.get('/slots', validate({ query: schemas.slotsQuery }), async (req, res) => {
+  const { type, from, to } = req.query;
+  const slots = await listAvailability({ type, from, to });
+  logger.info('Shop: slots listed', { type: type || 'all', count: slots.length });
+  res.status(200).json({ data: slots, meta: { total: slots.length } });
+});
+
+/**
+ * Create a pending order for the logged-in customer inside transaction `t`.
+ * Shared by POST /orders and POST /cart/checkout. `input` carries items plus the
+ * fulfilment fields (fulfilment, slotId, contactPhone, deliveryAddress, giftMessage), notes and promoCodes.
+ * Stock held in other customers' carts is not for sale; the customer's own holds are.
+ */
+async function placeOrder(user, input, t) {
+  const { items, notes, promoCodes } = input;
+
+  // CRM profile
+  const customer = await getOrCreateCustomerProfile(user, t);
+
+  const order = await createOrder({
+    customer,
     items,
-    fulfilment,
-    deliveryAddress,
-    deliveryDate,
-    contactPhone,
-    giftMessage,
     notes,
-  } = req.body || {};
+    promoCodes,
+    fulfilment: input,
+    paymentDueAt: paymentDueAt(),
+    userId: user.id,
+    holderId: user.id
+  }, t);
+  return { order, customer };
+}
 
-  if (!Array.isArray(items) || items.length === 0) {
-    logger.warn('Shop: create order missing items', { userId: req.user.id });
-    return res.status(400).json({ msg: 'items are required' });
-  }
-  if (!contactPhone) {
-    logger.warn('Shop: create order missing contactPhone', { userId: req.user.id });
-    return res.status(400).json({ msg: 'contactPhone is required' });
-  }
-  const fulfil = fulfilment === 'delivery' ? 'delivery' : 'pickup';
-
-  const t = await sequelize.transaction();
-  try {
-    // CRM profile
-    const customer = await getOrCreateCustomerProfile(req.user, t);
-
-    // Create order (stash extra info in notes for MVP)
-    const extra = {
-      fulfilment: fulfil,
-      deliveryAddress: deliveryAddress || null,
-      deliveryDate: deliveryDate || null,
-      contactPhone,
-      giftMessage: giftMessage || null,
-      clientNotes: notes || null,
-    };
-
-    const order = await Order.create(
-      { customerId: customer.id, notes: JSON.stringify(extra), status: 'pending', total: 0 },
-      { transaction: t }
-    );
+// ----------------------
+// POST /api/v1/shop/orders  (customer creates order)
+// ----------------------
+const createOrderGuards = [auth, requireCustomer, requireVerifiedEmail, validate({ body: schemas.createOrder }), idempotency];
 
-    // Items & stock
-    let total = 0;
-
-    // Normalise items: flatten accidental nesting and merge duplicates by flowerId
-    const merged = new Map(); // flowerId -> totalQty
-    for (const raw of (Array.isArray(items) ? items.flat() : [])) {
-      const fid = Number(raw?.flowerId);
-      const qty = Number(raw?.quantity || 0);
-      if (!fid || qty < 1) {
-        await t.rollback();
-        logger.warn('Shop: invalid item payload', { orderId: order.id, raw });
-        return res.status(400).json({ msg: 'Each item needs flowerId and quantity >= 1' });
-      }
-      merged.set(fid, (merged.get(fid) || 0) + qty);
-    }
+router.post('/orders', createOrderGuards, async (req, res) => {
+  // Managed transaction: any throw (slot full, out of stock, ...) rolls everything back
+  const { order, customer } = await runTransaction((t) => placeOrder(req.user, req.body, t), { label: 'shop order' });
 
-    for (const [flowerId, q] of merged.entries()) {
-      // Removed row lock to behave reliably on SQLite
-      const flower = await Flower.findByPk(flowerId, { transaction: t });
-      if (!flower || !flower.isActive) {
-        await t.rollback();
-        logger.warn('Shop: flower unavailable', { orderId: order.id, flowerId });
-        return res.status(400).json({ msg: `Flower ${flowerId} unavailable` });
-      }
-      if (flower.stock < q) {
-        await t.rollback();
-        logger.warn('Shop: insufficient stock', { orderId: order.id, flowerId, requested: q, stock: flower.stock });
-        return res.status(400).json({ msg: `Insufficient stock for ${flower.name}` });
-      }
-
-      const price = Number(flower.price);
-      total += price * q;
-
-      await OrderItem.create({ orderId: order.id, flowerId, quantity: q, price }, { transaction: t });
-      await flower.update({ stock: flower.stock - q }, { transaction: t });
-    }
+  const full = await Order.findByPk(order.id, { include: orderIncludes() });
+
+  logger.info('Shop: order created', { orderId: order.id, customerId: customer.id, itemsCount: req.body.items.length, total: order.total });
+  return res.status(201).json(full);
+});
+
+// ----------------------
+// GET /api/v1/shop/cart  (my cart at current prices)
+// ----------------------
+router.get('/cart', [auth, requireCustomer], async (req, res) => {
+  const view = await cart.cartView(req.user.id);
+  logger.info('Shop: cart viewed', { userId: req.user.id, lines: view.items.length });
+  res.status(200).json(view);
+});
+
+// ----------------------
+// POST /api/v1/shop/cart/items  { flowerId, quantity }  (add; merges with an existing line)
+// ----------------------
+router.post('/cart/items', [auth, requireCustomer, validate({ body: schemas.cartItem })], async (req, res) => {
+  const { flowerId, quantity } = req.body;
+  const line = await cart.setLine(req.user.id, flowerId, quantity, { mode: 'add' });
+  logger.info('Shop: cart item added', { userId: req.user.id, flowerId, quantity: line.quantity, heldUntil: line.heldUntil });
+  res.status(200).json(await cart.cartView(req.user.id));
+});
+
+// ----------------------
+// PUT /api/v1/shop/cart/items/:flowerId  { quantity }  (set quantity, renews the hold)
+// ----------------------
+router.put('/cart/items/:flowerId', [auth, requireCustomer, validate({ params: schemas.cartItemParams, body: schemas.cartItemUpdate })], async (req, res) => {
+  const { flowerId } = req.params;
+  const line = await cart.setLine(req.user.id, flowerId, req.body.quantity);
+  logger.info('Shop: cart item updated', { userId: req.user.id, flowerId, quantity: line.quantity });
+  res.status(200).json(await cart.cartView(req.user.id));
+});
+
+// ----------------------
+// DELETE /api/v1/shop/cart/items/:flowerId
+// ----------------------
+router.delete('/cart/items/:flowerId', [auth, requireCustomer, validate({ params: schemas.cartItemParams })], async (req, res) => {
+  const { flowerId } = req.params;
+  await cart.removeLine(req.user.id, flowerId);
+  logger.info('Shop: cart item removed', { userId: req.user.id, flowerId });
+  res.status(200).json(await cart.cartView(req.user.id));
+});
+
+// ----------------------
+// DELETE /api/v1/shop/cart  (empty the cart, releasing all holds)
+// ----------------------
+router.delete('/cart', [auth, requireCustomer], async (req, res) => {
+  await cart.clearCart(req.user.id);
+  logger.info('Shop: cart cleared', { userId: req.user.id });
+  res.status(204).send();
+});
+
+// ----------------------
+// POST /api/v1/shop/cart/checkout  (turn the cart into an order)
+// Body is POST /orders without `items`; the cart is emptied on success.
+// ----------------------
+const checkoutGuards = [auth, requireCustomer, requireVerifiedEmail, validate({ body: schemas.checkout }), idempotency];
 
-    await order.update({ total }, { transaction: t });
-    await t.commit();
-
-    const full = await Order.findByPk(order.id, {
-      include: [{ model: Flower, through: { attributes: ['quantity', 'price'] } }],
-    });
-
-    logger.info('Shop: order created', { orderId: order.id, customerId: customer.id, itemsCount: items.length, total });
-    return res.status(201).json(full);
-  } catch (err) {
-    await t.rollback().catch(() => {});
-    if (isSeqValidation(err)) {
-      logger.warn('Shop: validation error', { details: err.errors?.map(e => e.message) });
-      return res.status(400).json({
-        msg: 'Validation error',
-        errors: err.errors?.map(e => e.message) || [err.message],
-      });
+router.post('/cart/checkout', checkoutGuards, async (req, res) => {
+  const { order, customer, items } = await runTransaction(async (t) => {
+    // Lapsed holds are re-checked here; a line that can no longer be held fails the checkout
+    const items = await cart.renewHolds(req.user.id, t);
+    if (!items.length) {
+      logger.warn('Shop: checkout with empty cart', { userId: req.user.id });
+      throw new BadRequestError('CART_EMPTY', 'Your cart is empty');
     }
-    const status = err.status || 500;
-    logger.error('Shop: create order failed', { userId: req.user?.id, error: err.message });
-    return res.status(status).json({ msg: status === 500 ? 'Server error' : err.message, error: err.message });
-  }
+
+    const placed = await placeOrder(req.user, { ...req.body, items }, t);
+    await cart.clearCart(req.user.id, t);
+    return { ...placed, items };
+  }, { label: 'checkout' });
+
+  const full = await Order.findByPk(order.id, { include: orderIncludes() });
+
+  logger.info('Shop: cart checked out', { orderId: order.id, customerId: customer.id, itemsCount: items.length, total: order.total });
+  return res.status(201).json(full);
 });
 
 // ----------------------
 // GET /api/v1/shop/orders  (list my orders)
 // ----------------------
 router.get('/orders', [auth, requireCustomer], async (req, res) => {
-  try {
-    const customer = await Customer.unscoped().findOne({ where: { email: req.user.email } });
-    if (!customer) {
-      logger.info('Shop: no CRM profile yet', { userEmail: req.user.email });
-      return res.status(200).json({ data: [], meta: { total: 0, page: 1, pageSize: 0 } });
-    }
-
-    const list = await Order.findAll({
-      where: { customerId: customer.id },
-      order: [['id', 'DESC']],
-      include: [{ model: Flower, through: { attributes: ['quantity', 'price'] } }],
-    });
-    logger.info('Shop: my orders listed', { customerId: customer.id, count: list.length });
-    res.status(200).json({ data: list, meta: { total: list.length } });
-  } catch (err) {
-    logger.error('Shop: list my orders failed', { userId: req.user.id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+  const customer = await Customer.unscoped().findOne({ where: { email: req.user.email } });
+  if (!customer) {
+    logger.info('Shop: no CRM profile yet', { userEmail: req.user.email });
+    return res.status(200).json({ data: [], meta: { total: 0, page: 1, pageSize: 0 } });
   }
+
+  const list = await Order.findAll({
+    where: { customerId: customer.id },
+    order: [['id', 'DESC']],
+    include: orderIncludes(),
+  });
+  logger.info('Shop: my orders listed', { customerId: customer.id, count: list.length });
+  res.status(200).json({ data: list, meta: { total: list.length } });
 });
 
 // ----------------------
 // GET /api/v1/shop/orders/:id  (view my single order)
 // ----------------------
-router.get('/orders/:id', [auth, requireCustomer], async (req, res) => {
-  const id = Number(req.params.id);
-  try {
-    const customer = await Customer.unscoped().findOne({ where: { email: req.user.email } });
-    if (!customer) {
-      logger.warn('Shop: order lookup with no CRM profile', { userEmail: req.user.email });
-      return res.status(404).json({ msg: 'Order not found' });
-    }
+router.get('/orders/:id', [auth, requireCustomer, validate({ params: idParams })], async (req, res) => {
+  const { id } = req.params;
+  const customer = await Customer.unscoped().findOne({ where: { email: req.user.email } });
+  if (!customer) {
+    logger.warn('Shop: order lookup with no CRM profile', { userEmail: req.user.email });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
+  }
 
-    const order = await Order.findByPk(id, {
-      include: [{ model: Flower, through: { attributes: ['quantity', 'price'] } }],
-    });
-    if (!order || order.customerId !== customer.id) {
-      logger.warn('Shop: order not found or not owner', { requestedId: id, customerId: customer.id });
-      return res.status(404).json({ msg: 'Order not found' });
-    }
+  const order = await Order.findByPk(id, { include: orderIncludes() });
+  if (!order || order.customerId !== customer.id) {
+    logger.warn('Shop: order not found or not owner', { requestedId: id, customerId: customer.id });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
+  }
+
+  logger.info('Shop: order retrieved', { orderId: id, customerId: customer.id });
+  setETag(res, order);
+  res.status(200).json(order);
+});
+
+// ----------------------
+// POST /api/v1/shop/orders/:id/pay  { method? }  (start paying for my pending order)
+// Returns the gateway's client secret; the order becomes 'paid' when the gateway's webhook confirms.
+// ----------------------
+router.post('/orders/:id/pay', [auth, requireCustomer, validate({ params: idParams, body: schemas.pay }), idempotency], async (req, res) => {
+  const { id } = req.params;
+  const customer = await Customer.unscoped().findOne({ where: { email: req.user.email } });
 
-    logger.info('Shop: order retrieved', { orderId: id, customerId: customer.id });
-    res.status(200).json(order);
-  } catch (err) {
-    logger.error('Shop: get my order failed', { userId: req.user.id, orderId: id, error: err.message });
-    res.status(500).json({ msg: 'Server error', error: err.message });
+  const order = customer && await Order.findByPk(id);
+  if (!order || order.customerId !== customer.id) {
+    logger.warn('Shop: pay for order not found or not owner', { requestedId: id, userId: req.user.id });
+    throw new NotFoundError('ORDER_NOT_FOUND', 'Order not found');
   }
+  // Talks to the gateway, then records the payment in a transaction of its own
+  const { payment, clientSecret } = await createPaymentIntent(order, { method: req.body.method });
+
+  logger.info('Shop: payment started', { orderId: order.id, paymentId: payment.id, amount: payment.amount, provider: payment.provider });
+  res.status(201).json({
+    paymentId: payment.id,
+    orderId: order.id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    method: payment.method,
+    provider: payment.provider,
+    reference: payment.providerRef,
+    clientSecret,
+    payBy: order.paymentDueAt
+  });
 });
 
 module.exports = router;
\ No newline at end of file
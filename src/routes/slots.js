@@ -0,0 +1,172 @@
+// File: src/routes/slots.js
+// Admin-only delivery/pickup slot calendar and blackout dates.
+// Customers see availability through GET /shop/slots.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { BadRequestError, ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/slots');
+const { addDays } = require('../services/slots');
+
+const router = express.Router();
+const { DeliverySlot, BlackoutDate, OrderFulfilment, Sequelize } = db;
+const { Op } = Sequelize;
+
+router.use(auth, admin);
+
+// ----------------------
+// GET /slots?from=&to=&type= – calendar with bookings
+// ----------------------
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+  const { from, to, type } = req.query;
+  const where = {};
+  if (type) where.type = type;
+  if (from || to) {
+    where.date = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lte]: to }),
+    };
+  }
+
+  const slots = await DeliverySlot.findAll({ where, order: [['date', 'ASC'], ['startTime', 'ASC'], ['type', 'ASC']] });
+  logger.info('Slots listed', { count: slots.length, adminId: req.user.id });
+  res.status(200).json(slots);
+});
+
+// ----------------------
+// POST /slots – create one slot
+// ----------------------
+router.post('/', validate({ body: schemas.create }), async (req, res) => {
+  const { type, date, startTime, endTime, capacity, cutoffTime } = req.body;
+  const slot = await DeliverySlot.create({ type, date, startTime, endTime, capacity, cutoffTime }).catch((err) => {
+    if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+    logger.warn('Slot create duplicate', { type, date, startTime });
+    throw new ConflictError('SLOT_EXISTS', 'A slot with that type, date and start time already exists');
+  });
+  logger.info('Slot created', { id: slot.id, type, date, startTime, by: req.user.id });
+  res.status(201).json(slot);
+});
+
+// ----------------------
+// POST /slots/generate – fill a date range from a daily template
+// { type, from, to, weekdays?: [0-6], cutoffTime?, times: [{ startTime, endTime, capacity }] }
+// Existing slots are left as they are.
+// ----------------------
+router.post('/generate', validate({ body: schemas.generate }), async (req, res) => {
+  const { type, from, to, weekdays, cutoffTime, times } = req.body;
+  if (to < from) {
+    logger.warn('Slot generate invalid range', { from, to });
+    throw new BadRequestError('INVALID_DATE_RANGE', 'from must be on or before to');
+  }
+
+  const rows = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (weekdays && !weekdays.includes(new Date(`${date}T00:00:00`).getDay())) continue;
+    for (const t of times) {
+      rows.push({ type, date, startTime: t.startTime, endTime: t.endTime, capacity: t.capacity, cutoffTime });
+    }
+  }
+
+  const inRange = { type, date: { [Op.between]: [from, to] } };
+  const before = await DeliverySlot.count({ where: inRange });
+  await DeliverySlot.bulkCreate(rows, { ignoreDuplicates: true });
+  const created = (await DeliverySlot.count({ where: inRange })) - before;
+
+  logger.info('Slots generated', { type, from, to, requested: rows.length, created, by: req.user.id });
+  res.status(201).json({ requested: rows.length, created });
+});
+
+// ----------------------
+// GET /slots/blackouts – list blackout days
+// ----------------------
+router.get('/blackouts', async (req, res) => {
+  const list = await BlackoutDate.findAll({ order: [['date', 'ASC']] });
+  res.status(200).json(list);
+});
+
+// ----------------------
+// POST /slots/blackouts – close a whole day { date, reason? }
+// ----------------------
+router.post('/blackouts', validate({ body: schemas.blackout }), async (req, res) => {
+  const { date, reason } = req.body;
+  const [blackout, created] = await BlackoutDate.findOrCreate({ where: { date }, defaults: { date, reason } });
+  if (!created) {
+    throw new ConflictError('BLACKOUT_EXISTS', `${date} is already a blackout date`);
+  }
+  logger.info('Blackout date added', { date, by: req.user.id });
+  res.status(201).json(blackout);
+});
+
+// ----------------------
+// DELETE /slots/blackouts/:id – reopen a day
+// ----------------------
+router.delete('/blackouts/:id', validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const blackout = await BlackoutDate.findByPk(id);
+  if (!blackout) {
+    throw new NotFoundError('BLACKOUT_NOT_FOUND', 'Blackout date not found');
+  }
+  await blackout.destroy();
+  logger.info('Blackout date removed', { id, date: blackout.date, by: req.user.id });
+  res.status(204).send();
+});
+
+// ----------------------
+// PUT /slots/:id – update times, capacity, cut-off or active flag
+// ----------------------
+router.put('/:id', validate({ params: idParams, body: schemas.update }), async (req, res) => {
+  const { id } = req.params;
+  const slot = await DeliverySlot.findByPk(id);
+  if (!slot) {
+    logger.warn('Slot update not found', { id });
+    throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
+  }
+
+  const { startTime = slot.startTime, endTime = slot.endTime, capacity, cutoffTime, isActive } = req.body;
+  // The schema only compares the times sent together; check against the stored ones too
+  if (endTime <= startTime) {
+    logger.warn('Slot update invalid window', { id, startTime, endTime });
+    throw new ValidationError([{ location: 'body', field: 'endTime', msg: 'endTime must be after startTime' }]);
+  }
+  if (capacity !== undefined && capacity < slot.booked) {
+    throw new ConflictError('SLOT_CAPACITY_BELOW_BOOKED', `capacity cannot be below the ${slot.booked} bookings already taken`);
+  }
+
+  await slot.update({
+    startTime,
+    endTime,
+    capacity: capacity ?? slot.capacity,
+    cutoffTime: cutoffTime !== undefined ? cutoffTime : slot.cutoffTime,
+    isActive: isActive ?? slot.isActive
+  });
+  logger.info('Slot updated', { id, fields: Object.keys(req.body), by: req.user.id });
+  res.status(200).json(slot);
+});
+
+// ----------------------
+// DELETE /slots/:id – remove a slot no order ever booked
+// ----------------------
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const slot = await DeliverySlot.findByPk(id);
+  if (!slot) {
+    logger.warn('Slot delete not found', { id });
+    throw new NotFoundError('SLOT_NOT_FOUND', 'Slot not found');
+  }
+  const orders = await OrderFulfilment.count({ where: { slotId: id } });
+  if (orders > 0) {
+    logger.warn('Slot delete has orders', { id, booked: slot.booked, orders });
+    throw new ConflictError('SLOT_IN_USE', 'Slot is referenced by orders; deactivate it instead (isActive: false)');
+  }
+
+  await slot.destroy();
+  logger.warn('Slot deleted', { id, by: req.user.id });
+  res.status(204).send();
+});
+
+module.exports = router;
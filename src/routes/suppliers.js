@@ -0,0 +1,129 @@
+// File: src/routes/suppliers.js
+// Suppliers and their catalogue prices (staff/admin only). Deleting a supplier
+// only deactivates it; its purchase orders and batches keep pointing at it.
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const staff = require('../middleware/staff');
+const logger = require('../logger');
+const validate = require('../middleware/validate');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/suppliers');
+
+const router = express.Router();
+const { Supplier, SupplierPrice, Flower, Op } = db;
+
+const PRICE_ATTRIBUTES = ['flowerId', 'unitCost', 'sku', 'updatedAt'];
+
+router.use(auth, staff);
+
+async function findSupplier(id) {
+  const supplier = await Supplier.findByPk(id);
+  if (!supplier) {
+    logger.warn('Supplier not found', { id });
+    throw new NotFoundError('SUPPLIER_NOT_FOUND', 'Supplier not found');
+  }
+  return supplier;
+}
+
+// ----------------------
+// GET /suppliers?q=&active=&flowerId=&page=&pageSize= – list suppliers
+// ----------------------
+router.get('/', validate({ query: schemas.listQuery }), async (req, res) => {
+  const { q, active, flowerId, page, pageSize } = req.query;
+  const where = {};
+  if (active !== undefined) where.isActive = active;
+  if (q) where.name = { [Op.like]: `%${q}%` };
+
+  const { count, rows } = await Supplier.findAndCountAll({
+    where,
+    // ?flowerId= lists who sells it, with their price
+    include: flowerId ? [{ model: SupplierPrice, as: 'prices', attributes: PRICE_ATTRIBUTES, where: { flowerId } }] : [],
+    distinct: true,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+    order: [['name', 'ASC'], ['id', 'ASC']]
+  });
+
+  logger.info('Suppliers listed', { total: count, page, flowerId: flowerId || null });
+  res.status(200).json({ data: rows, meta: { total: count, page, pageSize } });
+});
+
+// ----------------------
+// GET /suppliers/:id – one supplier with its catalogue
+// ----------------------
+router.get('/:id', validate({ params: idParams }), async (req, res) => {
+  const supplier = await findSupplier(req.params.id);
+  const prices = await SupplierPrice.findAll({
+    where: { supplierId: supplier.id },
+    attributes: PRICE_ATTRIBUTES,
+    include: [{ model: Flower.scope('all'), attributes: ['id', 'name', 'price', 'isActive'] }],
+    order: [['flowerId', 'ASC']]
+  });
+  res.status(200).json({ ...supplier.toJSON(), prices });
+});
+
+// ----------------------
+// POST /suppliers – add a supplier
+// ----------------------
+router.post('/', validate({ body: schemas.create }), async (req, res) => {
+  const supplier = await Supplier.create(req.body);
+  logger.info('Supplier created', { id: supplier.id, name: supplier.name, by: req.user.id });
+  res.status(201).json(supplier);
+});
+
+// ----------------------
+// PUT /suppliers/:id – change contact details
+// ----------------------
+router.put('/:id', validate({ params: idParams, body: schemas.update }), async (req, res) => {
+  const supplier = await findSupplier(req.params.id);
+  await supplier.update(req.body);
+  logger.info('Supplier updated', { id: supplier.id, fields: Object.keys(req.body), by: req.user.id });
+  res.status(200).json(supplier);
+});
+
+// ----------------------
+// DELETE /suppliers/:id – deactivate (no new purchase orders)
+// ----------------------
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+  const supplier = await findSupplier(req.params.id);
+  await supplier.update({ isActive: false });
+  logger.warn('Supplier deactivated', { id: supplier.id, name: supplier.name, by: req.user.id });
+  res.status(204).send();
+});
+
+// ----------------------
+// PUT /suppliers/:id/prices/:flowerId – set the supplier's price for a stem { unitCost, sku? }
+// ----------------------
+router.put('/:id/prices/:flowerId', validate({ params: schemas.priceParams, body: schemas.price }), async (req, res) => {
+  const supplier = await findSupplier(req.params.id);
+  const { flowerId } = req.params;
+  const flower = await Flower.findByPk(flowerId, { attributes: ['id', 'type'] });
+  if (!flower) throw new NotFoundError('FLOWER_NOT_FOUND', 'Flower not found');
+  if (flower.type !== 'stem') throw new BadRequestError('NOT_A_STEM', 'Bouquets are made in-house; price their stems instead');
+
+  const [price] = await SupplierPrice.upsert(
+    { supplierId: supplier.id, flowerId, unitCost: req.body.unitCost, sku: req.body.sku || null },
+    { conflictFields: ['supplier_id', 'flower_id'] }
+  );
+  logger.info('Supplier price set', { supplierId: supplier.id, flowerId, unitCost: req.body.unitCost, by: req.user.id });
+  res.status(200).json(price);
+});
+
+// ----------------------
+// DELETE /suppliers/:id/prices/:flowerId – drop a stem from the supplier's catalogue
+// ----------------------
+router.delete('/:id/prices/:flowerId', validate({ params: schemas.priceParams }), async (req, res) => {
+  const { id, flowerId } = req.params;
+  const removed = await SupplierPrice.destroy({ where: { supplierId: id, flowerId } });
+  if (!removed) {
+    logger.warn('Supplier price not found', { supplierId: id, flowerId });
+    throw new NotFoundError('SUPPLIER_PRICE_NOT_FOUND', 'This supplier has no price for that flower');
+  }
+  logger.info('Supplier price removed', { supplierId: id, flowerId, by: req.user.id });
+  res.status(204).send();
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// File: src/schemas/auth.js
+// Request schemas for routes/auth.js
+
+const { Joi, email, password, name } = require('./common');
+
+const token = Joi.string().trim().max(512);
+
+module.exports = {
+  register: Joi.object({
+    name: name.required(),
+    email: email.required(),
+    password: password.required()
+  }),
+  login: Joi.object({
+    email: email.required(),
+    password: Joi.string().required()
+  }),
+  refresh: Joi.object({
+    refreshToken: token.required()
+  }),
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: password.required()
+  }),
+  forgotPassword: Joi.object({
+    email: email.required()
+  }),
+  resetPassword: Joi.object({
+    token: token.required(),
+    newPassword: password.required()
+  }),
+  verifyEmail: Joi.object({
+    token: token.required()
+  })
+};
@@ -0,0 +1,22 @@
+// File: src/schemas/categories.js
+// Request schemas for routes/categories.js
+
+const { Joi, id, name } = require('./common');
+
+const fields = {
+  name,
+  slug: Joi.string().trim().lowercase().max(100).pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be lower-case letters and digits separated by -' }),
+  parentId: id.allow(null),
+  sortOrder: Joi.number().integer().min(-10000).max(10000),
+  isActive: Joi.boolean()
+};
+
+module.exports = {
+  // The slug defaults to one made from the name
+  create: Joi.object({
+    ...fields,
+    name: fields.name.required()
+  }),
+  update: Joi.object(fields).min(1)
+};
@@ -0,0 +1,26 @@
+// File: src/schemas/common.js
+// Joi building blocks shared by the per-router schemas.
+
+const Joi = require('joi');
+const config = require('../config/config');
+
+const id = Joi.number().integer().positive();
+
+// :id route param
+const idParams = Joi.object({ id: id.required() });
+
+// ?page=&pageSize= (coerced from strings, bounded)
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20)
+};
+
+const dateOnly = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{{#label}} must be YYYY-MM-DD' });
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({ 'string.pattern.base': '{{#label}} must be HH:mm' });
+
+const money = Joi.number().min(0).precision(2);
+const email = Joi.string().trim().email().max(255);
+const password = Joi.string().min(config.auth.passwordMinLength).max(128);
+const name = Joi.string().trim().min(1).max(100);
+
+module.exports = { Joi, id, idParams, pagination, dateOnly, time, money, email, password, name };
@@ -0,0 +1,28 @@
+// File: src/schemas/customers.js
+// Request schemas for routes/customers.js
+
+const { Joi, pagination, email, name } = require('./common');
+const { SEGMENTS } = require('../services/customerAnalytics');
+
+const fields = {
+  name,
+  email,
+  phone: Joi.string().trim().max(30).allow('', null),
+  address: Joi.string().trim().max(255).allow('', null)
+};
+
+module.exports = {
+  // segment and lapsed as in GET /reports/customers
+  listQuery: Joi.object({
+    segment: Joi.string().valid(...SEGMENTS),
+    lapsed: Joi.boolean(),
+    ...pagination
+  }),
+  create: Joi.object({
+    ...fields,
+    name: fields.name.required(),
+    email: fields.email.required()
+  }),
+  // isActive is only changed through DELETE
+  update: Joi.object(fields).min(1)
+};
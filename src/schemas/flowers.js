@@ -0,0 +1,112 @@
+// File: src/schemas/flowers.js
+// Request schemas for routes/flowers.js
+
+const { Joi, id, pagination, money, dateOnly } = require('./common');
+const { STOCK_REASONS, FLOWER_TYPES } = require('../models');
+const { SORTS } = require('../services/catalogSearch');
+const { VARIANT_NAMES } = require('../services/images');
+
+// Bouquet bill of materials: stems per bouquet
+const components = Joi.array().items(Joi.object({
+  flowerId: id.required(),
+  quantity: Joi.number().integer().min(1).max(1000).required()
+})).min(1).max(50);
+
+const fields = {
+  name: Joi.string().trim().min(1).max(255),
+  description: Joi.string().trim().max(5000).allow('', null),
+  price: Joi.number().positive().precision(2),
+  labourCharge: money.allow(null),
+  stock: Joi.number().integer().min(0),
+  categoryIds: Joi.array().items(id).unique().max(20),
+  // low-stock alerts below reorderPoint; null turns them off
+  reorderPoint: Joi.number().integer().min(0).allow(null),
+  reorderTarget: Joi.number().integer().min(1).allow(null),
+  components
+};
+
+// ?category= takes a slug (or a category name); the category's descendants are included
+const category = Joi.string().trim().max(100);
+
+// Batch details of stock received; expiry defaults to STOCK_SHELF_LIFE_DAYS from today
+const batch = {
+  unitCost: money,
+  expiresAt: dateOnly
+};
+
+module.exports = {
+  listQuery: Joi.object({
+    q: Joi.string().trim().max(100).allow(''),
+    category,
+    type: Joi.string().valid(...FLOWER_TYPES),
+    minPrice: money,
+    maxPrice: money.when('minPrice', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPrice')) }),
+    inStock: Joi.boolean(),
+    sort: Joi.string().valid(...Object.keys(SORTS)),
+    ...pagination
+  }),
+  // Bouquets need components and have no stock of their own; stems are the other way round
+  create: Joi.object({
+    ...fields,
+    type: Joi.string().valid(...FLOWER_TYPES).default('stem'),
+    name: fields.name.required(),
+    price: fields.price.required(),
+    stock: fields.stock.when('type', { is: 'bouquet', then: Joi.forbidden(), otherwise: Joi.number().default(0) }),
+    labourCharge: fields.labourCharge.when('type', { is: 'bouquet', otherwise: Joi.forbidden() }),
+    components: components.when('type', { is: 'bouquet', then: Joi.required(), otherwise: Joi.forbidden() }),
+    reorderPoint: fields.reorderPoint.when('type', { is: 'bouquet', then: Joi.forbidden() }),
+    reorderTarget: fields.reorderTarget.when('type', { is: 'bouquet', then: Joi.forbidden() }),
+    unitCost: batch.unitCost.when('type', { is: 'bouquet', then: Joi.forbidden() }),
+    expiresAt: batch.expiresAt.when('type', { is: 'bouquet', then: Joi.forbidden() })
+  }),
+  // At least one field; id / type / isActive are not editable here
+  update: Joi.object(fields).min(1),
+  // restock adds, waste removes; adjustment can go either way. Stock coming in is a new batch.
+  restock: Joi.object({
+    delta: Joi.number().integer().invalid(0).required()
+      .when('reason', { is: 'restock', then: Joi.number().positive() })
+      .when('reason', { is: 'waste', then: Joi.number().negative() }),
+    reason: Joi.string().valid('restock', 'adjustment', 'waste'),
+    note: Joi.string().trim().max(255).allow('', null),
+    unitCost: batch.unitCost.when('delta', { is: Joi.number().positive(), otherwise: Joi.forbidden() }),
+    expiresAt: batch.expiresAt.when('delta', { is: Joi.number().positive(), otherwise: Joi.forbidden() })
+  }),
+  expiringQuery: Joi.object({
+    days: Joi.number().integer().min(0).max(60),
+    category
+  }),
+  lowStockQuery: Joi.object({
+    category
+  }),
+  stockAlertsQuery: Joi.object({
+    status: Joi.string().valid('open', 'resolved'),
+    flowerId: id,
+    ...pagination
+  }),
+  batchParams: Joi.object({
+    id: id.required(),
+    batchId: id.required()
+  }),
+  // Write off a batch, all of what is left unless `quantity` says otherwise
+  batchWaste: Joi.object({
+    quantity: Joi.number().integer().min(1),
+    note: Joi.string().trim().max(255).allow('', null)
+  }),
+  imageParams: Joi.object({
+    id: id.required(),
+    imageId: id.required()
+  }),
+  imageFileParams: Joi.object({
+    id: id.required(),
+    imageId: id.required(),
+    variant: Joi.string().valid(...VARIANT_NAMES).required()
+  }),
+  // Every image of the flower, in the new order
+  imageOrder: Joi.object({
+    imageIds: Joi.array().items(id).unique().min(1).required()
+  }),
+  stockHistoryQuery: Joi.object({
+    reason: Joi.string().valid(...STOCK_REASONS),
+    ...pagination
+  })
+};
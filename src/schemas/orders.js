@@ -0,0 +1,68 @@
+// File: src/schemas/orders.js
+// Request schemas for routes/orders.js (item + fulfilment fields are reused by schemas/shop.js)
+
+const { Joi, id, pagination, dateOnly } = require('./common');
+const { STATUSES } = require('../services/orderLifecycle');
+const { FULFILMENT_TYPES } = require('../services/fulfilment');
+
+const orderItems = Joi.array().items(Joi.object({
+  flowerId: id.required(),
+  quantity: Joi.number().integer().min(1).max(1000).required()
+})).min(1).max(100);
+
+// Business rules (address for delivery, future dates ...) live in services/fulfilment.js
+const fulfilmentFields = {
+  fulfilment: Joi.string().valid(...FULFILMENT_TYPES),
+  slotId: id,
+  deliveryAddress: Joi.string().trim().max(255).allow('', null),
+  deliveryDate: dateOnly,
+  pickupTime: Joi.date().iso(),
+  contactPhone: Joi.string().trim().max(30).allow('', null),
+  giftMessage: Joi.string().trim().max(500).allow('', null)
+};
+
+const notes = Joi.string().trim().max(2000).allow('', null);
+
+// Codes are matched case-insensitively; combining them needs every code to be stackable
+const promoCodes = Joi.array().items(Joi.string().trim().min(1).max(40)).max(5).unique((a, b) => a.toUpperCase() === b.toUpperCase());
+
+module.exports = {
+  orderItems,
+  fulfilmentFields,
+  notes,
+  promoCodes,
+  listQuery: Joi.object({
+    status: Joi.string().valid(...STATUSES),
+    fulfilment: Joi.string().valid(...FULFILMENT_TYPES),
+    deliveryFrom: dateOnly,
+    deliveryTo: dateOnly,
+    sort: Joi.string().valid('newest', 'oldest', 'deliveryDate').default('newest'),
+    ...pagination
+  }),
+  create: Joi.object({
+    customerId: id.required(),
+    items: orderItems.required(),
+    notes,
+    promoCodes,
+    ...fulfilmentFields
+  }),
+  updateStatus: Joi.object({
+    status: Joi.string().valid(...STATUSES).required(),
+    note: Joi.string().trim().max(255).allow('', null),
+    // How the money was taken when staff mark an order paid (recorded as a manual payment)
+    paymentMethod: Joi.string().valid('cash', 'card', 'bank_transfer', 'other').when('status', {
+      is: 'paid',
+      then: Joi.optional().default('cash'),
+      otherwise: Joi.forbidden()
+    })
+  }),
+  refund: Joi.object({
+    reason: Joi.string().trim().min(1).max(255).required(),
+    restock: Joi.boolean().default(false),
+    // Returned quantities per line; leave out to refund everything still refundable (delivery fee included)
+    items: Joi.array().items(Joi.object({
+      flowerId: id.required(),
+      quantity: Joi.number().integer().min(1).max(1000).required()
+    })).min(1).max(100).unique('flowerId')
+  })
+};
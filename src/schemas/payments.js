@@ -0,0 +1,14 @@
+// File: src/schemas/payments.js
+// Request schemas for routes/payments.js
+
+const { Joi, id, pagination } = require('./common');
+const { PAYMENT_STATUSES } = require('../models');
+
+module.exports = {
+  listQuery: Joi.object({
+    orderId: id,
+    status: Joi.string().valid(...PAYMENT_STATUSES),
+    provider: Joi.string().trim().max(30),
+    ...pagination
+  })
+};
@@ -0,0 +1,43 @@
+// File: src/schemas/promotions.js
+// Request schemas for routes/promotions.js
+
+const { Joi, id, pagination, money } = require('./common');
+const { slugify } = require('../services/categories');
+
+const limit = Joi.number().integer().min(1).allow(null);
+
+const fields = {
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,40}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be 3-40 letters, digits, - or _' }),
+  description: Joi.string().trim().max(255).allow('', null),
+  type: Joi.string().valid('percentage', 'fixed'),
+  value: Joi.number().positive().precision(2)
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+  maxDiscount: money.allow(null),
+  minSpend: money.allow(null),
+  // category slugs (names are turned into slugs); subcategories are included
+  categories: Joi.array().items(Joi.string().trim().min(1).max(100).custom((v) => slugify(v))).unique().allow(null),
+  flowerIds: Joi.array().items(id).unique().allow(null),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null)
+    .when('startsAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({ 'date.greater': '{{#label}} must be after startsAt' }),
+  usageLimit: limit,
+  perCustomerLimit: limit,
+  stackable: Joi.boolean()
+};
+
+module.exports = {
+  listQuery: Joi.object({
+    ...pagination,
+    active: Joi.boolean()
+  }),
+  create: Joi.object({
+    ...fields,
+    code: fields.code.required(),
+    type: fields.type.required(),
+    value: fields.value.required()
+  }),
+  // The code itself is fixed once created (it is copied onto orders); isActive is only changed through DELETE
+  update: Joi.object({ ...fields, code: Joi.forbidden() }).min(1)
+};
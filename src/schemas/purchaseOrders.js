@@ -0,0 +1,45 @@
+// File: src/schemas/purchaseOrders.js
+// Request schemas for routes/purchaseOrders.js
+
+const { Joi, id, pagination, money, dateOnly } = require('./common');
+const { PURCHASE_ORDER_STATUSES } = require('../models');
+
+// One line per flower; unitCost defaults to the supplier's catalogue price
+const items = Joi.array().items(Joi.object({
+  flowerId: id.required(),
+  quantity: Joi.number().integer().min(1).max(100000).required(),
+  unitCost: money
+})).min(1).max(100).unique('flowerId');
+
+const fields = {
+  expectedAt: dateOnly.allow(null),
+  notes: Joi.string().trim().max(5000).allow('', null)
+};
+
+module.exports = {
+  listQuery: Joi.object({
+    status: Joi.string().valid(...PURCHASE_ORDER_STATUSES),
+    supplierId: id,
+    ...pagination
+  }),
+  create: Joi.object({
+    supplierId: id.required(),
+    items: items.required(),
+    ...fields
+  }),
+  // Drafts only; new items replace all lines
+  update: Joi.object({ items, ...fields }).min(1),
+  // received / partially_received come from POST /purchase-orders/:id/receipts
+  updateStatus: Joi.object({
+    status: Joi.string().valid('sent', 'cancelled').required()
+  }),
+  // Without items everything still outstanding is received
+  receive: Joi.object({
+    items: Joi.array().items(Joi.object({
+      flowerId: id.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      expiresAt: dateOnly
+    })).min(1).max(100).unique('flowerId'),
+    note: Joi.string().trim().max(255).allow('', null)
+  })
+};
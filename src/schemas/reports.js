@@ -0,0 +1,45 @@
+// File: src/schemas/reports.js
+// Request schemas for routes/reports.js
+
+const { Joi, id, pagination } = require('./common');
+const { STATUSES } = require('../services/orderLifecycle');
+const { INTERVALS, GROUP_BY } = require('../services/salesAnalytics');
+const { SEGMENTS, SORTS } = require('../services/customerAnalytics');
+
+// Every report: JSON, or CSV with ?format=csv (or Accept: text/csv)
+const format = Joi.string().valid('json', 'csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?to= is the end of the range, which runs up to it but not including it. A date alone
+// (YYYY-MM-DD) covers that whole day, so it becomes the next midnight
+const to = Joi.date().iso().min(Joi.ref('from'))
+  .custom((value, helpers) => (/^\d{4}-\d{2}-\d{2}$/.test(helpers.original) ? new Date(value.getTime() + DAY_MS) : value));
+
+module.exports = {
+  salesQuery: Joi.object({
+    from: Joi.date().iso(),
+    to,
+    // ?status=paid&status=shipped; paid, shipped and delivered when left out
+    status: Joi.array().items(Joi.string().valid(...STATUSES)).single().unique(),
+    interval: Joi.string().valid(...INTERVALS).default('day'),
+    groupBy: Joi.string().valid(...GROUP_BY),
+    format
+  }),
+  purchasingQuery: Joi.object({
+    from: Joi.date().iso(),
+    to,
+    format
+  }),
+  customersQuery: Joi.object({
+    segment: Joi.string().valid(...SEGMENTS),
+    lapsed: Joi.boolean(),
+    sort: Joi.string().valid(...Object.keys(SORTS)).default('spend'),
+    ...pagination,
+    format
+  }),
+  reconciliationQuery: Joi.object({
+    flowerId: id,
+    format
+  })
+};
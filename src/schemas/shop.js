@@ -0,0 +1,48 @@
+// File: src/schemas/shop.js
+// Request schemas for routes/shop.js
+
+const { Joi, id, dateOnly } = require('./common');
+const { orderItems, fulfilmentFields, notes, promoCodes } = require('./orders');
+const { FULFILMENT_TYPES } = require('../services/fulfilment');
+
+// Everything a shop order needs besides its items (cart checkout sends only these)
+const checkout = Joi.object({
+  notes,
+  promoCodes,
+  ...fulfilmentFields,
+  fulfilment: fulfilmentFields.fulfilment.required(),
+  slotId: fulfilmentFields.slotId.required(),
+  contactPhone: Joi.string().trim().min(1).max(30).required(),
+  deliveryAddress: fulfilmentFields.deliveryAddress.when('fulfilment', {
+    is: 'delivery',
+    then: Joi.string().trim().min(1).required()
+  })
+});
+
+const quantity = Joi.number().integer().min(1).max(1000);
+
+module.exports = {
+  slotsQuery: Joi.object({
+    type: Joi.string().valid(...FULFILMENT_TYPES),
+    from: dateOnly,
+    to: dateOnly
+  }),
+  createOrder: checkout.keys({
+    items: orderItems.required()
+  }),
+  checkout,
+  cartItem: Joi.object({
+    flowerId: id.required(),
+    quantity: quantity.required()
+  }),
+  cartItemParams: Joi.object({
+    flowerId: id.required()
+  }),
+  cartItemUpdate: Joi.object({
+    quantity: quantity.required()
+  }),
+  // Methods the payment gateway takes online
+  pay: Joi.object({
+    method: Joi.string().valid('card', 'wallet').default('card')
+  })
+};
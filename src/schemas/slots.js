@@ -0,0 +1,58 @@
+// File: src/schemas/slots.js
+// Request schemas for routes/slots.js
+
+const { Joi, dateOnly, time } = require('./common');
+const { FULFILMENT_TYPES } = require('../services/fulfilment');
+
+const type = Joi.string().valid(...FULFILMENT_TYPES);
+const capacity = Joi.number().integer().min(0).max(10000);
+const cutoffTime = time.allow(null);
+
+// one daily window
+const window = {
+  startTime: time.required(),
+  endTime: time.required(),
+  capacity: capacity.required()
+};
+
+// 'HH:mm' strings compare correctly as text; the error is reported on endTime
+const endAfterStart = (schema) => schema
+  .custom((value, helpers) => (
+    value.startTime && value.endTime && value.endTime <= value.startTime
+      ? helpers.error('slot.window', {}, { ...helpers.state, path: [...helpers.state.path, 'endTime'] })
+      : value
+  ))
+  .messages({ 'slot.window': 'endTime must be after startTime' });
+
+module.exports = {
+  listQuery: Joi.object({
+    type,
+    from: dateOnly,
+    to: dateOnly
+  }),
+  create: endAfterStart(Joi.object({
+    type: type.required(),
+    date: dateOnly.required(),
+    ...window,
+    cutoffTime: cutoffTime.default(null)
+  })),
+  generate: Joi.object({
+    type: type.required(),
+    from: dateOnly.required(),
+    to: dateOnly.required(),
+    weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+    cutoffTime: cutoffTime.default(null),
+    times: Joi.array().items(endAfterStart(Joi.object(window))).min(1).max(48).required()
+  }),
+  update: endAfterStart(Joi.object({
+    startTime: time,
+    endTime: time,
+    capacity,
+    cutoffTime,
+    isActive: Joi.boolean()
+  }).min(1)),
+  blackout: Joi.object({
+    date: dateOnly.required(),
+    reason: Joi.string().trim().max(255).allow('', null)
+  })
+};
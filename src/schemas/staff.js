@@ -0,0 +1,16 @@
+// File: src/schemas/staff.js
+// Request schemas for routes/staff.js
+
+const { Joi, email, password, name } = require('./common');
+
+const role = Joi.string().valid('staff', 'admin');
+
+module.exports = {
+  create: Joi.object({
+    email: email.required(),
+    name: name.required(),
+    password: password.required(),
+    role: role.default('staff')
+  }),
+  update: Joi.object({ name, email, role }).min(1)
+};
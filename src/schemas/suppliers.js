@@ -0,0 +1,35 @@
+// File: src/schemas/suppliers.js
+// Request schemas for routes/suppliers.js
+
+const { Joi, id, pagination, money, email, name } = require('./common');
+
+const fields = {
+  name,
+  contactName: Joi.string().trim().max(100).allow('', null),
+  email: email.allow('', null),
+  phone: Joi.string().trim().max(30).allow('', null),
+  notes: Joi.string().trim().max(5000).allow('', null)
+};
+
+module.exports = {
+  listQuery: Joi.object({
+    q: Joi.string().trim().max(100).allow(''),
+    active: Joi.boolean(),
+    flowerId: id, // suppliers with a catalogue price for this flower
+    ...pagination
+  }),
+  create: Joi.object({
+    ...fields,
+    name: fields.name.required()
+  }),
+  // isActive is only changed through DELETE
+  update: Joi.object(fields).min(1),
+  priceParams: Joi.object({
+    id: id.required(),
+    flowerId: id.required()
+  }),
+  price: Joi.object({
+    unitCost: money.required(),
+    sku: Joi.string().trim().max(100).allow('', null)
+  })
+};
@@ -5,6 +5,12 @@
 
 const db = require('../src/models');
 const bcrypt = require('bcrypt');
+const { runMigrations } = require('./migrations');
+const { moveStock } = require('./services/inventory');
+const { setComponents } = require('./services/bouquets');
+const { setCategories } = require('./services/categories');
+const { createOrder } = require('./services/orderPlacement');
+const { runTransaction } = require('./services/transactions');
 
 async function hash(pw) {
 
@@ -21,6 +27,7 @@ async function createUser({ name, email, role, password }) {
       email,
       role,
       isActive: true,
+      emailVerifiedAt: new Date(),
       passwordHash: await hash(password),
     },
   });
@@ -36,56 +43,91 @@ async function upsertCustomer({ name, email, phone, address }) {
   return c;
 }
 
-async function ensureFlowers() {
-  const data = [
-    { name: 'Rose Red', description: 'Classic red roses', price: 9.9, stock: 80, category: 'Roses' },
-    { name: 'Sunflower', description: 'Bright and bold', price: 7.5, stock: 60, category: 'Seasonal' },
-    { name: 'Tulip Pink', description: 'Soft pink tulips', price: 6.0, stock: 70, category: 'Tulips' },
-    { name: 'Baby’s Breath', description: 'Filler magic', price: 3.0, stock: 120, category: 'Filler' },
-    { name: 'Lily White', description: 'Elegant lilies', price: 8.5, stock: 50, category: 'Lilies' },
-    { name: 'Orchid Purple', description: 'Premium orchid stem', price: 12.0, stock: 30, category: 'Orchids' },
-  ];
+// Category tree: [name, slug, children]
+const CATEGORIES = [
+  ['Flowers', 'flowers', [
+    ['Roses', 'roses'], ['Tulips', 'tulips'], ['Lilies', 'lilies'], ['Orchids', 'orchids'], ['Seasonal', 'seasonal'], ['Filler', 'filler'],
+  ]],
+  ['Bouquets', 'bouquets'],
+  ['Occasions', 'occasions', [
+    ['Wedding', 'wedding', [['Bridal', 'bridal']]],
+    ['Anniversary', 'anniversary'],
+  ]],
+];
+
+async function ensureCategories(tree = CATEGORIES, parentId = null) {
+  const bySlug = {};
+  for (const [sortOrder, [name, slug, children = []]] of tree.entries()) {
+    const [row] = await db.Category.findOrCreate({ where: { slug }, defaults: { name, parentId, sortOrder } });
+    bySlug[slug] = row;
+    Object.assign(bySlug, await ensureCategories(children, row.id));
+  }
+  return bySlug;
+}
 
+// Opening range: catalogue price, opening stock and what it cost (best sellers get a reorder point)
+const FLOWERS = [
+  { name: 'Rose Red', description: 'Classic red roses', price: 9.9, stock: 80, unitCost: 4.2, categories: ['roses', 'bridal'], reorderPoint: 20, reorderTarget: 80 },
+  { name: 'Sunflower', description: 'Bright and bold', price: 7.5, stock: 60, unitCost: 3.1, categories: ['seasonal'] },
+  { name: 'Tulip Pink', description: 'Soft pink tulips', price: 6.0, stock: 70, unitCost: 2.4, categories: ['tulips', 'anniversary'] },
+  { name: 'Baby’s Breath', description: 'Filler magic', price: 3.0, stock: 120, unitCost: 0.9, categories: ['filler', 'wedding'] },
+  { name: 'Lily White', description: 'Elegant lilies', price: 8.5, stock: 50, unitCost: 3.6, categories: ['lilies', 'wedding'] },
+  { name: 'Orchid Purple', description: 'Premium orchid stem', price: 12.0, stock: 30, unitCost: 5.5, categories: ['orchids'], reorderPoint: 8, reorderTarget: 30 },
+];
+
+async function ensureFlowers(categories) {
   const created = [];
-  for (const f of data) {
-    const [row] = await db.Flower.scope('all').findOrCreate({
+  for (const { stock, unitCost, categories: slugs, ...f } of FLOWERS) {
+    const [row, isNew] = await db.Flower.scope('all').findOrCreate({
       where: { name: f.name },
-      defaults: f,
+      defaults: { ...f, stock: 0 },
     });
+    // Opening stock is recorded in the ledger like a delivery
+    if (isNew) {
+      await setCategories(row, slugs.map((s) => categories[s].id));
+      await moveStock(row.id, stock, { reason: 'restock', note: 'Seed stock', batch: { unitCost } });
+      await row.reload();
+    }
     if (!row.isActive) await row.update({ isActive: true });
     created.push(row);
   }
   return created;
 }
 
-async function createOrder({ customerId, items, notes }) {
-  const t = await db.sequelize.transaction();
-  try {
-    const order = await db.Order.create(
-      { customerId, status: 'paid', total: 0, notes },
-      { transaction: t }
-    );
-
-    let total = 0;
-    for (const { flowerId, quantity } of items) {
-      const flower = await db.Flower.findByPk(flowerId, { transaction: t });
-      if (!flower || !flower.isActive) throw new Error(`Flower ${flowerId} unavailable`);
-      if (flower.stock < quantity) throw new Error(`Insufficient stock for ${flower.name}`);
-
-      const price = Number(flower.price);
-      total += price * quantity;
-
-      await db.OrderItem.create({ orderId: order.id, flowerId, quantity, price }, { transaction: t });
-      await flower.update({ stock: flower.stock - quantity }, { transaction: t });
-    }
+// One wholesaler with catalogue prices for every stem, at the seed stock's unit cost
+async function ensureSupplier(stems) {
+  const [supplier] = await db.Supplier.findOrCreate({
+    where: { name: 'Melbourne Flower Market' },
+    defaults: { contactName: 'Sam', email: 'orders@flowermarket.com.au', phone: '03 9000 0000' },
+  });
+  for (const stem of stems) {
+    await db.SupplierPrice.findOrCreate({
+      where: { supplierId: supplier.id, flowerId: stem.id },
+      defaults: { unitCost: FLOWERS.find((f) => f.name === stem.name).unitCost },
+    });
+  }
+  return supplier;
+}
 
-    await order.update({ total }, { transaction: t });
-    await t.commit();
-    return order;
-  } catch (e) {
-    await t.rollback();
-    throw e;
+// A bouquet has no stock of its own; it is made from the stems above
+async function ensureBouquet(stems, categories) {
+  const [row, isNew] = await db.Flower.scope('all').findOrCreate({
+    where: { name: 'Classic Dozen' },
+    defaults: { description: 'Twelve red roses with baby’s breath', type: 'bouquet', price: 99.0, labourCharge: 10.0, stock: 0 },
+  });
+  if (isNew) {
+    await setComponents(row, [
+      { flowerId: stems['Rose Red'].id, quantity: 12 },
+      { flowerId: stems['Baby’s Breath'].id, quantity: 3 },
+    ]);
+    await setCategories(row, [categories.bouquets.id, categories.anniversary.id]);
   }
+  return row;
+}
+
+// Seed orders go through the same path as real ones, already paid
+async function seedOrder({ customer, items, notes }) {
+  return runTransaction((transaction) => createOrder({ customer, items, notes, status: 'paid' }, transaction));
 }
 
 (async () => {
@@ -96,6 +138,7 @@ async function createOrder({ customerId, items, notes }) {
 
     // Do NOT drop data; just ensure tables exist
     await db.sequelize.sync({ alter: false });
+    await runMigrations();
 
     const admin = await createUser({
       name: 'Admin',
@@ -125,12 +168,15 @@ async function createOrder({ customerId, items, notes }) {
       address: '123 Collins St, Melbourne',
     });
 
-    const flowers = await ensureFlowers();
+    const categories = await ensureCategories();
+    const flowers = await ensureFlowers(categories);
 
     // Demo orders
     const f = Object.fromEntries(flowers.map(x => [x.name, x]));
-    await createOrder({
-      customerId: customer.id,
+    const bouquet = await ensureBouquet(f, categories);
+    const supplier = await ensureSupplier(flowers);
+    await seedOrder({
+      customer,
       items: [
         { flowerId: f['Rose Red'].id, quantity: 3 },
         { flowerId: f['Baby’s Breath'].id, quantity: 2 },
@@ -138,8 +184,8 @@ async function createOrder({ customerId, items, notes }) {
       notes: 'Seed order: birthday bouquet',
     });
 
-    await createOrder({
-      customerId: customer.id,
+    await seedOrder({
+      customer,
       items: [
         { flowerId: f['Sunflower'].id, quantity: 4 },
         { flowerId: f['Tulip Pink'].id, quantity: 5 },
@@ -151,7 +197,10 @@ async function createOrder({ customerId, items, notes }) {
       admin: admin.email,
       staff: staff.email,
       customer: customer.email,
+      categories: Object.keys(categories).length,
       flowers: flowers.length,
+      bouquets: [bouquet.name],
+      supplier: supplier.name,
       demoOrders: 2,
     });
     process.exit(0);
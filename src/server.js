@@ -11,6 +11,11 @@ const bcrypt = require('bcrypt');
 const config = require('./config/config');
 const db = require('./models');                 
 const logger = require('./logger');
+const { runMigrations } = require('./migrations');
+const { startPaymentExpiry } = require('./services/payments');
+const requestId = require('./middleware/requestId');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { AppError } = require('./errors');
 
 // ---- Routes (v3 plan) ----
 const authRoutes = require('./routes/auth');
@@ -20,14 +25,26 @@ const shopRoutes = require('./routes/shop');
 const orderRoutes = require('./routes/orders');
 const staffRoutes = require('./routes/staff');        // admin-only
 const reportRoutes = require('./routes/reports');     // admin-only
+const slotRoutes = require('./routes/slots');         // admin-only
+const promotionRoutes = require('./routes/promotions'); // admin-only
+const paymentRoutes = require('./routes/payments');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const categoryRoutes = require('./routes/categories');
 const healthRoutes = require('./routes/health');
 
 const app = express();
 
 // ---- Core middleware ----
+app.use(requestId);
 app.use(helmet());
 app.use(cors()); // tighten origins in prod
-app.use(express.json());
+// Gateway webhooks are signed over the exact bytes sent, so keep them for that route
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhook')) req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ---- Rate limiting (basic) ----
@@ -37,6 +54,7 @@ app.use(
     max: Number(process.env.RATE_LIMIT_MAX) || 200,
     standardHeaders: true,
     legacyHeaders: false,
+    handler: (req, res, next) => next(new AppError(429, 'RATE_LIMITED', 'Too many requests, please try again later')),
   })
 );
 
@@ -52,6 +70,7 @@ const morganJson = morgan(
       remote_address: tokens['remote-addr'](req, res),
       remote_user: tokens['remote-user'](req, res),
       date: tokens.date(req, res),
+      request_id: req.id,
       http_version: tokens['http-version'](req, res),
       user_agent: tokens['user-agent'](req, res),
       referrer: tokens.referrer(req, res),
@@ -69,7 +88,7 @@ const morganJson = morgan(
     },
   }
 );
-if (process.env.NODE_ENV !== 'production') {
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   app.use(morgan('dev'));
 }
 app.use(morganJson);
@@ -78,25 +97,23 @@ app.use(morganJson);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/shop', shopRoutes);
 app.use('/api/v1/flowers', flowerRoutes);
+app.use('/api/v1/categories', categoryRoutes);
 app.use('/api/v1/customers', customerRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/staff', staffRoutes);
 app.use('/api/v1/reports', reportRoutes);
+app.use('/api/v1/slots', slotRoutes);
+app.use('/api/v1/promotions', promotionRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/suppliers', supplierRoutes);
+app.use('/api/v1/purchase-orders', purchaseOrderRoutes);
 app.use('/api/v1/health', healthRoutes);
 
 // ---- 404 handler ----
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+app.use(notFound);
 
-// ---- Central error handler ----
-app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
-  const status = err.status || 500;
-  const payload = { error: err.message || 'Internal Server Error' };
-  if (process.env.NODE_ENV !== 'production' && err.stack) payload.stack = err.stack;
-  logger.error('Unhandled error', { status, message: err.message, stack: err.stack });
-  res.status(status).json(payload);
-});
+// ---- Central error handler (problem+json, see middleware/errorHandler.js) ----
+app.use(errorHandler);
 
 // ---- Bootstrap admin helper ----
 async function ensureBootstrapAdmin() {
@@ -114,6 +131,7 @@ async function ensureBootstrapAdmin() {
       passwordHash,
       role: 'admin',
       isActive: true,
+      emailVerifiedAt: new Date(),
     });
     logger.warn(`Bootstrap admin created -> email: ${email} | password: ${password}`);
   } else {
@@ -121,33 +139,39 @@ async function ensureBootstrapAdmin() {
   }
 }
 
-// ---- Start server once DB is ready ----
-db.sequelize
-  .authenticate()
-  .then(async () => {
-    logger.info('Database connection established');
-    if (db.sequelize.getDialect() === 'sqlite') {
-      await db.sequelize.query('PRAGMA foreign_keys = ON');
-      logger.info('🔧 SQLite PRAGMA foreign_keys = ON');
+// ---- Start server once DB is ready (when run, not when required by the tests) ----
+if (require.main === module) {
+  db.sequelize
+    .authenticate()
+    .then(async () => {
+      logger.info('Database connection established');
+      if (db.sequelize.getDialect() === 'sqlite') {
+        await db.sequelize.query('PRAGMA foreign_keys = ON');
+        logger.info('🔧 SQLite PRAGMA foreign_keys = ON');
+      }
+    })
+    .then(() => db.sequelize.sync())
+    .then(() => runMigrations())
+    .then(() => ensureBootstrapAdmin())
+    .then(() => {
+      const port = config.port || process.env.PORT || 4000;
+      app.listen(port, () => logger.info(`Server is running on port ${port}`));
+      startPaymentExpiry();
+    })
+    .catch((err) => {
+      logger.error('Failed to start server (DB error):', err);
+      process.exit(1);
+    });
+
+  // ---- Graceful shutdown ----
+  process.on('SIGINT', async () => {
+    try {
+      await db.sequelize.close();
+      logger.info('DB connection closed');
+    } finally {
+      process.exit(0);
     }
-  })
-  .then(() => db.sequelize.sync())
-  .then(() => ensureBootstrapAdmin())
-  .then(() => {
-    const port = config.port || process.env.PORT || 4000;
-    app.listen(port, () => logger.info(`Server is running on port ${port}`));
-  })
-  .catch((err) => {
-    logger.error('Failed to start server (DB error):', err);
-    process.exit(1);
   });
+}
 
-// ---- Graceful shutdown ----
-process.on('SIGINT', async () => {
-  try {
-    await db.sequelize.close();
-    logger.info('DB connection closed');
-  } finally {
-    process.exit(0);
-  }
-});
\ No newline at end of file
+module.exports = app;
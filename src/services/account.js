@@ -0,0 +1,96 @@
+// File: src/services/account.js
+// Password reset and email verification: single-use, expiring, hashed tokens
+// delivered through the mail service.
+
+const crypto = require('crypto');
+const db = require('../models');
+const config = require('../config/config');
+const { sendMail } = require('./mail');
+const { hashToken } = require('./sessions');
+const { BadRequestError } = require('../errors');
+
+const { UserToken, User, Op } = db;
+
+const TTL_MS = {
+  password_reset: () => config.auth.passwordResetTtlMinutes * 60 * 1000,
+  email_verify: () => config.auth.emailVerifyTtlHours * 60 * 60 * 1000
+};
+
+const badRequest = (msg) => new BadRequestError('TOKEN_INVALID', msg);
+
+/**
+ * Issue a new token of `type` for a user. Earlier unused tokens of the same type
+ * are invalidated so only the newest emailed link works.
+ * @returns {Promise<string>} the plain token (only ever sent by email)
+ */
+async function createUserToken(user, type, transaction) {
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, type, usedAt: null }, transaction }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId: user.id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[type]())
+  }, { transaction });
+  return token;
+}
+
+/**
+ * Mark a token as used and return its (active) user.
+ * Throws 400 TOKEN_INVALID when the token is unknown, expired or already used.
+ */
+async function consumeUserToken(token, type, transaction) {
+  if (!token) throw badRequest('token is required');
+
+  const stored = await UserToken.findOne({
+    where: { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    include: [{ model: User }],
+    transaction
+  });
+  if (!stored || !stored.User || !stored.User.isActive) throw badRequest('Token is invalid or has expired');
+
+  // Conditional update: two parallel requests with the same token can't both succeed
+  const [claimed] = await UserToken.update(
+    { usedAt: new Date() },
+    { where: { id: stored.id, usedAt: null }, transaction }
+  );
+  if (!claimed) throw badRequest('Token is invalid or has expired');
+
+  return stored.User;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user, 'email_verify');
+  const link = `${config.app.baseUrl}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Flower Shop email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening:\n${link}\n\n` +
+      `Or send this token to POST /api/v1/auth/verify-email: ${token}\n\n` +
+      `The link expires in ${config.auth.emailVerifyTtlHours} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(user, 'password_reset');
+  const link = `${config.app.baseUrl}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Flower Shop password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open:\n${link}\n\n` +
+      `Or send this token to POST /api/v1/auth/password/reset: ${token}\n\n` +
+      `The link expires in ${config.auth.passwordResetTtlMinutes} minutes and can be used once. ` +
+      'If you did not ask for this, ignore this email.'
+  });
+}
+
+module.exports = {
+  createUserToken,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
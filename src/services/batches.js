@@ -0,0 +1,193 @@
+// File: src/services/batches.js
+// Perishable stock: batches with a received date, expiry date and unit cost.
+//
+// moveStock() passes every movement through applyBatches(), so a flower's batches
+// always add up to its stock:
+//   in   a delivery or found stock is a new batch; a cancelled or returned order
+//        line goes back into the batches it was sold from (anything over becomes
+//        a new batch)
+//   out  sales, waste and corrections take the batch that expires first (FEFO),
+//        then the oldest; a write-off can name its batch. Expired batches are
+//        not skipped: GET /flowers/expiring lists them for staff to write off.
+// The StockMovementBatch rows of a movement say which batches it touched, and are
+// what the reports price cost of goods and waste from.
+
+const db = require('../models');
+const config = require('../config/config');
+const { ConflictError } = require('../errors');
+const { today } = require('./fulfilment');
+const { addDays } = require('./slots');
+const { categoryCondition } = require('./categories');
+const { toCents, fromCents } = require('../money');
+
+const { Flower, Order, StockBatch, StockMovement, StockMovementBatch, sequelize, Op } = db;
+
+// Public fields of a batch
+const BATCH_ATTRIBUTES = ['id', 'flowerId', 'quantity', 'remaining', 'unitCost', 'receivedAt', 'expiresAt', 'supplierId', 'purchaseOrderId', 'note'];
+
+// Order batches are used up in: soonest expiry first (unknown expiry last), then oldest
+const FEFO = [[sequelize.literal('expires_at IS NULL'), 'ASC'], ['expiresAt', 'ASC'], ['receivedAt', 'ASC'], ['id', 'ASC']];
+
+// A batch as listed: expiry state and what is left of it at cost
+function batchView(batch) {
+  const json = batch.toJSON();
+  return {
+    ...json,
+    expired: json.expiresAt !== null && json.expiresAt < today(),
+    value: json.unitCost === null ? null : fromCents(toCents(json.unitCost) * json.remaining)
+  };
+}
+
+// New batch for incoming stock; expiry defaults to the shelf life
+async function receiveBatch(movement, quantity, { unitCost = null, expiresAt = null, supplierId = null, purchaseOrderId = null } = {}, transaction) {
+  const receivedAt = today();
+  const batch = await StockBatch.create({
+    flowerId: movement.flowerId,
+    quantity,
+    remaining: quantity,
+    unitCost,
+    receivedAt,
+    expiresAt: expiresAt || addDays(receivedAt, config.stock.shelfLifeDays),
+    supplierId,
+    purchaseOrderId,
+    note: movement.note
+  }, { transaction });
+  await StockMovementBatch.create({ stockMovementId: movement.id, batchId: batch.id, quantity }, { transaction });
+}
+
+// Put an order's units back into the batches it took them from, freshest first; returns what is left over
+async function returnToBatches(movement, quantity, transaction) {
+  const taken = await StockMovementBatch.findAll({
+    attributes: ['batchId', [sequelize.fn('SUM', sequelize.col('StockMovementBatch.quantity')), 'net']],
+    include: [{ model: StockMovement, attributes: [], where: { orderId: movement.orderId, flowerId: movement.flowerId } }],
+    group: ['batchId'],
+    raw: true,
+    transaction
+  });
+  const out = new Map(taken.filter((t) => t.net < 0).map((t) => [t.batchId, -t.net]));
+  if (!out.size) return quantity;
+
+  const batches = await StockBatch.findAll({
+    where: { id: [...out.keys()] },
+    order: [['expiresAt', 'DESC'], ['id', 'DESC']],
+    transaction
+  });
+  let left = quantity;
+  for (const batch of batches) {
+    const put = Math.min(out.get(batch.id), left);
+    if (!put) break;
+    await batch.increment('remaining', { by: put, transaction });
+    await StockMovementBatch.create({ stockMovementId: movement.id, batchId: batch.id, quantity: put }, { transaction });
+    left -= put;
+  }
+  return left;
+}
+
+// Take stock out FEFO, or from one batch only. Throws 409 BATCH_INSUFFICIENT when that batch has too little.
+async function takeFromBatches(movement, quantity, batchId, transaction) {
+  const where = { flowerId: movement.flowerId, remaining: { [Op.gt]: 0 } };
+  if (batchId) where.id = batchId;
+  const batches = await StockBatch.findAll({ where, order: FEFO, transaction });
+
+  let left = quantity;
+  for (const batch of batches) {
+    const take = Math.min(batch.remaining, left);
+    if (!take) break;
+    await batch.decrement('remaining', { by: take, transaction });
+    await StockMovementBatch.create({ stockMovementId: movement.id, batchId: batch.id, quantity: -take }, { transaction });
+    left -= take;
+  }
+
+  if (left && batchId) {
+    throw new ConflictError('BATCH_INSUFFICIENT', `Batch ${batchId} has only ${quantity - left} left`, {
+      batchId, requested: quantity, remaining: quantity - left
+    });
+  }
+  if (left) throw new Error(`Batches of flower ${movement.flowerId} are out of step with its stock`);
+}
+
+/**
+ * Record a stock movement against the flower's batches, in the movement's transaction.
+ * @param {StockMovement} movement
+ * @param {object} [options]
+ * @param {{ unitCost?: number, expiresAt?: string, supplierId?: number, purchaseOrderId?: number }} [options.batch]  for stock coming in
+ * @param {number} [options.batchId]  take stock out of this batch only
+ */
+async function applyBatches(movement, { batch, batchId } = {}, transaction) {
+  const { delta, reason, orderId } = movement;
+  if (delta < 0) return takeFromBatches(movement, -delta, batchId, transaction);
+
+  let left = delta;
+  if (orderId && (reason === 'cancellation' || reason === 'return')) {
+    left = await returnToBatches(movement, left, transaction);
+  }
+  if (left > 0) await receiveBatch(movement, left, batch, transaction);
+}
+
+// A flower's batches that still have stock, in the order they will be used
+async function listBatches(flowerId) {
+  const batches = await StockBatch.findAll({
+    where: { flowerId, remaining: { [Op.gt]: 0 } },
+    attributes: BATCH_ATTRIBUTES,
+    order: FEFO
+  });
+  return batches.map(batchView);
+}
+
+// Batches with stock left that expire within `days` (expired ones included), soonest first
+async function expiringBatches({ days = config.stock.expiringDays, category } = {}) {
+  const batches = await StockBatch.findAll({
+    where: { remaining: { [Op.gt]: 0 }, expiresAt: { [Op.lte]: addDays(today(), days) } },
+    attributes: BATCH_ATTRIBUTES,
+    include: [{
+      model: Flower.scope('all'),
+      attributes: ['id', 'name', 'isActive'],
+      where: category ? await categoryCondition(category) : undefined
+    }],
+    order: FEFO
+  });
+  return batches.map(batchView);
+}
+
+/**
+ * What the stock taken by the matching movements cost, net of anything put back into
+ * the same batches. Batches without a unit cost are counted in `uncostedUnits`.
+ * @param {object} movementWhere  StockMovement filter
+ * @param {object} [orderWhere]  also require the movement's order to match this
+ * @returns {Promise<{ costCents: number, units: number, uncostedUnits: number }>}
+ */
+async function costOfMovements(movementWhere, orderWhere) {
+  const rows = await StockMovementBatch.findAll({
+    attributes: ['batchId', [sequelize.fn('SUM', sequelize.col('StockMovementBatch.quantity')), 'quantity']],
+    include: [
+      {
+        model: StockMovement,
+        attributes: [],
+        where: movementWhere,
+        include: orderWhere ? [{ model: Order, attributes: [], where: orderWhere, required: true }] : []
+      },
+      { model: StockBatch, as: 'batch', attributes: ['unitCost'] }
+    ],
+    group: ['batchId', 'batch.id'],
+    raw: true
+  });
+
+  const totals = { costCents: 0, units: 0, uncostedUnits: 0 };
+  for (const row of rows) {
+    const units = -Number(row.quantity);
+    const unitCost = row['batch.unitCost'];
+    totals.units += units;
+    if (unitCost === null) totals.uncostedUnits += units;
+    else totals.costCents += toCents(unitCost) * units;
+  }
+  return totals;
+}
+
+module.exports = {
+  BATCH_ATTRIBUTES,
+  batchView,
+  applyBatches,
+  listBatches,
+  expiringBatches,
+  costOfMovements
+};
@@ -0,0 +1,121 @@
+// File: src/services/bouquets.js
+// Bouquets: products made from component stems (bill of materials).
+//
+// A bouquet has no stock of its own. Its stock is how many could be made from the
+// components on the shelf; selling one takes each component's stems out through
+// moveStock(), in the order's transaction. Every order line keeps the components
+// it used (OrderItem.components), so cancelling or restocking a refund puts back
+// exactly those stems even if the recipe changed since.
+
+const db = require('../models');
+const { BadRequestError } = require('../errors');
+const { categoriesOf } = require('./categories');
+const { imagesOf } = require('./images');
+
+const { Flower, BouquetComponent, sequelize, Op } = db;
+
+// Public fields of a component, as listed under a bouquet
+const componentView = (c) => ({ flowerId: c.flowerId, name: c.flower?.name, quantity: c.quantity });
+
+/**
+ * Components of the given bouquets with their stem flowers (inactive ones included).
+ * @returns {Promise<Map<number, BouquetComponent[]>>} bouquetId -> components
+ */
+async function componentsOf(bouquetIds, transaction) {
+  const rows = bouquetIds.length
+    ? await BouquetComponent.findAll({
+      where: { bouquetId: bouquetIds },
+      include: [{ model: Flower.scope('all'), as: 'flower', attributes: ['id', 'name', 'stock', 'isActive'] }],
+      order: [['id', 'ASC']],
+      transaction
+    })
+    : [];
+  const byBouquet = new Map(bouquetIds.map((id) => [id, []]));
+  for (const row of rows) byBouquet.get(row.bouquetId).push(row);
+  return byBouquet;
+}
+
+// How many bouquets the components on the shelf make (holds aside)
+function buildableStock(components) {
+  if (!components.length) return 0;
+  return Math.min(...components.map((c) => (c.flower.isActive ? Math.floor(c.flower.stock / c.quantity) : 0)));
+}
+
+/**
+ * Catalog view of flowers: every flower gets its `categories` and `images`, bouquets their computed
+ * `stock` and their `components`.
+ * @param {Flower[]} flowers
+ * @returns {Promise<object[]>} plain objects, ready for res.json()
+ */
+async function catalogView(flowers, transaction) {
+  const bouquetIds = flowers.filter((f) => f.type === 'bouquet').map((f) => f.id);
+  const components = await componentsOf(bouquetIds, transaction);
+  const categories = await categoriesOf(flowers.map((f) => f.id), transaction);
+  const images = await imagesOf(flowers.map((f) => f.id), transaction);
+
+  return flowers.map((f) => {
+    const json = { ...f.toJSON(), categories: categories.get(f.id), images: images.get(f.id) };
+    if (f.type !== 'bouquet') return json;
+    const parts = components.get(f.id);
+    return { ...json, stock: buildableStock(parts), components: parts.map(componentView) };
+  });
+}
+
+/**
+ * Replace a bouquet's bill of materials. Duplicate flowers are merged.
+ * Throws 400 BOUQUET_COMPONENT_INVALID when a component is unknown or inactive, or is a bouquet.
+ */
+async function setComponents(bouquet, components, transaction) {
+  const merged = new Map(); // flowerId -> quantity
+  for (const { flowerId, quantity } of components) {
+    merged.set(flowerId, (merged.get(flowerId) || 0) + quantity);
+  }
+
+  const ids = [...merged.keys()];
+  if (ids.includes(bouquet.id)) {
+    throw new BadRequestError('BOUQUET_COMPONENT_INVALID', 'A bouquet cannot contain itself');
+  }
+  const stems = await Flower.findAll({ where: { id: ids }, attributes: ['id', 'type'], transaction });
+  for (const id of ids) {
+    const stem = stems.find((s) => s.id === id);
+    if (!stem) throw new BadRequestError('BOUQUET_COMPONENT_INVALID', `Flower ${id} not found`, { flowerId: id });
+    if (stem.type !== 'stem') {
+      throw new BadRequestError('BOUQUET_COMPONENT_INVALID', `Flower ${id} is a bouquet; components must be stems`, { flowerId: id });
+    }
+  }
+
+  await BouquetComponent.destroy({ where: { bouquetId: bouquet.id }, transaction });
+  await BouquetComponent.bulkCreate(
+    ids.map((flowerId) => ({ bouquetId: bouquet.id, flowerId, quantity: merged.get(flowerId) })),
+    { transaction }
+  );
+}
+
+/**
+ * Stems behind `quantity` units of an order line: the bouquet's recorded components,
+ * or the line's own flower.
+ * @returns {Array<{ flowerId: number, quantity: number }>}
+ */
+function stockLines(item, quantity = item.quantity) {
+  if (!item.components) return [{ flowerId: item.flowerId, quantity }];
+  return item.components.map((c) => ({ flowerId: c.flowerId, quantity: c.quantity * quantity }));
+}
+
+// Bouquets show stock computed from their stems: give the ones using `flowerId` a new version (ETag)
+async function touchBouquetsUsing(flowerId, transaction) {
+  return Flower.scope('all').update(
+    { version: sequelize.literal('version + 1') },
+    {
+      where: { id: { [Op.in]: sequelize.literal(`(SELECT bouquet_id FROM bouquet_components WHERE flower_id = ${Number(flowerId)})`) } },
+      transaction
+    }
+  );
+}
+
+module.exports = {
+  componentsOf,
+  catalogView,
+  setComponents,
+  stockLines,
+  touchBouquetsUsing
+};
@@ -0,0 +1,169 @@
+// File: src/services/cart.js
+// Persistent customer carts with temporary stock holds.
+//
+// A hold does not touch Flower.stock (the ledger only sees real sales); instead
+// every line reserves its quantity until `heldUntil`, and everybody else can only
+// buy `stock - active holds`. Changing a line renews its hold; once it lapses the
+// line stays in the cart but is re-checked against stock at checkout. A held
+// bouquet holds its component stems.
+
+const db = require('../models');
+const config = require('../config/config');
+const { ConflictError, NotFoundError } = require('../errors');
+const { toCents, fromCents, sumCents } = require('../money');
+const { unitPrice } = require('./pricing');
+const { runTransaction } = require('./transactions');
+
+const { Cart, CartItem, Flower, BouquetComponent, sequelize, Op } = db;
+
+const holdExpiry = () => new Date(Date.now() + config.cart.holdMinutes * 60 * 1000);
+
+/**
+ * Quantity of a flower held by active cart lines, optionally ignoring one user's cart.
+ * Stems also count what held bouquets need of them.
+ */
+async function heldQuantity(flowerId, { exceptUserId = null, transaction } = {}) {
+  const usedIn = await BouquetComponent.findAll({ where: { flowerId }, attributes: ['bouquetId', 'quantity'], transaction });
+  const perUnit = new Map([[flowerId, 1], ...usedIn.map((c) => [c.bouquetId, c.quantity])]);
+
+  const where = { flowerId: [...perUnit.keys()], heldUntil: { [Op.gt]: new Date() } };
+  const include = [];
+  if (exceptUserId) {
+    include.push({ model: Cart, attributes: [], where: { userId: { [Op.ne]: exceptUserId } } });
+  }
+  const held = await CartItem.findAll({
+    attributes: ['flowerId', [sequelize.fn('SUM', sequelize.col('quantity')), 'quantity']],
+    where,
+    include,
+    group: ['flowerId'],
+    raw: true,
+    transaction
+  });
+  return held.reduce((n, h) => n + Number(h.quantity) * perUnit.get(h.flowerId), 0);
+}
+
+// Stock a buyer can still take: stock minus everyone else's holds.
+// A bouquet can be made as often as its scarcest (active) component allows.
+async function availableStock(flower, { exceptUserId = null, transaction } = {}) {
+  if (flower.type !== 'bouquet') return flower.stock - await heldQuantity(flower.id, { exceptUserId, transaction });
+
+  const components = await BouquetComponent.findAll({
+    where: { bouquetId: flower.id },
+    include: [{ model: Flower.scope('all'), as: 'flower', attributes: ['id', 'type', 'stock', 'isActive'] }],
+    transaction
+  });
+  if (!components.length) return 0;
+
+  let available = Infinity;
+  for (const c of components) {
+    const stems = c.flower.isActive ? await availableStock(c.flower, { exceptUserId, transaction }) : 0;
+    available = Math.min(available, Math.floor(Math.max(stems, 0) / c.quantity));
+  }
+  return available;
+}
+
+async function findCart(userId, transaction) {
+  return Cart.findOne({
+    where: { userId },
+    include: [{ model: CartItem, as: 'items', include: [{ model: Flower.scope('all'), attributes: ['id', 'name', 'type', 'price', 'labourCharge', 'stock', 'isActive'] }] }],
+    order: [[{ model: CartItem, as: 'items' }, 'id', 'ASC']],
+    transaction
+  });
+}
+
+// Check availability for `quantity` and (re)start the hold on a line
+async function holdLine(userId, cart, flowerId, quantity, transaction) {
+  const flower = await Flower.findByPk(flowerId, { transaction });
+  if (!flower) throw new NotFoundError('FLOWER_NOT_FOUND', `Flower ${flowerId} not found`);
+
+  const available = await availableStock(flower, { exceptUserId: userId, transaction });
+  if (available < quantity) {
+    throw new ConflictError('OUT_OF_STOCK', `Only ${Math.max(available, 0)} of ${flower.name} available`, {
+      flowerId, requested: quantity, available: Math.max(available, 0)
+    });
+  }
+
+  const [line] = await CartItem.findOrBuild({ where: { cartId: cart.id, flowerId }, transaction });
+  line.set({ quantity, heldUntil: holdExpiry() });
+  return line.save({ transaction });
+}
+
+/**
+ * Add to (mode 'add') or set (mode 'set') the quantity of a line, holding the stock.
+ * Throws 409 OUT_OF_STOCK when the total can't be held. Holds compete with checkouts
+ * for the same stock, so this takes the write lock up front like they do.
+ */
+async function setLine(userId, flowerId, quantity, { mode = 'set' } = {}) {
+  return runTransaction(async (transaction) => {
+    const [cart] = await Cart.findOrCreate({ where: { userId }, transaction });
+    const existing = await CartItem.findOne({ where: { cartId: cart.id, flowerId }, transaction });
+    const total = mode === 'add' && existing ? existing.quantity + quantity : quantity;
+    return holdLine(userId, cart, flowerId, total, transaction);
+  }, { label: 'cart line' });
+}
+
+async function removeLine(userId, flowerId) {
+  const cart = await Cart.findOne({ where: { userId } });
+  const removed = cart ? await CartItem.destroy({ where: { cartId: cart.id, flowerId } }) : 0;
+  if (!removed) throw new NotFoundError('CART_ITEM_NOT_FOUND', `Flower ${flowerId} is not in the cart`);
+}
+
+// Empty the cart (releases every hold)
+async function clearCart(userId, transaction) {
+  const cart = await Cart.findOne({ where: { userId }, transaction });
+  if (cart) await CartItem.destroy({ where: { cartId: cart.id }, transaction });
+}
+
+/**
+ * Re-hold every line before checkout; lapsed lines are checked against stock again.
+ * Returns the order items ([{ flowerId, quantity }]), empty when the cart is.
+ */
+async function renewHolds(userId, transaction) {
+  const cart = await Cart.findOne({ where: { userId }, include: [{ model: CartItem, as: 'items' }], transaction });
+  if (!cart) return [];
+  for (const line of cart.items) {
+    await holdLine(userId, cart, line.flowerId, line.quantity, transaction);
+  }
+  return cart.items.map(({ flowerId, quantity }) => ({ flowerId, quantity }));
+}
+
+/**
+ * Cart as returned to the customer, priced at today's prices.
+ */
+async function cartView(userId) {
+  const cart = await findCart(userId);
+  const now = new Date();
+
+  const items = (cart?.items || []).map((line) => {
+    const price = unitPrice(line.Flower);
+    return {
+      flowerId: line.flowerId,
+      name: line.Flower.name,
+      unitPrice: price,
+      quantity: line.quantity,
+      lineTotal: fromCents(toCents(price) * line.quantity),
+      held: line.heldUntil > now,
+      heldUntil: line.heldUntil,
+      available: line.Flower.isActive
+    };
+  });
+
+  const subtotal = fromCents(sumCents(items.map((i) => toCents(i.lineTotal))));
+  return {
+    id: cart?.id || null,
+    items,
+    itemCount: items.reduce((n, i) => n + i.quantity, 0),
+    subtotal,
+    holdMinutes: config.cart.holdMinutes
+  };
+}
+
+module.exports = {
+  heldQuantity,
+  availableStock,
+  setLine,
+  removeLine,
+  clearCart,
+  renewHolds,
+  cartView
+};
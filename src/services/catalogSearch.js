@@ -0,0 +1,137 @@
+// File: src/services/catalogSearch.js
+// The public catalogue search behind GET /flowers.
+//
+// ?q= is a full-text search over name and description (the flowers_fts FTS5 index,
+// kept in sync by triggers, see migrations/014). Every word must match, as a prefix,
+// and results rank by bm25 with the name weighted above the description. The facets
+// count what the other filters leave: the category counts ignore ?category= and the
+// price buckets ignore the price range, so a client can show what picking one would give.
+// A category's count includes the flowers in its subcategories, like ?category= does.
+// Price sorts, the price range and the price buckets all go by the sell price, which is
+// what pricing.unitPrice charges: a bouquet's labour charge on top of its price.
+
+const db = require('../models');
+const { categoryCondition, countByCategory } = require('./categories');
+
+const { Flower, sequelize, Op } = db;
+
+// Relevance of a name match over a description match
+const NAME_WEIGHT = 10.0;
+const DESCRIPTION_WEIGHT = 1.0;
+
+// Price facet buckets; `max` is exclusive, null is open-ended
+const PRICE_BUCKETS = [
+  { min: 0, max: 5 },
+  { min: 5, max: 10 },
+  { min: 10, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: null }
+];
+
+// The sell price, as pricing.unitPrice works it out
+const SELL_PRICE = sequelize.literal('(`Flower`.`price` + COALESCE(`Flower`.`labour_charge`, 0))');
+
+// Units sold on orders that weren't cancelled (a bouquet line counts for the bouquet)
+const UNITS_SOLD = sequelize.literal(`(
+  SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi JOIN orders o ON o.id = oi.order_id
+  WHERE oi.flower_id = \`Flower\`.\`id\` AND o.status <> 'cancelled'
+)`);
+
+// Stems with stock, and bouquets whose every component has enough stock for one
+const IN_STOCK = sequelize.literal(`(
+  (\`Flower\`.\`type\` = 'stem' AND \`Flower\`.\`stock\` > 0)
+  OR (\`Flower\`.\`type\` = 'bouquet'
+    AND EXISTS (SELECT 1 FROM bouquet_components bc WHERE bc.bouquet_id = \`Flower\`.\`id\`)
+    AND NOT EXISTS (
+      SELECT 1 FROM bouquet_components bc JOIN flowers s ON s.id = bc.flower_id
+      WHERE bc.bouquet_id = \`Flower\`.\`id\` AND (s.stock < bc.quantity OR s.is_active = 0)
+    ))
+)`);
+
+// FTS5 query for free text: each word quoted (so operators and punctuation are literal) and prefix-matched
+function matchExpression(q) {
+  const words = (q || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length ? words.map((w) => `"${w}"*`).join(' ') : null;
+}
+
+const ftsMatch = (match) => `flowers_fts MATCH ${sequelize.escape(match)}`;
+
+// Allowed ?sort= values; relevance needs a search
+const SORTS = {
+  relevance: (match) => [
+    [sequelize.literal(`(SELECT bm25(flowers_fts, ${NAME_WEIGHT}, ${DESCRIPTION_WEIGHT}) FROM flowers_fts WHERE ${ftsMatch(match)} AND rowid = \`Flower\`.\`id\`)`), 'ASC'],
+    ['id', 'DESC']
+  ],
+  newest: () => [['createdAt', 'DESC'], ['id', 'DESC']],
+  price_asc: () => [[SELL_PRICE, 'ASC'], ['id', 'ASC']],
+  price_desc: () => [[SELL_PRICE, 'DESC'], ['id', 'DESC']],
+  name: () => [['name', 'ASC'], ['id', 'ASC']],
+  best_selling: () => [[UNITS_SOLD, 'DESC'], ['id', 'DESC']]
+};
+
+// The search split into parts, so each facet can leave its own filter out
+async function filters({ q, category, type, minPrice, maxPrice, inStock }) {
+  const match = matchExpression(q);
+  const base = { isActive: true, [Op.and]: [] };
+  if (type) base.type = type;
+  if (match) base.id = { [Op.in]: sequelize.literal(`(SELECT rowid FROM flowers_fts WHERE ${ftsMatch(match)})`) };
+  if (inStock) base[Op.and].push(IN_STOCK);
+
+  const byCategory = category ? [await categoryCondition(category)] : [];
+  const byPrice = [];
+  if (minPrice !== undefined) byPrice.push(sequelize.where(SELL_PRICE, Op.gte, minPrice));
+  if (maxPrice !== undefined) byPrice.push(sequelize.where(SELL_PRICE, Op.lte, maxPrice));
+  return { match, base, byCategory, byPrice };
+}
+
+// base with the other filters' conditions added to its own
+const combine = (base, ...conditions) => ({ ...base, [Op.and]: [...base[Op.and], ...conditions.flat()] });
+
+async function categoryFacet(where) {
+  const flowers = await Flower.findAll({ where, attributes: ['id'], raw: true });
+  return countByCategory(flowers.map((f) => f.id));
+}
+
+async function priceFacet(where) {
+  const bucketOf = sequelize.literal(`CASE ${PRICE_BUCKETS
+    .map((b, i) => (b.max === null ? `ELSE ${i}` : `WHEN ${SELL_PRICE.val} < ${b.max} THEN ${i}`))
+    .join(' ')} END`);
+  const rows = await Flower.findAll({
+    where,
+    attributes: [[bucketOf, 'bucket'], [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['bucket'],
+    raw: true
+  });
+  return PRICE_BUCKETS.map((b, i) => ({ ...b, count: Number(rows.find((r) => Number(r.bucket) === i)?.count || 0) }));
+}
+
+/**
+ * Search the active catalogue.
+ * @param {object} query  q, category, type, minPrice, maxPrice, inStock, sort, page, pageSize
+ * @returns {Promise<{ count: number, rows: Flower[], facets: { categories: object[], prices: object[] }, sort: string }>}
+ */
+async function searchCatalog({ sort, page, pageSize, ...query }, { attributes } = {}) {
+  const { match, base, byCategory, byPrice } = await filters(query);
+  // relevance by default when searching, newest otherwise (and for ?sort=relevance without ?q=)
+  const sortBy = sort && (sort !== 'relevance' || match) ? sort : (match ? 'relevance' : 'newest');
+
+  const { count, rows } = await Flower.findAndCountAll({
+    where: combine(base, byCategory, byPrice),
+    attributes,
+    order: SORTS[sortBy](match),
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+
+  const facets = {
+    categories: await categoryFacet(combine(base, byPrice)),
+    prices: await priceFacet(combine(base, byCategory))
+  };
+  return { count, rows, facets, sort: sortBy };
+}
+
+module.exports = {
+  SORTS,
+  PRICE_BUCKETS,
+  searchCatalog
+};
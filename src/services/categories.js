@@ -0,0 +1,212 @@
+// File: src/services/categories.js
+// The category tree.
+//
+// Categories nest through parentId and a flower can be in any number of them
+// (flower_categories). Filtering by a category takes in everything under it, and
+// an inactive category hides its whole subtree from the catalogue. The tree is
+// small, so it is read whole and walked here rather than with recursive SQL.
+
+const db = require('../models');
+const { BadRequestError, ConflictError } = require('../errors');
+
+const { Category, Flower, FlowerCategory, sequelize, Op } = db;
+
+// Public fields of a category
+const CATEGORY_ATTRIBUTES = ['id', 'name', 'slug', 'parentId', 'sortOrder', 'isActive'];
+
+// 'Occasions & Gifts' -> 'occasions-gifts'
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+const loadCategories = async (transaction) =>
+  (await Category.findAll({ attributes: CATEGORY_ATTRIBUTES, transaction })).map((c) => c.get({ plain: true }));
+
+// Each category with its ancestors' ids, nearest first
+function withAncestors(all) {
+  const byId = new Map(all.map((c) => [c.id, c]));
+  return all.map((c) => {
+    const ancestors = [];
+    for (let p = byId.get(c.parentId); p; p = byId.get(p.parentId)) ancestors.push(p.id);
+    return { ...c, ancestors, visible: [c.id, ...ancestors].every((id) => byId.get(id).isActive) };
+  });
+}
+
+/**
+ * The category tree, siblings by sortOrder then name:
+ * [{ id, name, slug, parentId, sortOrder, isActive, children: [...] }]
+ * Only active categories under active parents, unless includeInactive.
+ */
+async function categoryTree({ includeInactive = false } = {}) {
+  const list = withAncestors(await loadCategories()).filter((c) => includeInactive || c.visible);
+  const nodes = new Map(list.map(({ ancestors, visible, ...c }) => [c.id, { ...c, children: [] }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+  const sort = (siblings) => {
+    siblings.sort(bySortOrder).forEach((n) => sort(n.children));
+    return siblings;
+  };
+  return sort(roots);
+}
+
+/**
+ * Ids of the visible category named by `slug` (or its name) and every visible one under it;
+ * empty when there is no such category.
+ */
+async function categoryAndDescendants(slug, transaction) {
+  const list = withAncestors(await loadCategories(transaction)).filter((c) => c.visible);
+  const root = list.find((c) => c.slug === slugify(slug));
+  if (!root) return [];
+  return [root.id, ...list.filter((c) => c.ancestors.includes(root.id)).map((c) => c.id)];
+}
+
+/**
+ * Flower condition for ?category=: in that category or one under it. The literal names
+ * the `Flower` table, so it works on Flower queries and on includes of Flower.
+ */
+async function categoryCondition(slug) {
+  const ids = await categoryAndDescendants(slug);
+  return sequelize.literal(
+    `\`Flower\`.\`id\` IN (SELECT flower_id FROM flower_categories WHERE category_id IN (${ids.join(', ') || 'NULL'}))`
+  );
+}
+
+/**
+ * The visible categories the flowers are in, as listed with a flower (hidden ones too
+ * with includeInactive, for reports on past sales).
+ * @returns {Promise<Map<number, Array<{ id, name, slug }>>>} flowerId -> categories
+ */
+async function categoriesOf(flowerIds, transaction, { includeInactive = false } = {}) {
+  const byFlower = new Map(flowerIds.map((id) => [id, []]));
+  if (!flowerIds.length) return byFlower;
+
+  const links = await FlowerCategory.findAll({ where: { flowerId: flowerIds }, raw: true, transaction });
+  const visible = new Map(withAncestors(await loadCategories(transaction))
+    .filter((c) => includeInactive || c.visible)
+    .map((c) => [c.id, c]));
+  for (const { flowerId, categoryId } of links) {
+    const c = visible.get(categoryId);
+    if (c) byFlower.get(flowerId).push({ id: c.id, name: c.name, slug: c.slug });
+  }
+  for (const list of byFlower.values()) list.sort((a, b) => a.name.localeCompare(b.name));
+  return byFlower;
+}
+
+/**
+ * Slugs of every category the flowers are in, and of all their ancestors (what promo
+ * code category restrictions match against).
+ * @returns {Promise<Map<number, string[]>>} flowerId -> slugs
+ */
+async function categorySlugsOf(flowerIds, transaction) {
+  const links = await FlowerCategory.findAll({ where: { flowerId: flowerIds }, raw: true, transaction });
+  const all = new Map(withAncestors(await loadCategories(transaction)).map((c) => [c.id, c]));
+
+  const slugs = new Map(flowerIds.map((id) => [id, new Set()]));
+  for (const { flowerId, categoryId } of links) {
+    const c = all.get(categoryId);
+    for (const id of [c.id, ...c.ancestors]) slugs.get(flowerId).add(all.get(id).slug);
+  }
+  return new Map([...slugs].map(([id, set]) => [id, [...set]]));
+}
+
+/**
+ * How many of the flowers are in each visible category, counting a flower once under
+ * each of its categories' ancestors too. Categories with none are left out.
+ * @returns {Promise<Array<{ id, name, slug, parentId, count }>>} most flowers first
+ */
+async function countByCategory(flowerIds) {
+  if (!flowerIds.length) return [];
+  const links = await FlowerCategory.findAll({ where: { flowerId: flowerIds }, raw: true });
+  const visible = new Map(withAncestors(await loadCategories()).filter((c) => c.visible).map((c) => [c.id, c]));
+
+  const members = new Map(); // categoryId -> Set(flowerId)
+  for (const { flowerId, categoryId } of links) {
+    const c = visible.get(categoryId);
+    if (!c) continue;
+    for (const id of [c.id, ...c.ancestors]) {
+      if (!members.has(id)) members.set(id, new Set());
+      members.get(id).add(flowerId);
+    }
+  }
+  return [...members]
+    .map(([id, flowers]) => {
+      const { name, slug, parentId } = visible.get(id);
+      return { id, name, slug, parentId, count: flowers.size };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Put a flower in exactly these categories. Throws 400 CATEGORY_NOT_FOUND for an unknown id.
+ */
+async function setCategories(flower, categoryIds, transaction) {
+  const found = await Category.findAll({ where: { id: categoryIds }, attributes: ['id'], transaction });
+  const missing = categoryIds.find((id) => !found.some((c) => c.id === id));
+  if (missing !== undefined) {
+    throw new BadRequestError('CATEGORY_NOT_FOUND', `Category ${missing} not found`, { categoryId: missing });
+  }
+  await FlowerCategory.destroy({ where: { flowerId: flower.id }, transaction });
+  await FlowerCategory.bulkCreate(categoryIds.map((categoryId) => ({ flowerId: flower.id, categoryId })), { transaction });
+}
+
+/**
+ * New version (ETag) for every flower in the category or under it: flowers list their
+ * categories, and renaming, moving or hiding one changes what they show.
+ */
+async function touchFlowersIn(categoryId, transaction) {
+  const all = withAncestors(await loadCategories(transaction));
+  const ids = [categoryId, ...all.filter((c) => c.ancestors.includes(categoryId)).map((c) => c.id)];
+  return Flower.scope('all').update(
+    { version: sequelize.literal('version + 1') },
+    {
+      where: { id: { [Op.in]: sequelize.literal(`(SELECT flower_id FROM flower_categories WHERE category_id IN (${ids.join(', ')}))`) } },
+      transaction
+    }
+  );
+}
+
+/**
+ * Check a category's slug and parent before saving it (`category` is null for a new one).
+ * Throws 409 CATEGORY_SLUG_TAKEN, 400 CATEGORY_NOT_FOUND for an unknown parent and
+ * 400 CATEGORY_CYCLE when the parent is the category itself or one of its descendants.
+ */
+async function checkCategory(category, { slug, parentId }, transaction) {
+  if (slug !== undefined) {
+    const taken = await Category.findOne({ where: { slug }, attributes: ['id'], transaction });
+    if (taken && taken.id !== category?.id) {
+      throw new ConflictError('CATEGORY_SLUG_TAKEN', `Another category already uses the slug '${slug}'`, { slug });
+    }
+  }
+  if (parentId === undefined || parentId === null) return;
+
+  const all = new Map(withAncestors(await loadCategories(transaction)).map((c) => [c.id, c]));
+  const parent = all.get(parentId);
+  if (!parent) throw new BadRequestError('CATEGORY_NOT_FOUND', `Parent category ${parentId} not found`, { categoryId: parentId });
+  if (category && (parent.id === category.id || parent.ancestors.includes(category.id))) {
+    throw new BadRequestError('CATEGORY_CYCLE', 'A category cannot be placed under itself or one of its subcategories');
+  }
+}
+
+module.exports = {
+  CATEGORY_ATTRIBUTES,
+  slugify,
+  categoryTree,
+  categoryCondition,
+  categoriesOf,
+  categorySlugsOf,
+  countByCategory,
+  setCategories,
+  touchFlowersIn,
+  checkCategory
+};
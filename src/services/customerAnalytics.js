@@ -0,0 +1,147 @@
+// File: src/services/customerAnalytics.js
+// Who the best and the lapsing customers are.
+//
+// Only paid orders count (paid, shipped, delivered), at what the customer paid less
+// refunds. Each customer with orders gets RFM scores from 1 to 5 against the thresholds
+// in config.customers (recency: days since the last order, frequency: orders,
+// monetary: lifetime spend) and a segment from those scores. A repeat customer has
+// lapsed when their last order is lapseFactor times their average gap between orders
+// ago; one-off customers have no cadence yet and are never flagged.
+
+const db = require('../models');
+const config = require('../config/config');
+const { toCents, fromCents, divRound } = require('../money');
+const { SALE_STATUSES } = require('./salesAnalytics');
+
+const { Customer, Order, sequelize, Op } = db;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First matching rule wins; r, f and m are the scores
+const SEGMENT_RULES = [
+  ['champions', ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4],
+  ['loyal', ({ r, f }) => r >= 3 && f >= 3],
+  ['new', ({ r, f }) => r >= 4 && f === 1],
+  ['promising', ({ r }) => r >= 3],
+  ['at_risk', ({ f }) => f >= 3],
+  ['hibernating', ({ r }) => r === 2],
+  ['lost', () => true]
+];
+// Customers who haven't paid for an order yet
+const NO_ORDERS = 'no_orders';
+const SEGMENTS = [...SEGMENT_RULES.map(([name]) => name), NO_ORDERS];
+
+// 1 + the number of thresholds reached (recency: days at or under each)
+const scoreUp = (value, thresholds) => 1 + thresholds.filter((t) => value >= t).length;
+const scoreDown = (value, thresholds) => 1 + thresholds.filter((t) => value <= t).length;
+
+// Paid-order totals per customer: { orders, spentCents, firstOrderAt, lastOrderAt }
+async function orderTotals(customerIds) {
+  const rows = await Order.findAll({
+    where: { status: { [Op.in]: SALE_STATUSES }, ...(customerIds && { customerId: customerIds }) },
+    attributes: [
+      'customerId',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'orders'],
+      [sequelize.fn('SUM', sequelize.col('total')), 'total'],
+      [sequelize.fn('SUM', sequelize.col('refunded_total')), 'refunded'],
+      [sequelize.fn('MIN', sequelize.col('created_at')), 'firstOrderAt'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'lastOrderAt']
+    ],
+    group: ['customerId'],
+    raw: true
+  });
+  return new Map(rows.map((r) => [r.customerId, {
+    orders: Number(r.orders),
+    spentCents: toCents(r.total) - toCents(r.refunded),
+    firstOrderAt: new Date(r.firstOrderAt),
+    lastOrderAt: new Date(r.lastOrderAt)
+  }]));
+}
+
+// A customer's figures, scores, segment and lapse flag
+function profileOf(customer, totals, now) {
+  const base = { customerId: customer.id, name: customer.name, email: customer.email };
+  if (!totals) {
+    return {
+      ...base, orders: 0, lifetimeSpend: 0, averageBasket: null, firstOrderAt: null, lastOrderAt: null,
+      daysSinceLastOrder: null, averageDaysBetweenOrders: null, lapsed: false, rfm: null, segment: NO_ORDERS
+    };
+  }
+
+  const { orders, spentCents, firstOrderAt, lastOrderAt } = totals;
+  const { rfmRecencyDays, rfmFrequencyOrders, rfmMonetary, lapseFactor, lapseMinDays } = config.customers;
+  const daysSinceLastOrder = Math.floor((now - lastOrderAt) / DAY_MS);
+  // the mean of the gaps between consecutive orders is the whole span over the gaps
+  const averageDaysBetweenOrders = orders > 1
+    ? Math.round(((lastOrderAt - firstOrderAt) / DAY_MS / (orders - 1)) * 10) / 10
+    : null;
+  const scores = {
+    r: scoreDown(daysSinceLastOrder, rfmRecencyDays),
+    f: scoreUp(orders, rfmFrequencyOrders),
+    m: scoreUp(fromCents(spentCents), rfmMonetary)
+  };
+
+  return {
+    ...base,
+    orders,
+    lifetimeSpend: fromCents(spentCents),
+    averageBasket: fromCents(divRound(spentCents, orders)),
+    firstOrderAt,
+    lastOrderAt,
+    daysSinceLastOrder,
+    averageDaysBetweenOrders,
+    lapsed: averageDaysBetweenOrders !== null
+      && daysSinceLastOrder > Math.max(averageDaysBetweenOrders * lapseFactor, lapseMinDays),
+    rfm: { recency: scores.r, frequency: scores.f, monetary: scores.m, score: `${scores.r}${scores.f}${scores.m}` },
+    segment: SEGMENT_RULES.find(([, matches]) => matches(scores))[0]
+  };
+}
+
+// Allowed ?sort= values of the customer report
+const SORTS = {
+  spend: (a, b) => b.lifetimeSpend - a.lifetimeSpend,
+  orders: (a, b) => b.orders - a.orders,
+  recent: (a, b) => (b.lastOrderAt || 0) - (a.lastOrderAt || 0),
+  name: (a, b) => a.name.localeCompare(b.name)
+};
+
+const inFilter = ({ segment, lapsed }) => (p) =>
+  (!segment || p.segment === segment) && (lapsed === undefined || p.lapsed === lapsed);
+
+/**
+ * Profiles of the active customers (or of `customerIds` only), optionally only those in
+ * `segment` and/or with `lapsed` true or false.
+ * @returns {Promise<object[]>} in customer id order
+ */
+async function customerProfiles({ customerIds, segment, lapsed } = {}) {
+  const customers = await Customer.findAll({
+    where: customerIds ? { id: customerIds } : {},
+    attributes: ['id', 'name', 'email'],
+    order: [['id', 'ASC']]
+  });
+  const totals = await orderTotals(customerIds);
+  const now = new Date();
+
+  return customers
+    .map((c) => profileOf(c, totals.get(c.id), now))
+    .filter(inFilter({ segment, lapsed }));
+}
+
+/**
+ * The customer report: matching profiles sorted by `sort` (ties by id), and how many
+ * of all active customers are in each segment and lapsed.
+ * @returns {Promise<{ profiles: object[], segments: object, lapsed: number }>}
+ */
+async function customerReport({ segment, lapsed, sort = 'spend' }) {
+  const all = await customerProfiles();
+  const segments = Object.fromEntries(SEGMENTS.map((s) => [s, all.filter((p) => p.segment === s).length]));
+  const profiles = all.filter(inFilter({ segment, lapsed })).sort((a, b) => SORTS[sort](a, b) || a.customerId - b.customerId);
+  return { profiles, segments, lapsed: all.filter((p) => p.lapsed).length };
+}
+
+module.exports = {
+  SEGMENTS,
+  SORTS,
+  customerProfiles,
+  customerReport
+};
@@ -0,0 +1,88 @@
+// File: src/services/fulfilment.js
+// Delivery / pickup details attached to an order.
+// - delivery: needs an address and a delivery date that is not in the past
+// - pickup:   needs a pickup time in the future
+
+const db = require('../models');
+const { BadRequestError } = require('../errors');
+
+const { OrderFulfilment } = db;
+
+const FULFILMENT_TYPES = ['delivery', 'pickup'];
+
+// Public fields, used as `attributes` whenever an order is read
+const FULFILMENT_ATTRIBUTES = ['type', 'deliveryAddress', 'deliveryDate', 'pickupTime', 'slotId', 'contactPhone', 'giftMessage'];
+
+const badRequest = (msg) => new BadRequestError('INVALID_FULFILMENT', msg);
+
+// Local calendar date as YYYY-MM-DD
+function today() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Validate raw request fields and return the values for an OrderFulfilment row.
+ * Throws a 400 INVALID_FULFILMENT error describing the first problem found.
+ */
+function parseFulfilment(input = {}) {
+  const type = input.fulfilment || input.type;
+  if (!FULFILMENT_TYPES.includes(type)) {
+    throw badRequest(`fulfilment must be one of: ${FULFILMENT_TYPES.join(', ')}`);
+  }
+
+  const values = {
+    type,
+    deliveryAddress: null,
+    deliveryDate: null,
+    pickupTime: null,
+    contactPhone: input.contactPhone || null,
+    giftMessage: input.giftMessage || null
+  };
+
+  if (type === 'delivery') {
+    if (!input.deliveryAddress) throw badRequest('deliveryAddress is required for delivery orders');
+    if (!input.deliveryDate || !/^\d{4}-\d{2}-\d{2}$/.test(input.deliveryDate) || isNaN(new Date(input.deliveryDate))) {
+      throw badRequest('deliveryDate must be a date in YYYY-MM-DD format');
+    }
+    if (input.deliveryDate < today()) throw badRequest('deliveryDate cannot be in the past');
+
+    values.deliveryAddress = input.deliveryAddress;
+    values.deliveryDate = input.deliveryDate;
+  } else {
+    const pickupTime = input.pickupTime ? new Date(input.pickupTime) : null;
+    if (!pickupTime || isNaN(pickupTime)) throw badRequest('pickupTime is required for pickup orders');
+    if (pickupTime <= new Date()) throw badRequest('pickupTime must be in the future');
+
+    values.pickupTime = pickupTime;
+  }
+
+  return values;
+}
+
+async function createFulfilment(order, values, transaction) {
+  return OrderFulfilment.create({ ...values, orderId: order.id }, { transaction });
+}
+
+/**
+ * Map fulfilment filters from a query string onto an include `where`.
+ * Supported: fulfilment=delivery|pickup, deliveryFrom, deliveryTo (YYYY-MM-DD)
+ */
+function fulfilmentWhere(query = {}) {
+  const { Op } = db;
+  const where = {};
+  if (FULFILMENT_TYPES.includes(query.fulfilment)) where.type = query.fulfilment;
+  if (query.deliveryFrom) where.deliveryDate = { ...(where.deliveryDate || {}), [Op.gte]: query.deliveryFrom };
+  if (query.deliveryTo) where.deliveryDate = { ...(where.deliveryDate || {}), [Op.lte]: query.deliveryTo };
+  return where;
+}
+
+module.exports = {
+  FULFILMENT_TYPES,
+  FULFILMENT_ATTRIBUTES,
+  parseFulfilment,
+  createFulfilment,
+  fulfilmentWhere,
+  today
+};
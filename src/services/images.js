@@ -0,0 +1,199 @@
+// File: src/services/images.js
+// Flower images.
+//
+// An upload is checked by decoding it (not by its declared type), then stored as
+// three variants through services/storage: the original (auto-rotated, metadata
+// stripped) plus resized WebP `medium` and `thumb`. Files are never changed in place:
+// a new upload gets a new id and storage key, so the URLs can be cached forever.
+// Every change to a flower's images gives the flower a new version (ETag).
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { BadRequestError, ConflictError } = require('../errors');
+const { getStorage } = require('./storage');
+const { touch } = require('./versioning');
+const { runTransaction } = require('./transactions');
+
+const { FlowerImage } = db;
+
+// Formats we accept, by what sharp detects -> content type of the original
+const FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Resized variants, all WebP; `original` is kept as well
+const VARIANTS = {
+  medium: { width: 800, height: 800, fit: 'inside', withoutEnlargement: true },
+  thumb: { width: 200, height: 200, fit: 'cover' }
+};
+const VARIANT_NAMES = ['original', ...Object.keys(VARIANTS)];
+
+const contentTypeOf = (image, variant) => (variant === 'original' ? image.contentType : 'image/webp');
+
+// Decode and resize one upload. Throws 400 IMAGE_INVALID when it isn't a JPEG, PNG or WebP image.
+async function processUpload(file) {
+  let meta;
+  try {
+    meta = await sharp(file.buffer).metadata();
+  } catch {
+    meta = {};
+  }
+  if (!FORMATS[meta.format]) {
+    throw new BadRequestError('IMAGE_INVALID', `${file.originalname} is not a JPEG, PNG or WebP image`, { file: file.originalname });
+  }
+
+  const original = await sharp(file.buffer).rotate().toFormat(meta.format).toBuffer({ resolveWithObject: true });
+  const files = { original: original.data };
+  for (const [name, resize] of Object.entries(VARIANTS)) {
+    files[name] = await sharp(file.buffer).rotate().resize(resize).webp({ quality: 80 }).toBuffer();
+  }
+  return {
+    files,
+    contentType: FORMATS[meta.format],
+    originalName: file.originalname,
+    size: original.data.length,
+    width: original.info.width,
+    height: original.info.height
+  };
+}
+
+// Throws 409 IMAGE_LIMIT when `adding` more images would take the flower over config.images.maxPerFlower
+async function checkImageLimit(flower, adding, transaction) {
+  const existing = await FlowerImage.count({ where: { flowerId: flower.id }, transaction });
+  if (existing + adding > config.images.maxPerFlower) {
+    throw new ConflictError('IMAGE_LIMIT', `A flower can have at most ${config.images.maxPerFlower} images`, {
+      existing, max: config.images.maxPerFlower
+    });
+  }
+}
+
+/**
+ * Add uploaded images (multer files) after the flower's existing ones.
+ * Throws 400 IMAGE_INVALID and 409 IMAGE_LIMIT (more than config.images.maxPerFlower).
+ * @returns {Promise<FlowerImage[]>}
+ */
+async function addImages(flower, uploads, userId) {
+  await checkImageLimit(flower, uploads.length);
+
+  // Check every file before storing any
+  const processed = [];
+  for (const file of uploads) processed.push(await processUpload(file));
+
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const image of processed) {
+      image.storageKey = `flowers/${flower.id}/${crypto.randomBytes(8).toString('hex')}`;
+      for (const [variant, data] of Object.entries(image.files)) {
+        await storage.put(`${image.storageKey}/${variant}`, data);
+      }
+      stored.push(image.storageKey);
+    }
+
+    return await runTransaction(async (transaction) => {
+      // again under the lock: another upload may have landed while these were stored
+      await checkImageLimit(flower, processed.length, transaction);
+      const last = await FlowerImage.max('position', { where: { flowerId: flower.id }, transaction });
+      const images = [];
+      for (const [i, { files, ...image }] of processed.entries()) {
+        images.push(await FlowerImage.create(
+          { ...image, flowerId: flower.id, position: (last ?? -1) + 1 + i, createdBy: userId },
+          { transaction }
+        ));
+      }
+      await touch(flower, transaction);
+      return images;
+    }, { label: 'image upload' });
+  } catch (err) {
+    // Don't leave files behind for rows that were never saved
+    await Promise.all(stored.map((key) => removeFiles(key)));
+    throw err;
+  }
+}
+
+/**
+ * Put the flower's images in the order of `imageIds`, which must list each of them once.
+ * Throws 400 IMAGE_ORDER_INVALID.
+ */
+async function reorderImages(flower, imageIds) {
+  return runTransaction(async (transaction) => {
+    const images = await FlowerImage.findAll({ where: { flowerId: flower.id }, transaction });
+    const sameSet = images.length === imageIds.length && images.every((img) => imageIds.includes(img.id));
+    if (!sameSet) {
+      throw new BadRequestError('IMAGE_ORDER_INVALID', 'imageIds must list every image of the flower exactly once', {
+        imageIds: images.map((img) => img.id)
+      });
+    }
+    for (const image of images) {
+      await image.update({ position: imageIds.indexOf(image.id) }, { transaction });
+    }
+    await touch(flower, transaction);
+  }, { label: 'image reorder' });
+}
+
+async function removeFiles(storageKey) {
+  await Promise.all(VARIANT_NAMES.map((variant) => getStorage().remove(`${storageKey}/${variant}`)))
+    .catch((e) => logger.error('Image files could not be removed', { storageKey, error: e.message }));
+}
+
+// Delete one image and its files; the images after it move up
+async function deleteImage(flower, image) {
+  await runTransaction(async (transaction) => {
+    await image.destroy({ transaction });
+    await FlowerImage.decrement('position', {
+      by: 1,
+      where: { flowerId: flower.id, position: { [db.Sequelize.Op.gt]: image.position } },
+      transaction
+    });
+    await touch(flower, transaction);
+  }, { label: 'image delete' });
+  await removeFiles(image.storageKey);
+}
+
+// One variant's bytes, or null when the file has gone missing
+async function readVariant(image, variant) {
+  const data = await getStorage().get(`${image.storageKey}/${variant}`);
+  return data && { data, contentType: contentTypeOf(image, variant) };
+}
+
+const imageUrl = (image, variant) =>
+  `${config.images.publicUrl}/api/v1/flowers/${image.flowerId}/images/${image.id}/${variant}`;
+
+// An image as listed with its flower
+function imageView(image) {
+  return {
+    id: image.id,
+    position: image.position,
+    width: image.width,
+    height: image.height,
+    urls: Object.fromEntries(VARIANT_NAMES.map((variant) => [variant, imageUrl(image, variant)]))
+  };
+}
+
+/**
+ * The flowers' images in order.
+ * @returns {Promise<Map<number, object[]>>} flowerId -> imageView()s
+ */
+async function imagesOf(flowerIds, transaction) {
+  const byFlower = new Map(flowerIds.map((id) => [id, []]));
+  if (!flowerIds.length) return byFlower;
+  const images = await FlowerImage.findAll({
+    where: { flowerId: flowerIds },
+    order: [['position', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  for (const image of images) byFlower.get(image.flowerId).push(imageView(image));
+  return byFlower;
+}
+
+module.exports = {
+  FORMATS,
+  VARIANT_NAMES,
+  addImages,
+  reorderImages,
+  deleteImage,
+  readVariant,
+  imageView,
+  imagesOf
+};
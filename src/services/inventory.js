@@ -0,0 +1,136 @@
+// File: src/services/inventory.js
+// Every change to Flower.stock goes through moveStock(), which updates the
+// stock, appends a StockMovement row and takes from / adds to the flower's
+// batches (services/batches.js) in the same transaction, then raises or
+// resolves its low-stock alert (services/stockAlerts.js).
+//
+//   sale          order placed (negative)
+//   restock       goods received / initial stock (positive)
+//   adjustment    stocktake corrections, PUT /flowers/:id with a new stock
+//   cancellation  order cancelled, stock put back
+//   waste         written off
+//   return        refunded items put back (see services/refunds.js)
+
+const db = require('../models');
+const { ConflictError, NotFoundError } = require('../errors');
+const { touchBouquetsUsing } = require('./bouquets');
+const { applyBatches } = require('./batches');
+const { checkReorderPoint } = require('./stockAlerts');
+
+const { Flower, StockMovement, StockBatch, STOCK_REASONS, sequelize, Op } = db;
+
+/**
+ * Apply `delta` to a flower's stock and record why.
+ * The stock change is one conditional UPDATE, so stock can never go below zero
+ * (or below `reserved`, the units promised elsewhere, e.g. held in other carts).
+ * Stock coming in can carry `batch: { unitCost, expiresAt, supplierId, purchaseOrderId }`; stock going out can name its `batchId`.
+ * Throws 404 FLOWER_NOT_FOUND, 409 OUT_OF_STOCK or 409 BATCH_INSUFFICIENT.
+ * @returns {Promise<StockMovement>}
+ */
+async function moveStock(flowerId, delta, { reason, userId = null, orderId = null, note = null, reserved = 0, batch, batchId, transaction } = {}) {
+  if (!STOCK_REASONS.includes(reason)) throw new Error(`Unknown stock movement reason '${reason}'`);
+
+  // scope('all'): cancellations still return stock to flowers that were deactivated since.
+  // A bulk update skips optimistic locking, so the version (ETag) is bumped by hand.
+  const where = { id: flowerId };
+  if (delta < 0) where.stock = { [Op.gte]: reserved - delta };
+  const [affected] = await Flower.scope('all').update(
+    { stock: sequelize.literal(`stock + ${Number(delta)}`), version: sequelize.literal('version + 1') },
+    { where, transaction }
+  );
+
+  const flower = await Flower.scope('all').findByPk(flowerId, {
+    attributes: ['id', 'name', 'stock', 'reorderPoint', 'reorderTarget'],
+    transaction
+  });
+  if (!flower) throw new NotFoundError('FLOWER_NOT_FOUND', `Flower ${flowerId} not found`);
+  if (!affected) {
+    throw new ConflictError('OUT_OF_STOCK', `Insufficient stock for ${flower.name}`, {
+      flowerId, requested: -delta, available: Math.max(flower.stock - reserved, 0)
+    });
+  }
+
+  await touchBouquetsUsing(flowerId, transaction);
+  const movement = await StockMovement.create(
+    { flowerId, reason, delta, balance: flower.stock, userId, orderId, note },
+    { transaction }
+  );
+  await applyBatches(movement, { batch, batchId }, transaction);
+  if (flower.reorderPoint !== null) await checkReorderPoint(flower, { stockMovementId: movement.id, transaction });
+  return movement;
+}
+
+// Set an absolute stock level (stocktake); records the difference as an adjustment
+async function setStock(flowerId, stock, { userId = null, note = null, transaction } = {}) {
+  const flower = await Flower.scope('all').findByPk(flowerId, { attributes: ['id', 'stock'], transaction });
+  if (!flower) throw new NotFoundError('FLOWER_NOT_FOUND', `Flower ${flowerId} not found`);
+  if (flower.stock === stock) return null;
+  return moveStock(flowerId, stock - flower.stock, { reason: 'adjustment', userId, note, transaction });
+}
+
+// Newest first, paginated
+async function stockHistory(flowerId, { page = 1, pageSize = 20, reason } = {}) {
+  const where = { flowerId };
+  if (reason) where.reason = reason;
+  return StockMovement.findAndCountAll({
+    where,
+    include: [{ model: db.User, as: 'actor', attributes: ['id', 'name', 'role'] }],
+    order: [['id', 'DESC']],
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+}
+
+/**
+ * Compare each flower's stock with the sum of its ledger and with what its batches hold.
+ * `drift` = stock - ledger and `batchDrift` = stock - batched; anything but 0 means
+ * stock changed outside moveStock().
+ */
+async function reconcile({ flowerId } = {}) {
+  const flowers = await Flower.scope('all').findAll({
+    where: flowerId ? { id: flowerId } : {},
+    attributes: ['id', 'name', 'stock', 'isActive'],
+    order: [['id', 'ASC']]
+  });
+
+  const sums = await StockMovement.findAll({
+    attributes: ['flowerId', [sequelize.fn('SUM', sequelize.col('delta')), 'ledger'], [sequelize.fn('COUNT', sequelize.col('id')), 'movements']],
+    where: flowerId ? { flowerId } : {},
+    group: ['flowerId'],
+    raw: true
+  });
+  const byFlower = new Map(sums.map((s) => [s.flowerId, s]));
+  const batched = new Map((await StockBatch.findAll({
+    attributes: ['flowerId', [sequelize.fn('SUM', sequelize.col('remaining')), 'remaining']],
+    where: flowerId ? { flowerId } : {},
+    group: ['flowerId'],
+    raw: true
+  })).map((b) => [b.flowerId, Number(b.remaining)]));
+
+  const rows = flowers.map((f) => {
+    const ledger = Number(byFlower.get(f.id)?.ledger || 0);
+    const inBatches = batched.get(f.id) || 0;
+    return {
+      flowerId: f.id,
+      name: f.name,
+      isActive: f.isActive,
+      stock: f.stock,
+      ledger,
+      movements: Number(byFlower.get(f.id)?.movements || 0),
+      drift: f.stock - ledger,
+      batched: inBatches,
+      batchDrift: f.stock - inBatches
+    };
+  });
+
+  const mismatched = rows.filter((r) => r.drift !== 0 || r.batchDrift !== 0);
+  return { ok: mismatched.length === 0, checked: rows.length, mismatched: mismatched.length, flowers: rows };
+}
+
+module.exports = {
+  STOCK_REASONS,
+  moveStock,
+  setStock,
+  stockHistory,
+  reconcile
+};
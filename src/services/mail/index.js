@@ -0,0 +1,43 @@
+// File: src/services/mail/index.js
+// Pluggable outgoing mail. Every transport exposes `send(message)`.
+// The transport is picked by config.mail.transport ('outbox' | 'log'); an SMTP or
+// provider transport only needs the same `send` method and can be swapped in with setTransport().
+
+const config = require('../../config/config');
+const logger = require('../../logger');
+const createOutboxTransport = require('./outboxTransport');
+const createLogTransport = require('./logTransport');
+
+const transports = {
+  outbox: () => createOutboxTransport({ dir: config.mail.outboxDir }),
+  log: () => createLogTransport()
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const factory = transports[config.mail.transport];
+    if (!factory) throw new Error(`Unknown mail transport '${config.mail.transport}'`);
+    transport = factory();
+  }
+  return transport;
+}
+
+// Replace the active transport (e.g. SMTP in production, a stub in tests)
+function setTransport(custom) {
+  transport = custom;
+}
+
+/**
+ * Send one email.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+async function sendMail(message) {
+  const mail = { from: config.mail.from, ...message, createdAt: new Date().toISOString() };
+  const result = await getTransport().send(mail);
+  logger.info('Mail sent', { to: mail.to, subject: mail.subject, transport: config.mail.transport });
+  return result;
+}
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,13 @@
+// File: src/services/mail/logTransport.js
+// Only logs messages (useful on hosts with no writable disk).
+
+const logger = require('../../logger');
+
+module.exports = function createLogTransport() {
+  return {
+    async send(message) {
+      logger.info('Mail (log transport)', { to: message.to, subject: message.subject, text: message.text });
+      return { id: null };
+    }
+  };
+};
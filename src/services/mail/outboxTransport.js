@@ -0,0 +1,19 @@
+// File: src/services/mail/outboxTransport.js
+// Writes each message as a JSON file into a local outbox folder, so mail
+// flows can be exercised offline (open the newest file to grab a link).
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+module.exports = function createOutboxTransport({ dir }) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${safeTo}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { id: path.basename(file) };
+    }
+  };
+};
@@ -0,0 +1,47 @@
+// File: src/services/notify/index.js
+// Pluggable staff notifications (low-stock alerts, ...). Every notifier exposes `send(notification)`.
+// The notifier is picked by config.notify.notifier ('log' | 'outbox'); a Slack, SMS or
+// email notifier only needs the same `send` method and can be swapped in with setNotifier().
+
+const config = require('../../config/config');
+const logger = require('../../logger');
+const createLogNotifier = require('./logNotifier');
+const createOutboxNotifier = require('./outboxNotifier');
+
+const notifiers = {
+  log: () => createLogNotifier(),
+  outbox: () => createOutboxNotifier({ dir: config.notify.outboxDir })
+};
+
+let notifier = null;
+
+function getNotifier() {
+  if (!notifier) {
+    const factory = notifiers[config.notify.notifier];
+    if (!factory) throw new Error(`Unknown notifier '${config.notify.notifier}'`);
+    notifier = factory();
+  }
+  return notifier;
+}
+
+// Replace the active notifier (e.g. a chat webhook in production, a stub in tests)
+function setNotifier(custom) {
+  notifier = custom;
+}
+
+/**
+ * Send one notification to staff. Never throws: a notification that can't be
+ * delivered is logged, the change that caused it stands.
+ * @param {{ type: string, title: string, text: string, data?: object }} notification
+ */
+async function notify(notification) {
+  const message = { ...notification, createdAt: new Date().toISOString() };
+  try {
+    await getNotifier().send(message);
+    logger.info('Notification sent', { type: message.type, title: message.title, notifier: config.notify.notifier });
+  } catch (err) {
+    logger.error('Notification failed', { type: message.type, title: message.title, error: err.message });
+  }
+}
+
+module.exports = { notify, setNotifier };
@@ -0,0 +1,12 @@
+// File: src/services/notify/logNotifier.js
+// Only logs notifications; staff read them in the logs or through GET /flowers/stock-alerts.
+
+const logger = require('../../logger');
+
+module.exports = function createLogNotifier() {
+  return {
+    async send(notification) {
+      logger.warn('Notification (log notifier)', { type: notification.type, title: notification.title, text: notification.text });
+    }
+  };
+};
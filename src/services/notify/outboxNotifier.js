@@ -0,0 +1,18 @@
+// File: src/services/notify/outboxNotifier.js
+// Writes each notification as a JSON file into a local folder, for a dashboard or
+// script to pick up (and to check alerts offline).
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+module.exports = function createOutboxNotifier({ dir }) {
+  return {
+    async send(notification) {
+      await fs.mkdir(dir, { recursive: true });
+      const safeType = String(notification.type).replace(/[^a-z0-9._-]/gi, '_');
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${safeType}.json`);
+      await fs.writeFile(file, JSON.stringify(notification, null, 2));
+    }
+  };
+};
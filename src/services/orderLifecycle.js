@@ -0,0 +1,109 @@
+// File: src/services/orderLifecycle.js
+// Order status state machine shared by the order routers.
+//
+//   pending -> paid -> shipped -> delivered
+//      \         \
+//       `---------`--> cancelled   (only before shipping; a paid order once fully refunded)
+
+const db = require('../models');
+const logger = require('../logger');
+const { releaseSlot } = require('./slots');
+const { moveStock } = require('./inventory');
+const { stockLines } = require('./bouquets');
+const { releaseRedemptions } = require('./promotions');
+const { ConflictError } = require('../errors');
+const { toCents, fromCents } = require('../money');
+
+const { OrderItem, OrderFulfilment, OrderStatusHistory, Refund, RefundItem, Op } = db;
+
+// Allowed next states for each current state
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Write one audit row; fromStatus is null for the initial entry on creation
+async function recordHistory(order, { fromStatus = null, toStatus, userId = null, note = null }, transaction) {
+  return OrderStatusHistory.create(
+    { orderId: order.id, fromStatus, toStatus, changedBy: userId, note },
+    { transaction }
+  );
+}
+
+// Put every line quantity of a cancelled order back on the shelf (inactive flowers included;
+// bouquets as their stems), except what refunds with restock already returned
+async function restoreStock(order, userId, transaction) {
+  const items = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+  const returned = await RefundItem.findAll({
+    include: [{ model: Refund, attributes: [], where: { orderId: order.id, restock: true, status: { [Op.ne]: 'failed' } } }],
+    transaction
+  });
+
+  for (const item of items) {
+    const back = returned.filter((r) => r.flowerId === item.flowerId).reduce((n, r) => n + r.quantity, 0);
+    if (item.quantity <= back) continue;
+    for (const stems of stockLines(item, item.quantity - back)) {
+      await moveStock(stems.flowerId, stems.quantity, { reason: 'cancellation', userId, orderId: order.id, transaction });
+    }
+  }
+  return items.length;
+}
+
+/**
+ * Move an order to a new status, enforcing the transition graph.
+ * Must be called inside a transaction; cancellation restores stock, frees the slot and
+ * gives promo code uses back in it.
+ * Throws a 409 INVALID_TRANSITION error (with the allowed next states) when the move is not allowed.
+ */
+async function transitionOrder(order, toStatus, { userId = null, note = null, transaction } = {}) {
+  const fromStatus = order.status;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new ConflictError(
+      'INVALID_TRANSITION',
+      `Cannot change order status from '${fromStatus}' to '${toStatus}'`,
+      { allowed: TRANSITIONS[fromStatus] || [] }
+    );
+  }
+
+  // Cancelling doesn't give money back: a paid order is refunded first (POST /orders/:id/refunds)
+  if (toStatus === 'cancelled' && fromStatus === 'paid') {
+    const refundable = toCents(order.total) - toCents(order.refundedTotal);
+    if (refundable > 0) {
+      throw new ConflictError('ORDER_NOT_REFUNDED', `Refund the ${fromCents(refundable)} paid for this order before cancelling it`, {
+        refundable: fromCents(refundable),
+        refundsUrl: `/api/v1/orders/${order.id}/refunds`
+      });
+    }
+  }
+
+  if (toStatus === 'cancelled') {
+    const restored = await restoreStock(order, userId, transaction);
+    const fulfilment = await OrderFulfilment.findOne({ where: { orderId: order.id }, transaction });
+    await releaseSlot(fulfilment?.slotId, transaction);
+    await releaseRedemptions(order.id, transaction);
+    logger.info('Order cancelled, stock restored', { orderId: order.id, lines: restored, slotId: fulfilment?.slotId || null });
+  }
+
+  await order.update({ status: toStatus }, { transaction });
+  await recordHistory(order, { fromStatus, toStatus, userId, note }, transaction);
+
+  return order;
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  canTransition,
+  recordHistory,
+  transitionOrder
+};
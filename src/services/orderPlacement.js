@@ -0,0 +1,118 @@
+// File: src/services/orderPlacement.js
+// Creating an order: the one path shared by the shop (POST /shop/orders,
+// POST /shop/cart/checkout), staff (POST /orders) and the seed script.
+//
+// Stock is taken with moveStock()'s conditional UPDATE, which only succeeds while
+// enough stock is left over for other customers' cart holds, so two parallel
+// checkouts can never both get the last bunch. A bouquet takes its component
+// stems the same way. Run createOrder() through runTransaction()
+// (services/transactions.js) so a busy SQLite database is retried.
+
+const db = require('../models');
+const logger = require('../logger');
+const { BadRequestError, ConflictError } = require('../errors');
+const { recordHistory } = require('./orderLifecycle');
+const { parseFulfilment, createFulfilment } = require('./fulfilment');
+const { reserveSlot, slotFulfilmentFields } = require('./slots');
+const { moveStock } = require('./inventory');
+const { heldQuantity } = require('./cart');
+const { priceDiscounts, recordRedemptions } = require('./promotions');
+const { unitPrice, priceOrder } = require('./pricing');
+const { componentsOf, stockLines } = require('./bouquets');
+const { categorySlugsOf } = require('./categories');
+
+const { Order, OrderItem, Flower } = db;
+
+// Merge duplicate lines by flowerId, keeping the first-seen order
+function mergeLines(items) {
+  const merged = new Map(); // flowerId -> total quantity
+  for (const { flowerId, quantity } of items) {
+    merged.set(flowerId, (merged.get(flowerId) || 0) + quantity);
+  }
+  return [...merged].map(([flowerId, quantity]) => ({ flowerId, quantity }));
+}
+
+// A bouquet sells as its current recipe; it can't be made while a component is discontinued
+async function recipeOf(bouquet, quantity, transaction) {
+  const components = (await componentsOf([bouquet.id], transaction)).get(bouquet.id);
+  if (!components.length || components.some((c) => !c.flower.isActive)) {
+    throw new ConflictError('OUT_OF_STOCK', `${bouquet.name} is currently unavailable`, {
+      flowerId: bouquet.id, requested: quantity, available: 0
+    });
+  }
+  return components.map((c) => ({ flowerId: c.flowerId, quantity: c.quantity }));
+}
+
+// Book the slot (it fixes the delivery date / pickup time) and validate the rest
+async function prepareFulfilment(input, customer, transaction) {
+  const slot = input.slotId ? await reserveSlot(input.slotId, input.fulfilment, transaction) : null;
+  const fulfilment = parseFulfilment({ ...input, ...(slot && slotFulfilmentFields(slot)) });
+  return { ...fulfilment, slotId: slot ? slot.id : null, contactPhone: fulfilment.contactPhone || customer.phone || null };
+}
+
+/**
+ * Create an order with its lines, stock movements, fulfilment, promo codes and price breakdown.
+ * Must run inside `transaction`; any throw (slot full, out of stock, bad promo code, ...)
+ * leaves nothing behind once it rolls back.
+ * @param {object} input
+ * @param {Customer} input.customer
+ * @param {Array<{ flowerId: number, quantity: number }>} input.items  duplicates are merged
+ * @param {object|null} [input.fulfilment]  request fields (fulfilment, slotId, deliveryAddress, ...); null for counter sales
+ * @param {string[]} [input.promoCodes]
+ * @param {string|null} [input.notes]
+ * @param {string} [input.status='pending']
+ * @param {Date|null} [input.paymentDueAt]
+ * @param {number|null} [input.userId]  who placed it (history and stock ledger)
+ * @param {number|null} [input.holderId]  user whose own cart holds this order may use
+ * @returns {Promise<Order>}
+ * Throws 400 FLOWER_NOT_FOUND, 409 OUT_OF_STOCK and the slot / promo code errors.
+ */
+async function createOrder(input, transaction) {
+  const { customer, items, promoCodes = [], status = 'pending', userId = null, holderId = null } = input;
+
+  const fulfilment = input.fulfilment ? await prepareFulfilment(input.fulfilment, customer, transaction) : null;
+
+  const order = await Order.create({
+    customerId: customer.id,
+    notes: input.notes || null,
+    status,
+    total: 0,
+    paymentDueAt: input.paymentDueAt || null
+  }, { transaction });
+  await recordHistory(order, { toStatus: status, userId }, transaction);
+  if (fulfilment) await createFulfilment(order, fulfilment, transaction);
+
+  const lines = []; // priced lines for promo codes and the price breakdown
+  for (const { flowerId, quantity } of mergeLines(items)) {
+    const flower = await Flower.findByPk(flowerId, { transaction });
+    if (!flower || !flower.isActive) {
+      logger.warn('Order: flower unavailable', { orderId: order.id, flowerId });
+      throw new BadRequestError('FLOWER_NOT_FOUND', `Flower ${flowerId} unavailable`);
+    }
+
+    const components = flower.type === 'bouquet' ? await recipeOf(flower, quantity, transaction) : null;
+    const note = components ? `Bouquet: ${flower.name}` : null;
+    for (const stems of stockLines({ flowerId, components }, quantity)) {
+      // Units held in other carts are not for sale; the buyer's own holds are
+      const reserved = await heldQuantity(stems.flowerId, { exceptUserId: holderId, transaction });
+      await moveStock(stems.flowerId, -stems.quantity, { reason: 'sale', reserved, userId, orderId: order.id, note, transaction });
+    }
+
+    const price = unitPrice(flower);
+    lines.push({ flowerId, price, quantity });
+    await OrderItem.create({ orderId: order.id, flowerId, quantity, price, components }, { transaction });
+  }
+
+  // promo codes restricted to a category also cover its subcategories
+  const categories = await categorySlugsOf(lines.map((l) => l.flowerId), transaction);
+  for (const line of lines) line.categories = categories.get(line.flowerId);
+
+  const { discountTotal, applied } = await priceDiscounts(promoCodes, { lines, customerId: customer.id, transaction });
+  await recordRedemptions(order, applied, transaction);
+
+  return order.update(priceOrder({ lines, discountTotal, fulfilment }), { transaction });
+}
+
+module.exports = {
+  createOrder
+};
@@ -0,0 +1,289 @@
+// File: src/services/payments/index.js
+// Taking payment for orders through a pluggable gateway.
+//
+// Every gateway exposes createIntent(), cancelIntent(), refund() and parseWebhook(); the
+// one in use is picked by config.payments.gateway ('mock') and can be swapped
+// with setGateway(). The flow:
+//
+//   POST /shop/orders/:id/pay   -> createPaymentIntent: pending Payment + client secret
+//   POST /payments/webhook      -> handleWebhook: payment succeeded/failed, order -> paid
+//   every sweepIntervalSeconds  -> expireUnpaidOrders: pending shop orders past paymentDueAt are cancelled
+//
+// The gateway is never called from inside a transaction that could still roll back
+// or be rerun: intents are created before it and voided after it has committed.
+
+const db = require('../../models');
+const config = require('../../config/config');
+const logger = require('../../logger');
+const { BadRequestError, NotFoundError, ConflictError } = require('../../errors');
+const { toCents } = require('../../money');
+const { transitionOrder } = require('../orderLifecycle');
+const { touch } = require('../versioning');
+const { runTransaction } = require('../transactions');
+const createMockGateway = require('./mockGateway');
+
+const { Payment, Refund, Order, Op } = db;
+
+// Public fields, used as `attributes` whenever an order's payments are read
+const PAYMENT_ATTRIBUTES = ['id', 'amount', 'currency', 'method', 'provider', 'providerRef', 'status', 'failureReason', 'paidAt'];
+
+const gateways = {
+  mock: () => createMockGateway({
+    webhookSecret: config.payments.webhookSecret,
+    toleranceSeconds: config.payments.webhookToleranceSeconds
+  })
+};
+
+let gateway = null;
+
+function getGateway() {
+  if (!gateway) {
+    const factory = gateways[config.payments.gateway];
+    if (!factory) throw new Error(`Unknown payment gateway '${config.payments.gateway}'`);
+    gateway = factory();
+  }
+  return gateway;
+}
+
+// Replace the active gateway (a real provider adapter, or a stub in tests)
+function setGateway(custom) {
+  gateway = custom;
+}
+
+// Deadline for a new shop order, or null when unpaid orders never expire
+function paymentDueAt(from = new Date()) {
+  const minutes = config.payments.timeoutMinutes;
+  return minutes > 0 ? new Date(from.getTime() + minutes * 60 * 1000) : null;
+}
+
+// Run a gateway call once `transaction` has committed (right away without one). Failures
+// are logged, not thrown: the database change they follow has already happened.
+async function afterCommit(transaction, call, message, meta) {
+  const run = () => call().catch((err) => logger.error(message, { ...meta, error: err.message }));
+  if (transaction) transaction.afterCommit(run);
+  else await run();
+}
+
+// Void the order's open intents (the customer started again, or the order is gone).
+// An intent that gets paid anyway is refunded when its webhook arrives (see markSucceeded).
+async function cancelPendingPayments(orderId, transaction) {
+  const pending = await Payment.findAll({ where: { orderId, status: 'pending' }, transaction });
+  for (const payment of pending) await payment.update({ status: 'cancelled' }, { transaction });
+
+  const gateway = getGateway();
+  const references = pending.filter((p) => p.provider === gateway.name).map((p) => p.providerRef);
+  if (references.length) {
+    await afterCommit(transaction, () => Promise.all(references.map((ref) => gateway.cancelIntent(ref))),
+      'Cancelling payment intents failed', { orderId, references });
+  }
+  return pending.length;
+}
+
+function assertPayable(order) {
+  if (order.status !== 'pending') {
+    throw new ConflictError('ORDER_NOT_PAYABLE', `Order is ${order.status} and cannot be paid`, { orderStatus: order.status });
+  }
+  if (order.paymentDueAt && order.paymentDueAt < new Date()) {
+    throw new ConflictError('PAYMENT_WINDOW_CLOSED', 'The time to pay for this order has run out');
+  }
+}
+
+/**
+ * Start paying for a pending order. Earlier open intents for it are cancelled.
+ * The intent is created first; if the order can't take it after all, it is voided again.
+ * Throws 409 ORDER_NOT_PAYABLE (not pending) or PAYMENT_WINDOW_CLOSED (past paymentDueAt).
+ * @returns {Promise<{ payment: Payment, clientSecret: string }>}
+ */
+async function createPaymentIntent(order, { method = 'card' } = {}) {
+  assertPayable(order);
+
+  const amount = Number(order.total);
+  const { currency } = config.payments;
+  const gateway = getGateway();
+  const intent = await gateway.createIntent({ amount, currency, orderId: order.id, method });
+
+  try {
+    const payment = await runTransaction(async (transaction) => {
+      // Paid, cancelled or expired while the gateway was answering?
+      const current = await Order.findByPk(order.id, { transaction });
+      assertPayable(current);
+      await cancelPendingPayments(order.id, transaction);
+
+      const created = await Payment.create({
+        orderId: order.id,
+        amount,
+        currency,
+        method,
+        provider: gateway.name,
+        providerRef: intent.reference,
+        status: 'pending'
+      }, { transaction });
+      await touch(current, transaction); // new ETag: the order's payments changed
+      return created;
+    }, { label: 'payment intent' });
+
+    return { payment, clientSecret: intent.clientSecret };
+  } catch (err) {
+    await afterCommit(null, () => gateway.cancelIntent(intent.reference),
+      'Cancelling payment intent failed', { orderId: order.id, reference: intent.reference });
+    throw err;
+  }
+}
+
+/**
+ * Send a pending `refund` of a gateway `payment` once `transaction` has committed, and
+ * record the gateway's answer on it. If the gateway refuses it stays pending for staff.
+ */
+async function sendRefund(refund, payment, transaction) {
+  const gateway = getGateway();
+  await afterCommit(transaction, async () => {
+    const settled = await gateway.refund(payment.providerRef, { amount: Number(refund.amount), currency: payment.currency });
+    await refund.update({ providerRef: settled.reference, status: settled.status });
+    logger.info('Refund sent to the gateway', { orderId: refund.orderId, paymentId: payment.id, refundId: refund.id, status: settled.status });
+  }, 'Sending a refund to the gateway failed, it is left pending', { orderId: refund.orderId, paymentId: payment.id, refundId: refund.id });
+}
+
+/**
+ * Give back a payment the order didn't need (paid twice, or paid after it timed out).
+ * The order's refundedTotal is left alone: its total never counted this money.
+ */
+async function refundUnneededPayment(order, payment, transaction) {
+  logger.warn('Payment received for an order that is not pending, refunding it', {
+    orderId: order.id, status: order.status, paymentId: payment.id, amount: payment.amount
+  });
+  const refund = await Refund.create({
+    orderId: order.id,
+    paymentId: payment.id,
+    amount: payment.amount,
+    taxAmount: 0,
+    reason: `Payment received for a ${order.status} order`,
+    provider: payment.provider,
+    status: 'pending'
+  }, { transaction });
+  await touch(order, transaction); // new ETag: the order's payments changed
+  await sendRefund(refund, payment, transaction);
+  return refund;
+}
+
+// Money arrived: record it and move a still-pending order to paid
+async function markSucceeded(payment, event, transaction) {
+  if (payment.status === 'succeeded') return { duplicate: true };
+
+  await payment.update({ status: 'succeeded', paidAt: new Date(), failureReason: null }, { transaction });
+
+  const order = await Order.findByPk(payment.orderId, { transaction });
+  if (order.status !== 'pending') {
+    const refund = await refundUnneededPayment(order, payment, transaction);
+    return { orderStatus: order.status, refundId: refund.id };
+  }
+  await transitionOrder(order, 'paid', { note: `Payment ${payment.providerRef} (${payment.method}) confirmed`, transaction });
+  return { orderStatus: order.status };
+}
+
+/**
+ * Verify a gateway webhook and apply it. Replays of an event already applied are no-ops.
+ * Throws 400 WEBHOOK_SIGNATURE_INVALID / PAYMENT_AMOUNT_MISMATCH, 404 PAYMENT_NOT_FOUND.
+ */
+async function handleWebhook(rawBody, headers) {
+  const event = getGateway().parseWebhook(rawBody, headers);
+
+  const { payment, result } = await runTransaction(async (transaction) => {
+    const payment = await Payment.findOne({
+      where: { provider: getGateway().name, providerRef: event.reference || null },
+      transaction
+    });
+    if (!payment) throw new NotFoundError('PAYMENT_NOT_FOUND', `No payment with reference ${event.reference}`);
+
+    if (event.amount != null && toCents(event.amount) !== toCents(payment.amount)) {
+      throw new BadRequestError('PAYMENT_AMOUNT_MISMATCH', `Webhook amount ${event.amount} does not match payment ${payment.amount}`);
+    }
+
+    let result;
+    if (event.type === 'payment.succeeded') {
+      result = await markSucceeded(payment, event, transaction);
+    } else if (event.type === 'payment.failed') {
+      if (payment.status === 'pending') {
+        await payment.update({ status: 'failed', failureReason: event.failureReason }, { transaction });
+        await touch(await Order.findByPk(payment.orderId, { transaction }), transaction);
+        result = {};
+      } else {
+        result = { duplicate: true };
+      }
+    } else {
+      result = { ignored: true };
+    }
+    return { payment, result };
+  }, { label: 'payment webhook' });
+
+  logger.info('Payment webhook processed', { eventId: event.id, type: event.type, paymentId: payment.id, orderId: payment.orderId, ...result });
+  return { event, payment, ...result };
+}
+
+/**
+ * Record money taken outside the gateway (staff marking an order paid at the counter).
+ * Skipped when the order already has a successful payment.
+ */
+async function recordManualPayment(order, { method = 'cash', userId = null, transaction } = {}) {
+  const paid = await Payment.count({ where: { orderId: order.id, status: 'succeeded' }, transaction });
+  if (paid) return null;
+
+  await cancelPendingPayments(order.id, transaction);
+  return Payment.create({
+    orderId: order.id,
+    amount: order.total,
+    currency: config.payments.currency,
+    method,
+    provider: 'manual',
+    status: 'succeeded',
+    paidAt: new Date(),
+    recordedBy: userId
+  }, { transaction });
+}
+
+/**
+ * Cancel pending orders whose payment deadline has passed: stock, slot and promo
+ * uses are released by the normal cancellation. Each order runs in its own transaction.
+ * @returns {Promise<number>} orders cancelled
+ */
+async function expireUnpaidOrders(now = new Date()) {
+  const overdue = await Order.findAll({
+    where: { status: 'pending', paymentDueAt: { [Op.lt]: now } },
+    attributes: ['id']
+  });
+
+  let cancelled = 0;
+  for (const { id } of overdue) {
+    const expired = await runTransaction(async (transaction) => {
+      // A webhook may have paid it in the meantime
+      const order = await Order.findByPk(id, { transaction });
+      if (order.status !== 'pending') return false;
+      await cancelPendingPayments(order.id, transaction);
+      await transitionOrder(order, 'cancelled', { note: 'Payment not received in time', transaction });
+      return true;
+    }, { label: 'unpaid order expiry' }).catch((err) => logger.error('Unpaid order expiry failed', { orderId: id, error: err.message }));
+    if (expired) cancelled += 1;
+  }
+
+  if (cancelled) logger.warn('Unpaid orders cancelled', { count: cancelled });
+  return cancelled;
+}
+
+// Run expireUnpaidOrders() now and then on a timer that doesn't keep the process alive
+function startPaymentExpiry() {
+  const run = () => expireUnpaidOrders().catch((err) => logger.error('Unpaid order sweep failed', { error: err.message }));
+  run();
+  return setInterval(run, config.payments.sweepIntervalSeconds * 1000).unref();
+}
+
+module.exports = {
+  PAYMENT_ATTRIBUTES,
+  getGateway,
+  setGateway,
+  paymentDueAt,
+  createPaymentIntent,
+  sendRefund,
+  handleWebhook,
+  recordManualPayment,
+  expireUnpaidOrders,
+  startPaymentExpiry
+};
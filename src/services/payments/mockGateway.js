@@ -0,0 +1,76 @@
+// File: src/services/payments/mockGateway.js
+// Local stand-in for a card gateway: intents and refunds are just random
+// references and no money moves. Webhooks are signed like most real providers do:
+//
+//   X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+//
+// Body: { "id": "evt_...", "type": "payment.succeeded" | "payment.failed",
+//         "data": { "reference": "mock_pi_...", "amount": 32.67, "failureReason"?: "..." } }
+
+const crypto = require('crypto');
+const { BadRequestError } = require('../../errors');
+
+const invalid = (msg) => new BadRequestError('WEBHOOK_SIGNATURE_INVALID', msg);
+
+module.exports = function createMockGateway({ webhookSecret, toleranceSeconds }) {
+  const hmac = (timestamp, rawBody) => crypto
+    .createHmac('sha256', webhookSecret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency }) {
+      const reference = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+      return {
+        reference,
+        clientSecret: `${reference}_secret_${crypto.randomBytes(12).toString('hex')}`,
+        amount,
+        currency
+      };
+    },
+
+    async cancelIntent(reference) {
+      return { reference, status: 'cancelled' };
+    },
+
+    // Refunds settle immediately
+    async refund(reference, { amount }) {
+      return { reference: `mock_re_${crypto.randomBytes(12).toString('hex')}`, payment: reference, amount, status: 'succeeded' };
+    },
+
+    // Header value for a payload; lets local scripts fake the provider's calls
+    sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+      return `t=${timestamp},v1=${hmac(timestamp, rawBody)}`;
+    },
+
+    /**
+     * Verify and decode a webhook call. Throws 400 WEBHOOK_SIGNATURE_INVALID.
+     * @returns {{ id, type, reference, amount, failureReason }}
+     */
+    parseWebhook(rawBody, headers) {
+      const parts = Object.fromEntries(
+        String(headers['x-mock-signature'] || '').split(',').map((p) => p.trim().split('='))
+      );
+      const timestamp = Number(parts.t);
+      if (!rawBody || !timestamp || !parts.v1) throw invalid('Missing or malformed webhook signature');
+      if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) throw invalid('Webhook signature has expired');
+
+      const expected = Buffer.from(hmac(timestamp, rawBody));
+      const given = Buffer.from(parts.v1);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw invalid('Webhook signature does not match');
+      }
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        reference: event.data?.reference,
+        amount: event.data?.amount ?? null,
+        failureReason: event.data?.failureReason || null
+      };
+    }
+  };
+};
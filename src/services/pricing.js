@@ -0,0 +1,72 @@
+// File: src/services/pricing.js
+// Order price breakdown: subtotal, discounts, delivery fee, GST and total.
+//
+// Everything is worked out in integer cents (see money.js). GST is charged on
+// the discounted subtotal plus the delivery fee and rounded once, per order:
+//   exclusive pricing  total = net + GST
+//   inclusive pricing  total = net, GST = net * r / (1 + r)
+
+const config = require('../config/config');
+const { toCents, fromCents, percentOf, taxIncluded, sumCents } = require('../money');
+
+// Last four-digit group in the address, e.g. "12 Main St, Sydney NSW 2000" -> 2000
+function postcodeOf(address) {
+  const matches = String(address || '').match(/\b\d{4}\b/g);
+  return matches ? matches[matches.length - 1] : null;
+}
+
+// '2000' or a '2007-2011' range
+function postcodeMatches(pattern, postcode) {
+  const [from, to = from] = String(pattern).split('-').map((s) => s.trim());
+  return postcode >= from && postcode <= to;
+}
+
+/**
+ * Delivery fee in cents for a fulfilment ({ type, deliveryAddress }); pickups and
+ * counter sales (no fulfilment) are free. The first zone listing the postcode wins.
+ */
+function deliveryFeeCents(fulfilment, { zones = config.pricing.deliveryZones, flatFee = config.pricing.deliveryFee } = {}) {
+  if (!fulfilment || fulfilment.type !== 'delivery') return 0;
+  const postcode = postcodeOf(fulfilment.deliveryAddress);
+  const zone = postcode && zones.find((z) => (z.postcodes || []).some((p) => postcodeMatches(p, postcode)));
+  return toCents(zone ? zone.fee : flatFee);
+}
+
+// What one unit sells for: its price, plus the labour charge for bouquets
+function unitPrice(flower) {
+  return fromCents(toCents(flower.price) + toCents(flower.labourCharge || 0));
+}
+
+/**
+ * Price an order.
+ * @param {{ lines: Array<{ price, quantity }>, discountTotal?: number, fulfilment?: object|null }} input
+ * @returns {{ subtotal, discountTotal, deliveryFee, taxRate, pricesIncludeTax, taxTotal, total }}
+ *   dollar amounts, ready for the Order columns
+ */
+function priceOrder({ lines, discountTotal = 0, fulfilment = null }) {
+  const { taxRate, pricesIncludeTax } = config.pricing;
+
+  const subtotal = sumCents(lines.map((l) => toCents(l.price) * l.quantity));
+  const discount = Math.min(toCents(discountTotal), subtotal);
+  const delivery = deliveryFeeCents(fulfilment);
+  const net = subtotal - discount + delivery;
+
+  const tax = pricesIncludeTax ? taxIncluded(net, taxRate) : percentOf(net, taxRate);
+  const total = pricesIncludeTax ? net : net + tax;
+
+  return {
+    subtotal: fromCents(subtotal),
+    discountTotal: fromCents(discount),
+    deliveryFee: fromCents(delivery),
+    taxRate,
+    pricesIncludeTax,
+    taxTotal: fromCents(tax),
+    total: fromCents(total)
+  };
+}
+
+module.exports = {
+  deliveryFeeCents,
+  unitPrice,
+  priceOrder
+};
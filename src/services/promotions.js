@@ -0,0 +1,151 @@
+// File: src/services/promotions.js
+// Promo codes applied at order creation.
+//
+// Each code is checked (active, date window, usage limits, minimum spend,
+// restrictions) and discounts only the lines it applies to. Several codes can
+// only be combined when every one of them is stackable. Redemptions are
+// recorded as order_discounts rows; cancelling the order gives the use back.
+
+const db = require('../models');
+const { BadRequestError, ConflictError } = require('../errors');
+const { toCents, fromCents, percentOf, sumCents } = require('../money');
+
+const { PromoCode, OrderDiscount, Order, sequelize, Op } = db;
+
+const lineCents = (l) => toCents(l.price) * l.quantity;
+
+const normaliseCode = (code) => String(code).trim().toUpperCase();
+
+// Does a line ({ flowerId, categories }) fall under the code's restrictions?
+// line.categories has the slugs of the flower's categories and their ancestors
+function isEligible(promo, line) {
+  const categories = promo.categories || [];
+  const flowerIds = promo.flowerIds || [];
+  if (!categories.length && !flowerIds.length) return true;
+  return flowerIds.includes(line.flowerId) || categories.some((slug) => line.categories.includes(slug));
+}
+
+// Redemptions by this customer on orders that were not cancelled
+async function customerRedemptions(promo, customerId, transaction) {
+  return OrderDiscount.count({
+    where: { promoCodeId: promo.id },
+    include: [{ model: Order, attributes: [], where: { customerId, status: { [Op.ne]: 'cancelled' } } }],
+    transaction
+  });
+}
+
+async function checkUsable(promo, { customerId, now, transaction }) {
+  if (promo.startsAt && promo.startsAt > now) {
+    throw new BadRequestError('PROMO_NOT_ACTIVE', `Promo code ${promo.code} is not active yet`);
+  }
+  if (promo.endsAt && promo.endsAt < now) {
+    throw new BadRequestError('PROMO_EXPIRED', `Promo code ${promo.code} has expired`);
+  }
+  if (promo.usageLimit != null && promo.timesUsed >= promo.usageLimit) {
+    throw new ConflictError('PROMO_EXHAUSTED', `Promo code ${promo.code} has been fully redeemed`);
+  }
+  if (promo.perCustomerLimit != null && customerId
+    && await customerRedemptions(promo, customerId, transaction) >= promo.perCustomerLimit) {
+    throw new ConflictError('PROMO_LIMIT_REACHED', `You have already used promo code ${promo.code}`);
+  }
+}
+
+/**
+ * Work out the discount for `codes` on an order.
+ * @param {string[]} codes
+ * @param {{ lines: Array<{ flowerId, categories, price, quantity }>, customerId, transaction }} ctx
+ * @returns {Promise<{ discountTotal: number, applied: Array<{ promo, eligibleSubtotal, amount }> }>}
+ * Throws 400/409 PROMO_* errors when a code can't be used.
+ */
+async function priceDiscounts(codes = [], { lines, customerId = null, transaction } = {}) {
+  const unique = [...new Set(codes.map(normaliseCode))];
+  if (!unique.length) return { discountTotal: 0, applied: [] };
+
+  const promos = await PromoCode.findAll({ where: { code: unique, isActive: true }, transaction });
+  const missing = unique.filter((c) => !promos.some((p) => p.code === c));
+  if (missing.length) {
+    throw new BadRequestError('PROMO_INVALID', `Unknown promo code: ${missing.join(', ')}`, { codes: missing });
+  }
+  if (promos.length > 1 && promos.some((p) => !p.stackable)) {
+    throw new BadRequestError('PROMO_NOT_STACKABLE', 'These promo codes cannot be combined', {
+      codes: promos.filter((p) => !p.stackable).map((p) => p.code)
+    });
+  }
+
+  const subtotal = sumCents(lines.map(lineCents));
+  const now = new Date();
+  const applied = [];
+  let remaining = subtotal;
+
+  for (const promo of promos) {
+    await checkUsable(promo, { customerId, now, transaction });
+
+    if (promo.minSpend != null && subtotal < toCents(promo.minSpend)) {
+      throw new BadRequestError('PROMO_MIN_SPEND', `Promo code ${promo.code} needs a minimum spend of $${Number(promo.minSpend).toFixed(2)}`, {
+        minSpend: Number(promo.minSpend), subtotal: fromCents(subtotal)
+      });
+    }
+
+    const eligible = sumCents(lines.filter((l) => isEligible(promo, l)).map(lineCents));
+    if (!eligible) {
+      throw new BadRequestError('PROMO_NOT_APPLICABLE', `Promo code ${promo.code} does not apply to any item in this order`);
+    }
+
+    let amount = promo.type === 'percentage'
+      ? percentOf(eligible, promo.value)
+      : Math.min(toCents(promo.value), eligible);
+    if (promo.maxDiscount != null) amount = Math.min(amount, toCents(promo.maxDiscount));
+    // Stacked codes can never take the order below zero
+    amount = Math.min(amount, remaining);
+    remaining -= amount;
+
+    applied.push({ promo, eligibleSubtotal: fromCents(eligible), amount: fromCents(amount) });
+  }
+
+  return { discountTotal: fromCents(subtotal - remaining), applied };
+}
+
+/**
+ * Store the breakdown for an order and count the redemptions.
+ * The usage counter is a conditional UPDATE so a limited code can't be over-redeemed.
+ */
+async function recordRedemptions(order, applied, transaction) {
+  for (const { promo, eligibleSubtotal, amount } of applied) {
+    const where = { id: promo.id };
+    if (promo.usageLimit != null) where.timesUsed = { [Op.lt]: promo.usageLimit };
+    const [claimed] = await PromoCode.update(
+      { timesUsed: sequelize.literal('times_used + 1') },
+      { where, transaction }
+    );
+    if (!claimed) throw new ConflictError('PROMO_EXHAUSTED', `Promo code ${promo.code} has been fully redeemed`);
+
+    await OrderDiscount.create({
+      orderId: order.id,
+      promoCodeId: promo.id,
+      code: promo.code,
+      type: promo.type,
+      value: promo.value,
+      eligibleSubtotal,
+      amount
+    }, { transaction });
+  }
+}
+
+// Give the uses back when an order is cancelled (the breakdown rows stay for the record)
+async function releaseRedemptions(orderId, transaction) {
+  const discounts = await OrderDiscount.findAll({ where: { orderId }, transaction });
+  for (const d of discounts) {
+    await PromoCode.update(
+      { timesUsed: sequelize.literal('CASE WHEN times_used > 0 THEN times_used - 1 ELSE 0 END') },
+      { where: { id: d.promoCodeId }, transaction }
+    );
+  }
+  return discounts.length;
+}
+
+module.exports = {
+  normaliseCode,
+  priceDiscounts,
+  recordRedemptions,
+  releaseRedemptions
+};
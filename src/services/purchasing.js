@@ -0,0 +1,181 @@
+// File: src/services/purchasing.js
+// Purchase orders: stock bought from suppliers.
+//
+//   draft -> sent -> partially_received -> received
+//     \        \            \
+//      `--------`------------`--> cancelled   (nothing more is expected)
+//
+// Drafts can be edited; sending one mails it to the supplier. Receiving goes
+// through moveStock() as 'restock' movements, each received line a new batch at
+// the line's unit cost, so stock, batch cost and supplier spend all agree.
+
+const db = require('../models');
+const { BadRequestError, ConflictError } = require('../errors');
+const { moveStock } = require('./inventory');
+const { sendMail } = require('./mail');
+const { toCents, fromCents, sumCents } = require('../money');
+
+const { Flower, Supplier, SupplierPrice, PurchaseOrder, PurchaseOrderItem } = db;
+
+// Allowed next states; the received states are only reached through receivePurchaseOrder()
+const TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received', 'cancelled'],
+  received: [],
+  cancelled: []
+};
+
+const lineError = (msg, extra) => new BadRequestError('PO_LINE_INVALID', msg, extra);
+
+/**
+ * Check the lines against the catalogue: every flower must be an active stem, and a line
+ * without a unitCost takes the supplier's catalogue price.
+ * Throws 400 PO_LINE_INVALID.
+ * @returns {Promise<{ lines: Array<{ flowerId, quantity, unitCost }>, total: number }>}
+ */
+async function priceLines(supplier, items, transaction) {
+  const ids = items.map((i) => i.flowerId);
+  const flowers = await Flower.findAll({ where: { id: ids }, attributes: ['id', 'type'], transaction });
+  const prices = await SupplierPrice.findAll({ where: { supplierId: supplier.id, flowerId: ids }, transaction });
+
+  const lines = items.map(({ flowerId, quantity, unitCost }) => {
+    const flower = flowers.find((f) => f.id === flowerId);
+    if (!flower) throw lineError(`Flower ${flowerId} not found`, { flowerId });
+    if (flower.type !== 'stem') throw lineError(`Flower ${flowerId} is a bouquet; order its stems instead`, { flowerId });
+
+    const cost = unitCost ?? prices.find((p) => p.flowerId === flowerId)?.unitCost;
+    if (cost === undefined) {
+      throw lineError(`${supplier.name} has no catalogue price for flower ${flowerId}; give a unitCost`, { flowerId });
+    }
+    return { flowerId, quantity, unitCost: fromCents(toCents(cost)) };
+  });
+
+  const total = fromCents(sumCents(lines.map((l) => toCents(l.unitCost) * l.quantity)));
+  return { lines, total };
+}
+
+/**
+ * Create a draft purchase order. Throws 400 SUPPLIER_INACTIVE or PO_LINE_INVALID.
+ * @returns {Promise<PurchaseOrder>}
+ */
+async function createPurchaseOrder({ supplier, items, expectedAt = null, notes = null, userId = null }, transaction) {
+  if (!supplier.isActive) throw new BadRequestError('SUPPLIER_INACTIVE', `${supplier.name} is no longer active`);
+
+  const { lines, total } = await priceLines(supplier, items, transaction);
+  const po = await PurchaseOrder.create(
+    { supplierId: supplier.id, status: 'draft', total, expectedAt, notes, createdBy: userId },
+    { transaction }
+  );
+  await PurchaseOrderItem.bulkCreate(lines.map((l) => ({ ...l, purchaseOrderId: po.id })), { transaction });
+  return po;
+}
+
+/**
+ * Change a draft: new lines (replacing the old ones), expected date or notes.
+ * Throws 409 PO_NOT_DRAFT once it has been sent.
+ */
+async function updatePurchaseOrder(po, { items, ...fields }, transaction) {
+  if (po.status !== 'draft') {
+    throw new ConflictError('PO_NOT_DRAFT', 'Only draft purchase orders can be changed', { currentStatus: po.status });
+  }
+  if (items) {
+    const supplier = await Supplier.findByPk(po.supplierId, { transaction });
+    const { lines, total } = await priceLines(supplier, items, transaction);
+    await PurchaseOrderItem.destroy({ where: { purchaseOrderId: po.id }, transaction });
+    await PurchaseOrderItem.bulkCreate(lines.map((l) => ({ ...l, purchaseOrderId: po.id })), { transaction });
+    fields.total = total;
+  }
+  return po.update(fields, { transaction });
+}
+
+/**
+ * Move a purchase order to `toStatus`, enforcing the transition graph.
+ * Throws 409 INVALID_TRANSITION (with the allowed next states).
+ */
+async function transitionPurchaseOrder(po, toStatus, transaction) {
+  const allowed = TRANSITIONS[po.status] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new ConflictError(
+      'INVALID_TRANSITION',
+      `Cannot change purchase order status from '${po.status}' to '${toStatus}'`,
+      { allowed }
+    );
+  }
+
+  const fields = { status: toStatus };
+  if (toStatus === 'sent') fields.sentAt = new Date();
+  if (toStatus === 'received') fields.receivedAt = new Date();
+  return po.update(fields, { transaction });
+}
+
+/**
+ * Receive stock against a sent purchase order, all that is outstanding or only `items`.
+ * Each line becomes a 'restock' movement and a batch at the line's unit cost.
+ * Must run inside `transaction`. Throws 409 PO_NOT_OPEN unless the order has been sent and
+ * isn't complete, 400 PO_LINE_INVALID for flowers not on it or more than is outstanding.
+ * @param {Array<{ flowerId: number, quantity: number, expiresAt?: string }>} [input.items]
+ * @returns {Promise<Array<{ flowerId: number, quantity: number }>>} what was received
+ */
+async function receivePurchaseOrder(po, { items, note = null, userId = null }, transaction) {
+  if (po.status !== 'sent' && po.status !== 'partially_received') {
+    throw new ConflictError('PO_NOT_OPEN', `A ${po.status.replace('_', ' ')} purchase order can't be received`, { currentStatus: po.status });
+  }
+  const lines = await PurchaseOrderItem.findAll({ where: { purchaseOrderId: po.id }, order: [['id', 'ASC']], transaction });
+  const outstanding = (line) => line.quantity - line.receivedQuantity;
+
+  const receipts = items || lines.filter((l) => outstanding(l) > 0).map((l) => ({ flowerId: l.flowerId, quantity: outstanding(l) }));
+  for (const { flowerId, quantity } of receipts) {
+    const line = lines.find((l) => l.flowerId === flowerId);
+    if (!line) throw lineError(`Flower ${flowerId} is not on this purchase order`, { flowerId });
+    if (quantity > outstanding(line)) {
+      throw lineError(`Only ${outstanding(line)} of flower ${flowerId} are still expected`, {
+        flowerId, requested: quantity, outstanding: outstanding(line)
+      });
+    }
+  }
+
+  const complete = lines.every((l) => outstanding(l) === (receipts.find((r) => r.flowerId === l.flowerId)?.quantity || 0));
+  await transitionPurchaseOrder(po, complete ? 'received' : 'partially_received', transaction);
+
+  for (const { flowerId, quantity, expiresAt } of receipts) {
+    const line = lines.find((l) => l.flowerId === flowerId);
+    await moveStock(flowerId, quantity, {
+      reason: 'restock',
+      userId,
+      note: note || `PO #${po.id}`,
+      batch: { unitCost: line.unitCost, expiresAt, supplierId: po.supplierId, purchaseOrderId: po.id },
+      transaction
+    });
+    await line.increment('receivedQuantity', { by: quantity, transaction });
+  }
+  return receipts.map(({ flowerId, quantity }) => ({ flowerId, quantity }));
+}
+
+// Mail a sent purchase order to the supplier
+async function sendPurchaseOrderEmail(po, supplier) {
+  const lines = await PurchaseOrderItem.findAll({
+    where: { purchaseOrderId: po.id },
+    include: [{ model: Flower.scope('all'), attributes: ['name'] }],
+    order: [['id', 'ASC']]
+  });
+  const rows = lines.map((l) => `  ${l.quantity} x ${l.Flower.name} @ ${fromCents(toCents(l.unitCost)).toFixed(2)}`);
+  return sendMail({
+    to: supplier.email,
+    subject: `Purchase order #${po.id}`,
+    text: `Hi ${supplier.contactName || supplier.name},\n\nPlease supply:\n${rows.join('\n')}\n\n` +
+      `Total: ${fromCents(toCents(po.total)).toFixed(2)}\n` +
+      (po.expectedAt ? `Delivery by: ${po.expectedAt}\n` : '') +
+      (po.notes ? `\n${po.notes}\n` : '') +
+      `\nPlease quote PO #${po.id} on the delivery docket.`
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  transitionPurchaseOrder,
+  receivePurchaseOrder,
+  sendPurchaseOrderEmail
+};
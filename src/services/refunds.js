@@ -0,0 +1,172 @@
+// File: src/services/refunds.js
+// Refunds against paid orders: everything still refundable, or returned quantities of some lines.
+//
+// A line's refund is its share of what was actually charged: unit price x quantity,
+// less its pro-rata part of the order's discounts, plus GST when prices exclude it.
+// The delivery fee only comes back with a full refund. Money goes back through the
+// payment that took it (a gateway refund, or cash for manual payments), and the
+// returned items can be put back in stock. A gateway refund is recorded as pending and
+// only sent once the transaction has committed, so run refundOrder() in runTransaction():
+// its IMMEDIATE lock keeps two refunds from both seeing the same amount left.
+
+const db = require('../models');
+const logger = require('../logger');
+const { BadRequestError, ConflictError } = require('../errors');
+const { toCents, fromCents, divRound, percentOf, taxIncluded, sumCents } = require('../money');
+const { moveStock } = require('./inventory');
+const { stockLines } = require('./bouquets');
+const { getGateway, sendRefund } = require('./payments');
+
+const { OrderItem, Payment, Refund, RefundItem, Op } = db;
+
+// Refunds that gave (or are giving) money back
+const LIVE = { status: { [Op.ne]: 'failed' } };
+
+// Public fields, used as `attributes` whenever an order's refunds are read
+const REFUND_ATTRIBUTES = ['id', 'amount', 'taxAmount', 'reason', 'restock', 'status', 'createdAt'];
+
+// What `quantity` units of a line at `price` cost the customer, GST included: { amount, tax } in cents
+function lineRefundCents(order, price, quantity) {
+  const gross = toCents(price) * quantity;
+  const subtotal = toCents(order.subtotal);
+  const discount = subtotal ? divRound(toCents(order.discountTotal) * gross, subtotal) : 0;
+  const net = gross - discount;
+  if (order.pricesIncludeTax) return { amount: net, tax: taxIncluded(net, order.taxRate) };
+  const tax = percentOf(net, order.taxRate);
+  return { amount: net + tax, tax };
+}
+
+/**
+ * Order lines with how much of each is still refundable.
+ * @returns {Promise<Array<{ flowerId, price, quantity, components, refunded, remaining }>>}
+ */
+async function refundableLines(orderId, transaction) {
+  const items = await OrderItem.findAll({ where: { orderId }, transaction });
+  const returned = await RefundItem.findAll({
+    include: [{ model: Refund, attributes: [], where: { orderId, ...LIVE } }],
+    transaction
+  });
+
+  return items.map((item) => {
+    const refunded = returned.filter((r) => r.flowerId === item.flowerId).reduce((n, r) => n + r.quantity, 0);
+    return {
+      flowerId: item.flowerId,
+      price: item.price,
+      quantity: item.quantity,
+      components: item.components,
+      refunded,
+      remaining: item.quantity - refunded
+    };
+  });
+}
+
+// The payment to refund against: newest successful one with enough left on it
+async function pickPayment(order, cents, transaction) {
+  const payments = await Payment.findAll({
+    where: { orderId: order.id, status: 'succeeded' },
+    include: [{ model: Refund, as: 'refunds', where: LIVE, required: false }],
+    order: [['id', 'DESC']],
+    transaction
+  });
+  if (!payments.length) return null;
+
+  const payment = payments.find((p) => toCents(p.amount) - sumCents(p.refunds.map((r) => toCents(r.amount))) >= cents);
+  if (!payment) {
+    throw new ConflictError('REFUND_EXCEEDS_PAYMENT', 'No single payment on this order covers that refund amount');
+  }
+  return payment;
+}
+
+/**
+ * Refund an order inside `transaction` (a gateway refund is sent once it has committed).
+ * @param {Order} order
+ * @param {{ reason: string, restock?: boolean, items?: Array<{ flowerId, quantity }>, userId?, transaction }} input
+ *   no `items` refunds everything still refundable, delivery fee included
+ * Throws 409 ORDER_NOT_PAID / NOTHING_TO_REFUND / RESTOCK_NOT_ALLOWED / REFUND_EXCEEDS_PAYMENT,
+ * 400 REFUND_LINE_INVALID.
+ * @returns {Promise<Refund>} with its items; reload it after the commit for the gateway's answer
+ */
+async function refundOrder(order, { reason, restock = false, items, userId = null, transaction }) {
+  const paid = await Payment.count({ where: { orderId: order.id, status: 'succeeded' }, transaction });
+  // Orders marked paid before payments were recorded have no payment row to refund against
+  if (!paid && !['paid', 'shipped', 'delivered'].includes(order.status)) {
+    throw new ConflictError('ORDER_NOT_PAID', 'Only paid orders can be refunded');
+  }
+  // Cancelling already put the stock back
+  if (restock && order.status === 'cancelled') {
+    throw new ConflictError('RESTOCK_NOT_ALLOWED', 'The items of a cancelled order are already back in stock');
+  }
+
+  const remainingCents = toCents(order.total) - toCents(order.refundedTotal);
+  if (remainingCents <= 0) throw new ConflictError('NOTHING_TO_REFUND', 'This order has been fully refunded');
+
+  const lines = await refundableLines(order.id, transaction);
+  let returned;
+  let amount;
+  let tax;
+
+  if (items) {
+    returned = items.map(({ flowerId, quantity }) => {
+      const line = lines.find((l) => l.flowerId === flowerId);
+      if (!line) throw new BadRequestError('REFUND_LINE_INVALID', `Flower ${flowerId} is not on this order`);
+      if (quantity > line.remaining) {
+        throw new BadRequestError('REFUND_LINE_INVALID', `Only ${line.remaining} of flower ${flowerId} can still be refunded`, {
+          flowerId, requested: quantity, remaining: line.remaining
+        });
+      }
+      return { flowerId, quantity, components: line.components, ...lineRefundCents(order, line.price, quantity) };
+    });
+    // Rounding on earlier partial refunds can leave a cent less than the lines add up to
+    amount = Math.min(sumCents(returned.map((r) => r.amount)), remainingCents);
+    tax = Math.min(sumCents(returned.map((r) => r.tax)), amount);
+  } else {
+    returned = lines
+      .filter((l) => l.remaining > 0)
+      .map((l) => ({ flowerId: l.flowerId, quantity: l.remaining, components: l.components, ...lineRefundCents(order, l.price, l.remaining) }));
+    amount = remainingCents;
+    const taxRefunded = sumCents((await Refund.findAll({ where: { orderId: order.id, ...LIVE }, transaction })).map((r) => toCents(r.taxAmount)));
+    tax = Math.max(toCents(order.taxTotal) - taxRefunded, 0);
+  }
+
+  const payment = await pickPayment(order, amount, transaction);
+  const viaGateway = Boolean(payment) && payment.provider === getGateway().name;
+
+  const refund = await Refund.create({
+    orderId: order.id,
+    paymentId: payment ? payment.id : null,
+    amount: fromCents(amount),
+    taxAmount: fromCents(tax),
+    reason,
+    restock,
+    provider: payment ? payment.provider : 'manual',
+    // manual: cash/transfer handed back by staff there and then
+    status: viaGateway ? 'pending' : 'succeeded',
+    createdBy: userId
+  }, { transaction });
+  await RefundItem.bulkCreate(
+    returned.map((r) => ({ refundId: refund.id, flowerId: r.flowerId, quantity: r.quantity, amount: fromCents(r.amount) })),
+    { transaction }
+  );
+
+  if (restock) {
+    for (const r of returned) {
+      // a bouquet goes back as its stems
+      for (const stems of stockLines(r)) {
+        await moveStock(stems.flowerId, stems.quantity, { reason: 'return', userId, orderId: order.id, note: reason, transaction });
+      }
+    }
+  }
+  await order.update({ refundedTotal: fromCents(toCents(order.refundedTotal) + amount) }, { transaction });
+  if (viaGateway) await sendRefund(refund, payment, transaction);
+
+  logger.info('Order refunded', {
+    orderId: order.id, refundId: refund.id, amount: refund.amount, full: !items, restock, status: refund.status, by: userId
+  });
+  return Refund.findByPk(refund.id, { include: [{ model: RefundItem, as: 'items' }], transaction });
+}
+
+module.exports = {
+  REFUND_ATTRIBUTES,
+  refundableLines,
+  refundOrder
+};
@@ -0,0 +1,186 @@
+// File: src/services/salesAnalytics.js
+// Sales over time for GET /reports/sales.
+//
+// Orders count in the period (local calendar day, Monday-based week or month) they
+// were placed in, and by default only once paid: paid, shipped and delivered. Revenue
+// is what the customer paid less refunds (total - refundedTotal). Split by category it
+// is the lines' own revenue instead, price × quantity not returned, before order
+// discounts, delivery and GST; a flower in two categories counts in both.
+
+const db = require('../models');
+const { toCents, fromCents, sumCents, divRound } = require('../money');
+const { categoriesOf } = require('./categories');
+
+const { Order, OrderItem, Refund, RefundItem, Op } = db;
+
+const INTERVALS = ['day', 'week', 'month'];
+const GROUP_BY = ['category', 'fulfilment'];
+const SALE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// Orders without fulfilment details are counter sales
+const COUNTER = 'counter';
+const UNCATEGORISED = { id: null, name: 'Uncategorised', slug: null };
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// First local day of the period `date` falls in
+function periodStart(date, interval) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (interval === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (interval === 'month') d.setDate(1);
+  return d;
+}
+
+// '2025-11-03' for a day or week (its Monday), '2025-11' for a month
+function periodOf(date, interval) {
+  const key = dateKey(periodStart(date, interval));
+  return interval === 'month' ? key.slice(0, 7) : key;
+}
+
+// Every period from the one holding `from` to the one holding `to`, so gaps show as zeros
+function periodsBetween(from, to, interval) {
+  const periods = [];
+  for (let d = periodStart(from, interval); d <= to;) {
+    periods.push(periodOf(d, interval));
+    if (interval === 'day') d.setDate(d.getDate() + 1);
+    else if (interval === 'week') d.setDate(d.getDate() + 7);
+    else d.setMonth(d.getMonth() + 1);
+  }
+  return periods;
+}
+
+// { orders, revenue, averageOrderValue } of sales lines ({ orderId, cents })
+function summarize(sales) {
+  const orders = new Set(sales.map((s) => s.orderId)).size;
+  const cents = sumCents(sales.map((s) => s.cents));
+  return { orders, revenue: fromCents(cents), averageOrderValue: orders ? fromCents(divRound(cents, orders)) : 0 };
+}
+
+const percentChange = (now, before) => (before ? Math.round(((now - before) / before) * 1000) / 10 : null);
+
+/**
+ * The orders placed in `createdAt` (a where condition) with one of `statuses`.
+ * @returns {Promise<Array<{ orderId, createdAt, fulfilment, cents }>>} cents = total less refunds
+ */
+async function loadOrders(createdAt, statuses) {
+  const orders = await Order.findAll({
+    where: { status: { [Op.in]: statuses }, ...(createdAt && { createdAt }) },
+    attributes: ['id', 'createdAt', 'total', 'refundedTotal'],
+    include: [{ association: 'fulfilment', attributes: ['type'] }],
+    order: [['createdAt', 'ASC']]
+  });
+  return orders.map((o) => ({
+    orderId: o.id,
+    createdAt: o.createdAt,
+    fulfilment: o.fulfilment?.type || COUNTER,
+    cents: toCents(o.total) - toCents(o.refundedTotal)
+  }));
+}
+
+/**
+ * The lines of these orders, one entry per category of the line's flower.
+ * @returns {Promise<Array<{ orderId, category, cents }>>} cents = line revenue less returns
+ */
+async function loadCategoryLines(orderIds) {
+  if (!orderIds.length) return [];
+  const items = await OrderItem.findAll({ where: { orderId: orderIds }, attributes: ['orderId', 'flowerId', 'quantity', 'price'] });
+  const returns = await RefundItem.findAll({
+    attributes: ['flowerId', 'quantity'],
+    include: [{ model: Refund, attributes: ['orderId'], where: { orderId: orderIds, status: { [Op.ne]: 'failed' } } }]
+  });
+  const returned = new Map(); // 'orderId:flowerId' -> units
+  for (const r of returns) {
+    const key = `${r.Refund.orderId}:${r.flowerId}`;
+    returned.set(key, (returned.get(key) || 0) + r.quantity);
+  }
+  const categories = await categoriesOf([...new Set(items.map((i) => i.flowerId))], null, { includeInactive: true });
+
+  return items.flatMap((i) => {
+    const cents = toCents(i.price) * (i.quantity - (returned.get(`${i.orderId}:${i.flowerId}`) || 0));
+    const inCategories = categories.get(i.flowerId);
+    return (inCategories.length ? inCategories : [UNCATEGORISED]).map((category) => ({ orderId: i.orderId, category, cents }));
+  });
+}
+
+// Split entries by `keyOf`; returns [key, entries] pairs
+function groupEntries(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return groups;
+}
+
+/**
+ * Sales over time with breakdowns by fulfilment type and category, and the period
+ * just before for comparison (when `from` is given: as long as from..to, ending at from).
+ * @param {object} options  from, to (Dates; `to` itself is left out), statuses, interval, groupBy (splits each period)
+ * @returns {Promise<{ series, byFulfilment, byCategory, previousPeriod }>}
+ */
+async function salesOverTime({ from, to, statuses = SALE_STATUSES, interval = 'day', groupBy }) {
+  const range = {};
+  if (from) range[Op.gte] = from;
+  if (to) range[Op.lt] = to;
+  const orders = await loadOrders(from || to ? range : null, statuses);
+  const lines = await loadCategoryLines(orders.map((o) => o.orderId));
+
+  // A line's period is its order's
+  const placedAt = new Map(orders.map((o) => [o.orderId, o.createdAt]));
+  const periodKey = (e) => periodOf(placedAt.get(e.orderId), interval);
+
+  const byFulfilment = [...groupEntries(orders, (o) => o.fulfilment)]
+    .map(([fulfilment, entries]) => ({ fulfilment, ...summarize(entries) }))
+    .sort((a, b) => b.revenue - a.revenue);
+  const byCategory = [...groupEntries(lines, (l) => l.category.slug)]
+    .map(([, entries]) => ({ ...entries[0].category, ...summarize(entries) }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  const first = from || orders[0]?.createdAt;
+  const last = to ? new Date(to.getTime() - 1) : orders[orders.length - 1]?.createdAt;
+  const periods = first && last ? periodsBetween(first, last, interval) : [];
+
+  let series;
+  if (!groupBy) {
+    const byPeriod = groupEntries(orders, periodKey);
+    series = periods.map((period) => ({ period, ...summarize(byPeriod.get(period) || []) }));
+  } else {
+    const grouped = groupBy === 'category' ? lines : orders;
+    const groupOf = groupBy === 'category' ? (l) => l.category.slug : (o) => o.fulfilment;
+    const labels = groupBy === 'category'
+      ? byCategory.map((c) => ({ key: c.slug, group: c.name }))
+      : byFulfilment.map((f) => ({ key: f.fulfilment, group: f.fulfilment }));
+    const byPeriod = groupEntries(grouped, (e) => `${periodKey(e)}|${groupOf(e)}`);
+    series = periods.flatMap((period) =>
+      labels.map(({ key, group }) => ({ period, group, ...summarize(byPeriod.get(`${period}|${key}`) || []) })));
+  }
+
+  let previousPeriod = null;
+  if (from) {
+    const end = to || new Date();
+    const start = new Date(from.getTime() - (end.getTime() - from.getTime()));
+    const before = summarize(await loadOrders({ [Op.gte]: start, [Op.lt]: from }, statuses));
+    const now = summarize(orders);
+    previousPeriod = {
+      from: start,
+      to: from,
+      ...before,
+      change: {
+        orders: percentChange(now.orders, before.orders),
+        revenue: percentChange(now.revenue, before.revenue),
+        averageOrderValue: percentChange(now.averageOrderValue, before.averageOrderValue)
+      }
+    };
+  }
+
+  return { series, byFulfilment, byCategory, previousPeriod };
+}
+
+module.exports = {
+  INTERVALS,
+  GROUP_BY,
+  SALE_STATUSES,
+  salesOverTime
+};
@@ -0,0 +1,151 @@
+// File: src/services/sessions.js
+// Login sessions: short-lived access JWTs + rotating, server-side refresh tokens.
+//
+// - login/register  -> new Session + first refresh token
+// - POST /auth/refresh -> old refresh token marked used, new one issued (rotation)
+// - a refresh token presented twice -> whole session revoked (reuse detection)
+// - every access token carries `sid`; middleware/auth.js rejects it once the session is revoked
+
+const crypto = require('crypto');
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { UnauthorizedError } = require('../errors');
+
+const { Session, RefreshToken, User, sequelize, Op } = db;
+
+const unauthorised = (msg, code = 'REFRESH_TOKEN_INVALID') => new UnauthorizedError(code, msg);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+async function issueRefreshToken(session, transaction) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create(
+    { sessionId: session.id, tokenHash: hashToken(token), expiresAt: session.expiresAt },
+    { transaction }
+  );
+  return token;
+}
+
+function tokenPair(user, session, refreshToken) {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: !!user.emailVerifiedAt,
+    sid: session.id
+  };
+  return {
+    token: user.signToken(payload),
+    refreshToken,
+    expiresIn: config.auth.accessTokenTtl
+  };
+}
+
+/**
+ * Start a new session for a user (login / register).
+ * @returns {{ token, refreshToken, expiresIn }}
+ */
+async function createSession(user, { ip, userAgent } = {}) {
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.create(
+      { userId: user.id, expiresAt: refreshExpiry(), lastUsedAt: new Date(), ip, userAgent },
+      { transaction }
+    );
+    const refreshToken = await issueRefreshToken(session, transaction);
+    return tokenPair(user, session, refreshToken);
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Throws 401 REFRESH_TOKEN_INVALID / SESSION_REVOKED / REFRESH_TOKEN_REUSED.
+ */
+async function rotateSession(refreshToken, { ip, userAgent } = {}) {
+  if (!refreshToken) throw unauthorised('Refresh token required');
+
+  const stored = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: [{ model: Session, include: [User] }]
+  });
+  if (!stored) throw unauthorised('Refresh token is invalid');
+
+  const session = stored.Session;
+  if (session.revokedAt) throw unauthorised('Session has been revoked', 'SESSION_REVOKED');
+
+  if (stored.usedAt) {
+    // Someone replayed an old token: assume it was stolen and kill the whole session
+    await revokeSession(session.id, 'reuse_detected');
+    logger.warn('Auth: refresh token reuse detected', { sessionId: session.id, userId: session.userId, ip });
+    throw unauthorised('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+  if (stored.expiresAt <= new Date() || session.expiresAt <= new Date()) {
+    throw unauthorised('Refresh token has expired');
+  }
+
+  const user = session.User;
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'deactivated');
+    throw unauthorised('User is inactive');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Conditional update so two parallel refreshes with the same token can't both win
+    const [claimed] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { id: stored.id, usedAt: null }, transaction }
+    );
+    if (!claimed) throw unauthorised('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+
+    await session.update({ lastUsedAt: new Date(), ip: ip || session.ip, userAgent: userAgent || session.userAgent }, { transaction });
+    const next = await issueRefreshToken(session, transaction);
+    return tokenPair(user, session, next);
+  });
+}
+
+async function revokeSession(sessionId, reason = 'logout', transaction) {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null }, transaction }
+  );
+  return count;
+}
+
+// Used on "log out everywhere", deactivation, role and password changes.
+// `exceptSessionId` keeps the caller's own session alive.
+async function revokeAllForUser(userId, reason = 'logout_all', transaction, exceptSessionId = null) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where, transaction }
+  );
+  if (count) logger.info('Auth: sessions revoked', { userId, reason, count });
+  return count;
+}
+
+// Is this session id still usable for access tokens?
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await Session.findOne({
+    where: { id: sessionId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: ['id']
+  });
+  return !!session;
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllForUser,
+  isSessionActive
+};
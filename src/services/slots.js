@@ -0,0 +1,116 @@
+// File: src/services/slots.js
+// Delivery/pickup slot calendar: availability, booking and release.
+// A slot can be booked when it is active, not on a blackout date, not full and
+// not past its cut-off (same-day bookings close at the slot's cutoffTime).
+
+const db = require('../models');
+const config = require('../config/config');
+const { today } = require('./fulfilment');
+const { BadRequestError, ConflictError } = require('../errors');
+
+const { DeliverySlot, BlackoutDate, sequelize, Op } = db;
+
+// Local wall-clock time as HH:mm
+function nowTime() {
+  const d = new Date();
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function addDays(dateOnly, days) {
+  const d = new Date(`${dateOnly}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Has booking for this slot closed? Past days always are; today closes at the cut-off.
+function isPastCutoff(slot) {
+  const day = today();
+  if (slot.date < day) return true;
+  if (slot.date > day) return false;
+  const cutoff = slot.cutoffTime || config.slots.sameDayCutoff;
+  const closesAt = cutoff < slot.startTime ? cutoff : slot.startTime;
+  return nowTime() >= closesAt;
+}
+
+function toAvailability(slot) {
+  return {
+    id: slot.id,
+    type: slot.type,
+    date: slot.date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    capacity: slot.capacity,
+    remaining: Math.max(slot.capacity - slot.booked, 0)
+  };
+}
+
+/**
+ * Bookable slots between two dates (inclusive), blackout days and closed slots removed.
+ */
+async function listAvailability({ from, to, type } = {}) {
+  const start = from && from > today() ? from : today();
+  const end = to || addDays(start, config.slots.lookaheadDays);
+
+  const where = { isActive: true, date: { [Op.between]: [start, end] } };
+  if (type) where.type = type;
+
+  const [slots, blackouts] = await Promise.all([
+    DeliverySlot.findAll({ where, order: [['date', 'ASC'], ['startTime', 'ASC']] }),
+    BlackoutDate.findAll({ where: { date: { [Op.between]: [start, end] } } })
+  ]);
+  const closed = new Set(blackouts.map((b) => b.date));
+
+  return slots
+    .filter((s) => !closed.has(s.date) && !isPastCutoff(s))
+    .map(toAvailability);
+}
+
+/**
+ * Reserve one place in a slot inside the caller's transaction.
+ * The capacity check and the increment are a single conditional UPDATE, so
+ * concurrent checkouts cannot overbook. Throws 400 SLOT_UNAVAILABLE for unusable
+ * slots, 409 SLOT_FULL when full.
+ */
+async function reserveSlot(slotId, type, transaction) {
+  const slot = await DeliverySlot.findByPk(slotId, { transaction });
+  if (!slot || !slot.isActive) throw new BadRequestError('SLOT_UNAVAILABLE', `Slot ${slotId} not found`);
+  if (slot.type !== type) throw new BadRequestError('SLOT_UNAVAILABLE', `Slot ${slotId} is a ${slot.type} slot`);
+  if (isPastCutoff(slot)) throw new BadRequestError('SLOT_UNAVAILABLE', `Slot ${slotId} is no longer available for booking`);
+
+  const blackout = await BlackoutDate.findOne({ where: { date: slot.date }, transaction });
+  if (blackout) throw new BadRequestError('SLOT_UNAVAILABLE', `No ${type} on ${slot.date}${blackout.reason ? ` (${blackout.reason})` : ''}`);
+
+  const [affected] = await DeliverySlot.update(
+    { booked: sequelize.literal('booked + 1') },
+    { where: { id: slot.id, isActive: true, booked: { [Op.lt]: sequelize.col('capacity') } }, transaction }
+  );
+  if (!affected) throw new ConflictError('SLOT_FULL', `Slot ${slotId} is fully booked`);
+
+  return slot;
+}
+
+// Give a place back (order cancelled)
+async function releaseSlot(slotId, transaction) {
+  if (!slotId) return;
+  await DeliverySlot.update(
+    { booked: sequelize.literal('booked - 1') },
+    { where: { id: slotId, booked: { [Op.gt]: 0 } }, transaction }
+  );
+}
+
+// Fulfilment fields implied by a slot: the delivery day, or the pickup start time
+function slotFulfilmentFields(slot) {
+  return slot.type === 'delivery'
+    ? { deliveryDate: slot.date }
+    : { pickupTime: new Date(`${slot.date}T${slot.startTime}:00`).toISOString() };
+}
+
+module.exports = {
+  listAvailability,
+  reserveSlot,
+  releaseSlot,
+  slotFulfilmentFields,
+  isPastCutoff,
+  addDays
+};
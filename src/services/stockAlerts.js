@@ -0,0 +1,148 @@
+// File: src/services/stockAlerts.js
+// Low-stock alerts and reorder suggestions.
+//
+// moveStock() calls checkReorderPoint() after every movement. A flower going below
+// its reorder point raises an alert, and staff are notified (services/notify) once
+// the transaction commits. While that alert is open no new one is raised; stock back
+// at the reorder point resolves it, so the next drop raises a fresh one.
+
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { notify } = require('./notify');
+const { stockLines } = require('./bouquets');
+const { categoryCondition } = require('./categories');
+
+const { Flower, Order, OrderItem, StockAlert, sequelize, Op } = db;
+
+// Public fields of an alert
+const ALERT_ATTRIBUTES = ['id', 'flowerId', 'stockMovementId', 'stock', 'reorderPoint', 'suggestedQuantity', 'createdAt', 'resolvedAt'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Units of each flower sold over the last `velocityDays` (bouquets count as their stems),
+ * from the lines of orders that weren't cancelled.
+ * @returns {Promise<Map<number, number>>} flowerId -> units
+ */
+async function unitsSold(flowerIds, transaction) {
+  const since = new Date(Date.now() - config.stock.velocityDays * DAY_MS);
+  const items = await OrderItem.findAll({
+    where: { [Op.or]: [{ flowerId: flowerIds }, { components: { [Op.ne]: null } }] },
+    attributes: ['flowerId', 'quantity', 'components'],
+    include: [{ model: Order, attributes: [], where: { createdAt: { [Op.gte]: since }, status: { [Op.ne]: 'cancelled' } } }],
+    transaction
+  });
+
+  const sold = new Map(flowerIds.map((id) => [id, 0]));
+  for (const item of items) {
+    for (const { flowerId, quantity } of stockLines(item)) {
+      if (sold.has(flowerId)) sold.set(flowerId, sold.get(flowerId) + quantity);
+    }
+  }
+  return sold;
+}
+
+// Enough for reorderCoverDays at the recent sales rate, and at least back up to the target / reorder point
+function suggestQuantity(flower, sold) {
+  const perDay = sold / config.stock.velocityDays;
+  const level = Math.max(Math.ceil(perDay * config.stock.reorderCoverDays), flower.reorderTarget || 0, flower.reorderPoint || 0);
+  return Math.max(level - flower.stock, 0);
+}
+
+function alertNotification(flower, alert) {
+  return {
+    type: 'low_stock',
+    title: `Low stock: ${flower.name}`,
+    text: `${flower.name} is down to ${alert.stock} (reorder point ${alert.reorderPoint}). ` +
+      `Suggested reorder: ${alert.suggestedQuantity}.`,
+    data: { alertId: alert.id, flowerId: flower.id, stock: alert.stock, reorderPoint: alert.reorderPoint, suggestedQuantity: alert.suggestedQuantity }
+  };
+}
+
+/**
+ * Raise or resolve the flower's low-stock alert for its current stock.
+ * `flower` needs id, name, stock, reorderPoint and reorderTarget.
+ * @returns {Promise<StockAlert|null>} the alert when a new one was raised
+ */
+async function checkReorderPoint(flower, { stockMovementId = null, transaction } = {}) {
+  const open = await StockAlert.findOne({ where: { flowerId: flower.id, resolvedAt: null }, transaction });
+  const low = flower.reorderPoint !== null && flower.stock < flower.reorderPoint;
+
+  if (!low) {
+    if (open) {
+      await open.update({ resolvedAt: new Date() }, { transaction });
+      logger.info('Stock alert resolved', { alertId: open.id, flowerId: flower.id, stock: flower.stock });
+    }
+    return null;
+  }
+  if (open) return null;
+
+  const sold = (await unitsSold([flower.id], transaction)).get(flower.id);
+  const alert = await StockAlert.create({
+    flowerId: flower.id,
+    stockMovementId,
+    stock: flower.stock,
+    reorderPoint: flower.reorderPoint,
+    suggestedQuantity: suggestQuantity(flower, sold)
+  }, { transaction });
+  logger.warn('📉 Low stock alert raised', { alertId: alert.id, flowerId: flower.id, stock: flower.stock, reorderPoint: flower.reorderPoint });
+
+  // Only tell anyone once the stock change has actually happened
+  const send = () => notify(alertNotification(flower, alert));
+  if (transaction) transaction.afterCommit(send);
+  else await send();
+  return alert;
+}
+
+/**
+ * Stems below their reorder point, biggest shortfall first, with recent sales and a suggested reorder quantity.
+ */
+async function lowStock({ category } = {}) {
+  const where = { type: 'stem', reorderPoint: { [Op.ne]: null }, stock: { [Op.lt]: sequelize.col('reorder_point') } };
+  if (category) where[Op.and] = [await categoryCondition(category)];
+  const flowers = await Flower.findAll({
+    where,
+    attributes: ['id', 'name', 'stock', 'reorderPoint', 'reorderTarget']
+  });
+
+  const ids = flowers.map((f) => f.id);
+  const sold = await unitsSold(ids);
+  const alerts = await StockAlert.findAll({ where: { flowerId: ids, resolvedAt: null }, attributes: ['id', 'flowerId', 'createdAt'] });
+
+  return flowers
+    .map((f) => {
+      const alert = alerts.find((a) => a.flowerId === f.id);
+      return {
+        ...f.toJSON(),
+        shortfall: f.reorderPoint - f.stock,
+        soldLastDays: sold.get(f.id),
+        velocityDays: config.stock.velocityDays,
+        suggestedQuantity: suggestQuantity(f, sold.get(f.id)),
+        alert: alert ? { id: alert.id, raisedAt: alert.createdAt } : null
+      };
+    })
+    .sort((a, b) => b.shortfall - a.shortfall || a.id - b.id);
+}
+
+// The alert feed, newest first; status 'open' or 'resolved'
+async function listAlerts({ status, flowerId, page = 1, pageSize = 20 } = {}) {
+  const where = {};
+  if (status === 'open') where.resolvedAt = null;
+  if (status === 'resolved') where.resolvedAt = { [Op.ne]: null };
+  if (flowerId) where.flowerId = flowerId;
+  return StockAlert.findAndCountAll({
+    where,
+    attributes: ALERT_ATTRIBUTES,
+    include: [{ model: Flower.scope('all'), attributes: ['id', 'name', 'stock', 'reorderPoint'] }],
+    order: [['id', 'DESC']],
+    limit: pageSize,
+    offset: (page - 1) * pageSize
+  });
+}
+
+module.exports = {
+  checkReorderPoint,
+  lowStock,
+  listAlerts
+};
@@ -0,0 +1,30 @@
+// File: src/services/storage/index.js
+// Pluggable file storage (flower images, ...). Every driver exposes
+// put(key, data), get(key) -> Buffer | null and remove(key); keys are '/'-separated paths.
+// The driver is picked by config.storage.driver ('local'); an object-store driver
+// (S3, GCS, ...) only needs the same methods and can be swapped in with setStorage().
+
+const config = require('../../config/config');
+const createLocalStorage = require('./localStorage');
+
+const drivers = {
+  local: () => createLocalStorage({ dir: config.storage.dir })
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const factory = drivers[config.storage.driver];
+    if (!factory) throw new Error(`Unknown storage driver '${config.storage.driver}'`);
+    storage = factory();
+  }
+  return storage;
+}
+
+// Replace the active driver (e.g. an object store in production, a stub in tests)
+function setStorage(custom) {
+  storage = custom;
+}
+
+module.exports = { getStorage, setStorage };
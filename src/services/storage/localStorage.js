@@ -0,0 +1,37 @@
+// File: src/services/storage/localStorage.js
+// Keeps files on the local disk under one folder, a key being the path below it.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = function createLocalStorage({ dir }) {
+  const root = path.resolve(dir);
+
+  // Keys come from our own code, but never let one point outside the folder
+  function fileOf(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key '${key}'`);
+    return file;
+  }
+
+  return {
+    async put(key, data) {
+      const file = fileOf(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(fileOf(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(fileOf(key), { force: true });
+    }
+  };
+};
@@ -0,0 +1,71 @@
+// File: src/services/transactions.js
+// Write transactions that survive a busy database.
+//
+// SQLite allows one writer at a time. Two checkouts that both read stock and then
+// try to write can deadlock on the file lock, and one of them gets SQLITE_BUSY.
+// runTransaction() starts SQLite transactions as IMMEDIATE (the write lock is
+// taken up front, so readers never have to upgrade) and reruns the whole unit of
+// work with jittered backoff when the lock can't be had. Other dialects ignore
+// the transaction type and simply never see a busy error.
+//
+// node-sqlite3 gives every connection a 1s busy timeout, spent blocking one of
+// libuv's four worker threads; a handful of queued checkouts would then starve
+// the transaction holding the lock. Connections of the IMMEDIATE transactions
+// started here fail fast instead and the waiting happens in JS, off the pool.
+
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { AppError } = require('../errors');
+
+const { sequelize, Sequelize } = db;
+
+const IMMEDIATE = Sequelize.Transaction.TYPES.IMMEDIATE;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+if (sequelize.getDialect() === 'sqlite') {
+  sequelize.addHook('beforeQuery', (options, query) => {
+    const { connection } = query;
+    if (options.transaction?.options.type === IMMEDIATE && connection && !connection.failFast) {
+      connection.configure('busyTimeout', 0);
+      connection.failFast = true;
+    }
+  });
+}
+
+// Sequelize maps SQLITE_BUSY to a TimeoutError
+function isBusyError(err) {
+  return err instanceof Sequelize.TimeoutError
+    || err?.parent?.code === 'SQLITE_BUSY'
+    || /SQLITE_BUSY|database is locked/.test(err?.message || '');
+}
+
+/**
+ * Run `work(transaction)` in a managed transaction, retrying it from the start on SQLITE_BUSY.
+ * `work` must not have side effects outside the transaction (it can run more than once).
+ * Throws 503 DATABASE_BUSY once the retries are used up.
+ */
+async function runTransaction(work, { retries = config.db.busyRetries, label = 'transaction' } = {}) {
+  const options = sequelize.getDialect() === 'sqlite' ? { type: IMMEDIATE } : {};
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sequelize.transaction(options, work);
+    } catch (err) {
+      if (!isBusyError(err)) throw err;
+      if (attempt >= retries) {
+        logger.error('Database busy, giving up', { label, attempts: attempt + 1 });
+        throw new AppError(503, 'DATABASE_BUSY', 'The shop is busy right now, please try again');
+      }
+      const delay = config.db.busyRetryDelayMs * 2 ** attempt * (0.5 + Math.random());
+      logger.warn('Database busy, retrying', { label, attempt: attempt + 1, delayMs: Math.round(delay) });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  isBusyError,
+  runTransaction
+};
@@ -0,0 +1,70 @@
+// File: src/services/versioning.js
+// ETags and If-Match for versioned records.
+//
+// Flower, Customer and Order use Sequelize's `version: true`: every instance save
+// checks and bumps `version`, so of two overlapping saves only one wins (the other
+// is a 409 VERSION_CONFLICT). The version is the record's ETag; updates honour
+// If-Match with a 412 when it is stale and GETs answer If-None-Match with a 304.
+// Bulk updates skip the counter, so code that changes these rows in bulk bumps
+// `version` itself (see moveStock()), and changes to what an order embeds
+// (payments) touch() the order.
+
+const crypto = require('crypto');
+const { PreconditionFailedError } = require('../errors');
+
+const etagOf = (record) => `"${record.version}"`;
+
+// Weak ETag for a page of records: changes when any row on it, or the total, does
+function listETag(records, extra = '') {
+  const hash = crypto.createHash('sha1')
+    .update(records.map((r) => `${r.id}:${r.version}`).join(',') + `|${extra}`)
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+function setETag(res, record) {
+  res.set('ETag', etagOf(record));
+}
+
+/**
+ * Throw 412 VERSION_MISMATCH when the request has an If-Match that isn't `record`'s ETag.
+ * Without the header the update goes ahead (the save is still version-checked).
+ */
+function checkIfMatch(req, record) {
+  const header = req.get('If-Match');
+  if (!header) return;
+
+  const current = etagOf(record);
+  const tags = header.split(',').map((t) => t.trim());
+  if (tags.includes('*') || tags.includes(current)) return;
+
+  throw new PreconditionFailedError('VERSION_MISMATCH', 'The record was changed since you loaded it; reload it and try again', {
+    etag: current
+  });
+}
+
+/**
+ * Set `etag` on the response and send a 304 when the client's If-None-Match has it.
+ * @returns {boolean} true when the 304 was sent
+ */
+function notModified(req, res, etag) {
+  res.set('ETag', etag);
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+}
+
+// New version (and updatedAt) for a record whose embedded data changed
+async function touch(record, transaction) {
+  record.changed('updatedAt', true);
+  return record.save({ transaction });
+}
+
+module.exports = {
+  etagOf,
+  listETag,
+  setETag,
+  checkIfMatch,
+  notModified,
+  touch
+};
@@ -0,0 +1,86 @@
+// File: test/account.test.js
+// Emailed tokens verify an address or reset a password once; password changes end other sessions.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createUser, startServer } = require('./helpers');
+const { setTransport } = require('../src/services/mail');
+
+let api;
+let outbox;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  setTransport({ send: async (message) => { outbox.push(message); return { id: outbox.length }; } });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+beforeEach(() => { outbox = []; });
+
+// The token in the last email sent to `email`
+function mailedToken(email) {
+  const message = outbox.filter((m) => m.to === email).pop();
+  assert.ok(message, `no email to ${email}`);
+  return message.text.match(/: (\S+)\n/)[1];
+}
+
+const login = (email, password) => api.request('POST', '/auth/login', { body: { email, password } });
+
+test('a new customer verifies their email with the mailed token, once', async () => {
+  const email = 'new.customer@example.com';
+  const registered = await api.request('POST', '/auth/register', { body: { name: 'New Customer', email, password: 'Password123!' } });
+  assert.equal(registered.status, 201);
+  const me = await api.request('GET', '/auth/me', { token: registered.body.token });
+  assert.equal(me.body.emailVerified, false);
+
+  const token = mailedToken(email);
+  const verified = await api.request('POST', '/auth/verify-email', { body: { token } });
+  assert.equal(verified.status, 200);
+  assert.equal((await api.request('GET', '/auth/me', { token: registered.body.token })).body.emailVerified, true);
+
+  const again = await api.request('POST', '/auth/verify-email', { body: { token } });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, 'TOKEN_INVALID');
+  const resend = await api.request('POST', '/auth/verify-email/resend', { token: registered.body.token });
+  assert.equal(resend.body.code, 'EMAIL_ALREADY_VERIFIED');
+});
+
+test('a password reset works once, with the newest link only, and signs out everywhere', async () => {
+  const { user, token: oldSession } = await createUser();
+  const unknown = await api.request('POST', '/auth/password/forgot', { body: { email: 'nobody@example.com' } });
+  await api.request('POST', '/auth/password/forgot', { body: { email: user.email } });
+  const stale = mailedToken(user.email);
+  const forgot = await api.request('POST', '/auth/password/forgot', { body: { email: user.email } });
+
+  // same answer whether or not the account exists
+  assert.equal(unknown.status, 202);
+  assert.deepEqual(unknown.body, forgot.body);
+  assert.equal(outbox.filter((m) => m.to === 'nobody@example.com').length, 0);
+
+  const reset = (token) => api.request('POST', '/auth/password/reset', { body: { token, newPassword: 'Brand-new-pass1' } });
+  assert.equal((await reset(stale)).body.code, 'TOKEN_INVALID');
+  const fresh = mailedToken(user.email);
+  assert.equal((await reset(fresh)).status, 204);
+  assert.equal((await reset(fresh)).body.code, 'TOKEN_INVALID');
+
+  assert.equal((await login(user.email, 'Password123!')).body.code, 'INVALID_CREDENTIALS');
+  assert.equal((await login(user.email, 'Brand-new-pass1')).status, 200);
+  assert.equal((await api.request('GET', '/auth/me', { token: oldSession })).body.code, 'SESSION_REVOKED');
+});
+
+test('changing the password needs the current one and keeps only this session', async () => {
+  const { user, token } = await createUser();
+  const other = await login(user.email, 'Password123!');
+  const change = (currentPassword) => api.request('POST', '/auth/password/change', {
+    token, body: { currentPassword, newPassword: 'Changed-pass-1' }
+  });
+
+  assert.equal((await change('wrong-password')).body.code, 'INVALID_CREDENTIALS');
+  assert.equal((await change('Password123!')).status, 204);
+
+  assert.equal((await api.request('GET', '/auth/me', { token })).status, 200);
+  assert.equal((await api.request('GET', '/auth/me', { token: other.body.token })).body.code, 'SESSION_REVOKED');
+  assert.equal((await login(user.email, 'Changed-pass-1')).status, 200);
+});
@@ -0,0 +1,97 @@
+// File: test/batches.test.js
+// Stock is kept in batches: sales take the one expiring first, write-offs name theirs.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { today } = require('../src/services/fulfilment');
+const { addDays } = require('../src/services/slots');
+const { reconcile } = require('../src/services/inventory');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function receive(flower, delta, unitCost, days) {
+  const res = await api.request('POST', `/flowers/${flower.id}/restock`, {
+    token: staff.token, body: { delta, unitCost, expiresAt: addDays(today(), days) }
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+const batchesOf = async (flower) => (await api.request('GET', `/flowers/${flower.id}/batches`, { token: staff.token })).body.data;
+
+test('a sale takes the batch expiring first and a cancel puts it back', async () => {
+  const flower = await createFlower();
+  await receive(flower, 10, 1.5, 5);
+  await receive(flower, 4, 2, 1);
+
+  let [soon, later] = await batchesOf(flower);
+  assert.deepEqual([soon.remaining, soon.expiresAt, Number(soon.value)], [4, addDays(today(), 1), 8]);
+  assert.deepEqual([later.remaining, later.expiresAt, Number(later.value)], [10, addDays(today(), 5), 15]);
+
+  const customer = await createCustomer();
+  const order = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 6 }] }
+  });
+  assert.equal(order.status, 201);
+
+  // the 4 from the batch that expires tomorrow, then 2 of the later one
+  assert.deepEqual((await batchesOf(flower)).map((b) => [b.id, b.remaining]), [[later.id, 8]]);
+
+  await api.request('PATCH', `/orders/${order.body.id}/status`, { token: staff.token, body: { status: 'cancelled' } });
+  [soon, later] = await batchesOf(flower);
+  assert.deepEqual([soon.remaining, later.remaining], [4, 10]);
+  assert.equal((await reconcile()).ok, true);
+});
+
+test('a write-off takes only from its batch', async () => {
+  const flower = await createFlower();
+  await receive(flower, 3, 1, 1);
+  await receive(flower, 10, 1, 5);
+  const [soon, later] = await batchesOf(flower);
+
+  const tooMany = await api.request('POST', `/flowers/${flower.id}/batches/${soon.id}/waste`, {
+    token: staff.token, body: { quantity: 5 }
+  });
+  assert.equal(tooMany.status, 409);
+  assert.equal(tooMany.body.code, 'BATCH_INSUFFICIENT');
+  assert.equal(tooMany.body.remaining, 3);
+  assert.equal((await flower.reload()).stock, 13);
+
+  // without a quantity the whole batch goes
+  const wasted = await api.request('POST', `/flowers/${flower.id}/batches/${soon.id}/waste`, { token: staff.token });
+  assert.equal(wasted.status, 200);
+  assert.equal(wasted.body.remaining, 0);
+  assert.equal((await flower.reload()).stock, 10);
+  assert.deepEqual((await batchesOf(flower)).map((b) => b.id), [later.id]);
+
+  const again = await api.request('POST', `/flowers/${flower.id}/batches/${soon.id}/waste`, { token: staff.token });
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, 'BATCH_EMPTY');
+
+  const other = await createFlower({ stock: 1 });
+  const elsewhere = await api.request('POST', `/flowers/${other.id}/batches/${later.id}/waste`, { token: staff.token });
+  assert.equal(elsewhere.status, 404);
+});
+
+test('the expiring list has the batches due within the window, expired ones too', async () => {
+  const flower = await createFlower();
+  await receive(flower, 2, 1, -1);
+  await receive(flower, 2, 1, 1);
+  await receive(flower, 2, 1, 6);
+
+  const res = await api.request('GET', '/flowers/expiring?days=2', { token: staff.token });
+  assert.equal(res.status, 200);
+  const mine = res.body.data.filter((b) => b.flowerId === flower.id);
+  assert.deepEqual(mine.map((b) => [b.expiresAt, b.expired]), [[addDays(today(), -1), true], [addDays(today(), 1), false]]);
+});
@@ -0,0 +1,81 @@
+// File: test/bouquets.test.js
+// A bouquet is made from stems: its stock is what they can make, and selling it takes them.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function createBouquet(components, fields = {}) {
+  const res = await api.request('POST', '/flowers', {
+    token: staff.token,
+    body: { name: 'Dozen roses', type: 'bouquet', price: 60, labourCharge: 15, components, ...fields }
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test('a bouquet sells as its stems and comes back as them on cancel', async () => {
+  const roses = await createFlower({ stock: 30 });
+  const fern = await createFlower({ stock: 3 });
+  const bouquet = await createBouquet([{ flowerId: roses.id, quantity: 12 }, { flowerId: fern.id, quantity: 1 }]);
+
+  // roses make 2, fern would make 3
+  assert.equal(bouquet.stock, 2);
+  assert.deepEqual(bouquet.components.map((c) => [c.flowerId, c.quantity]), [[roses.id, 12], [fern.id, 1]]);
+
+  const customer = await createCustomer();
+  const order = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: bouquet.id, quantity: 2 }] }
+  });
+  assert.equal(order.status, 201);
+  assert.equal(Number(order.body.subtotal), 150);
+  assert.equal((await roses.reload()).stock, 6);
+  assert.equal((await fern.reload()).stock, 1);
+  assert.equal((await api.request('GET', `/flowers/${bouquet.id}`)).body.stock, 0);
+
+  // the recipe changing later doesn't change what the order gives back
+  await api.request('PUT', `/flowers/${bouquet.id}`, { token: staff.token, body: { components: [{ flowerId: roses.id, quantity: 6 }] } });
+  await api.request('PATCH', `/orders/${order.body.id}/status`, { token: staff.token, body: { status: 'cancelled' } });
+  assert.equal((await roses.reload()).stock, 30);
+  assert.equal((await fern.reload()).stock, 3);
+});
+
+test('a bouquet with a discontinued stem can no longer be sold', async () => {
+  const tulips = await createFlower({ stock: 20 });
+  const bouquet = await createBouquet([{ flowerId: tulips.id, quantity: 5 }]);
+  await api.request('DELETE', `/flowers/${tulips.id}`, { token: staff.token });
+
+  assert.equal((await api.request('GET', `/flowers/${bouquet.id}`)).body.stock, 0);
+  const customer = await createCustomer();
+  const order = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: bouquet.id, quantity: 1 }] }
+  });
+  assert.equal(order.status, 409);
+  assert.equal(order.body.code, 'OUT_OF_STOCK');
+});
+
+test('bouquets have no stock of their own and are not components', async () => {
+  const stem = await createFlower({ stock: 10 });
+  const bouquet = await createBouquet([{ flowerId: stem.id, quantity: 2 }]);
+
+  const restock = await api.request('POST', `/flowers/${bouquet.id}/restock`, { token: staff.token, body: { delta: 5 } });
+  assert.equal(restock.body.code, 'BOUQUET_STOCK');
+  const nested = await api.request('POST', '/flowers', {
+    token: staff.token, body: { name: 'Bouquet of bouquets', type: 'bouquet', price: 10, components: [{ flowerId: bouquet.id, quantity: 1 }] }
+  });
+  assert.equal(nested.status, 400);
+  assert.equal(nested.body.code, 'BOUQUET_COMPONENT_INVALID');
+  assert.equal(await db.StockMovement.count({ where: { flowerId: bouquet.id } }), 0);
+});
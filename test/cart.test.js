@@ -0,0 +1,79 @@
+// File: test/cart.test.js
+// Cart lines hold stock for a while: nobody else can buy it, until the hold lapses.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { addDays } = require('../src/services/slots');
+const { today } = require('../src/services/fulfilment');
+
+const { CartItem, DeliverySlot } = db;
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+const addToCart = (customer, flower, quantity) =>
+  api.request('POST', '/shop/cart/items', { token: customer.token, body: { flowerId: flower.id, quantity } });
+
+test('held stock is not for sale to anyone else, in the shop or at the counter', async () => {
+  const flower = await createFlower({ stock: 5 });
+  const alice = await createUser();
+  const bob = await createUser();
+
+  const held = await addToCart(alice, flower, 4);
+  assert.equal(held.status, 200);
+  assert.equal(held.body.items[0].held, true);
+  assert.equal((await flower.reload()).stock, 5);
+
+  const refused = await addToCart(bob, flower, 2);
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'OUT_OF_STOCK');
+  assert.equal(refused.body.available, 1);
+  assert.equal((await addToCart(bob, flower, 1)).status, 200);
+
+  const customer = await createCustomer();
+  const counter = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 1 }] }
+  });
+  assert.equal(counter.body.code, 'OUT_OF_STOCK');
+
+  // emptying the cart gives the stock back
+  assert.equal((await api.request('DELETE', '/shop/cart', { token: alice.token })).status, 204);
+  assert.equal((await addToCart(bob, flower, 4)).status, 200);
+});
+
+test('a lapsed hold is checked again at checkout', async () => {
+  const flower = await createFlower({ stock: 3 });
+  const slot = await DeliverySlot.create({ type: 'pickup', date: addDays(today(), 2), startTime: '10:00', endTime: '11:00', capacity: 5 });
+  const alice = await createUser();
+  const bob = await createUser();
+  const checkout = (customer) => api.request('POST', '/shop/cart/checkout', {
+    token: customer.token, body: { fulfilment: 'pickup', slotId: slot.id, contactPhone: '0400 000 000' }
+  });
+
+  await addToCart(alice, flower, 2);
+  await CartItem.update({ heldUntil: new Date(Date.now() - 1000) }, { where: { flowerId: flower.id } });
+  const view = await api.request('GET', '/shop/cart', { token: alice.token });
+  assert.equal(view.body.items[0].held, false);
+
+  await addToCart(bob, flower, 2);
+  const late = await checkout(alice);
+  assert.equal(late.status, 409);
+  assert.equal(late.body.code, 'OUT_OF_STOCK');
+
+  const placed = await checkout(bob);
+  assert.equal(placed.status, 201);
+  assert.equal(placed.body.fulfilment.slotId, slot.id);
+  assert.equal((await flower.reload()).stock, 1);
+  assert.deepEqual((await api.request('GET', '/shop/cart', { token: bob.token })).body.items, []);
+  assert.equal((await checkout(bob)).body.code, 'CART_EMPTY');
+});
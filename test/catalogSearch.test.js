@@ -0,0 +1,64 @@
+// File: test/catalogSearch.test.js
+// The catalogue sorts, filters and buckets by the sell price, labour charge included.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createFlower } = require('./helpers');
+const { searchCatalog } = require('../src/services/catalogSearch');
+
+before(setupDatabase);
+after(closeDatabase);
+
+const search = (query) => searchCatalog({ page: 1, pageSize: 20, ...query });
+
+test('a bouquet is priced with its labour charge', async () => {
+  const stem = await createFlower({ name: 'Peony stem', price: 12 });
+  const bouquet = await createFlower({ name: 'Peony bouquet', type: 'bouquet', price: 8, labourCharge: 10 });
+  const dear = await createFlower({ name: 'Peony king', price: 15 });
+
+  const sorted = await search({ q: 'peony', sort: 'price_asc' });
+  assert.deepEqual(sorted.rows.map((f) => f.id), [stem.id, dear.id, bouquet.id]);
+  const reversed = await search({ q: 'peony', sort: 'price_desc' });
+  assert.deepEqual(reversed.rows.map((f) => f.id), [bouquet.id, dear.id, stem.id]);
+
+  const cheap = await search({ q: 'peony', maxPrice: 16 });
+  assert.deepEqual(cheap.rows.map((f) => f.id).sort(), [stem.id, dear.id].sort());
+  const dearer = await search({ q: 'peony', minPrice: 17 });
+  assert.deepEqual(dearer.rows.map((f) => f.id), [bouquet.id]);
+
+  // the buckets ignore the price range, and put the bouquet at 18, not 8
+  const buckets = Object.fromEntries(cheap.facets.prices.map((b) => [b.min, b.count]));
+  assert.equal(buckets[5], 0);
+  assert.equal(buckets[10], 3);
+});
+
+test('a search matches every word as a prefix and ranks name matches first', async () => {
+  const described = await createFlower({ name: 'Garden mix', description: 'Zinnias with a little dahlia' });
+  const named = await createFlower({ name: 'Zinnia bunch', description: 'Bright and cheerful' });
+  await createFlower({ name: 'Zinnia single', description: 'One stem' });
+
+  const both = await search({ q: 'zinn' });
+  assert.equal(both.sort, 'relevance');
+  assert.equal(both.count, 3);
+  assert.equal(both.rows.at(-1).id, described.id);
+
+  const all = await search({ q: 'zinnia dahl' });
+  assert.deepEqual(all.rows.map((f) => f.id), [described.id]);
+  assert.equal((await search({ q: 'zinnia tulip' })).count, 0);
+
+  // query syntax is taken literally
+  const quoted = await search({ q: '"zinnia" -bunch*' });
+  assert.deepEqual(quoted.rows.map((f) => f.id), [named.id]);
+});
+
+test('renamed and deactivated flowers leave the search', async () => {
+  const flower = await createFlower({ name: 'Waratah' });
+  assert.equal((await search({ q: 'waratah' })).count, 1);
+
+  await flower.update({ name: 'Protea' });
+  assert.equal((await search({ q: 'waratah' })).count, 0);
+  assert.equal((await search({ q: 'protea' })).count, 1);
+
+  await flower.update({ isActive: false });
+  assert.equal((await search({ q: 'protea' })).count, 0);
+});
@@ -0,0 +1,94 @@
+// File: test/categories.test.js
+// Categories nest: a filter takes in the subtree, a hidden parent hides it, and no
+// category can end up under itself.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createUser, createFlower, startServer } = require('./helpers');
+
+let api;
+let admin;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  admin = await createUser({ role: 'admin' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function createCategory(name, parent) {
+  const res = await api.request('POST', '/categories', { token: admin.token, body: { name, parentId: parent?.id } });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+const moveUnder = (category, parent) =>
+  api.request('PUT', `/categories/${category.id}`, { token: admin.token, body: { parentId: parent.id } });
+
+async function flowerIn(category, name) {
+  const flower = await createFlower({ name, stock: 5 });
+  const res = await api.request('PUT', `/flowers/${flower.id}`, { token: admin.token, body: { categoryIds: [category.id] } });
+  assert.equal(res.status, 200);
+  return flower;
+}
+
+test('a category cannot be moved under itself or its own subtree', async () => {
+  const occasions = await createCategory('Occasions & Gifts');
+  const birthdays = await createCategory('Birthdays', occasions);
+  const milestones = await createCategory('Milestones', birthdays);
+  assert.equal(occasions.slug, 'occasions-gifts');
+
+  for (const parent of [occasions, milestones]) {
+    const res = await moveUnder(occasions, parent);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'CATEGORY_CYCLE');
+  }
+  const unknown = await moveUnder(occasions, { id: 99999 });
+  assert.equal(unknown.body.code, 'CATEGORY_NOT_FOUND');
+
+  const taken = await api.request('POST', '/categories', { token: admin.token, body: { name: 'Birthdays again', slug: 'birthdays' } });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, 'CATEGORY_SLUG_TAKEN');
+
+  // moving a leaf up a level is fine
+  assert.equal((await moveUnder(milestones, occasions)).status, 200);
+});
+
+test('filtering by a category includes its subcategories and counts them in the facets', async () => {
+  const seasonal = await createCategory('Seasonal');
+  const spring = await createCategory('Spring', seasonal);
+  const other = await createCategory('Natives');
+  const daffodil = await flowerIn(spring, 'Daffodil');
+  const blossom = await flowerIn(seasonal, 'Cherry blossom');
+  await flowerIn(other, 'Kangaroo paw');
+
+  const res = await api.request('GET', '/flowers?category=seasonal&sort=name');
+  assert.deepEqual(res.body.data.map((f) => f.id), [blossom.id, daffodil.id]);
+  assert.deepEqual(res.body.data[1].categories.map((c) => c.slug), ['spring']);
+
+  // the category facet ignores ?category=, so the other branch is still counted
+  const counts = Object.fromEntries(res.body.facets.categories.map((c) => [c.slug, c.count]));
+  assert.equal(counts.seasonal, 2);
+  assert.equal(counts.spring, 1);
+  assert.equal(counts.natives, 1);
+});
+
+test('hiding a parent hides its subtree from the tree and the catalogue', async () => {
+  const weddings = await createCategory('Weddings');
+  const bridal = await createCategory('Bridal bouquets', weddings);
+  await flowerIn(bridal, 'Gardenia');
+
+  let tree = (await api.request('GET', '/categories')).body.data;
+  const node = tree.find((c) => c.id === weddings.id);
+  assert.deepEqual(node.children.map((c) => c.id), [bridal.id]);
+
+  assert.equal((await api.request('DELETE', `/categories/${weddings.id}`, { token: admin.token })).status, 204);
+
+  tree = (await api.request('GET', '/categories')).body.data;
+  assert.equal(tree.some((c) => c.id === weddings.id), false);
+  assert.equal((await api.request('GET', '/flowers?category=bridal-bouquets')).body.meta.total, 0);
+  const gardenia = (await api.request('GET', '/flowers?q=gardenia')).body.data[0];
+  assert.deepEqual(gardenia.categories, []);
+});
@@ -0,0 +1,48 @@
+// File: test/categoryVersions.test.js
+// Flowers get a new version (ETag) when a category they list is renamed or hidden.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createFlower } = require('./helpers');
+const { setCategories, touchFlowersIn } = require('../src/services/categories');
+const { runTransaction } = require('../src/services/transactions');
+
+const { Category } = db;
+
+before(setupDatabase);
+after(closeDatabase);
+
+// The same unit of work as PUT /categories/:id
+const updateCategory = (category, changes) => runTransaction(async (transaction) => {
+  await category.update(changes, { transaction });
+  await touchFlowersIn(category.id, transaction);
+}, { label: 'test category update' });
+
+test('renaming a category bumps the version of its flowers only', async () => {
+  const roses = await Category.create({ name: 'Roses', slug: 'roses' });
+  const lilies = await Category.create({ name: 'Lilies', slug: 'lilies' });
+  const red = await createFlower();
+  const white = await createFlower();
+  await runTransaction(async (transaction) => {
+    await setCategories(red, [roses.id], transaction);
+    await setCategories(white, [lilies.id], transaction);
+  });
+  const [redBefore, whiteBefore] = [(await red.reload()).version, (await white.reload()).version];
+
+  await updateCategory(roses, { name: 'Garden roses' });
+
+  assert.equal((await red.reload()).version, redBefore + 1);
+  assert.equal((await white.reload()).version, whiteBefore);
+});
+
+test('hiding a parent bumps the flowers of its subcategories', async () => {
+  const parent = await Category.create({ name: 'Seasonal', slug: 'seasonal' });
+  const child = await Category.create({ name: 'Spring', slug: 'spring', parentId: parent.id });
+  const flower = await createFlower();
+  await runTransaction((transaction) => setCategories(flower, [child.id], transaction));
+  const before = (await flower.reload()).version;
+
+  await updateCategory(parent, { isActive: false });
+
+  assert.equal((await flower.reload()).version, before + 1);
+});
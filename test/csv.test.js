@@ -0,0 +1,25 @@
+// File: test/csv.test.js
+// CSV cells are quoted where they need it, and never run as a spreadsheet formula.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCSV } = require('../src/csv');
+
+test('text that a spreadsheet would run is prefixed with a quote', () => {
+  const rows = ['=SUM(A1:A9)', '+61 400 000 000', '-1+1', '@cmd', '\tTab', 'Plain', '3 = 3'].map((name) => ({ name }));
+  assert.equal(
+    toCSV([{ key: 'name' }], rows),
+    "name\r\n'=SUM(A1:A9)\r\n'+61 400 000 000\r\n'-1+1\r\n'@cmd\r\n'\tTab\r\nPlain\r\n3 = 3\r\n"
+  );
+});
+
+test('numbers, dates and empty cells are written as they are', () => {
+  const columns = [{ key: 'amount', header: 'Amount' }, { key: 'at' }, { key: 'note' }];
+  const csv = toCSV(columns, [{ amount: -12.5, at: new Date('2026-03-05T00:00:00Z'), note: null }]);
+  assert.equal(csv, 'Amount,at,note\r\n-12.5,2026-03-05T00:00:00.000Z,\r\n');
+});
+
+test('commas, quotes and line breaks are quoted', () => {
+  const csv = toCSV([{ key: 'name' }], [{ name: 'Roses, red' }, { name: 'The "Queen"' }, { name: 'Two\nlines' }, { name: '=A1,B1' }]);
+  assert.equal(csv, 'name\r\n"Roses, red"\r\n"The ""Queen"""\r\n"Two\nlines"\r\n"\'=A1,B1"\r\n');
+});
@@ -0,0 +1,100 @@
+// File: test/customerAnalytics.test.js
+// Customers are scored on recency, frequency and spend of their paid orders, and repeat
+// customers who have gone quiet for twice their usual gap are flagged as lapsed.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { runTransaction } = require('../src/services/transactions');
+const { customerProfiles } = require('../src/services/customerAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let api;
+let admin;
+let flower;
+// Customers in every state the tests look at
+let champion;
+let lapsing;
+let oneOff;
+let unpaid;
+
+// An order by `customer` for `total`, placed `daysAgo` days ago and paid unless `status` says otherwise
+async function orderOf(customer, daysAgo, total, status = 'paid') {
+  const order = await runTransaction(async (transaction) => {
+    const order = await createOrder({ customer, items: [{ flowerId: flower.id, quantity: 1 }] }, transaction);
+    return status === 'pending' ? order : transitionOrder(order, status, { transaction });
+  });
+  await db.Order.update({ total, createdAt: new Date(Date.now() - daysAgo * DAY_MS) }, { where: { id: order.id }, silent: true });
+}
+
+const profileOf = async (customer) => (await customerProfiles({ customerIds: [customer.id] }))[0];
+
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  admin = await createUser({ role: 'admin' });
+  flower = await createFlower({ stock: 100 });
+
+  champion = await createCustomer();
+  for (let days = 95; days >= 5; days -= 10) await orderOf(champion, days, 100);
+
+  lapsing = await createCustomer();
+  for (const days of [130, 120, 110]) await orderOf(lapsing, days, 20);
+
+  oneOff = await createCustomer();
+  await orderOf(oneOff, 400, 10);
+
+  unpaid = await createCustomer();
+  await orderOf(unpaid, 2, 50, 'pending');
+  await orderOf(unpaid, 3, 50, 'cancelled');
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+test('a frequent big spender who ordered lately is a champion', async () => {
+  const profile = await profileOf(champion);
+  assert.deepEqual(
+    [profile.orders, profile.lifetimeSpend, profile.averageBasket, profile.daysSinceLastOrder, profile.averageDaysBetweenOrders],
+    [10, 1000, 100, 5, 10]
+  );
+  assert.equal(profile.rfm.score, '555');
+  assert.equal(profile.segment, 'champions');
+  assert.equal(profile.lapsed, false);
+});
+
+test('a repeat customer quiet for longer than twice their usual gap has lapsed', async () => {
+  const profile = await profileOf(lapsing);
+  assert.equal(profile.averageDaysBetweenOrders, 10);
+  assert.equal(profile.daysSinceLastOrder, 110);
+  assert.equal(profile.rfm.score, '332');
+  assert.equal(profile.segment, 'loyal');
+  assert.equal(profile.lapsed, true);
+});
+
+test('one-off customers are never lapsed, and unpaid orders do not count', async () => {
+  const once = await profileOf(oneOff);
+  assert.equal(once.rfm.score, '111');
+  assert.equal(once.segment, 'lost');
+  assert.equal(once.averageDaysBetweenOrders, null);
+  assert.equal(once.lapsed, false);
+
+  const none = await profileOf(unpaid);
+  assert.deepEqual([none.orders, none.rfm, none.segment], [0, null, 'no_orders']);
+});
+
+test('segments and the lapse flag pick customers in the report and the customer list', async () => {
+  const report = await api.request('GET', '/reports/customers?lapsed=true', { token: admin.token });
+  assert.equal(report.status, 200);
+  assert.deepEqual(report.body.data.map((p) => p.customerId), [lapsing.id]);
+  assert.equal(report.body.lapsed, 1);
+  assert.equal(report.body.segments.champions, 1);
+  assert.equal(report.body.segments.loyal, 1);
+
+  const list = await api.request('GET', '/customers?segment=champions', { token: admin.token });
+  assert.deepEqual(list.body.data.map((c) => [c.id, c.segment, c.lapsed]), [[champion.id, 'champions', false]]);
+});
@@ -0,0 +1,83 @@
+// File: test/errorHandler.test.js
+// Every error reaches the client as application/problem+json with a stable code and the request id.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { db, setupDatabase, closeDatabase } = require('./helpers');
+const requestId = require('../src/middleware/requestId');
+const { errorHandler, notFound } = require('../src/middleware/errorHandler');
+const { ConflictError } = require('../src/errors');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await setupDatabase();
+  await db.Customer.create({ name: 'Taken', email: 'taken@example.com' });
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.post('/app-error', () => { throw new ConflictError('SLOT_FULL', 'Slot 3 is fully booked', { slotId: 3 }); });
+  app.post('/duplicate', async () => { await db.Customer.create({ name: 'Again', email: 'taken@example.com' }); });
+  app.post('/crash', () => { throw new Error('secret internals'); });
+  app.use(notFound);
+  app.use(errorHandler);
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+after(async () => {
+  server.close();
+  await closeDatabase();
+});
+
+async function post(path, { body = '{}', headers = {} } = {}) {
+  const res = await fetch(baseUrl + path, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+  assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+  return { res, problem: await res.json() };
+}
+
+test('an AppError keeps its status, code, message and extras', async () => {
+  const { res, problem } = await post('/app-error', { headers: { 'X-Request-Id': 'req-42' } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.headers.get('x-request-id'), 'req-42');
+  assert.deepEqual(problem, {
+    type: 'urn:flowershop:error:SLOT_FULL',
+    title: 'Conflict',
+    status: 409,
+    code: 'SLOT_FULL',
+    detail: 'Slot 3 is fully booked',
+    instance: '/app-error',
+    requestId: 'req-42',
+    slotId: 3
+  });
+});
+
+test('library errors get codes of their own', async () => {
+  const malformed = await post('/app-error', { body: '{"oops' });
+  assert.equal(malformed.res.status, 400);
+  assert.equal(malformed.problem.code, 'MALFORMED_JSON');
+
+  const duplicate = await post('/duplicate');
+  assert.equal(duplicate.res.status, 409);
+  assert.equal(duplicate.problem.code, 'DUPLICATE');
+  assert.deepEqual(duplicate.problem.fields, ['email']);
+
+  const missing = await post('/nowhere');
+  assert.equal(missing.res.status, 404);
+  assert.equal(missing.problem.code, 'ROUTE_NOT_FOUND');
+});
+
+test('anything else is a 500 that does not leak its message', async () => {
+  const { res, problem } = await post('/crash', { headers: { 'X-Request-Id': 'bad id with spaces' } });
+
+  assert.equal(res.status, 500);
+  assert.equal(problem.code, 'INTERNAL_ERROR');
+  assert.equal(problem.detail, 'An unexpected error occurred');
+  assert.equal(problem.debug, undefined);
+  assert.doesNotMatch(JSON.stringify(problem), /secret internals/);
+  // a request id that doesn't look like one is replaced
+  assert.notEqual(problem.requestId, 'bad id with spaces');
+  assert.equal(res.headers.get('x-request-id'), problem.requestId);
+});
@@ -0,0 +1,77 @@
+// File: test/etags.test.js
+// Catalogue and customer records carry their version as an ETag: GETs answer
+// If-None-Match with a 304 and updates with a stale If-Match fail with a 412.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+test('a flower is a 304 until it changes', async () => {
+  const flower = await createFlower({ stock: 5 });
+  const first = await api.request('GET', `/flowers/${flower.id}`);
+  const etag = first.headers.get('etag');
+  assert.equal(etag, `"${first.body.version}"`);
+
+  const unchanged = await api.request('GET', `/flowers/${flower.id}`, { headers: { 'If-None-Match': etag } });
+  assert.equal(unchanged.status, 304);
+
+  // a stock movement is a change too
+  await api.request('POST', `/flowers/${flower.id}/restock`, { token: staff.token, body: { delta: 1 } });
+  const changed = await api.request('GET', `/flowers/${flower.id}`, { headers: { 'If-None-Match': etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+});
+
+test('an update with a stale If-Match is a 412 and changes nothing', async () => {
+  const flower = await createFlower({ name: 'Peony' });
+  const { headers } = await api.request('GET', `/flowers/${flower.id}`);
+  const etag = headers.get('etag');
+  const rename = (name, ifMatch) => api.request('PUT', `/flowers/${flower.id}`, {
+    token: staff.token, body: { name }, headers: { 'If-Match': ifMatch }
+  });
+
+  const saved = await rename('Coral peony', etag);
+  assert.equal(saved.status, 200);
+  assert.notEqual(saved.headers.get('etag'), etag);
+
+  const stale = await rename('Pink peony', etag);
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.code, 'VERSION_MISMATCH');
+  assert.equal(stale.body.etag, saved.headers.get('etag'));
+  assert.equal((await flower.reload()).name, 'Coral peony');
+});
+
+test('customers honour If-Match as well', async () => {
+  const customer = await createCustomer();
+  const update = (phone, ifMatch) => api.request('PUT', `/customers/${customer.id}`, {
+    token: staff.token, body: { phone }, headers: { 'If-Match': ifMatch }
+  });
+
+  const { headers } = await api.request('GET', `/customers/${customer.id}`, { token: staff.token });
+  assert.equal((await update('0400 111 111', headers.get('etag'))).status, 200);
+  assert.equal((await update('0400 222 222', headers.get('etag'))).status, 412);
+  assert.equal((await update('0400 222 222', '*')).status, 200);
+});
+
+test('the catalogue page is a 304 until a flower on it changes', async () => {
+  const flower = await createFlower({ stock: 3 });
+  const first = await api.request('GET', '/flowers?sort=newest');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^W\//);
+
+  assert.equal((await api.request('GET', '/flowers?sort=newest', { headers: { 'If-None-Match': etag } })).status, 304);
+  await api.request('PUT', `/flowers/${flower.id}`, { token: staff.token, body: { description: 'Fresh today' } });
+  assert.equal((await api.request('GET', '/flowers?sort=newest', { headers: { 'If-None-Match': etag } })).status, 200);
+});
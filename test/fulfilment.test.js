@@ -0,0 +1,83 @@
+// File: test/fulfilment.test.js
+// Delivery and pickup details live in order_fulfilments, not in Order.notes.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { addDays } = require('../src/services/slots');
+const { today } = require('../src/services/fulfilment');
+const legacyNotes = require('../src/migrations/001-order-fulfilment-from-notes');
+
+const { Order, OrderFulfilment } = db;
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function placeOrder(fields) {
+  const customer = await createCustomer();
+  const flower = await createFlower({ stock: 5 });
+  return api.request('POST', '/orders', {
+    token: staff.token,
+    body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 1 }], ...fields }
+  });
+}
+
+test('delivery details are stored on their own and filter the order list', async () => {
+  const deliveryDate = addDays(today(), 2);
+  const delivery = await placeOrder({
+    notes: 'Leave at the door', fulfilment: 'delivery', deliveryAddress: '1 Rose St', deliveryDate, giftMessage: 'Happy birthday'
+  });
+  const counter = await placeOrder({ notes: 'Paid cash' });
+
+  assert.equal(delivery.status, 201);
+  assert.equal(delivery.body.notes, 'Leave at the door');
+  assert.equal(delivery.body.fulfilment.type, 'delivery');
+  assert.equal(delivery.body.fulfilment.deliveryAddress, '1 Rose St');
+  assert.equal(delivery.body.fulfilment.deliveryDate, deliveryDate);
+  assert.equal(delivery.body.fulfilment.giftMessage, 'Happy birthday');
+  assert.equal(counter.body.fulfilment, null);
+
+  const list = await api.request('GET', `/orders?fulfilment=delivery&deliveryFrom=${deliveryDate}&deliveryTo=${deliveryDate}`, { token: staff.token });
+  assert.deepEqual(list.body.data.map((o) => o.id), [delivery.body.id]);
+});
+
+test('delivery without an address, or in the past, is a 400', async () => {
+  const noAddress = await placeOrder({ fulfilment: 'delivery', deliveryDate: addDays(today(), 1) });
+  const past = await placeOrder({ fulfilment: 'delivery', deliveryAddress: '1 Rose St', deliveryDate: addDays(today(), -1) });
+  const pickup = await placeOrder({ fulfilment: 'pickup', pickupTime: new Date(Date.now() - 60000).toISOString() });
+
+  for (const res of [noAddress, past, pickup]) {
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_FULFILMENT');
+  }
+});
+
+test('the migration moves JSON notes into a fulfilment row', async () => {
+  const customer = await createCustomer();
+  const legacy = await Order.create({
+    customerId: customer.id,
+    notes: JSON.stringify({ fulfilment: 'delivery', deliveryAddress: '2 Tulip Rd', deliveryDate: '2025-02-14', contactPhone: '0400 000 000', clientNotes: 'Ring twice' })
+  });
+  const plain = await Order.create({ customerId: customer.id, notes: '{ not json, staff wrote this' });
+
+  await db.sequelize.transaction((transaction) => legacyNotes.up({ db, transaction }));
+
+  await legacy.reload();
+  assert.equal(legacy.notes, 'Ring twice');
+  const fulfilment = await OrderFulfilment.findOne({ where: { orderId: legacy.id } });
+  assert.equal(fulfilment.type, 'delivery');
+  assert.equal(fulfilment.deliveryAddress, '2 Tulip Rd');
+  assert.equal(fulfilment.deliveryDate, '2025-02-14');
+  assert.equal(fulfilment.contactPhone, '0400 000 000');
+  assert.equal((await plain.reload()).notes, '{ not json, staff wrote this');
+  assert.equal(await OrderFulfilment.count({ where: { orderId: plain.id } }), 0);
+});
@@ -0,0 +1,114 @@
+// File: test/helpers.js
+// Shared setup for the tests (node --test, one process per file).
+//
+// Every test file gets its own throwaway SQLite database, built the way the server
+// builds one on boot (sync() then the migrations), and writes mail, notifications
+// and uploads into the same temporary folder. Require this before anything from src/.
+// Tests that go through the HTTP routes start the app with startServer().
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const bcrypt = require('bcrypt');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowershop-test-'));
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DIALECT: 'sqlite',
+  DB_STORAGE: path.join(dir, 'test.sqlite'),
+  JWT_SECRET: 'test-secret',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  MAIL_OUTBOX_DIR: path.join(dir, 'outbox'),
+  NOTIFY_OUTBOX_DIR: path.join(dir, 'notifications'),
+  STORAGE_DIR: path.join(dir, 'uploads'),
+  RATE_LIMIT_MAX: '10000'
+});
+
+const db = require('../src/models');
+const { runMigrations } = require('../src/migrations');
+const { moveStock } = require('../src/services/inventory');
+const { runTransaction } = require('../src/services/transactions');
+const { createSession } = require('../src/services/sessions');
+
+async function setupDatabase() {
+  db.sequelize.options.logging = false;
+  await db.sequelize.sync();
+  await runMigrations();
+}
+
+async function closeDatabase() {
+  await db.sequelize.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+let seq = 0;
+
+function createCustomer(fields = {}) {
+  seq += 1;
+  return db.Customer.create({ name: `Customer ${seq}`, email: `customer${seq}@example.com`, ...fields });
+}
+
+// A user of `role` (password 'Password123!') with the tokens of a fresh session
+async function createUser({ role = 'customer', password = 'Password123!', ...fields } = {}) {
+  seq += 1;
+  const user = await db.User.create({
+    name: `User ${seq}`, email: `user${seq}@example.com`, passwordHash: await bcrypt.hash(password, 4),
+    role, emailVerifiedAt: new Date(), ...fields
+  });
+  return { user, ...(await createSession(user)) };
+}
+
+// The app listening on a free port; `request` calls it with JSON in and out
+async function startServer() {
+  const app = require('../src/server');
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://localhost:${server.address().port}/api/v1`;
+
+  // node:http rather than fetch(), which adds Cache-Control: no-cache to conditional GETs
+  function request(method, url, { token, body, headers = {} } = {}) {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+      const req = http.request(baseUrl + url, {
+        method,
+        headers: {
+          ...(payload !== null && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        }
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+          const json = text && /json/.test(res.headers['content-type']) ? JSON.parse(text) : text;
+          resolve({ status: res.statusCode, headers: new Headers(res.headers), body: json });
+        });
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  return { baseUrl, request, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+// A stem with `stock` units on hand, received as one batch so the ledger reconciles
+async function createFlower({ stock = 0, price = 5, ...fields } = {}) {
+  seq += 1;
+  const flower = await db.Flower.create({ name: `Flower ${seq}`, type: 'stem', price, stock: 0, ...fields });
+  if (stock) await runTransaction((transaction) => moveStock(flower.id, stock, { reason: 'restock', transaction }));
+  return flower.reload();
+}
+
+module.exports = {
+  db,
+  setupDatabase,
+  closeDatabase,
+  createCustomer,
+  createUser,
+  createFlower,
+  startServer
+};
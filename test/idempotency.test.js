@@ -0,0 +1,58 @@
+// File: test/idempotency.test.js
+// A replayed request gets the first response back: status, body and headers.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { db, setupDatabase, closeDatabase } = require('./helpers');
+const idempotency = require('../src/middleware/idempotency');
+
+let server;
+let baseUrl;
+let runs = 0;
+
+before(async () => {
+  await setupDatabase();
+  const app = express();
+  app.use(express.json());
+  app.post('/things', (req, res, next) => { req.user = { id: 1 }; next(); }, idempotency, (req, res) => {
+    runs += 1;
+    res.set({ ETag: `"${runs}"`, Location: `/things/${runs}` });
+    res.status(201).json({ id: runs, name: req.body.name });
+  });
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+after(async () => {
+  server.close();
+  await closeDatabase();
+});
+
+const post = (key, body) => fetch(`${baseUrl}/things`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+  body: JSON.stringify(body)
+});
+
+// The response is stored on its way out, just after it was sent
+async function stored(key) {
+  for (let i = 0; i < 50; i++) {
+    const row = await db.IdempotencyKey.findOne({ where: { key, status: 'completed' } });
+    if (row) return row;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`key ${key} was never stored`);
+}
+
+test('a replay sends the stored ETag and Location again', async () => {
+  const first = await post('key-1', { name: 'vase' });
+  await stored('key-1');
+  const replay = await post('key-1', { name: 'vase' });
+
+  assert.equal(runs, 1);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.equal(replay.headers.get('etag'), first.headers.get('etag'));
+  assert.equal(replay.headers.get('location'), '/things/1');
+  assert.deepEqual(await replay.json(), await first.json());
+});
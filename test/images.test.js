@@ -0,0 +1,93 @@
+// File: test/images.test.js
+// Image uploads: only real JPEG, PNG or WebP images, within the size and count limits.
+
+// Small limits, read by config when helpers loads src/
+Object.assign(process.env, { IMAGE_MAX_MB: '1', IMAGE_MAX_FILES: '2', IMAGE_MAX_PER_FLOWER: '3' });
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { db, setupDatabase, closeDatabase, createUser, createFlower, startServer } = require('./helpers');
+
+let api;
+let staff;
+let png;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+  png = await sharp({ create: { width: 1200, height: 600, channels: 3, background: '#c0306a' } }).png().toBuffer();
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+// POST /flowers/:id/images with `files` as [name, type, data]
+async function upload(flower, files) {
+  const form = new FormData();
+  for (const [name, type, data] of files) form.append('images', new Blob([data], { type }), name);
+  const res = await fetch(`${api.baseUrl}/flowers/${flower.id}/images`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${staff.token}` },
+    body: form
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('an upload is stored with resized WebP variants', async () => {
+  const flower = await createFlower();
+  const { version } = await flower.reload();
+
+  const res = await upload(flower, [['peony.png', 'image/png', png]]);
+  assert.equal(res.status, 201);
+  const [image] = res.body.data;
+  assert.deepEqual([image.width, image.height, image.position], [1200, 600, 0]);
+  assert.equal((await flower.reload()).version, version + 1);
+
+  const thumb = await api.request('GET', `/flowers/${flower.id}/images/${image.id}/thumb`);
+  assert.equal(thumb.status, 200);
+  assert.equal(thumb.headers.get('content-type'), 'image/webp');
+  const original = await api.request('GET', `/flowers/${flower.id}/images/${image.id}/original`);
+  assert.equal(original.headers.get('content-type'), 'image/png');
+});
+
+test('files that are not images are refused by type and by content', async () => {
+  const flower = await createFlower();
+
+  const text = await upload(flower, [['notes.txt', 'text/plain', 'hello']]);
+  assert.equal(text.status, 400);
+  assert.equal(text.body.code, 'IMAGE_TYPE_NOT_ALLOWED');
+
+  const fake = await upload(flower, [['fake.png', 'image/png', 'not really a png']]);
+  assert.equal(fake.status, 400);
+  assert.equal(fake.body.code, 'IMAGE_INVALID');
+  assert.equal(await db.FlowerImage.count({ where: { flowerId: flower.id } }), 0);
+});
+
+test('size, file count and per-flower limits', async () => {
+  const flower = await createFlower();
+
+  const large = await upload(flower, [['huge.png', 'image/png', Buffer.alloc(1024 * 1024 + 1)]]);
+  assert.equal(large.status, 413);
+  assert.equal(large.body.code, 'IMAGE_TOO_LARGE');
+
+  const many = await upload(flower, [['a.png', 'image/png', png], ['b.png', 'image/png', png], ['c.png', 'image/png', png]]);
+  assert.equal(many.status, 400);
+  assert.equal(many.body.code, 'UPLOAD_INVALID');
+
+  assert.equal((await upload(flower, [['a.png', 'image/png', png], ['b.png', 'image/png', png]])).status, 201);
+  const full = await upload(flower, [['c.png', 'image/png', png], ['d.png', 'image/png', png]]);
+  assert.equal(full.status, 409);
+  assert.equal(full.body.code, 'IMAGE_LIMIT');
+  assert.equal(await db.FlowerImage.count({ where: { flowerId: flower.id } }), 2);
+});
+
+test('a deactivated flower takes no images', async () => {
+  const flower = await createFlower();
+  await flower.update({ isActive: false });
+
+  const res = await upload(flower, [['peony.png', 'image/png', png]]);
+  assert.equal(res.status, 404);
+  assert.equal(res.body.code, 'FLOWER_NOT_FOUND');
+});
@@ -0,0 +1,85 @@
+// File: test/orderConcurrency.test.js
+// Parallel checkouts against limited stock must never oversell.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { runTransaction } = require('../src/services/transactions');
+const { reconcile } = require('../src/services/inventory');
+
+let api;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+// The same unit of work as POST /shop/orders
+const checkout = (customer, items) =>
+  runTransaction((t) => createOrder({ customer, items, userId: null, holderId: null }, t), { label: 'test order' });
+
+test('parallel orders sell exactly the stock there is', async () => {
+  const STOCK = 10;
+  const QUANTITY = 3;
+  const ORDERS = 12;
+  const flower = await createFlower({ stock: STOCK });
+  const customers = await Promise.all(Array.from({ length: ORDERS }, () => createCustomer()));
+
+  const results = await Promise.allSettled(customers.map((c) => checkout(c, [{ flowerId: flower.id, quantity: QUANTITY }])));
+
+  const placed = results.filter((r) => r.status === 'fulfilled');
+  const rejected = results.filter((r) => r.status === 'rejected').map((r) => r.reason);
+  const sellable = Math.floor(STOCK / QUANTITY);
+  assert.equal(placed.length, sellable);
+  assert.deepEqual(rejected.map((e) => e.code), Array(ORDERS - sellable).fill('OUT_OF_STOCK'));
+
+  await flower.reload();
+  assert.equal(flower.stock, STOCK - sellable * QUANTITY);
+  const movements = await db.StockMovement.findAll({ where: { flowerId: flower.id } });
+  assert.ok(movements.every((m) => m.balance >= 0), 'stock went negative along the way');
+  assert.equal(await db.OrderItem.count({ where: { flowerId: flower.id } }), sellable);
+
+  const result = await reconcile();
+  assert.equal(result.ok, true, JSON.stringify(result.flowers.filter((f) => f.drift || f.batchDrift)));
+});
+
+test('a parallel order for several flowers is all or nothing', async () => {
+  const roses = await createFlower({ stock: 4 });
+  const tulips = await createFlower({ stock: 10 });
+  const customers = await Promise.all(Array.from({ length: 6 }, () => createCustomer()));
+
+  const results = await Promise.allSettled(customers.map((c) => checkout(c, [
+    { flowerId: tulips.id, quantity: 1 },
+    { flowerId: roses.id, quantity: 2 }
+  ])));
+
+  const placed = results.filter((r) => r.status === 'fulfilled').length;
+  assert.equal(placed, 2);
+  await Promise.all([roses.reload(), tulips.reload()]);
+  assert.equal(roses.stock, 0);
+  // the tulips of the orders that failed on roses went back with their rollback
+  assert.equal(tulips.stock, 10 - placed);
+  assert.equal((await reconcile()).ok, true);
+});
+
+test('parallel POST /orders sell the stock once and answer the rest with a problem', async () => {
+  const flower = await createFlower({ stock: 5 });
+  const { token } = await createUser({ role: 'staff' });
+  const customers = await Promise.all(Array.from({ length: 4 }, () => createCustomer()));
+
+  const responses = await Promise.all(customers.map((c) => api.request('POST', '/orders', {
+    token,
+    body: { customerId: c.id, items: [{ flowerId: flower.id, quantity: 2 }] }
+  })));
+
+  assert.deepEqual(responses.map((r) => r.status).sort(), [201, 201, 409, 409]);
+  for (const r of responses.filter((r) => r.status === 409)) {
+    assert.match(r.headers.get('content-type'), /application\/problem\+json/);
+    assert.equal(r.body.code, 'OUT_OF_STOCK');
+  }
+  assert.equal((await flower.reload()).stock, 1);
+});
@@ -0,0 +1,59 @@
+// File: test/orderDelete.test.js
+// Deleting an unpaid order gives back what it took; paid orders can't be deleted.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { addDays } = require('../src/services/slots');
+const { today } = require('../src/services/fulfilment');
+
+const { Order, PromoCode, DeliverySlot } = db;
+
+let api;
+let staff;
+let admin;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+  admin = await createUser({ role: 'admin' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+test('an admin deleting a pending order restores its stock, slot and promo code use', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const slot = await DeliverySlot.create({ type: 'pickup', date: addDays(today(), 3), startTime: '09:00', endTime: '10:00', capacity: 1 });
+  const promo = await PromoCode.create({ code: 'DELETEME', type: 'fixed', value: 1, usageLimit: 1 });
+  const customer = await createCustomer();
+  const placed = await api.request('POST', '/orders', {
+    token: staff.token,
+    body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 3 }], promoCodes: ['DELETEME'], fulfilment: 'pickup', slotId: slot.id }
+  });
+  assert.equal(placed.status, 201);
+
+  assert.equal((await api.request('DELETE', `/orders/${placed.body.id}`, { token: staff.token })).status, 403);
+  assert.equal((await api.request('DELETE', `/orders/${placed.body.id}`, { token: admin.token })).status, 204);
+
+  assert.equal(await Order.count({ where: { id: placed.body.id } }), 0);
+  assert.equal((await flower.reload()).stock, 10);
+  assert.equal((await slot.reload()).booked, 0);
+  assert.equal((await promo.reload()).timesUsed, 0);
+});
+
+test('a paid order is refused', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const customer = await createCustomer();
+  const placed = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 1 }] }
+  });
+  await api.request('PATCH', `/orders/${placed.body.id}/status`, { token: staff.token, body: { status: 'paid' } });
+
+  const res = await api.request('DELETE', `/orders/${placed.body.id}`, { token: admin.token });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'ORDER_HAS_PAYMENTS');
+  assert.equal((await flower.reload()).stock, 9);
+});
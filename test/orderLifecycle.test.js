@@ -0,0 +1,59 @@
+// File: test/orderLifecycle.test.js
+// A paid order keeps its money until it is refunded, so it can't be cancelled before.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createCustomer, createFlower } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { recordManualPayment } = require('../src/services/payments');
+const { refundOrder } = require('../src/services/refunds');
+const { runTransaction } = require('../src/services/transactions');
+
+before(setupDatabase);
+after(closeDatabase);
+
+// A counter order for 2 stems, marked paid by staff
+async function paidOrder(flower) {
+  const customer = await createCustomer();
+  return runTransaction(async (transaction) => {
+    const order = await createOrder({ customer, items: [{ flowerId: flower.id, quantity: 2 }] }, transaction);
+    await transitionOrder(order, 'paid', { transaction });
+    await recordManualPayment(order, { transaction });
+    return order;
+  });
+}
+
+const cancel = (order) => runTransaction((transaction) => transitionOrder(order, 'cancelled', { transaction }));
+
+test('a paid order has to be refunded before it is cancelled', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const order = await paidOrder(flower);
+
+  await assert.rejects(cancel(order), (err) => {
+    assert.equal(err.status, 409);
+    assert.equal(err.code, 'ORDER_NOT_REFUNDED');
+    assert.equal(err.extras.refundable, Number(order.total));
+    assert.equal(err.extras.refundsUrl, `/api/v1/orders/${order.id}/refunds`);
+    return true;
+  });
+  await order.reload();
+  assert.equal(order.status, 'paid');
+
+  await runTransaction((transaction) => refundOrder(order, { reason: 'Changed their mind', transaction }));
+  await cancel(await order.reload());
+
+  assert.equal(order.status, 'cancelled');
+  assert.equal((await flower.reload()).stock, 10);
+});
+
+test('a pending order is cancelled without a refund', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const customer = await createCustomer();
+  const order = await runTransaction((transaction) => createOrder({ customer, items: [{ flowerId: flower.id, quantity: 2 }] }, transaction));
+
+  await cancel(order);
+
+  assert.equal(order.status, 'cancelled');
+  assert.equal((await flower.reload()).stock, 10);
+});
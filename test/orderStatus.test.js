@@ -0,0 +1,62 @@
+// File: test/orderStatus.test.js
+// PATCH /orders/:id/status walks the order lifecycle and nothing else, with an audit trail.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function placeOrder() {
+  const customer = await createCustomer();
+  const flower = await createFlower({ stock: 10 });
+  const res = await api.request('POST', '/orders', {
+    token: staff.token,
+    body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 1 }] }
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+const setStatus = (order, status, fields = {}) =>
+  api.request('PATCH', `/orders/${order.id}/status`, { token: staff.token, body: { status, ...fields } });
+
+test('a move the lifecycle does not allow is a 409 listing the allowed ones', async () => {
+  const order = await placeOrder();
+
+  const res = await setStatus(order, 'shipped');
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'INVALID_TRANSITION');
+  assert.deepEqual(res.body.allowed, ['paid', 'cancelled']);
+  const history = await api.request('GET', `/orders/${order.id}/history`, { token: staff.token });
+  assert.equal(history.body.status, 'pending');
+});
+
+test('every status change is in the history, with who made it', async () => {
+  const order = await placeOrder();
+
+  assert.equal((await setStatus(order, 'paid', { paymentMethod: 'cash' })).status, 200);
+  assert.equal((await setStatus(order, 'shipped', { note: 'With the courier' })).status, 200);
+  assert.equal((await setStatus(order, 'cancelled')).body.code, 'INVALID_TRANSITION');
+  assert.equal((await setStatus(order, 'delivered')).status, 200);
+
+  const { body } = await api.request('GET', `/orders/${order.id}/history`, { token: staff.token });
+  assert.equal(body.status, 'delivered');
+  assert.deepEqual(body.history.map((h) => [h.fromStatus, h.toStatus]), [
+    [null, 'pending'], ['pending', 'paid'], ['paid', 'shipped'], ['shipped', 'delivered']
+  ]);
+  assert.equal(body.history[2].note, 'With the courier');
+  assert.ok(body.history.slice(1).every((h) => h.actor.id === staff.user.id));
+  assert.deepEqual((await setStatus(order, 'paid')).body.allowed, []);
+});
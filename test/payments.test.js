@@ -0,0 +1,139 @@
+// File: test/payments.test.js
+// Gateway calls happen outside the transactions that record them, and money an order
+// did not need goes back.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createFlower } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { runTransaction } = require('../src/services/transactions');
+const payments = require('../src/services/payments');
+
+const { Order, Payment } = db;
+
+// The mock gateway, with every call it gets written down as [method, reference]
+const real = payments.getGateway();
+let calls;
+const recording = { ...real };
+for (const method of ['createIntent', 'cancelIntent', 'refund']) {
+  recording[method] = async (...args) => {
+    const result = await real[method](...args);
+    calls.push([method, method === 'createIntent' ? result.reference : args[0]]);
+    return result;
+  };
+}
+
+before(async () => {
+  await setupDatabase();
+  payments.setGateway(recording);
+});
+after(closeDatabase);
+beforeEach(() => { calls = []; });
+
+async function placeShopOrder() {
+  const customer = await createCustomer();
+  const flower = await createFlower({ stock: 5 });
+  return runTransaction((t) => createOrder({
+    customer,
+    items: [{ flowerId: flower.id, quantity: 1 }],
+    paymentDueAt: payments.paymentDueAt()
+  }, t));
+}
+
+test('an intent the order can no longer take is voided again', async () => {
+  const order = await placeShopOrder();
+  const stale = await Order.findByPk(order.id);
+  await runTransaction((t) => transitionOrder(order, 'cancelled', { transaction: t }));
+
+  await assert.rejects(payments.createPaymentIntent(stale), { code: 'ORDER_NOT_PAYABLE' });
+
+  const [[, reference]] = calls;
+  assert.deepEqual(calls, [['createIntent', reference], ['cancelIntent', reference]]);
+  assert.equal(await Payment.count({ where: { orderId: order.id } }), 0);
+});
+
+test('starting again voids the previous intent', async () => {
+  const order = await placeShopOrder();
+  const { payment: first } = await payments.createPaymentIntent(order);
+  const { payment: second } = await payments.createPaymentIntent(await order.reload());
+
+  assert.deepEqual(calls.slice(1), [['createIntent', second.providerRef], ['cancelIntent', first.providerRef]]);
+  assert.equal((await first.reload()).status, 'cancelled');
+  assert.equal(second.status, 'pending');
+});
+
+test('expiring an unpaid order voids its intent once the cancellation is committed', async () => {
+  const order = await placeShopOrder();
+  const { payment } = await payments.createPaymentIntent(order);
+  await Order.update({ paymentDueAt: new Date(Date.now() - 1000) }, { where: { id: order.id } });
+  calls = [];
+
+  assert.equal(await payments.expireUnpaidOrders(), 1);
+
+  assert.deepEqual(calls, [['cancelIntent', payment.providerRef]]);
+  assert.equal((await payment.reload()).status, 'cancelled');
+  assert.equal((await order.reload()).status, 'cancelled');
+});
+
+// A signed success webhook for `payment`, as the gateway would send it
+function paidWebhook(payment, id) {
+  const body = JSON.stringify({ id, type: 'payment.succeeded', data: { reference: payment.providerRef, amount: Number(payment.amount) } });
+  return payments.handleWebhook(body, { 'x-mock-signature': real.sign(body) });
+}
+
+test('a payment that arrives after the order expired is refunded, once', async () => {
+  const order = await placeShopOrder();
+  const { payment } = await payments.createPaymentIntent(order);
+  await Order.update({ paymentDueAt: new Date(Date.now() - 1000) }, { where: { id: order.id } });
+  assert.equal(await payments.expireUnpaidOrders(), 1);
+  calls = [];
+
+  const result = await paidWebhook(payment, 'evt_late');
+  const replay = await paidWebhook(payment, 'evt_late');
+
+  assert.equal(result.orderStatus, 'cancelled');
+  assert.equal(replay.duplicate, true);
+  assert.deepEqual(calls, [['refund', payment.providerRef]]);
+  const refunds = await db.Refund.findAll({ where: { orderId: order.id } });
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].id, result.refundId);
+  assert.equal(refunds[0].paymentId, payment.id);
+  assert.equal(refunds[0].status, 'succeeded');
+  assert.equal(Number(refunds[0].amount), Number(payment.amount));
+  assert.match(refunds[0].providerRef, /^mock_re_/);
+  await order.reload();
+  assert.equal(order.status, 'cancelled');
+  assert.equal(Number(order.refundedTotal), 0);
+});
+
+test('a voided intent that gets paid after the order was paid is refunded', async () => {
+  const order = await placeShopOrder();
+  const { payment: first } = await payments.createPaymentIntent(order);
+  const { payment: second } = await payments.createPaymentIntent(await order.reload());
+
+  await paidWebhook(second, 'evt_second');
+  const result = await paidWebhook(first, 'evt_first');
+
+  assert.equal(result.orderStatus, 'paid');
+  assert.deepEqual(calls.filter(([method]) => method === 'refund'), [['refund', first.providerRef]]);
+  const [refund] = await db.Refund.findAll({ where: { orderId: order.id } });
+  assert.equal(refund.paymentId, first.id);
+  assert.equal(refund.status, 'succeeded');
+});
+
+test('a refund the gateway refuses is left pending', async () => {
+  const order = await placeShopOrder();
+  const { payment } = await payments.createPaymentIntent(order);
+  await order.reload();
+  await runTransaction((t) => transitionOrder(order, 'cancelled', { transaction: t }));
+  payments.setGateway({ ...recording, refund: async () => { throw new Error('gateway down'); } });
+
+  try {
+    const result = await paidWebhook(payment, 'evt_refused');
+    assert.equal((await db.Refund.findByPk(result.refundId)).status, 'pending');
+    assert.equal((await payment.reload()).status, 'succeeded');
+  } finally {
+    payments.setGateway(recording);
+  }
+});
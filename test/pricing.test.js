@@ -0,0 +1,69 @@
+// File: test/pricing.test.js
+// Order prices are worked out in whole cents: subtotal, discounts, delivery fee and GST.
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config/config');
+const { toCents, fromCents, divRound, percentOf, taxIncluded } = require('../src/money');
+const { deliveryFeeCents, unitPrice, priceOrder } = require('../src/services/pricing');
+
+const defaults = { ...config.pricing };
+afterEach(() => { Object.assign(config.pricing, defaults); });
+
+test('money is converted and rounded in cents, half away from zero', () => {
+  assert.equal(toCents(1.005), 101);
+  assert.equal(toCents('19.99'), 1999);
+  assert.equal(toCents(-0.125), -13);
+  assert.equal(fromCents(toCents(0.1) + toCents(0.2)), 0.3);
+  assert.equal(divRound(5, 2), 3);
+  assert.equal(divRound(-5, 2), -3);
+  assert.equal(percentOf(6497, 10), 650);
+  assert.equal(taxIncluded(6600, 10), 600);
+  assert.equal(unitPrice({ price: '99.00', labourCharge: '10.55' }), 109.55);
+});
+
+test('GST goes on the discounted subtotal plus delivery, rounded once', () => {
+  Object.assign(config.pricing, {
+    taxRate: 10,
+    pricesIncludeTax: false,
+    deliveryZones: [{ postcodes: ['2000', '2007-2011'], fee: 10 }]
+  });
+
+  const price = priceOrder({
+    lines: [{ price: 19.99, quantity: 3 }],
+    discountTotal: 5,
+    fulfilment: { type: 'delivery', deliveryAddress: '1 Rose St, Ultimo NSW 2007' }
+  });
+
+  assert.deepEqual(price, {
+    subtotal: 59.97,
+    discountTotal: 5,
+    deliveryFee: 10,
+    taxRate: 10,
+    pricesIncludeTax: false,
+    taxTotal: 6.5,
+    total: 71.47
+  });
+});
+
+test('with tax-inclusive prices GST is backed out of the total', () => {
+  Object.assign(config.pricing, { taxRate: 10, pricesIncludeTax: true, deliveryFee: 0 });
+
+  const price = priceOrder({ lines: [{ price: 33, quantity: 2 }], discountTotal: 100 });
+
+  // a discount never takes the subtotal below zero
+  assert.equal(price.discountTotal, 66);
+  assert.equal(price.total, 0);
+  assert.equal(priceOrder({ lines: [{ price: 33, quantity: 2 }] }).taxTotal, 6);
+});
+
+test('the delivery fee comes from the first zone with the postcode, else the flat fee', () => {
+  const zones = [{ postcodes: ['3000-3999'], fee: 15 }, { postcodes: ['3121'], fee: 5 }];
+  const delivery = (deliveryAddress) => deliveryFeeCents({ type: 'delivery', deliveryAddress }, { zones, flatFee: 25 });
+
+  assert.equal(delivery('8 Swan St, Richmond VIC 3121'), 1500);
+  assert.equal(delivery('Unit 4000, 1 Queen St, Brisbane QLD 4000'), 2500);
+  assert.equal(delivery('No postcode given'), 2500);
+  assert.equal(deliveryFeeCents({ type: 'pickup' }, { zones, flatFee: 25 }), 0);
+  assert.equal(deliveryFeeCents(null), 0);
+});
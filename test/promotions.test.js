@@ -0,0 +1,76 @@
+// File: test/promotions.test.js
+// Promo codes discount the lines they cover, within their limits, and give uses back on cancel.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createFlower } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { setCategories } = require('../src/services/categories');
+const { runTransaction } = require('../src/services/transactions');
+
+const { PromoCode, Category } = db;
+
+before(setupDatabase);
+after(closeDatabase);
+
+const order = (customer, items, promoCodes) =>
+  runTransaction((t) => createOrder({ customer, items, promoCodes }, t), { label: 'test order' });
+
+test('a category code discounts only the lines in it or under it, up to its cap', async () => {
+  const roses = await Category.create({ name: 'Roses', slug: 'promo-roses' });
+  const garden = await Category.create({ name: 'Garden roses', slug: 'promo-garden-roses', parentId: roses.id });
+  const rose = await createFlower({ stock: 10, price: 20 });
+  const fern = await createFlower({ stock: 10, price: 5 });
+  await runTransaction((t) => setCategories(rose, [garden.id], t));
+  await PromoCode.create({ code: 'ROSES25', type: 'percentage', value: 25, maxDiscount: 12, categories: ['promo-roses'] });
+  const customer = await createCustomer();
+
+  const small = await order(customer, [{ flowerId: rose.id, quantity: 1 }, { flowerId: fern.id, quantity: 2 }], ['roses25']);
+  assert.equal(Number(small.subtotal), 30);
+  assert.equal(Number(small.discountTotal), 5);
+
+  const big = await order(customer, [{ flowerId: rose.id, quantity: 4 }], ['ROSES25']);
+  assert.equal(Number(big.discountTotal), 12);
+
+  await assert.rejects(order(customer, [{ flowerId: fern.id, quantity: 1 }], ['ROSES25']), { code: 'PROMO_NOT_APPLICABLE' });
+});
+
+test('a code with one use left goes to one of two parallel orders, and comes back on cancel', async () => {
+  const flower = await createFlower({ stock: 10, price: 10 });
+  const promo = await PromoCode.create({ code: 'ONCE', type: 'fixed', value: 5, usageLimit: 1 });
+  const customers = [await createCustomer(), await createCustomer()];
+
+  const results = await Promise.allSettled(customers.map((c) => order(c, [{ flowerId: flower.id, quantity: 1 }], ['ONCE'])));
+
+  const placed = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+  assert.equal(placed.length, 1);
+  assert.deepEqual(results.filter((r) => r.status === 'rejected').map((r) => r.reason.code), ['PROMO_EXHAUSTED']);
+  assert.equal((await promo.reload()).timesUsed, 1);
+
+  await runTransaction((t) => transitionOrder(placed[0], 'cancelled', { transaction: t }));
+  assert.equal((await promo.reload()).timesUsed, 0);
+  await order(customers[0], [{ flowerId: flower.id, quantity: 1 }], ['ONCE']);
+});
+
+test('stacking, minimum spend, dates and per-customer limits are enforced', async () => {
+  const flower = await createFlower({ stock: 20, price: 10 });
+  await PromoCode.bulkCreate([
+    { code: 'TENOFF', type: 'fixed', value: 10, minSpend: 50 },
+    { code: 'STACK5', type: 'percentage', value: 5, stackable: true },
+    { code: 'STACK2', type: 'fixed', value: 2, stackable: true, perCustomerLimit: 1 },
+    { code: 'LATER', type: 'fixed', value: 1, startsAt: new Date(Date.now() + 86400000) }
+  ]);
+  const customer = await createCustomer();
+  const items = (quantity) => [{ flowerId: flower.id, quantity }];
+
+  await assert.rejects(order(customer, items(6), ['TENOFF', 'STACK5']), { code: 'PROMO_NOT_STACKABLE' });
+  await assert.rejects(order(customer, items(4), ['TENOFF']), { code: 'PROMO_MIN_SPEND' });
+  await assert.rejects(order(customer, items(1), ['LATER']), { code: 'PROMO_NOT_ACTIVE' });
+  await assert.rejects(order(customer, items(1), ['NOPE']), { code: 'PROMO_INVALID' });
+
+  const stacked = await order(customer, items(4), ['STACK5', 'STACK2']);
+  assert.equal(Number(stacked.discountTotal), 4);
+  await assert.rejects(order(customer, items(1), ['STACK2']), { code: 'PROMO_LIMIT_REACHED' });
+  await order(await createCustomer(), items(1), ['STACK2']);
+});
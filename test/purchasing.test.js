@@ -0,0 +1,128 @@
+// File: test/purchasing.test.js
+// Purchase orders are priced from the supplier's catalogue, and receiving them brings
+// stock in as batches at that cost.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createUser, createFlower, startServer } = require('./helpers');
+const { setTransport } = require('../src/services/mail');
+const { reconcile } = require('../src/services/inventory');
+
+let api;
+let staff;
+let admin;
+const outbox = [];
+before(async () => {
+  await setupDatabase();
+  setTransport({ send: async (message) => { outbox.push(message); return { id: outbox.length }; } });
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+  admin = await createUser({ role: 'admin' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function createSupplier(prices = []) {
+  const res = await api.request('POST', '/suppliers', {
+    token: staff.token, body: { name: 'Market Growers', email: 'orders@growers.example.com' }
+  });
+  assert.equal(res.status, 201);
+  for (const [flower, unitCost] of prices) {
+    const price = await api.request('PUT', `/suppliers/${res.body.id}/prices/${flower.id}`, { token: staff.token, body: { unitCost } });
+    assert.equal(price.status, 200);
+  }
+  return res.body;
+}
+
+const draft = (supplier, items) => api.request('POST', '/purchase-orders', {
+  token: staff.token, body: { supplierId: supplier.id, items }
+});
+
+test('a purchase order takes catalogue prices unless a line names its own', async () => {
+  const roses = await createFlower();
+  const tulips = await createFlower();
+  const supplier = await createSupplier([[roses, 1.1]]);
+
+  const res = await draft(supplier, [{ flowerId: roses.id, quantity: 3 }, { flowerId: tulips.id, quantity: 10, unitCost: 0.45 }]);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.status, 'draft');
+  assert.deepEqual(res.body.items.map((i) => [i.flowerId, Number(i.unitCost)]), [[roses.id, 1.1], [tulips.id, 0.45]]);
+  assert.equal(Number(res.body.total), 7.8);
+
+  const unpriced = await draft(supplier, [{ flowerId: tulips.id, quantity: 1 }]);
+  assert.equal(unpriced.status, 400);
+  assert.equal(unpriced.body.code, 'PO_LINE_INVALID');
+});
+
+test('receiving in parts adds stock as costed batches and closes the order', async () => {
+  const roses = await createFlower({ stock: 2 });
+  const tulips = await createFlower();
+  const supplier = await createSupplier([[roses, 1.25], [tulips, 0.5]]);
+  const po = (await draft(supplier, [{ flowerId: roses.id, quantity: 20 }, { flowerId: tulips.id, quantity: 10 }])).body;
+
+  const early = await api.request('POST', `/purchase-orders/${po.id}/receipts`, { token: staff.token });
+  assert.equal(early.status, 409);
+  assert.equal(early.body.code, 'PO_NOT_OPEN');
+
+  const sent = await api.request('PATCH', `/purchase-orders/${po.id}/status`, { token: staff.token, body: { status: 'sent' } });
+  assert.equal(sent.body.status, 'sent');
+  assert.equal(outbox.at(-1).to, 'orders@growers.example.com');
+  assert.match(outbox.at(-1).text, /20 x .* @ 1\.25/);
+  const edit = await api.request('PUT', `/purchase-orders/${po.id}`, { token: staff.token, body: { notes: 'Too late' } });
+  assert.equal(edit.body.code, 'PO_NOT_DRAFT');
+
+  const part = await api.request('POST', `/purchase-orders/${po.id}/receipts`, {
+    token: staff.token, body: { items: [{ flowerId: roses.id, quantity: 12 }] }
+  });
+  assert.equal(part.status, 201);
+  assert.equal(part.body.purchaseOrder.status, 'partially_received');
+  assert.equal((await roses.reload()).stock, 14);
+
+  const over = await api.request('POST', `/purchase-orders/${po.id}/receipts`, {
+    token: staff.token, body: { items: [{ flowerId: roses.id, quantity: 9 }] }
+  });
+  assert.equal(over.status, 400);
+  assert.equal(over.body.outstanding, 8);
+
+  // the rest of everything
+  const rest = await api.request('POST', `/purchase-orders/${po.id}/receipts`, { token: staff.token });
+  assert.deepEqual(rest.body.received, [{ flowerId: roses.id, quantity: 8 }, { flowerId: tulips.id, quantity: 10 }]);
+  assert.equal(rest.body.purchaseOrder.status, 'received');
+  assert.equal((await roses.reload()).stock, 22);
+  assert.equal((await tulips.reload()).stock, 10);
+
+  const batches = await db.StockBatch.findAll({ where: { purchaseOrderId: po.id }, order: [['id', 'ASC']] });
+  assert.deepEqual(batches.map((b) => [b.flowerId, b.quantity, Number(b.unitCost), b.supplierId]), [
+    [roses.id, 12, 1.25, supplier.id], [roses.id, 8, 1.25, supplier.id], [tulips.id, 10, 0.5, supplier.id]
+  ]);
+  assert.equal((await reconcile()).ok, true);
+
+  const report = await api.request('GET', '/reports/purchasing', { token: admin.token });
+  const spend = report.body.supplierSpend.find((s) => s.supplierId === supplier.id);
+  assert.deepEqual(spend, { supplierId: supplier.id, name: 'Market Growers', purchaseOrders: 1, units: 30, spend: 30 });
+  assert.equal(report.body.openOrders.some((o) => o.id === po.id), false);
+});
+
+test('an order still expected is listed with what is outstanding', async () => {
+  const roses = await createFlower();
+  const supplier = await createSupplier([[roses, 2]]);
+  const po = (await draft(supplier, [{ flowerId: roses.id, quantity: 10 }])).body;
+  await api.request('PATCH', `/purchase-orders/${po.id}/status`, { token: staff.token, body: { status: 'sent' } });
+  await api.request('POST', `/purchase-orders/${po.id}/receipts`, {
+    token: staff.token, body: { items: [{ flowerId: roses.id, quantity: 4 }] }
+  });
+
+  const report = await api.request('GET', '/reports/purchasing', { token: admin.token });
+  const open = report.body.openOrders.find((o) => o.id === po.id);
+  assert.equal(open.status, 'partially_received');
+  assert.equal(open.outstandingUnits, 6);
+  assert.equal(open.outstandingValue, 12);
+
+  const cancelled = await api.request('PATCH', `/purchase-orders/${po.id}/status`, { token: staff.token, body: { status: 'cancelled' } });
+  assert.equal(cancelled.body.status, 'cancelled');
+  const late = await api.request('POST', `/purchase-orders/${po.id}/receipts`, { token: staff.token });
+  assert.equal(late.body.code, 'PO_NOT_OPEN');
+  assert.equal((await roses.reload()).stock, 4);
+});
@@ -0,0 +1,88 @@
+// File: test/refundConcurrency.test.js
+// Parallel refunds of one order must never give back more than was paid.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createFlower } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { refundOrder } = require('../src/services/refunds');
+const { runTransaction } = require('../src/services/transactions');
+const payments = require('../src/services/payments');
+
+const { Order, Payment, Refund } = db;
+
+// The mock gateway, counting the refunds it is asked for
+const real = payments.getGateway();
+let refunded;
+before(async () => {
+  await setupDatabase();
+  payments.setGateway({ ...real, refund: async (...args) => { refunded.push(args[0]); return real.refund(...args); } });
+});
+after(closeDatabase);
+beforeEach(() => { refunded = []; });
+
+// An order for 2 stems of `flower`, paid through the gateway
+async function paidOrder(flower) {
+  const customer = await createCustomer();
+  return runTransaction(async (transaction) => {
+    const order = await createOrder({ customer, items: [{ flowerId: flower.id, quantity: 2 }] }, transaction);
+    const intent = await real.createIntent({ amount: Number(order.total), currency: 'AUD' });
+    await Payment.create({
+      orderId: order.id, amount: order.total, currency: 'AUD', method: 'card',
+      provider: real.name, providerRef: intent.reference, status: 'succeeded', paidAt: new Date()
+    }, { transaction });
+    return transitionOrder(order, 'paid', { transaction });
+  });
+}
+
+// The same unit of work as POST /orders/:id/refunds
+const refund = (orderId, input) => runTransaction(async (transaction) => {
+  const order = await Order.findByPk(orderId, { transaction });
+  return refundOrder(order, { reason: 'Wilted', ...input, transaction });
+}, { label: 'test refund' });
+
+test('parallel full refunds pay the money back once', async () => {
+  const order = await paidOrder(await createFlower({ stock: 10 }));
+
+  const results = await Promise.allSettled(Array.from({ length: 4 }, () => refund(order.id, {})));
+
+  const done = results.filter((r) => r.status === 'fulfilled');
+  const rejected = results.filter((r) => r.status === 'rejected').map((r) => r.reason.code);
+  assert.equal(done.length, 1);
+  assert.deepEqual(rejected, ['NOTHING_TO_REFUND', 'NOTHING_TO_REFUND', 'NOTHING_TO_REFUND']);
+  assert.equal(refunded.length, 1);
+
+  const rows = await Refund.findAll({ where: { orderId: order.id } });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].status, 'succeeded');
+  assert.match(rows[0].providerRef, /^mock_re_/);
+  assert.equal(Number((await order.reload()).refundedTotal), Number(order.total));
+});
+
+test('parallel partial refunds stop at the quantity bought', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const order = await paidOrder(flower);
+
+  const results = await Promise.allSettled(Array.from({ length: 3 }, () =>
+    refund(order.id, { restock: true, items: [{ flowerId: flower.id, quantity: 1 }] })));
+
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, 2);
+  assert.deepEqual(results.filter((r) => r.status === 'rejected').map((r) => r.reason.code), ['NOTHING_TO_REFUND']);
+  assert.equal(refunded.length, 2);
+  assert.equal(await Refund.count({ where: { orderId: order.id } }), 2);
+  assert.equal((await flower.reload()).stock, 10);
+});
+
+test('a refund that rolls back never reaches the gateway', async () => {
+  const order = await paidOrder(await createFlower({ stock: 10 }));
+
+  await assert.rejects(runTransaction(async (transaction) => {
+    await refundOrder(await Order.findByPk(order.id, { transaction }), { reason: 'Wilted', transaction });
+    throw new Error('something later failed');
+  }), /something later failed/);
+
+  assert.equal(refunded.length, 0);
+  assert.equal(await Refund.count({ where: { orderId: order.id } }), 0);
+  assert.equal(Number((await order.reload()).refundedTotal), 0);
+});
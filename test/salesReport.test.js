@@ -0,0 +1,108 @@
+// File: test/salesReport.test.js
+// The sales report: periods, breakdowns and the period before, as JSON or CSV.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { createOrder } = require('../src/services/orderPlacement');
+const { transitionOrder } = require('../src/services/orderLifecycle');
+const { runTransaction } = require('../src/services/transactions');
+const { salesOverTime } = require('../src/services/salesAnalytics');
+const schemas = require('../src/schemas/reports');
+
+// Periods are local calendar days; pin them to UTC like the timestamps below
+process.env.TZ = 'UTC';
+
+let api;
+let admin;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  admin = await createUser({ role: 'admin' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+// An order for one stem placed at `createdAt`, paid unless `status` says otherwise
+async function saleAt(createdAt, { status = 'paid', fulfilment = null } = {}) {
+  const customer = await createCustomer();
+  const flower = await createFlower({ stock: 1 });
+  const order = await runTransaction(async (transaction) => {
+    const order = await createOrder({ customer, fulfilment, items: [{ flowerId: flower.id, quantity: 1 }] }, transaction);
+    return status === 'pending' ? order : transitionOrder(order, status, { transaction });
+  });
+  await db.sequelize.query('UPDATE orders SET created_at = ? WHERE id = ?', { replacements: [createdAt, order.id] });
+  return order;
+}
+
+const query = (input) => {
+  const { value, error } = schemas.salesQuery.validate(input);
+  assert.ifError(error);
+  return value;
+};
+
+test('the last day of the range is in the report', async () => {
+  await saleAt('2026-03-01 09:00:00.000 +00:00'); // previous period
+  await saleAt('2026-03-04 12:00:00.000 +00:00'); // previous period, its last day
+  await saleAt('2026-03-05 00:00:00.000 +00:00');
+  await saleAt('2026-03-07 18:30:00.000 +00:00'); // the last day, after midnight
+  await saleAt('2026-03-08 00:00:00.000 +00:00'); // the day after
+
+  const { from, to } = query({ from: '2026-03-05', to: '2026-03-07' });
+  const { series, previousPeriod } = await salesOverTime({ from, to, interval: 'day' });
+
+  assert.deepEqual(series.map((p) => [p.period, p.orders]), [['2026-03-05', 1], ['2026-03-06', 0], ['2026-03-07', 1]]);
+  assert.equal(previousPeriod.from.toISOString(), '2026-03-02T00:00:00.000Z');
+  assert.equal(previousPeriod.orders, 1);
+  assert.equal(previousPeriod.change.orders, 100);
+});
+
+test('a ?to= with a time ends right there', async () => {
+  const { to } = query({ from: '2026-03-05', to: '2026-03-07T18:00:00Z' });
+  const { series } = await salesOverTime({ from: query({ from: '2026-03-05' }).from, to });
+  assert.equal(series.reduce((n, p) => n + p.orders, 0), 1);
+});
+
+test('weeks count paid orders only, split by fulfilment', async () => {
+  const pickup = { fulfilment: 'pickup', pickupTime: new Date(Date.now() + 86400000).toISOString() };
+  const paid = await saleAt('2026-04-07 10:00:00.000 +00:00');
+  await saleAt('2026-04-08 10:00:00.000 +00:00', { fulfilment: pickup });
+  await saleAt('2026-04-09 10:00:00.000 +00:00', { status: 'pending' });
+  await saleAt('2026-04-10 10:00:00.000 +00:00', { status: 'cancelled' });
+  await saleAt('2026-04-14 10:00:00.000 +00:00');
+
+  const { from, to } = query({ from: '2026-04-06', to: '2026-04-19' });
+  const { series, byFulfilment } = await salesOverTime({ from, to, interval: 'week', groupBy: 'fulfilment' });
+
+  assert.deepEqual(byFulfilment.map((f) => [f.fulfilment, f.orders]), [['counter', 2], ['pickup', 1]]);
+  assert.deepEqual(series.map((p) => [p.period, p.group, p.orders]), [
+    ['2026-04-06', 'counter', 1], ['2026-04-06', 'pickup', 1],
+    ['2026-04-13', 'counter', 1], ['2026-04-13', 'pickup', 0]
+  ]);
+  assert.equal(series[0].revenue, Number(paid.total));
+
+  const pending = await salesOverTime({ from, to, statuses: ['pending'], interval: 'month' });
+  assert.deepEqual(pending.series.map((p) => [p.period, p.orders]), [['2026-04', 1]]);
+});
+
+test('the report downloads as CSV for ?format=csv or Accept: text/csv', async () => {
+  const url = '/reports/sales?from=2026-04-06&to=2026-04-19&interval=week';
+  const json = await api.request('GET', url, { token: admin.token });
+  assert.equal(json.status, 200);
+  assert.equal(json.body.orders, 3);
+  assert.equal(json.headers.get('vary'), 'Accept');
+
+  const byQuery = await api.request('GET', `${url}&format=csv`, { token: admin.token });
+  const byAccept = await api.request('GET', url, { token: admin.token, headers: { Accept: 'text/csv' } });
+  for (const res of [byQuery, byAccept]) {
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /^attachment; filename="sales-\d{4}-\d{2}-\d{2}\.csv"$/);
+  }
+  const [header, ...rows] = byQuery.body.trimEnd().split('\r\n');
+  assert.equal(header, 'period,orders,revenue,averageOrderValue');
+  assert.deepEqual(rows.map((r) => r.split(',').slice(0, 2)), [['2026-04-06', '2'], ['2026-04-13', '1']]);
+  assert.equal(byAccept.body, byQuery.body);
+});
@@ -0,0 +1,63 @@
+// File: test/sessions.test.js
+// Refresh tokens rotate, a replayed one ends the session, and logout revokes access at once.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createUser, startServer } = require('./helpers');
+
+let api;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+async function login() {
+  const { user } = await createUser();
+  const res = await api.request('POST', '/auth/login', { body: { email: user.email, password: 'Password123!' } });
+  assert.equal(res.status, 200);
+  return { user, ...res.body };
+}
+
+const me = (token) => api.request('GET', '/auth/me', { token });
+const refresh = (refreshToken) => api.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+test('a refresh token is good for one refresh; replaying it revokes the session', async () => {
+  const first = await login();
+
+  const rotated = await refresh(first.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+  assert.equal((await me(rotated.body.token)).status, 200);
+
+  const replay = await refresh(first.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, 'REFRESH_TOKEN_REUSED');
+  assert.equal((await refresh(rotated.body.refreshToken)).body.code, 'SESSION_REVOKED');
+  assert.equal((await me(rotated.body.token)).body.code, 'SESSION_REVOKED');
+});
+
+test('logout ends this session only; logout-all ends the others', async () => {
+  const { user, token, refreshToken } = await login();
+  const phone = await api.request('POST', '/auth/login', { body: { email: user.email, password: 'Password123!' } });
+  const tablet = await api.request('POST', '/auth/login', { body: { email: user.email, password: 'Password123!' } });
+
+  assert.equal((await api.request('POST', '/auth/logout', { token })).status, 204);
+  assert.equal((await me(token)).body.code, 'SESSION_REVOKED');
+  assert.equal((await refresh(refreshToken)).status, 401);
+  assert.equal((await me(phone.body.token)).status, 200);
+
+  const all = await api.request('POST', '/auth/logout-all', { token: phone.body.token });
+  // phone, tablet and the session createUser() opened
+  assert.deepEqual(all.body, { revoked: 3 });
+  assert.equal((await me(phone.body.token)).body.code, 'SESSION_REVOKED');
+  assert.equal((await me(tablet.body.token)).body.code, 'SESSION_REVOKED');
+});
+
+test('a token that is missing or forged is a 401', async () => {
+  assert.equal((await me()).body.code, 'TOKEN_MISSING');
+  assert.equal((await me('not.a.jwt')).body.code, 'TOKEN_INVALID');
+});
@@ -0,0 +1,56 @@
+// File: test/slots.test.js
+// A slot takes as many bookings as its capacity, and none on blackout days or after its cut-off.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase } = require('./helpers');
+const { listAvailability, reserveSlot, releaseSlot, addDays } = require('../src/services/slots');
+const { today } = require('../src/services/fulfilment');
+const { runTransaction } = require('../src/services/transactions');
+
+const { DeliverySlot, BlackoutDate } = db;
+
+before(setupDatabase);
+after(closeDatabase);
+
+let hour = 0;
+// A delivery slot `days` from today, at its own start time so slots never clash
+function createSlot(days, fields = {}) {
+  hour += 1;
+  const start = String(hour % 24).padStart(2, '0');
+  return DeliverySlot.create({ type: 'delivery', date: addDays(today(), days), startTime: `${start}:00`, endTime: `${start}:30`, capacity: 2, ...fields });
+}
+
+const book = (slot, type = 'delivery') => runTransaction((t) => reserveSlot(slot.id, type, t), { label: 'test booking' });
+
+test('parallel bookings stop at the capacity', async () => {
+  const slot = await createSlot(3);
+
+  const results = await Promise.allSettled([book(slot), book(slot), book(slot)]);
+
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, 2);
+  assert.deepEqual(results.filter((r) => r.status === 'rejected').map((r) => r.reason.code), ['SLOT_FULL']);
+  assert.equal((await slot.reload()).booked, 2);
+
+  await runTransaction((t) => releaseSlot(slot.id, t));
+  assert.equal((await slot.reload()).booked, 1);
+  await book(slot);
+});
+
+test('a blackout day, the wrong type or a passed cut-off is unavailable', async () => {
+  const blackedOut = await createSlot(4);
+  await BlackoutDate.create({ date: blackedOut.date, reason: 'Public holiday' });
+  const closed = await createSlot(0, { startTime: '23:58', endTime: '23:59', cutoffTime: '00:00' });
+  const open = await createSlot(5);
+
+  for (const [slot, type] of [[blackedOut, 'delivery'], [closed, 'delivery'], [open, 'pickup']]) {
+    await assert.rejects(book(slot, type), { status: 400, code: 'SLOT_UNAVAILABLE' });
+  }
+
+  const available = await listAvailability({ type: 'delivery', to: addDays(today(), 5) });
+  const ids = available.map((s) => s.id);
+  assert.ok(ids.includes(open.id));
+  assert.ok(!ids.includes(blackedOut.id));
+  assert.ok(!ids.includes(closed.id));
+  assert.equal(available.find((s) => s.id === open.id).remaining, 2);
+});
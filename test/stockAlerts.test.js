@@ -0,0 +1,102 @@
+// File: test/stockAlerts.test.js
+// Dropping below the reorder point raises one alert until the flower is restocked.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { setNotifier } = require('../src/services/notify');
+const createOutboxNotifier = require('../src/services/notify/outboxNotifier');
+
+let api;
+let staff;
+let sent;
+before(async () => {
+  await setupDatabase();
+  setNotifier({ send: async (notification) => { sent.push(notification); } });
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+beforeEach(() => { sent = []; });
+
+async function sell(flower, quantity) {
+  const customer = await createCustomer();
+  const res = await api.request('POST', '/orders', {
+    token: staff.token, body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity }] }
+  });
+  assert.equal(res.status, 201);
+}
+
+const restock = (flower, delta) => api.request('POST', `/flowers/${flower.id}/restock`, { token: staff.token, body: { delta } });
+const alertsFor = (flower) => db.StockAlert.findAll({ where: { flowerId: flower.id }, order: [['id', 'ASC']] });
+
+test('an alert is raised once per drop and resolved by a restock', async () => {
+  const flower = await createFlower({ stock: 15, reorderPoint: 10, reorderTarget: 30 });
+
+  await sell(flower, 6);
+  let [alert] = await alertsFor(flower);
+  assert.deepEqual([alert.stock, alert.reorderPoint, alert.resolvedAt], [9, 10, null]);
+  // back up to the target of 30
+  assert.equal(alert.suggestedQuantity, 21);
+  assert.deepEqual(sent.map((n) => [n.type, n.data.alertId]), [['low_stock', alert.id]]);
+
+  await sell(flower, 1);
+  assert.equal((await alertsFor(flower)).length, 1);
+  assert.equal(sent.length, 1);
+
+  await restock(flower, 20);
+  [alert] = await alertsFor(flower);
+  assert.notEqual(alert.resolvedAt, null);
+
+  await sell(flower, 20);
+  const alerts = await alertsFor(flower);
+  assert.equal(alerts.length, 2);
+  assert.equal(alerts[1].stock, 8);
+  assert.equal(sent.length, 2);
+
+  const feed = await api.request('GET', `/flowers/stock-alerts?status=open&flowerId=${flower.id}`, { token: staff.token });
+  assert.deepEqual(feed.body.data.map((a) => a.id), [alerts[1].id]);
+});
+
+test('the low-stock list has the shortfall and recent sales', async () => {
+  const flower = await createFlower({ stock: 40, reorderPoint: 20 });
+  const fine = await createFlower({ stock: 40, reorderPoint: 20 });
+  await sell(flower, 35);
+
+  const res = await api.request('GET', '/flowers/low-stock', { token: staff.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.some((f) => f.id === fine.id), false);
+  const row = res.body.data.find((f) => f.id === flower.id);
+  assert.equal(row.shortfall, 15);
+  assert.equal(row.soldLastDays, 35);
+  // 35 stems in 28 days cover 14 days with 18, under the reorder point of 20
+  assert.equal(row.suggestedQuantity, 15);
+  assert.notEqual(row.alert, null);
+});
+
+test('setting a reorder point above the stock raises the alert straight away', async () => {
+  const flower = await createFlower({ stock: 5 });
+  const res = await api.request('PUT', `/flowers/${flower.id}`, { token: staff.token, body: { reorderPoint: 8 } });
+  assert.equal(res.status, 200);
+  assert.equal((await alertsFor(flower)).length, 1);
+  assert.equal(sent.length, 1);
+});
+
+test('the outbox notifier writes each notification as a JSON file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'flowershop-outbox-'));
+  try {
+    await createOutboxNotifier({ dir }).send({ type: 'low_stock', title: 'Low stock: Roses', text: 'Down to 2' });
+    const files = await fs.readdir(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /-low_stock\.json$/);
+    assert.equal(JSON.parse(await fs.readFile(path.join(dir, files[0]), 'utf8')).title, 'Low stock: Roses');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,68 @@
+// File: test/stockLedger.test.js
+// Every stock change is a movement in the flower's ledger, and the ledger adds up to the stock.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setupDatabase, closeDatabase, createCustomer, createUser, createFlower, startServer } = require('./helpers');
+const { reconcile } = require('../src/services/inventory');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+test('restocks, sales, cancellations and stocktakes each leave a movement', async () => {
+  const flower = await createFlower({ stock: 10 });
+  const customer = await createCustomer();
+  const as = { token: staff.token };
+
+  await api.request('POST', `/flowers/${flower.id}/restock`, { ...as, body: { delta: 5, note: 'Market run' } });
+  const order = await api.request('POST', '/orders', { ...as, body: { customerId: customer.id, items: [{ flowerId: flower.id, quantity: 4 }] } });
+  await api.request('PATCH', `/orders/${order.body.id}/status`, { ...as, body: { status: 'cancelled' } });
+  const counted = await api.request('PUT', `/flowers/${flower.id}`, { ...as, body: { stock: 12 } });
+  assert.equal(counted.body.stock, 12);
+
+  const history = await api.request('GET', `/flowers/${flower.id}/stock-history`, as);
+  assert.equal(history.body.flower.stock, 12);
+  assert.deepEqual(history.body.data.map((m) => [m.reason, m.delta, m.balance]), [
+    ['adjustment', -3, 12],
+    ['cancellation', 4, 15],
+    ['sale', -4, 11],
+    ['restock', 5, 15],
+    ['restock', 10, 10]
+  ]);
+  assert.equal(history.body.data[2].orderId, order.body.id);
+  assert.equal(history.body.data[3].note, 'Market run');
+  assert.equal(history.body.data[3].actor.id, staff.user.id);
+
+  const sales = await api.request('GET', `/flowers/${flower.id}/stock-history?reason=sale`, as);
+  assert.equal(sales.body.meta.total, 1);
+  assert.equal((await reconcile({ flowerId: flower.id })).ok, true);
+});
+
+test('stock changed behind the ledger shows up as drift', async () => {
+  const flower = await createFlower({ stock: 6 });
+  await db.Flower.update({ stock: 9 }, { where: { id: flower.id } });
+
+  const result = await reconcile({ flowerId: flower.id });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.flowers.map((f) => [f.stock, f.ledger, f.drift]), [[9, 6, 3]]);
+});
+
+test('a restock that would go below zero is refused and leaves no movement', async () => {
+  const flower = await createFlower({ stock: 2 });
+
+  const res = await api.request('POST', `/flowers/${flower.id}/restock`, { token: staff.token, body: { delta: -3 } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'NEGATIVE_STOCK');
+  assert.equal(await db.StockMovement.count({ where: { flowerId: flower.id } }), 1);
+});
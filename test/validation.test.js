@@ -0,0 +1,62 @@
+// File: test/validation.test.js
+// Requests are checked against their Joi schema before a route runs: every problem
+// reported at once, unknown fields dropped and query strings coerced.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDatabase, closeDatabase, createCustomer, createUser, startServer } = require('./helpers');
+
+let api;
+let staff;
+before(async () => {
+  await setupDatabase();
+  api = await startServer();
+  staff = await createUser({ role: 'staff' });
+});
+after(async () => {
+  await api.close();
+  await closeDatabase();
+});
+
+test('all the problems with a request come back together', async () => {
+  const res = await api.request('POST', '/customers', { token: staff.token, body: { email: 'not-an-email', phone: 12 } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(res.body.errors.map((e) => [e.location, e.field]).sort(), [['body', 'email'], ['body', 'name'], ['body', 'phone']]);
+});
+
+test('route params are checked too', async () => {
+  const res = await api.request('GET', '/customers/abc', { token: staff.token });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors.map((e) => [e.location, e.field]), [['params', 'id']]);
+});
+
+test('fields a client may not set are dropped', async () => {
+  const customer = await createCustomer();
+
+  const res = await api.request('PUT', `/customers/${customer.id}`, {
+    token: staff.token,
+    body: { name: 'Renamed', isActive: false, id: 999 }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.id, customer.id);
+  assert.equal(res.body.name, 'Renamed');
+  assert.equal((await customer.reload()).isActive, true);
+});
+
+test('query strings are coerced and defaulted', async () => {
+  await createCustomer();
+  await createCustomer();
+
+  const res = await api.request('GET', '/customers?page=2&pageSize=1', { token: staff.token });
+  const defaults = await api.request('GET', '/customers', { token: staff.token });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.meta.page, 2);
+  assert.equal(res.body.meta.pageSize, 1);
+  assert.equal(defaults.body.meta.pageSize, 20);
+  assert.equal((await api.request('GET', '/customers?pageSize=500', { token: staff.token })).status, 400);
+});